@@ -1,15 +1,12 @@
 /**
- * Import function triggers from their respective submodules:
- *
- * const {onCall} = require("firebase-functions/v2/https");
- * const {onDocumentWritten} = require("firebase-functions/v2/firestore");
+ * Cloud Functions entry point. Each feature lives in its own module under
+ * src/ and is re-exported here so the Firebase CLI can discover it.
  *
  * See a full list of supported triggers at https://firebase.google.com/docs/functions
  */
 
 const {setGlobalOptions} = require("firebase-functions");
-const {onRequest} = require("firebase-functions/https");
-const logger = require("firebase-functions/logger");
+const {initializeApp} = require("firebase-admin/app");
 
 // For cost control, you can set the maximum number of containers that can be
 // running at the same time. This helps mitigate the impact of unexpected
@@ -21,12 +18,17 @@ const logger = require("firebase-functions/logger");
 // functions should each use functions.runWith({ maxInstances: 10 }) instead.
 // In the v1 API, each function can only serve one request per container, so
 // this will be the maximum concurrent request count.
-setGlobalOptions({ maxInstances: 10 });
+setGlobalOptions({maxInstances: 10});
+
+initializeApp();
 
-// Create and deploy your first functions
-// https://firebase.google.com/docs/functions/get-started
+const recommendations = require("./src/recommendations");
+const moderation = require("./src/moderation");
+const courseStats = require("./src/courseStats");
+const reviews = require("./src/reviews");
 
-// exports.helloWorld = onRequest((request, response) => {
-//   logger.info("Hello logs!", {structuredData: true});
-//   response.send("Hello from Firebase!");
-// });
+exports.recommendCourses = recommendations.recommendCourses;
+exports.onReviewReported = moderation.onReviewReported;
+exports.moderateReview = moderation.moderateReview;
+exports.onReviewWrittenUpdateStats = courseStats.onReviewWrittenUpdateStats;
+exports.onReviewDeleted = reviews.onReviewDeleted;
@@ -0,0 +1,52 @@
+/**
+ * Rebuild courseStats for every course that has reviews, and
+ * instructorStats for every instructor reviewers named. Run once after
+ * deploying the stats trigger, or whenever the aggregates drift.
+ *
+ * Usage (with GOOGLE_APPLICATION_CREDENTIALS pointing at a service account,
+ * or FIRESTORE_EMULATOR_HOST set for the emulator):
+ *   npm run backfill-course-stats
+ */
+
+const {initializeApp} = require("firebase-admin/app");
+const {getFirestore} = require("firebase-admin/firestore");
+
+initializeApp();
+
+const {
+  refreshCourseStats,
+  refreshInstructorStats,
+} = require("../src/courseStats");
+
+/**
+ * Entry point.
+ * @return {Promise<void>}
+ */
+async function main() {
+  const snapshot = await getFirestore().collection("reviews")
+      .select("courseCode", "instructorId")
+      .get();
+  const courseCodes = [...new Set(snapshot.docs.map(
+      (doc) => doc.get("courseCode")))];
+  const instructorIds = [...new Set(snapshot.docs.map(
+      (doc) => doc.get("instructorId")).filter(Boolean))];
+
+  for (const courseCode of courseCodes) {
+    const stats = await refreshCourseStats(courseCode);
+    console.log(`${courseCode}: ${stats.reviewCount} reviews, ` +
+      `average ${stats.averageRating}`);
+  }
+  console.log(`Refreshed ${courseCodes.length} courses.`);
+
+  for (const instructorId of instructorIds) {
+    const stats = await refreshInstructorStats(instructorId);
+    console.log(`${instructorId}: ${stats.reviewCount} reviews, ` +
+      `average ${stats.averageRating}`);
+  }
+  console.log(`Refreshed ${instructorIds.length} instructors.`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
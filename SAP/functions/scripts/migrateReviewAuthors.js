@@ -0,0 +1,56 @@
+/**
+ * Move the author's uid out of reviews written before the reviewAuthors
+ * mapping existed. Those reviews store userId on the review itself, which
+ * anyone can read, so even anonymous reviews give away who wrote them. Each
+ * one gets a reviewAuthors/{reviewId} entry and loses its userId field.
+ *
+ * Run once after deploying the reviewAuthors rules; until then the rules
+ * still accept userId on older reviews for edits and deletes.
+ *
+ * Usage (with GOOGLE_APPLICATION_CREDENTIALS pointing at a service account,
+ * or FIRESTORE_EMULATOR_HOST set for the emulator):
+ *   npm run migrate-review-authors -- --dry-run
+ *   npm run migrate-review-authors
+ */
+
+const {initializeApp} = require("firebase-admin/app");
+const {getFirestore, FieldValue} = require("firebase-admin/firestore");
+
+// Firestore's limit of 500 writes per batch, at two writes per review
+const BATCH_SIZE = 250;
+
+/**
+ * Entry point.
+ * @param {Array<string>} args Command line arguments.
+ * @return {Promise<void>}
+ */
+async function main(args) {
+  const dryRun = args.includes("--dry-run");
+
+  initializeApp();
+  const db = getFirestore();
+  const snapshot = await db.collection("reviews").select("userId").get();
+  const docs = snapshot.docs.filter((doc) => doc.get("userId") !== undefined);
+
+  docs.forEach((doc) => console.log(`${doc.id}: userId -> reviewAuthors`));
+
+  if (!dryRun) {
+    for (let start = 0; start < docs.length; start += BATCH_SIZE) {
+      const batch = db.batch();
+      docs.slice(start, start + BATCH_SIZE).forEach((doc) => {
+        batch.set(db.collection("reviewAuthors").doc(doc.id),
+            {userId: doc.get("userId")});
+        batch.update(doc.ref, {userId: FieldValue.delete()});
+      });
+      await batch.commit();
+    }
+  }
+
+  console.log(`${dryRun ? "Would migrate" : "Migrated"} ` +
+    `${docs.length} of ${snapshot.size} reviews.`);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
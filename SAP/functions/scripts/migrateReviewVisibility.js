@@ -0,0 +1,55 @@
+/**
+ * Set hidden: false on reviews written before moderation existed, which
+ * have no hidden field at all. Review listings and the stats trigger query
+ * where("hidden", "==", false), and Firestore leaves documents without the
+ * field out of such queries, so those reviews are invisible until this
+ * runs. Each changed review also triggers a stats refresh for its course.
+ *
+ * Run once after deploying the moderation rules and indexes.
+ *
+ * Usage (with GOOGLE_APPLICATION_CREDENTIALS pointing at a service account,
+ * or FIRESTORE_EMULATOR_HOST set for the emulator):
+ *   npm run migrate-review-visibility -- --dry-run
+ *   npm run migrate-review-visibility
+ */
+
+const {initializeApp} = require("firebase-admin/app");
+const {getFirestore} = require("firebase-admin/firestore");
+
+// Firestore's limit on writes per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Entry point.
+ * @param {Array<string>} args Command line arguments.
+ * @return {Promise<void>}
+ */
+async function main(args) {
+  const dryRun = args.includes("--dry-run");
+
+  initializeApp();
+  const db = getFirestore();
+  const snapshot = await db.collection("reviews").select("hidden").get();
+  const refs = snapshot.docs
+      .filter((doc) => doc.get("hidden") === undefined)
+      .map((doc) => doc.ref);
+
+  refs.forEach((ref) => console.log(`${ref.id}: hidden -> false`));
+
+  if (!dryRun) {
+    for (let start = 0; start < refs.length; start += BATCH_SIZE) {
+      const batch = db.batch();
+      refs.slice(start, start + BATCH_SIZE)
+          .forEach((ref) => batch.update(ref, {hidden: false}));
+      await batch.commit();
+    }
+  }
+
+  console.log(`${dryRun ? "Would migrate" : "Migrated"} ` +
+    `${refs.length} of ${snapshot.size} reviews.`);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+/**
+ * Convert the free-text semesterTaken of older reviews to a term key and
+ * its canonical label ("fall '24" becomes semesterKey "2024-3" and
+ * semesterTaken "Fall 2024"). Values that can't be parsed are listed and
+ * left alone for a moderator to fix by hand. The stats trigger refreshes
+ * the term trends of every course a changed review belongs to.
+ *
+ * Usage (with GOOGLE_APPLICATION_CREDENTIALS pointing at a service account,
+ * or FIRESTORE_EMULATOR_HOST set for the emulator):
+ *   npm run migrate-semester-keys -- --dry-run
+ *   npm run migrate-semester-keys
+ */
+
+const {initializeApp} = require("firebase-admin/app");
+const {getFirestore} = require("firebase-admin/firestore");
+const {termKey, termLabel} = require("../src/terms");
+
+// Firestore's limit on writes per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Entry point.
+ * @param {Array<string>} args Command line arguments.
+ * @return {Promise<void>}
+ */
+async function main(args) {
+  const dryRun = args.includes("--dry-run");
+
+  initializeApp();
+  const db = getFirestore();
+  const snapshot = await db.collection("reviews")
+      .select("semesterTaken", "semesterKey")
+      .get();
+
+  const updates = [];
+  const unrecognized = [];
+  snapshot.docs.forEach((doc) => {
+    const semesterTaken = doc.get("semesterTaken") || "";
+    const semesterKey = termKey(semesterTaken);
+    if (semesterTaken && !semesterKey) {
+      unrecognized.push(`${doc.id}: "${semesterTaken}"`);
+      return;
+    }
+    const label = termLabel(semesterKey);
+    if (label !== semesterTaken || doc.get("semesterKey") !== semesterKey) {
+      updates.push({ref: doc.ref, from: semesterTaken, semesterKey, label});
+    }
+  });
+
+  updates.forEach(({ref, from, semesterKey}) => {
+    console.log(`${ref.id}: "${from}" -> ${semesterKey || "(none)"}`);
+  });
+
+  if (!dryRun) {
+    for (let start = 0; start < updates.length; start += BATCH_SIZE) {
+      const batch = db.batch();
+      updates.slice(start, start + BATCH_SIZE)
+          .forEach(({ref, semesterKey, label}) => {
+            batch.update(ref, {semesterTaken: label, semesterKey});
+          });
+      await batch.commit();
+    }
+  }
+
+  console.log(`${dryRun ? "Would migrate" : "Migrated"} ` +
+    `${updates.length} of ${snapshot.size} reviews.`);
+  if (unrecognized.length > 0) {
+    console.log(`Left ${unrecognized.length} unrecognized semesters:\n` +
+      unrecognized.join("\n"));
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+/**
+ * Grant or revoke the `moderator` custom claim for a user.
+ *
+ * Usage (with GOOGLE_APPLICATION_CREDENTIALS pointing at a service account,
+ * or FIREBASE_AUTH_EMULATOR_HOST set for the emulator):
+ *   npm run set-moderator -- someone@bu.edu
+ *   npm run set-moderator -- someone@bu.edu --revoke
+ */
+
+const {initializeApp} = require("firebase-admin/app");
+const {getAuth} = require("firebase-admin/auth");
+
+/**
+ * Entry point.
+ * @param {Array<string>} args Command line arguments.
+ * @return {Promise<void>}
+ */
+async function main(args) {
+  const email = args.find((arg) => !arg.startsWith("--"));
+  const revoke = args.includes("--revoke");
+  if (!email) {
+    throw new Error("Usage: setModerator.js <email> [--revoke]");
+  }
+
+  initializeApp();
+  const auth = getAuth();
+  const user = await auth.getUserByEmail(email);
+  const claims = {...(user.customClaims || {})};
+
+  if (revoke) {
+    delete claims.moderator;
+  } else {
+    claims.moderator = true;
+  }
+
+  await auth.setCustomUserClaims(user.uid, claims);
+  console.log(`${revoke ? "Revoked" : "Granted"} moderator for ${email}. ` +
+    "The user must sign out and back in for the change to apply.");
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
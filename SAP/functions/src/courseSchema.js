@@ -0,0 +1,157 @@
+/**
+ * Server-side copy of the course schema checks in
+ * src/services/courseSchema.js. Provider responses are normalized here
+ * before they are returned to the client. test/courseSchema.test.js checks
+ * that both copies agree.
+ */
+
+const STRING_FIELDS = [
+  "courseCode",
+  "courseName",
+  "collegeCode",
+  "subjectCode",
+  "courseNumber",
+  "description",
+  "schedule",
+  "semester",
+  "location",
+];
+
+const STRING_ARRAY_FIELDS = [
+  "prerequisites",
+  "corequisites",
+  "hubAreas",
+  "instructors",
+];
+
+const NUMBER_FIELDS = ["units", "capacity", "enrolled", "waitlist"];
+
+const SECTION_STRING_FIELDS =
+    ["sectionId", "type", "semester", "schedule", "location"];
+const SECTION_NUMBER_FIELDS = ["capacity", "enrolled", "waitlist"];
+
+/**
+ * Validate and normalize one section of a course.
+ * @param {Object} raw Section object.
+ * @param {string} courseCode Course the section belongs to.
+ * @return {Object} Normalized section.
+ */
+function normalizeSection(raw, courseCode) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Course ${courseCode}: each section must be an object`);
+  }
+
+  const section = {...raw};
+
+  SECTION_STRING_FIELDS.forEach((field) => {
+    if (section[field] === undefined || section[field] === null) {
+      section[field] = "";
+    } else if (typeof section[field] !== "string") {
+      throw new Error(
+          `Course ${courseCode}: section ${field} must be a string`);
+    }
+  });
+
+  const instructors = section.instructors;
+  if (instructors === undefined || instructors === null) {
+    section.instructors = [];
+  } else if (!Array.isArray(instructors) ||
+      instructors.some((item) => typeof item !== "string")) {
+    throw new Error(`Course ${courseCode}: section instructors must be ` +
+        "an array of strings");
+  }
+
+  SECTION_NUMBER_FIELDS.forEach((field) => {
+    if (section[field] === undefined || section[field] === null) return;
+    const value = Number(section[field]);
+    if (!Number.isFinite(value)) {
+      throw new Error(
+          `Course ${courseCode}: section ${field} must be a number`);
+    }
+    section[field] = value;
+  });
+
+  return section;
+}
+
+/**
+ * Validate and normalize a single course object.
+ * @param {Object} raw Course as returned by a provider.
+ * @return {Object} Normalized course.
+ */
+function normalizeCourse(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Course must be an object");
+  }
+  if (typeof raw.courseCode !== "string" || !raw.courseCode.trim()) {
+    throw new Error("Course is missing courseCode");
+  }
+  if (typeof raw.courseName !== "string" || !raw.courseName.trim()) {
+    throw new Error(`Course ${raw.courseCode} is missing courseName`);
+  }
+
+  const course = {...raw};
+
+  STRING_FIELDS.forEach((field) => {
+    if (course[field] === undefined || course[field] === null) {
+      course[field] = "";
+    } else if (typeof course[field] !== "string") {
+      throw new Error(`Course ${raw.courseCode}: ${field} must be a string`);
+    }
+  });
+
+  STRING_ARRAY_FIELDS.forEach((field) => {
+    const value = course[field];
+    if (value === undefined || value === null) {
+      course[field] = [];
+    } else if (!Array.isArray(value) ||
+        value.some((item) => typeof item !== "string")) {
+      throw new Error(
+          `Course ${raw.courseCode}: ${field} must be an array of strings`);
+    }
+  });
+
+  NUMBER_FIELDS.forEach((field) => {
+    if (course[field] === undefined || course[field] === null) return;
+    const value = Number(course[field]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Course ${raw.courseCode}: ${field} must be a number`);
+    }
+    course[field] = value;
+  });
+
+  if (course.sections === undefined || course.sections === null) {
+    course.sections = [];
+  } else if (!Array.isArray(course.sections)) {
+    throw new Error(`Course ${raw.courseCode}: sections must be an array`);
+  } else {
+    course.sections = course.sections.map((section) =>
+      normalizeSection(section, raw.courseCode));
+  }
+
+  course.courseCode = course.courseCode.trim().toUpperCase();
+  return course;
+}
+
+/**
+ * Normalize a list of courses, dropping entries that fail the schema.
+ * @param {Array} rawCourses Courses as returned by a provider.
+ * @param {function(string): void} onInvalid Called with the reason for
+ *     each dropped course.
+ * @return {Array} Normalized courses.
+ */
+function normalizeCourseList(rawCourses, onInvalid) {
+  if (!Array.isArray(rawCourses)) {
+    throw new Error("Expected an array of courses");
+  }
+  return rawCourses.reduce((courses, raw) => {
+    try {
+      courses.push(normalizeCourse(raw));
+    } catch (error) {
+      if (onInvalid) onInvalid(error.message);
+    }
+    return courses;
+  }, []);
+}
+
+module.exports = {normalizeCourse, normalizeCourseList};
@@ -0,0 +1,308 @@
+const {onDocumentWritten} = require("firebase-functions/firestore");
+const logger = require("firebase-functions/logger");
+const {getFirestore, FieldValue} = require("firebase-admin/firestore");
+
+const REVIEWS_COLLECTION = "reviews";
+const COURSE_STATS_COLLECTION = "courseStats";
+const INSTRUCTOR_STATS_COLLECTION = "instructorStats";
+
+// Review fields that feed the aggregates. Writes that touch none of these
+// (votes, reports) do not trigger a recompute.
+const STATS_FIELDS = [
+  "courseCode",
+  "rating",
+  "difficultyRating",
+  "workloadRating",
+  "profHelpfulnessRating",
+  "tags",
+  "instructorId",
+  "semesterKey",
+  "hidden",
+];
+
+// Optional per-review ratings and the stats fields they roll up into
+const OPTIONAL_RATINGS = {
+  difficultyRating: {average: "averageDifficulty", count: "difficultyCount"},
+  workloadRating: {average: "averageWorkload", count: "workloadCount"},
+  profHelpfulnessRating: {
+    average: "averageProfHelpfulness",
+    count: "profHelpfulnessCount",
+  },
+};
+
+/**
+ * Round to one decimal place, or null when there is nothing to average.
+ * @param {number} sum Sum of values.
+ * @param {number} count Number of values.
+ * @return {?number} Mean.
+ */
+function mean(sum, count) {
+  return count > 0 ? Math.round((sum / count) * 10) / 10 : null;
+}
+
+/**
+ * Rating aggregates over a set of reviews.
+ * @param {Array<Object>} reviews Review document data.
+ * @return {Object} Review count, rating mean and histogram, and the means
+ *     and counts of the optional ratings.
+ */
+function computeRatingStats(reviews) {
+  const ratingHistogram = {1: 0, 2: 0, 3: 0, 4: 0, 5: 0};
+  let ratingSum = 0;
+  const optional = {};
+  Object.keys(OPTIONAL_RATINGS).forEach((field) => {
+    optional[field] = {sum: 0, count: 0};
+  });
+
+  reviews.forEach((review) => {
+    ratingSum += review.rating;
+    if (ratingHistogram[review.rating] !== undefined) {
+      ratingHistogram[review.rating] += 1;
+    }
+    Object.keys(OPTIONAL_RATINGS).forEach((field) => {
+      if (typeof review[field] === "number") {
+        optional[field].sum += review[field];
+        optional[field].count += 1;
+      }
+    });
+  });
+
+  const stats = {
+    reviewCount: reviews.length,
+    ratingSum,
+    averageRating: mean(ratingSum, reviews.length) || 0,
+    ratingHistogram,
+  };
+  Object.entries(OPTIONAL_RATINGS).forEach(([field, keys]) => {
+    stats[keys.average] = mean(optional[field].sum, optional[field].count);
+    stats[keys.count] = optional[field].count;
+  });
+  return stats;
+}
+
+/**
+ * How many reviews picked each tag.
+ * @param {Array<Object>} reviews Review document data.
+ * @return {Object} Tag to number of reviews; tags nobody picked are left
+ *     out.
+ */
+function countTags(reviews) {
+  const tagCounts = {};
+  reviews.forEach((review) => {
+    (Array.isArray(review.tags) ? review.tags : []).forEach((tag) => {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    });
+  });
+  return tagCounts;
+}
+
+/**
+ * Group reviews by a key, skipping reviews without one.
+ * @param {Array<Object>} reviews Review document data.
+ * @param {string} field Field to group by.
+ * @return {Object} Field value to the reviews that have it.
+ */
+function groupBy(reviews, field) {
+  const groups = {};
+  reviews.forEach((review) => {
+    const key = review[field];
+    if (!key) return;
+    groups[key] = groups[key] || [];
+    groups[key].push(review);
+  });
+  return groups;
+}
+
+/**
+ * Aggregate a course's visible reviews into its courseStats document,
+ * overall, for each instructor reviewers named and for each term, so the
+ * course page can chart how ratings changed over time. Tag counts are kept
+ * for the course and for each instructor.
+ * @param {string} courseCode Course code.
+ * @param {Array<Object>} reviews Review document data.
+ * @return {Object} courseStats fields.
+ */
+function computeCourseStats(courseCode, reviews) {
+  const byInstructor = {};
+  Object.entries(groupBy(reviews, "instructorId"))
+      .forEach(([instructorId, instructorReviews]) => {
+        byInstructor[instructorId] = {
+          instructorName: instructorReviews[0].instructorName || "",
+          ...computeRatingStats(instructorReviews),
+          tagCounts: countTags(instructorReviews),
+        };
+      });
+
+  // Keyed by term key ("2025-3"); who taught that term, as far as
+  // reviewers said, marks instructor changes on the chart
+  const byTerm = {};
+  Object.entries(groupBy(reviews, "semesterKey"))
+      .forEach(([semesterKey, termReviews]) => {
+        byTerm[semesterKey] = {
+          instructorNames: [...new Set(termReviews
+              .map((review) => review.instructorName)
+              .filter(Boolean))],
+          ...computeRatingStats(termReviews),
+        };
+      });
+
+  return {
+    courseCode,
+    ...computeRatingStats(reviews),
+    tagCounts: countTags(reviews),
+    byInstructor,
+    byTerm,
+  };
+}
+
+/**
+ * Aggregate an instructor's visible reviews across every course they
+ * taught into their instructorStats document.
+ * @param {string} instructorId Instructor ID.
+ * @param {Array<Object>} reviews Review document data.
+ * @return {Object} instructorStats fields.
+ */
+function computeInstructorStats(instructorId, reviews) {
+  const courses = {};
+  Object.entries(groupBy(reviews, "courseCode"))
+      .forEach(([courseCode, courseReviews]) => {
+        courses[courseCode] = {
+          courseName: courseReviews[0].courseName || "",
+          ...computeRatingStats(courseReviews),
+        };
+      });
+
+  const named = reviews.find((review) => review.instructorName);
+  return {
+    instructorId,
+    instructorName: named ? named.instructorName : "",
+    ...computeRatingStats(reviews),
+    courses,
+  };
+}
+
+/**
+ * Recompute and store the aggregates for one course.
+ * The reviews are read and the stats written in one transaction, so when
+ * triggers for two nearby writes finish out of order, the later commit
+ * still reflects every review that existed when it was written.
+ * @param {string} courseCode Course code.
+ * @return {Promise<Object>} The stored stats.
+ */
+async function refreshCourseStats(courseCode) {
+  const db = getFirestore();
+  const reviewsQuery = db.collection(REVIEWS_COLLECTION)
+      .where("courseCode", "==", courseCode)
+      .where("hidden", "==", false);
+  const ref = db.collection(COURSE_STATS_COLLECTION).doc(courseCode);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(reviewsQuery);
+    const stats = computeCourseStats(courseCode,
+        snapshot.docs.map((doc) => doc.data()));
+    transaction.set(ref, {...stats, updatedAt: FieldValue.serverTimestamp()});
+    return stats;
+  });
+}
+
+/**
+ * Recompute and store the aggregates for one instructor. Instructors left
+ * without visible reviews lose their document. Like refreshCourseStats,
+ * the read and the write share a transaction.
+ * @param {string} instructorId Instructor ID.
+ * @return {Promise<Object>} The stored stats.
+ */
+async function refreshInstructorStats(instructorId) {
+  const db = getFirestore();
+  const reviewsQuery = db.collection(REVIEWS_COLLECTION)
+      .where("instructorId", "==", instructorId)
+      .where("hidden", "==", false);
+  const ref = db.collection(INSTRUCTOR_STATS_COLLECTION).doc(instructorId);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(reviewsQuery);
+    const stats = computeInstructorStats(instructorId,
+        snapshot.docs.map((doc) => doc.data()));
+    if (stats.reviewCount === 0) {
+      transaction.delete(ref);
+    } else {
+      transaction.set(ref, {
+        ...stats,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    }
+    return stats;
+  });
+}
+
+/**
+ * Whether two field values are equal; lists (tags) compare item by item.
+ * @param {*} a One value.
+ * @param {*} b The other value.
+ * @return {boolean} True when equal.
+ */
+function sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => item === b[i]);
+  }
+  return a === b;
+}
+
+/**
+ * Whether a review write changed anything the aggregates depend on.
+ * @param {?Object} before Data before the write.
+ * @param {?Object} after Data after the write.
+ * @return {boolean} True when stats need a recompute.
+ */
+function affectsStats(before, after) {
+  if (!before || !after) return true;
+  return STATS_FIELDS.some((field) => !sameValue(before[field], after[field]));
+}
+
+/**
+ * Keep courseStats/{courseCode} and instructorStats/{instructorId} in sync
+ * with the reviews collection.
+ * Recomputing from the source reviews (instead of applying deltas) keeps
+ * the trigger idempotent when Functions retries or delivers twice.
+ */
+exports.onReviewWrittenUpdateStats = onDocumentWritten(
+    `${REVIEWS_COLLECTION}/{reviewId}`,
+    async (event) => {
+      const before = event.data.before.exists ?
+        event.data.before.data() : null;
+      const after = event.data.after.exists ? event.data.after.data() : null;
+      if (!affectsStats(before, after)) return;
+
+      const courseCodes = new Set();
+      if (before) courseCodes.add(before.courseCode);
+      if (after) courseCodes.add(after.courseCode);
+
+      // Both instructors when a review moves from one to another
+      const instructorIds = new Set();
+      if (before && before.instructorId) instructorIds.add(before.instructorId);
+      if (after && after.instructorId) instructorIds.add(after.instructorId);
+
+      await Promise.all([
+        ...[...courseCodes].map(async (courseCode) => {
+          const stats = await refreshCourseStats(courseCode);
+          logger.info("Course stats refreshed", {
+            courseCode,
+            reviewId: event.params.reviewId,
+            reviewCount: stats.reviewCount,
+          });
+        }),
+        ...[...instructorIds].map(async (instructorId) => {
+          const stats = await refreshInstructorStats(instructorId);
+          logger.info("Instructor stats refreshed", {
+            instructorId,
+            reviewId: event.params.reviewId,
+            reviewCount: stats.reviewCount,
+          });
+        }),
+      ]);
+    });
+
+exports.computeCourseStats = computeCourseStats;
+exports.computeInstructorStats = computeInstructorStats;
+exports.refreshCourseStats = refreshCourseStats;
+exports.refreshInstructorStats = refreshInstructorStats;
@@ -0,0 +1,188 @@
+const {onCall, HttpsError} = require("firebase-functions/https");
+const {onDocumentCreated} = require("firebase-functions/firestore");
+const {defineInt} = require("firebase-functions/params");
+const logger = require("firebase-functions/logger");
+const {getFirestore, FieldValue} = require("firebase-admin/firestore");
+
+const REVIEWS_COLLECTION = "reviews";
+const MODERATION_LOG_COLLECTION = "moderationLog";
+
+const reportHideThreshold = defineInt("REPORT_HIDE_THRESHOLD", {default: 3});
+
+const MODERATOR_ACTIONS = ["restore", "redact", "delete"];
+
+/**
+ * Queue an audit log entry in the given transaction or batch.
+ * @param {Object} writer Firestore transaction or write batch.
+ * @param {Object} entry Entry fields.
+ */
+function logModerationAction(writer, entry) {
+  const ref = getFirestore().collection(MODERATION_LOG_COLLECTION).doc();
+  writer.set(ref, {...entry, createdAt: FieldValue.serverTimestamp()});
+}
+
+/**
+ * Snapshot of the review fields moderators act on, kept in the audit log.
+ * @param {Object} review Review document data.
+ * @return {Object} Audit snapshot.
+ */
+function auditSnapshot(review) {
+  return {
+    reviewText: review.reviewText,
+    pros: review.pros || "",
+    cons: review.cons || "",
+    hidden: review.hidden === true,
+    reportedCount: review.reportedCount || 0,
+  };
+}
+
+/**
+ * Hide a review automatically once it collects enough reports.
+ */
+exports.onReviewReported = onDocumentCreated(
+    `${REVIEWS_COLLECTION}/{reviewId}/reports/{reporterId}`,
+    async (event) => {
+      const {reviewId} = event.params;
+      const db = getFirestore();
+      const reviewRef = db.collection(REVIEWS_COLLECTION).doc(reviewId);
+      const threshold = reportHideThreshold.value();
+
+      const hidden = await db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(reviewRef);
+        if (!snapshot.exists) return false;
+
+        const review = snapshot.data();
+        if (review.hidden || (review.reportedCount || 0) < threshold) {
+          return false;
+        }
+
+        transaction.update(reviewRef, {
+          hidden: true,
+          hiddenReason: "reports",
+          hiddenAt: FieldValue.serverTimestamp(),
+        });
+        logModerationAction(transaction, {
+          action: "auto_hide",
+          reviewId,
+          courseCode: review.courseCode,
+          actorUid: null,
+          actorEmail: "system",
+          note: `Reached ${review.reportedCount} reports`,
+          before: auditSnapshot(review),
+        });
+        return true;
+      });
+
+      if (hidden) {
+        logger.info("Review auto-hidden after reports", {reviewId, threshold});
+      }
+    });
+
+/**
+ * Moderator actions on a review: restore, redact (edit the text) or delete.
+ * Requires the `moderator` custom claim.
+ */
+exports.moderateReview = onCall(async (request) => {
+  if (!request.auth || request.auth.token.moderator !== true) {
+    throw new HttpsError("permission-denied", "Moderator access required");
+  }
+
+  const {reviewId, action, reviewText, note} = request.data || {};
+  if (typeof reviewId !== "string" || !reviewId) {
+    throw new HttpsError("invalid-argument", "reviewId is required");
+  }
+  if (!MODERATOR_ACTIONS.includes(action)) {
+    throw new HttpsError("invalid-argument", `Unknown action "${action}"`);
+  }
+  if (action === "redact" &&
+      (typeof reviewText !== "string" || reviewText.trim().length < 20)) {
+    throw new HttpsError("invalid-argument",
+        "Redacted text must be at least 20 characters");
+  }
+  if (note !== undefined && typeof note !== "string") {
+    throw new HttpsError("invalid-argument", "note must be a string");
+  }
+
+  const db = getFirestore();
+  const reviewRef = db.collection(REVIEWS_COLLECTION).doc(reviewId);
+
+  const review = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(reviewRef);
+    if (!snapshot.exists) {
+      throw new HttpsError("not-found", "Review not found");
+    }
+    const data = snapshot.data();
+
+    if (action === "restore") {
+      // Start the report count over so the review is not hidden again
+      // by the reports a moderator has already looked at
+      transaction.update(reviewRef, {
+        hidden: false,
+        hiddenReason: FieldValue.delete(),
+        hiddenAt: FieldValue.delete(),
+        reportedCount: 0,
+      });
+    } else if (action === "redact") {
+      // Keep the original text in the review's edit history, under the
+      // same revisions/{updatedAt millis} key the author's edits use.
+      // Pros and cons are cleared along with the rewrite.
+      transaction.set(reviewRef.collection("revisions")
+          .doc(String(data.updatedAt.toMillis())), {
+        rating: data.rating,
+        reviewText: data.reviewText,
+        difficultyRating: data.difficultyRating,
+        workloadRating: data.workloadRating,
+        profHelpfulnessRating: data.profHelpfulnessRating,
+        tags: data.tags || [],
+        pros: data.pros || "",
+        cons: data.cons || "",
+        semesterTaken: data.semesterTaken,
+        instructorId: data.instructorId || "",
+        instructorName: data.instructorName || "",
+        isAnonymous: data.isAnonymous,
+        authorName: data.authorName,
+        authorEmail: data.authorEmail,
+        editedBy: request.auth.uid,
+        writtenAt: data.updatedAt,
+        replacedAt: FieldValue.serverTimestamp(),
+      });
+      transaction.update(reviewRef, {
+        reviewText: reviewText.trim(),
+        pros: "",
+        cons: "",
+        redacted: true,
+        hidden: false,
+        hiddenReason: FieldValue.delete(),
+        hiddenAt: FieldValue.delete(),
+        reportedCount: 0,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    }
+
+    logModerationAction(transaction, {
+      action,
+      reviewId,
+      courseCode: data.courseCode,
+      actorUid: request.auth.uid,
+      actorEmail: request.auth.token.email || null,
+      note: note || "",
+      before: auditSnapshot(data),
+    });
+    return data;
+  });
+
+  // Deleting happens outside the transaction because it also removes
+  // the votes, reports and revisions subcollections
+  if (action === "delete") {
+    await db.recursiveDelete(reviewRef);
+  }
+
+  logger.info("Review moderated", {
+    reviewId,
+    action,
+    courseCode: review.courseCode,
+    moderatorUid: request.auth.uid,
+  });
+
+  return {success: true};
+});
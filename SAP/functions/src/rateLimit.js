@@ -0,0 +1,35 @@
+const {getFirestore} = require("firebase-admin/firestore");
+
+const RATE_LIMITS_COLLECTION = "rateLimits";
+
+/**
+ * Fixed-window rate limiter backed by a Firestore document per key.
+ * Counts one hit and reports whether the caller is still under the limit.
+ * @param {string} key Limiter key, e.g. "recommendCourses:<uid>".
+ * @param {{limit: number, windowMs: number}} options Window settings.
+ * @return {Promise<{allowed: boolean, retryAfterMs: number}>} Result.
+ */
+async function consumeRateLimit(key, {limit, windowMs}) {
+  const db = getFirestore();
+  const ref = db.collection(RATE_LIMITS_COLLECTION).doc(key);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const now = Date.now();
+    const data = snapshot.exists ? snapshot.data() : null;
+
+    if (!data || now - data.windowStart >= windowMs) {
+      transaction.set(ref, {windowStart: now, count: 1});
+      return {allowed: true, retryAfterMs: 0};
+    }
+
+    if (data.count >= limit) {
+      return {allowed: false, retryAfterMs: data.windowStart + windowMs - now};
+    }
+
+    transaction.update(ref, {count: data.count + 1});
+    return {allowed: true, retryAfterMs: 0};
+  });
+}
+
+module.exports = {consumeRateLimit};
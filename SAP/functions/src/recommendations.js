@@ -0,0 +1,259 @@
+const {onCall, HttpsError} = require("firebase-functions/https");
+const logger = require("firebase-functions/logger");
+const {getProvider, terrierGptApiKey} = require("./terrierGPT");
+const {normalizeCourseList} = require("./courseSchema");
+const {consumeRateLimit} = require("./rateLimit");
+
+const RATE_LIMIT = {limit: 10, windowMs: 60 * 1000};
+
+const STUDENT_DATA_FIELDS = {
+  major: 100,
+  minor: 100,
+  semester: 50,
+  preferences: 1000,
+};
+
+// Completed courses are sent as compact codes ("CASCS111")
+const MAX_COMPLETED_COURSES = 200;
+const COURSE_CODE_PATTERN = /^[A-Z]{3}[A-Z]{2,4}\d{3}[A-Z]?$/;
+
+// Structured fields that come from the student's stored profile
+const GRADES = [
+  "A", "A-", "B+", "B", "B-", "C+", "C", "C-", "D", "F", "P", "W",
+];
+const MAX_PLANNED_SEMESTERS = 20;
+const MAX_HUB_AREAS = 30;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ["M", "T", "W", "R", "F"];
+const MAX_BLOCKED_TIMES = 10;
+
+/**
+ * Check the student's blocked-out times, e.g. work hours.
+ * @param {*} value Raw blockedTimes list.
+ * @return {Array<Object>} Sanitized {label, days, start, end} entries.
+ */
+function parseBlockedTimes(value) {
+  const blockedTimes = value === undefined ? [] : value;
+  const isValid = (blocked) => blocked && typeof blocked === "object" &&
+    typeof blocked.label === "string" && blocked.label.length <= 50 &&
+    Array.isArray(blocked.days) && blocked.days.length > 0 &&
+    blocked.days.every((day) => WEEKDAYS.includes(day)) &&
+    TIME_PATTERN.test(blocked.start) && TIME_PATTERN.test(blocked.end) &&
+    blocked.start < blocked.end;
+  if (!Array.isArray(blockedTimes) ||
+      blockedTimes.length > MAX_BLOCKED_TIMES ||
+      !blockedTimes.every(isValid)) {
+    throw new HttpsError("invalid-argument",
+        "blockedTimes must be a list of days and times");
+  }
+  return blockedTimes.map(({label, days, start, end}) => ({
+    label: label.trim(),
+    days,
+    start,
+    end,
+  }));
+}
+
+/**
+ * Check that a value is a short list of short strings.
+ * @param {*} value Value to check.
+ * @param {number} maxItems Longest allowed list.
+ * @param {number} maxLength Longest allowed item.
+ * @return {boolean} Whether the value is valid.
+ */
+function isStringList(value, maxItems, maxLength) {
+  return Array.isArray(value) && value.length <= maxItems &&
+    value.every((item) => typeof item === "string" &&
+      item.length <= maxLength);
+}
+
+/**
+ * Check the profile fields of studentData: class year, grades, planned
+ * semesters, Hub progress and schedule constraints. All are optional.
+ * @param {Object} data Raw callable payload.
+ * @return {Object} Sanitized profile fields.
+ */
+function parseProfileFields(data) {
+  const classYear = data.classYear === undefined ? null : data.classYear;
+  if (classYear !== null && (!Number.isInteger(classYear) ||
+      classYear < 2000 || classYear > 2100)) {
+    throw new HttpsError("invalid-argument", "classYear must be a year");
+  }
+
+  const grades = data.grades === undefined ? {} : data.grades;
+  if (!grades || typeof grades !== "object" || Array.isArray(grades) ||
+      Object.keys(grades).length > MAX_COMPLETED_COURSES ||
+      Object.keys(grades).some((code) => !COURSE_CODE_PATTERN.test(code) ||
+        !GRADES.includes(grades[code]))) {
+    throw new HttpsError("invalid-argument",
+        "grades must map course codes to letter grades");
+  }
+
+  const plannedSemesters = data.plannedSemesters === undefined ?
+    [] : data.plannedSemesters;
+  if (!isStringList(plannedSemesters, MAX_PLANNED_SEMESTERS, 50)) {
+    throw new HttpsError("invalid-argument",
+        "plannedSemesters must be a list of semesters");
+  }
+
+  const hubAreasSatisfied = data.hubAreasSatisfied === undefined ?
+    [] : data.hubAreasSatisfied;
+  if (!isStringList(hubAreasSatisfied, MAX_HUB_AREAS, 100)) {
+    throw new HttpsError("invalid-argument",
+        "hubAreasSatisfied must be a list of Hub areas");
+  }
+
+  const constraints = data.scheduleConstraints === undefined ?
+    {} : data.scheduleConstraints;
+  if (!constraints || typeof constraints !== "object" ||
+      Array.isArray(constraints)) {
+    throw new HttpsError("invalid-argument",
+        "scheduleConstraints must be an object");
+  }
+  const maxUnits = constraints.maxUnits === undefined ?
+    null : constraints.maxUnits;
+  if (maxUnits !== null && (!Number.isInteger(maxUnits) ||
+      maxUnits < 1 || maxUnits > 24)) {
+    throw new HttpsError("invalid-argument",
+        "maxUnits must be between 1 and 24");
+  }
+  const times = ["earliestStart", "latestEnd"].map((field) => {
+    const value = constraints[field] === undefined ? "" : constraints[field];
+    if (value !== "" && !TIME_PATTERN.test(value)) {
+      throw new HttpsError("invalid-argument", `${field} must be HH:MM`);
+    }
+    return value;
+  });
+  const daysOff = constraints.daysOff === undefined ? [] : constraints.daysOff;
+  if (!Array.isArray(daysOff) ||
+      daysOff.some((day) => !WEEKDAYS.includes(day))) {
+    throw new HttpsError("invalid-argument",
+        "daysOff must be a list of weekdays");
+  }
+
+  return {
+    classYear,
+    grades,
+    plannedSemesters,
+    hubAreasSatisfied,
+    scheduleConstraints: {
+      maxUnits,
+      earliestStart: times[0],
+      latestEnd: times[1],
+      daysOff,
+      blockedTimes: parseBlockedTimes(constraints.blockedTimes),
+    },
+  };
+}
+
+/**
+ * Check the studentData payload built by CourseRecommender and strip
+ * anything the provider should not see.
+ * @param {*} data Raw callable payload.
+ * @return {Object} Sanitized student data.
+ */
+function parseStudentData(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new HttpsError("invalid-argument", "studentData must be an object");
+  }
+
+  const studentData = {};
+  Object.keys(STUDENT_DATA_FIELDS).forEach((field) => {
+    const value = data[field] === undefined ? "" : data[field];
+    if (typeof value !== "string") {
+      throw new HttpsError("invalid-argument", `${field} must be a string`);
+    }
+    if (value.length > STUDENT_DATA_FIELDS[field]) {
+      throw new HttpsError("invalid-argument", `${field} is too long`);
+    }
+    studentData[field] = value.trim();
+  });
+
+  const completedCourses = data.completedCourses === undefined ?
+    [] : data.completedCourses;
+  if (!Array.isArray(completedCourses) ||
+      completedCourses.length > MAX_COMPLETED_COURSES ||
+      completedCourses.some((code) => typeof code !== "string" ||
+        !COURSE_CODE_PATTERN.test(code))) {
+    throw new HttpsError("invalid-argument",
+        "completedCourses must be a list of course codes");
+  }
+  studentData.completedCourses = completedCourses;
+  Object.assign(studentData, parseProfileFields(data));
+
+  if (!studentData.major) {
+    throw new HttpsError("invalid-argument", "major is required");
+  }
+  return studentData;
+}
+
+exports.recommendCourses = onCall({
+  secrets: [terrierGptApiKey],
+  timeoutSeconds: 60,
+}, async (request) => {
+  const startedAt = Date.now();
+
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in to get recommendations");
+  }
+  const uid = request.auth.uid;
+  const studentData = parseStudentData(request.data);
+
+  const rate = await consumeRateLimit(`recommendCourses:${uid}`, RATE_LIMIT);
+  if (!rate.allowed) {
+    logger.warn("recommendCourses rate limited", {
+      uid,
+      retryAfterMs: rate.retryAfterMs,
+    });
+    throw new HttpsError("resource-exhausted",
+        "Too many recommendation requests. Please wait a minute.",
+        {retryAfterMs: rate.retryAfterMs});
+  }
+
+  // A misconfigured TERRIER_GPT_PROVIDER is a deployment problem, not a
+  // transient failure
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    logger.error("recommendCourses provider failure", {
+      uid,
+      latencyMs: Date.now() - startedAt,
+      error: error.message,
+    });
+    throw new HttpsError("failed-precondition",
+        "Course recommendations are not configured");
+  }
+  logger.info("recommendCourses request", {
+    uid,
+    provider: provider.name,
+    major: studentData.major,
+    semester: studentData.semester,
+  });
+
+  let rawCourses;
+  try {
+    rawCourses = await provider.getCourseRecommendations(studentData);
+  } catch (error) {
+    logger.error("recommendCourses provider failure", {
+      uid,
+      provider: provider.name,
+      latencyMs: Date.now() - startedAt,
+      error: error.message,
+    });
+    throw new HttpsError("unavailable", "Failed to get course recommendations");
+  }
+
+  const courses = normalizeCourseList(rawCourses, (reason) => {
+    logger.warn("recommendCourses dropped invalid course", {uid, reason});
+  });
+
+  logger.info("recommendCourses response", {
+    uid,
+    provider: provider.name,
+    courseCount: courses.length,
+    latencyMs: Date.now() - startedAt,
+  });
+
+  return {courses};
+});
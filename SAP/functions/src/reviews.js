@@ -0,0 +1,21 @@
+const {onDocumentDeleted} = require("firebase-functions/firestore");
+const logger = require("firebase-functions/logger");
+const {getFirestore} = require("firebase-admin/firestore");
+
+const REVIEWS_COLLECTION = "reviews";
+const REVIEW_AUTHORS_COLLECTION = "reviewAuthors";
+
+/**
+ * Remove a deleted review's votes, reports, revisions and author mapping.
+ * Clients can only delete the review document itself, which would otherwise
+ * leave its subcollections and its reviewAuthors entry behind.
+ */
+exports.onReviewDeleted = onDocumentDeleted(
+    `${REVIEWS_COLLECTION}/{reviewId}`,
+    async (event) => {
+      const {reviewId} = event.params;
+      const db = getFirestore();
+      await db.recursiveDelete(db.collection(REVIEWS_COLLECTION).doc(reviewId));
+      await db.collection(REVIEW_AUTHORS_COLLECTION).doc(reviewId).delete();
+      logger.info("Deleted review subcollections and author", {reviewId});
+    });
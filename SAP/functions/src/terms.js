@@ -0,0 +1,57 @@
+/**
+ * Server-side copy of the term parsing in src/services/terms.js, used to
+ * migrate free-text semesters to term keys. A term key is "YYYY-N", where
+ * N orders the seasons within a year. test/terms.test.js checks that both
+ * copies agree.
+ */
+
+const TERM_SEASONS = ["Winter", "Spring", "Summer", "Fall"];
+
+// Abbreviations seen in legacy free-text values ("FA24", "Sp '23")
+const SEASON_ALIASES = {
+  winter: 0,
+  wi: 0,
+  spring: 1,
+  sp: 1,
+  summer: 2,
+  su: 2,
+  fall: 3,
+  fa: 3,
+  autumn: 3,
+};
+
+const TERM_KEY_PATTERN = /^(\d{4})-([0-3])$/;
+
+/**
+ * Parse a free-text semester into a term key.
+ * @param {string} text Semester as typed, e.g. "fall '24" or "2024 Fall".
+ * @return {string} Term key, or "" if unrecognized.
+ */
+function termKey(text) {
+  const value = (text || "").trim().toLowerCase();
+  if (TERM_KEY_PATTERN.test(value)) return value;
+
+  const seasons = Object.keys(SEASON_ALIASES).join("|");
+  const match = value.match(new RegExp(
+      `\\b(${seasons})(?:\\s*[12]\\b)?\\D*?(\\d{4}|\\d{2})\\b`)) ||
+    value.match(new RegExp(`^(\\d{4})\\s+(${seasons})\\b`));
+  if (!match) return "";
+
+  const yearFirst = /^\d/.test(match[1]);
+  const season = yearFirst ? match[2] : match[1];
+  const year = yearFirst ? match[1] : match[2];
+  return `${year.length === 2 ? `20${year}` : year}-${SEASON_ALIASES[season]}`;
+}
+
+/**
+ * Display label for a term key.
+ * @param {string} key Term key, e.g. "2026-3".
+ * @return {string} Label, e.g. "Fall 2026", or "" for an invalid key.
+ */
+function termLabel(key) {
+  const match = (key || "").match(TERM_KEY_PATTERN);
+  return match ? `${TERM_SEASONS[Number(match[2])]} ${match[1]}` : "";
+}
+
+exports.termKey = termKey;
+exports.termLabel = termLabel;
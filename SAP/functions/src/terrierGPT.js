@@ -0,0 +1,105 @@
+/**
+ * Server-side TerrierGPT client. Credentials live in Functions params and
+ * Secret Manager so they never reach the browser.
+ *
+ * Params (see functions/.env.example):
+ *   TERRIER_GPT_PROVIDER  "http" or "offline" (fixture data for the emulator)
+ *   TERRIER_GPT_API_BASE  Base URL of the TerrierGPT agent
+ *   TERRIER_GPT_API_KEY   Secret, sent as a bearer token
+ */
+
+const {defineSecret, defineString} = require("firebase-functions/params");
+const offlineCourses = require("./fixtures/offlineCourses.json");
+
+const terrierGptApiKey = defineSecret("TERRIER_GPT_API_KEY");
+const terrierGptApiBase = defineString("TERRIER_GPT_API_BASE", {default: ""});
+const terrierGptProvider = defineString("TERRIER_GPT_PROVIDER", {
+  default: "http",
+});
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms Delay.
+ * @return {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * POST a JSON body to TerrierGPT, retrying transient failures with
+ * exponential backoff.
+ * @param {string} path Path relative to the API base.
+ * @param {Object} body Request body.
+ * @return {Promise<Object>} Parsed JSON response.
+ */
+async function postJson(path, body) {
+  const apiBase = terrierGptApiBase.value().replace(/\/+$/, "");
+  if (!apiBase) {
+    throw new Error("TERRIER_GPT_API_BASE is not configured");
+  }
+
+  let lastError;
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    let retryable = true;
+    try {
+      const response = await fetch(`${apiBase}${path}`, {
+        method: "POST",
+        headers: {
+          "Accept": "application/json",
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${terrierGptApiKey.value()}`,
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        retryable = RETRYABLE_STATUSES.includes(response.status);
+        throw new Error(`TerrierGPT responded with ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      lastError = error;
+      if (!retryable || attempt === MAX_RETRIES) break;
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+    }
+  }
+  throw lastError;
+}
+
+const PROVIDERS = {
+  http: {
+    async getCourseRecommendations(studentData) {
+      const data = await postJson("/recommendations", studentData);
+      if (!data || !Array.isArray(data.recommendations)) {
+        throw new Error("Response is missing a recommendations array");
+      }
+      return data.recommendations;
+    },
+  },
+  offline: {
+    async getCourseRecommendations() {
+      return offlineCourses;
+    },
+  },
+};
+
+/**
+ * Resolve the provider selected by the TERRIER_GPT_PROVIDER param.
+ * @return {{name: string, getCourseRecommendations: Function}} Provider.
+ */
+function getProvider() {
+  const name = terrierGptProvider.value();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown TerrierGPT provider "${name}"`);
+  }
+  return {name, ...provider};
+}
+
+module.exports = {getProvider, terrierGptApiKey};
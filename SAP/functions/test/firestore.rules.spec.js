@@ -0,0 +1,948 @@
+/**
+ * Security rules tests for firestore.rules. Run against the Firestore
+ * emulator with `npm run test:rules`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require("@firebase/rules-unit-testing");
+const {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  writeBatch,
+  runTransaction,
+  increment,
+  serverTimestamp,
+  Timestamp,
+} = require("firebase/firestore");
+
+const PROJECT_ID = "demo-sap";
+const REVIEW_ID = "review-1";
+// updatedAt of seeded reviews, which also names the revision an edit saves
+const SEEDED_AT = Timestamp.fromMillis(Date.UTC(2025, 8, 1));
+const REVISION_ID = String(SEEDED_AT.toMillis());
+
+const ALICE = {uid: "alice", email: "alice@bu.edu"};
+const BOB = {uid: "bob", email: "bob@bu.edu"};
+const MALLORY = {uid: "mallory", email: "mallory@gmail.com"};
+const MODERATOR = {uid: "mod", email: "mod@bu.edu", moderator: true};
+
+let testEnv;
+
+/**
+ * Firestore client signed in as the given test user.
+ * @param {{uid: string, email: string, moderator: boolean}} user Test user.
+ * @return {Object} Firestore instance.
+ */
+function dbAs(user) {
+  return testEnv.authenticatedContext(user.uid, {
+    email: user.email,
+    email_verified: true,
+    moderator: user.moderator === true,
+  }).firestore();
+}
+
+/**
+ * Review payload as written by reviewService.submitReview.
+ * @param {Object} overrides Fields to replace.
+ * @return {Object} Review document data.
+ */
+function newReview(overrides = {}) {
+  return {
+    courseCode: "CASCS131",
+    courseName: "Combinatoric Structures",
+    collegeCode: "CAS",
+    subjectCode: "CS",
+    courseNumber: "131",
+    rating: 4,
+    reviewText: "Challenging but very rewarding course overall.",
+    difficultyRating: 4,
+    workloadRating: null,
+    profHelpfulnessRating: 5,
+    tags: ["heavy-reading", "great-lectures"],
+    pros: "Proofs finally clicked.",
+    cons: "Weekly problem sets take a full day.",
+    semesterTaken: "Fall 2025",
+    semesterKey: "2025-3",
+    instructorId: "mark-crovella",
+    instructorName: "Mark Crovella",
+    authorEmail: null,
+    isAnonymous: true,
+    authorName: "Anonymous",
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    verified: false,
+    hidden: false,
+    helpfulVotes: 0,
+    totalVotes: 0,
+    reportedCount: 0,
+    ...overrides,
+  };
+}
+
+/**
+ * Create a review the way reviewService.submitReview does: the review and
+ * its reviewAuthors entry in one batch.
+ * @param {Object} db Firestore instance.
+ * @param {Object} review Review document data.
+ * @param {string} authorId uid recorded as the author.
+ * @return {Promise<void>}
+ */
+function createReview(db, review, authorId = ALICE.uid) {
+  const batch = writeBatch(db);
+  batch.set(doc(db, "reviews", REVIEW_ID), review);
+  batch.set(doc(db, "reviewAuthors", REVIEW_ID), {userId: authorId});
+  return batch.commit();
+}
+
+/**
+ * Seed an existing review owned by Alice, bypassing the rules.
+ * @param {Object} overrides Fields to replace.
+ * @return {Promise<void>}
+ */
+async function seedReview(overrides = {}) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, "reviews", REVIEW_ID), newReview({
+      createdAt: SEEDED_AT,
+      updatedAt: SEEDED_AT,
+      ...overrides,
+    }));
+    await setDoc(doc(db, "reviewAuthors", REVIEW_ID), {userId: ALICE.uid});
+  });
+}
+
+/**
+ * Seed a review written before the reviewAuthors mapping, which carries
+ * Alice's uid itself, bypassing the rules.
+ * @return {Promise<void>}
+ */
+async function seedLegacyReview() {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), "reviews", REVIEW_ID), newReview({
+      userId: ALICE.uid,
+      createdAt: SEEDED_AT,
+      updatedAt: SEEDED_AT,
+    }));
+  });
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: fs.readFileSync(
+          path.join(__dirname, "..", "..", "firestore.rules"), "utf8"),
+    },
+  });
+});
+
+afterEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe("reviews: read", () => {
+  it("allows anyone to read reviews", async () => {
+    await seedReview();
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDoc(doc(db, "reviews", REVIEW_ID)));
+  });
+
+  it("allows reading reviews written before the hidden flag", async () => {
+    await seedReview();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await updateDoc(doc(context.firestore(), "reviews", REVIEW_ID), {
+        hidden: deleteField(),
+      });
+    });
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDoc(doc(db, "reviews", REVIEW_ID)));
+  });
+});
+
+describe("reviews: create", () => {
+  it("allows a BU user to create a valid review", async () => {
+    const db = dbAs(ALICE);
+    await assertSucceeds(createReview(db, newReview()));
+  });
+
+  it("allows a named review with the author's own email", async () => {
+    const db = dbAs(ALICE);
+    await assertSucceeds(createReview(db, newReview({
+      isAnonymous: false,
+      authorName: "Alice",
+      authorEmail: ALICE.email,
+    })));
+  });
+
+  it("rejects signed-out users", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(createReview(db, newReview()));
+  });
+
+  it("rejects non-BU accounts", async () => {
+    const db = dbAs(MALLORY);
+    await assertFails(createReview(db, newReview(), MALLORY.uid));
+  });
+
+  it("rejects a review attributed to another user", async () => {
+    const db = dbAs(BOB);
+    await assertFails(createReview(db, newReview()));
+  });
+
+  it("rejects a review without its author entry", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(setDoc(doc(db, "reviews", REVIEW_ID), newReview()));
+  });
+
+  it("rejects a review that carries the author's uid", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db, newReview({userId: ALICE.uid})));
+  });
+
+  it("rejects ratings outside 1-5", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({rating: 0})));
+    await assertFails(createReview(db,
+        newReview({rating: 6})));
+    await assertFails(createReview(db,
+        newReview({difficultyRating: 7})));
+  });
+
+  it("rejects non-integer and non-numeric ratings", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({rating: 3.5})));
+    await assertFails(createReview(db,
+        newReview({rating: "5"})));
+  });
+
+  it("rejects review text shorter than 20 characters", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({reviewText: "Too short"})));
+  });
+
+  it("rejects pre-filled counters", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({helpfulVotes: 10})));
+    await assertFails(createReview(db,
+        newReview({reportedCount: 1})));
+    await assertFails(createReview(db,
+        newReview({verified: true})));
+    await assertFails(createReview(db,
+        newReview({hidden: true})));
+  });
+
+  it("rejects client-chosen timestamps", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({createdAt: Timestamp.fromDate(new Date(2020, 0, 1))})));
+  });
+
+  it("rejects anonymous reviews that leak the author's identity", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({authorEmail: ALICE.email})));
+  });
+
+  it("rejects a malformed semester sort key", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({semesterKey: "Fall 2025"})));
+    await assertSucceeds(createReview(db,
+        newReview({semesterTaken: "", semesterKey: ""})));
+  });
+
+  it("rejects a semester that is not a term label", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({semesterTaken: "fall '25"})));
+    await assertFails(createReview(db,
+        newReview({semesterTaken: "", semesterKey: "2025-3"})));
+    await assertFails(createReview(db,
+        newReview({semesterTaken: "Fall 2024", semesterKey: "2025-3"})));
+  });
+
+  it("rejects a malformed instructor", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({instructorId: "Mark Crovella"})));
+    await assertFails(createReview(db,
+        newReview({instructorId: ""})));
+    await assertSucceeds(createReview(db,
+        newReview({instructorId: "", instructorName: ""})));
+  });
+
+  it("rejects unknown or repeated tags", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({tags: ["easy-a"]})));
+    await assertFails(createReview(db,
+        newReview({tags: ["curve", "curve"]})));
+    await assertFails(createReview(db,
+        newReview({tags: "curve"})));
+    await assertSucceeds(createReview(db,
+        newReview({tags: []})));
+  });
+
+  it("rejects pros or cons over 500 characters", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({pros: "a".repeat(501)})));
+    await assertFails(createReview(db,
+        newReview({cons: null})));
+    await assertSucceeds(createReview(db,
+        newReview({pros: "", cons: ""})));
+  });
+
+  it("rejects unknown fields", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(createReview(db,
+        newReview({featured: true})));
+  });
+});
+
+/**
+ * Edit the seeded review the way reviewService.updateReview does: the
+ * content change and a revision holding the seeded content in one batch.
+ * @param {Object} db Firestore instance.
+ * @param {Object} changes Review updates.
+ * @param {Object} revisionOverrides Revision fields to replace.
+ * @return {Promise<void>}
+ */
+function editReview(db, changes, revisionOverrides = {}) {
+  const seeded = newReview();
+  const batch = writeBatch(db);
+  batch.set(doc(db, "reviews", REVIEW_ID, "revisions", REVISION_ID), {
+    rating: seeded.rating,
+    reviewText: seeded.reviewText,
+    difficultyRating: seeded.difficultyRating,
+    workloadRating: seeded.workloadRating,
+    profHelpfulnessRating: seeded.profHelpfulnessRating,
+    tags: seeded.tags,
+    pros: seeded.pros,
+    cons: seeded.cons,
+    semesterTaken: seeded.semesterTaken,
+    instructorId: seeded.instructorId,
+    instructorName: seeded.instructorName,
+    isAnonymous: seeded.isAnonymous,
+    authorName: seeded.authorName,
+    authorEmail: seeded.authorEmail,
+    editedBy: ALICE.uid,
+    writtenAt: SEEDED_AT,
+    replacedAt: serverTimestamp(),
+    ...revisionOverrides,
+  });
+  batch.update(doc(db, "reviews", REVIEW_ID), {
+    updatedAt: serverTimestamp(),
+    ...changes,
+  });
+  return batch.commit();
+}
+
+describe("reviews: update", () => {
+  beforeEach(async () => {
+    await seedReview();
+  });
+
+  it("lets the owner edit content and saves a revision", async () => {
+    const db = dbAs(ALICE);
+    await assertSucceeds(editReview(db, {
+      rating: 5,
+      reviewText: "Updated: the second half of the course was great.",
+    }));
+  });
+
+  it("requires the previous version to be saved as a revision", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(updateDoc(doc(db, "reviews", REVIEW_ID), {
+      rating: 5,
+      reviewText: "Updated: the second half of the course was great.",
+      updatedAt: serverTimestamp(),
+    }));
+  });
+
+  it("rejects a revision that does not match the previous version",
+      async () => {
+        const db = dbAs(ALICE);
+        await assertFails(editReview(db, {rating: 5}, {
+          reviewText: "Not what the review actually said before.",
+        }));
+      });
+
+  it("rejects revisions that do not accompany an edit", async () => {
+    const db = dbAs(ALICE);
+    const seeded = newReview();
+    await assertFails(setDoc(
+        doc(db, "reviews", REVIEW_ID, "revisions", REVISION_ID), {
+          rating: seeded.rating,
+          reviewText: seeded.reviewText,
+          difficultyRating: seeded.difficultyRating,
+          workloadRating: seeded.workloadRating,
+          profHelpfulnessRating: seeded.profHelpfulnessRating,
+          tags: seeded.tags,
+          pros: seeded.pros,
+          cons: seeded.cons,
+          semesterTaken: seeded.semesterTaken,
+          instructorId: seeded.instructorId,
+          instructorName: seeded.instructorName,
+          isAnonymous: seeded.isAnonymous,
+          authorName: seeded.authorName,
+          authorEmail: seeded.authorEmail,
+          editedBy: ALICE.uid,
+          writtenAt: SEEDED_AT,
+          replacedAt: serverTimestamp(),
+        }));
+  });
+
+  it("lets the owner add an instructor to an older review", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await updateDoc(doc(context.firestore(), "reviews", REVIEW_ID), {
+        instructorId: deleteField(),
+        instructorName: deleteField(),
+      });
+    });
+    const db = dbAs(ALICE);
+    await assertSucceeds(editReview(db, {
+      instructorId: "mark-crovella",
+      instructorName: "Mark Crovella",
+    }, {instructorId: "", instructorName: ""}));
+  });
+
+  it("lets the owner tag an older review", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await updateDoc(doc(context.firestore(), "reviews", REVIEW_ID), {
+        tags: deleteField(),
+        pros: deleteField(),
+        cons: deleteField(),
+      });
+    });
+    const db = dbAs(ALICE);
+    await assertSucceeds(editReview(db, {
+      tags: ["curve"],
+      pros: "",
+      cons: "Exams are long.",
+    }, {tags: [], pros: "", cons: ""}));
+  });
+
+  it("does not let the owner edit a redacted review", async () => {
+    await seedReview({redacted: true});
+    const db = dbAs(ALICE);
+    await assertFails(editReview(db, {
+      reviewText: "Putting the original text straight back in.",
+    }));
+    await assertSucceeds(deleteDoc(doc(db, "reviews", REVIEW_ID)));
+  });
+
+  it("lets only moderators read revisions", async () => {
+    const revision = ["reviews", REVIEW_ID, "revisions", REVISION_ID];
+    await assertFails(getDoc(doc(dbAs(ALICE), ...revision)));
+    await assertSucceeds(getDoc(doc(dbAs(MODERATOR), ...revision)));
+  });
+
+  it("does not let the owner change counters", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(editReview(db, {helpfulVotes: 50}));
+  });
+
+  it("does not let the owner move the review to another course", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(editReview(db, {courseCode: "CASCS132"}));
+  });
+
+  it("does not let other users edit content", async () => {
+    const db = dbAs(BOB);
+    await assertFails(editReview(db, {
+      reviewText: "Someone else's words replacing the review.",
+    }, {editedBy: BOB.uid}));
+  });
+
+  it("rejects counter changes without a vote document", async () => {
+    const db = dbAs(BOB);
+    await assertFails(updateDoc(doc(db, "reviews", REVIEW_ID), {
+      helpfulVotes: increment(1),
+      totalVotes: increment(1),
+    }));
+  });
+
+  it("rejects a report increment without a report document", async () => {
+    const db = dbAs(BOB);
+    await assertFails(updateDoc(doc(db, "reviews", REVIEW_ID), {
+      reportedCount: increment(1),
+    }));
+  });
+
+  it("rejects resetting the report counter", async () => {
+    await seedReview({reportedCount: 3});
+    const db = dbAs(ALICE);
+    await assertFails(updateDoc(doc(db, "reviews", REVIEW_ID), {
+      reportedCount: 0,
+    }));
+  });
+
+  it("does not let the owner un-hide a review", async () => {
+    await seedReview({hidden: true});
+    const db = dbAs(ALICE);
+    await assertFails(editReview(db, {hidden: false}));
+  });
+
+  it("rejects votes from signed-out users", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(updateDoc(doc(db, "reviews", REVIEW_ID), {
+      helpfulVotes: increment(1),
+      totalVotes: increment(1),
+    }));
+  });
+});
+
+/**
+ * Write a vote the way reviewService.voteOnReview does: the vote document
+ * and the counter update in one batch.
+ * @param {Object} db Firestore instance.
+ * @param {string} uid Voter.
+ * @param {string|null} vote New vote, or null to remove it.
+ * @param {Object} counters Counter updates for the review.
+ * @return {Promise<void>}
+ */
+function writeVote(db, uid, vote, counters) {
+  const batch = writeBatch(db);
+  const voteRef = doc(db, "reviews", REVIEW_ID, "votes", uid);
+  batch.update(doc(db, "reviews", REVIEW_ID), counters);
+  if (vote) {
+    batch.set(voteRef, {vote, userId: uid, updatedAt: serverTimestamp()});
+  } else {
+    batch.delete(voteRef);
+  }
+  return batch.commit();
+}
+
+/**
+ * Seed an existing vote by Bob on the review.
+ * @param {string} vote Vote value.
+ * @return {Promise<void>}
+ */
+async function seedBobVote(vote) {
+  await seedReview({
+    helpfulVotes: vote === "helpful" ? 1 : 0,
+    totalVotes: 1,
+  });
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), "reviews", REVIEW_ID, "votes",
+        BOB.uid), {vote, userId: BOB.uid, updatedAt: Timestamp.now()});
+  });
+}
+
+describe("reviews: votes", () => {
+  beforeEach(async () => {
+    await seedReview();
+  });
+
+  it("allows a first helpful vote", async () => {
+    await assertSucceeds(writeVote(dbAs(BOB), BOB.uid, "helpful", {
+      helpfulVotes: 1,
+      totalVotes: 1,
+    }));
+  });
+
+  it("allows a first not-helpful vote", async () => {
+    await assertSucceeds(writeVote(dbAs(BOB), BOB.uid, "not_helpful", {
+      totalVotes: 1,
+    }));
+  });
+
+  it("rejects counters that do not match the vote", async () => {
+    await assertFails(writeVote(dbAs(BOB), BOB.uid, "helpful", {
+      helpfulVotes: 2,
+      totalVotes: 2,
+    }));
+    await assertFails(writeVote(dbAs(BOB), BOB.uid, "not_helpful", {
+      helpfulVotes: 1,
+      totalVotes: 1,
+    }));
+  });
+
+  it("rejects voting twice", async () => {
+    await seedBobVote("helpful");
+    await assertFails(writeVote(dbAs(BOB), BOB.uid, "helpful", {
+      helpfulVotes: 2,
+      totalVotes: 2,
+    }));
+  });
+
+  it("allows switching a vote", async () => {
+    await seedBobVote("helpful");
+    await assertSucceeds(writeVote(dbAs(BOB), BOB.uid, "not_helpful", {
+      helpfulVotes: 0,
+    }));
+  });
+
+  it("allows taking a vote back", async () => {
+    await seedBobVote("helpful");
+    await assertSucceeds(writeVote(dbAs(BOB), BOB.uid, null, {
+      helpfulVotes: 0,
+      totalVotes: 0,
+    }));
+  });
+
+  it("rejects writing another user's vote", async () => {
+    const db = dbAs(BOB);
+    const batch = writeBatch(db);
+    batch.update(doc(db, "reviews", REVIEW_ID), {
+      helpfulVotes: 1,
+      totalVotes: 1,
+    });
+    batch.set(doc(db, "reviews", REVIEW_ID, "votes", "carol"), {
+      vote: "helpful",
+      userId: "carol",
+      updatedAt: serverTimestamp(),
+    });
+    await assertFails(batch.commit());
+  });
+
+  it("rejects votes on your own review", async () => {
+    await assertFails(writeVote(dbAs(ALICE), ALICE.uid, "helpful", {
+      helpfulVotes: 1,
+      totalVotes: 1,
+    }));
+  });
+
+  it("keeps votes private to the voter", async () => {
+    await seedBobVote("helpful");
+    const path = ["reviews", REVIEW_ID, "votes", BOB.uid];
+    await assertSucceeds(getDoc(doc(dbAs(BOB), ...path)));
+    await assertFails(getDoc(doc(dbAs(ALICE), ...path)));
+  });
+});
+
+/**
+ * Write a report the way reviewService.reportReview does: a transaction
+ * that reads the review and the reporter's own report, then writes both.
+ * The service's client-side checks are left out so the rules decide.
+ * @param {Object} db Firestore instance.
+ * @param {string} uid Reporter.
+ * @param {Object} report Report fields to override.
+ * @param {number} reportedCount New counter value.
+ * @return {Promise<void>}
+ */
+function writeReport(db, uid, report, reportedCount) {
+  const reviewRef = doc(db, "reviews", REVIEW_ID);
+  const reportRef = doc(reviewRef, "reports", uid);
+  return runTransaction(db, async (transaction) => {
+    await transaction.get(reviewRef);
+    await transaction.get(reportRef);
+    transaction.update(reviewRef, {reportedCount});
+    transaction.set(reportRef, {
+      reason: "spam",
+      details: "",
+      userId: uid,
+      createdAt: serverTimestamp(),
+      ...report,
+    });
+  });
+}
+
+describe("reviews: reports and moderation", () => {
+  beforeEach(async () => {
+    await seedReview();
+  });
+
+  it("allows one report per user with a known reason", async () => {
+    await assertSucceeds(writeReport(dbAs(BOB), BOB.uid, {}, 1));
+  });
+
+  it("rejects unknown report reasons", async () => {
+    await assertFails(writeReport(dbAs(BOB), BOB.uid, {reason: "meh"}, 1));
+  });
+
+  it("rejects a second report from the same user", async () => {
+    await assertSucceeds(writeReport(dbAs(BOB), BOB.uid, {}, 1));
+    await assertFails(writeReport(dbAs(BOB), BOB.uid, {}, 2));
+  });
+
+  it("rejects report counts that skip ahead", async () => {
+    await assertFails(writeReport(dbAs(BOB), BOB.uid, {}, 3));
+  });
+
+  it("keeps reports private to the reporter and moderators", async () => {
+    await assertSucceeds(writeReport(dbAs(BOB), BOB.uid, {}, 1));
+    const path = ["reviews", REVIEW_ID, "reports", BOB.uid];
+    await assertSucceeds(getDoc(doc(dbAs(BOB), ...path)));
+    await assertFails(getDoc(doc(dbAs(ALICE), ...path)));
+    await assertSucceeds(getDoc(doc(dbAs(MODERATOR), ...path)));
+  });
+
+  it("hides hidden reviews from everyone but moderators", async () => {
+    await seedReview({hidden: true});
+    const unauthenticated = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(unauthenticated, "reviews", REVIEW_ID)));
+    await assertFails(getDoc(doc(dbAs(BOB), "reviews", REVIEW_ID)));
+    await assertSucceeds(getDoc(doc(dbAs(MODERATOR), "reviews", REVIEW_ID)));
+  });
+
+  it("keeps the audit log read-only and moderator-only", async () => {
+    const entry = doc(dbAs(MODERATOR), "moderationLog", "entry-1");
+    await assertSucceeds(getDoc(entry));
+    await assertFails(setDoc(entry, {action: "restore"}));
+    await assertFails(getDoc(doc(dbAs(BOB), "moderationLog", "entry-1")));
+  });
+});
+
+describe("reviews: delete", () => {
+  beforeEach(async () => {
+    await seedReview();
+  });
+
+  it("lets the owner delete their review", async () => {
+    await assertSucceeds(deleteDoc(doc(dbAs(ALICE), "reviews", REVIEW_ID)));
+  });
+
+  it("does not let other users delete it", async () => {
+    await assertFails(deleteDoc(doc(dbAs(BOB), "reviews", REVIEW_ID)));
+  });
+});
+
+describe("reviews: authors from before reviewAuthors", () => {
+  beforeEach(async () => {
+    await seedLegacyReview();
+  });
+
+  it("lets the author edit and delete the review", async () => {
+    const db = dbAs(ALICE);
+    await assertSucceeds(editReview(db, {rating: 5}));
+    await assertSucceeds(deleteDoc(doc(db, "reviews", REVIEW_ID)));
+  });
+
+  it("does not let other users delete it", async () => {
+    await assertFails(deleteDoc(doc(dbAs(BOB), "reviews", REVIEW_ID)));
+  });
+
+  it("rejects votes from the author", async () => {
+    await assertFails(writeVote(dbAs(ALICE), ALICE.uid, "helpful", {
+      helpfulVotes: 1,
+      totalVotes: 1,
+    }));
+  });
+});
+
+describe("reviewAuthors", () => {
+  beforeEach(async () => {
+    await seedReview();
+  });
+
+  it("lets only the author and moderators read an entry", async () => {
+    const entry = ["reviewAuthors", REVIEW_ID];
+    await assertSucceeds(getDoc(doc(dbAs(ALICE), ...entry)));
+    await assertSucceeds(getDoc(doc(dbAs(MODERATOR), ...entry)));
+    await assertFails(getDoc(doc(dbAs(BOB), ...entry)));
+    const unauthenticated = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(unauthenticated, ...entry)));
+  });
+
+  it("does not let anyone claim or give away an existing review", async () => {
+    const bobEntry = doc(dbAs(BOB), "reviewAuthors", REVIEW_ID);
+    await assertFails(setDoc(bobEntry, {userId: BOB.uid}));
+    const aliceEntry = doc(dbAs(ALICE), "reviewAuthors", REVIEW_ID);
+    await assertFails(updateDoc(aliceEntry, {userId: BOB.uid}));
+    await assertFails(deleteDoc(aliceEntry));
+  });
+
+  it("rejects an entry without a new review", async () => {
+    const entry = doc(dbAs(BOB), "reviewAuthors", "review-2");
+    await assertFails(setDoc(entry, {userId: BOB.uid}));
+  });
+});
+
+describe("courseStats", () => {
+  it("is publicly readable", async () => {
+    const unauthenticated = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(
+        getDoc(doc(unauthenticated, "courseStats", "CASCS131")));
+  });
+
+  it("cannot be written by clients", async () => {
+    await assertFails(setDoc(doc(dbAs(ALICE), "courseStats", "CASCS131"), {
+      courseCode: "CASCS131",
+      reviewCount: 100,
+      averageRating: 5,
+    }));
+  });
+});
+
+describe("instructorStats", () => {
+  it("is publicly readable", async () => {
+    const unauthenticated = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(
+        getDoc(doc(unauthenticated, "instructorStats", "mark-crovella")));
+  });
+
+  it("cannot be written by clients", async () => {
+    await assertFails(setDoc(
+        doc(dbAs(ALICE), "instructorStats", "mark-crovella"), {
+          instructorId: "mark-crovella",
+          reviewCount: 100,
+          averageRating: 5,
+        }));
+  });
+});
+
+describe("courses", () => {
+  it("is publicly readable", async () => {
+    const unauthenticated = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(
+        getDoc(doc(unauthenticated, "courses", "CASCS131")));
+  });
+
+  it("cannot be written by clients", async () => {
+    await assertFails(setDoc(doc(dbAs(ALICE), "courses", "CASCS131"), {
+      courseCode: "CASCS131",
+      courseName: "Combinatoric Structures",
+    }));
+  });
+});
+
+/**
+ * Profile payload as written by profileService.saveProfile.
+ * @param {Object} overrides Fields to replace.
+ * @return {Object} users/{uid} document data.
+ */
+function newProfile(overrides = {}) {
+  return {
+    major: "Computer Science",
+    minor: "",
+    classYear: 2028,
+    completedCourses: [{courseCode: "CASCS111", grade: "A", semester: ""}],
+    plannedSemesters: ["Spring 2027", "Fall 2027"],
+    hubAreasSatisfied: ["Quantitative Reasoning I"],
+    scheduleConstraints: {
+      maxUnits: 16,
+      earliestStart: "09:00",
+      latestEnd: "",
+      daysOff: ["F"],
+      blockedTimes: [
+        {label: "Work", days: ["T", "R"], start: "13:00", end: "17:00"},
+      ],
+    },
+    updatedAt: serverTimestamp(),
+    ...overrides,
+  };
+}
+
+describe("users", () => {
+  it("lets a student save and read their own profile", async () => {
+    const db = dbAs(ALICE);
+    await assertSucceeds(setDoc(doc(db, "users", ALICE.uid), newProfile()));
+    await assertSucceeds(getDoc(doc(db, "users", ALICE.uid)));
+  });
+
+  it("keeps profiles private to their owner", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "users", ALICE.uid),
+          newProfile({updatedAt: SEEDED_AT}));
+    });
+    await assertFails(getDoc(doc(dbAs(BOB), "users", ALICE.uid)));
+    await assertFails(getDoc(
+        doc(testEnv.unauthenticatedContext().firestore(), "users", ALICE.uid)));
+    await assertFails(setDoc(doc(dbAs(BOB), "users", ALICE.uid), newProfile()));
+  });
+
+  it("rejects unknown fields", async () => {
+    await assertFails(setDoc(doc(dbAs(ALICE), "users", ALICE.uid),
+        newProfile({isModerator: true})));
+  });
+
+  it("rejects invalid fields", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(setDoc(doc(db, "users", ALICE.uid),
+        newProfile({classYear: "2028"})));
+    await assertFails(setDoc(doc(db, "users", ALICE.uid),
+        newProfile({major: "x".repeat(101)})));
+    await assertFails(setDoc(doc(db, "users", ALICE.uid),
+        newProfile({plannedSemesters: "Fall 2027"})));
+    await assertFails(setDoc(doc(db, "users", ALICE.uid),
+        newProfile({updatedAt: SEEDED_AT})));
+    await assertFails(setDoc(doc(db, "users", ALICE.uid), newProfile({
+      scheduleConstraints: {blockedTimes: "weekday afternoons"},
+    })));
+  });
+});
+
+/**
+ * Plan payload as written by planService.createPlan.
+ * @param {Object} overrides Fields to replace.
+ * @return {Object} users/{uid}/plans/{planId} document data.
+ */
+function newPlan(overrides = {}) {
+  return {
+    name: "Plan 1",
+    semesters: [
+      {term: "Fall 2026", courses: [
+        {courseCode: "CASCS111", courseName: "Intro to CS", units: 4},
+      ]},
+      {term: "Spring 2027", courses: []},
+    ],
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    ...overrides,
+  };
+}
+
+describe("users: plans", () => {
+  it("lets a student create, update and delete their plans", async () => {
+    const db = dbAs(ALICE);
+    const planRef = doc(db, "users", ALICE.uid, "plans", "plan-1");
+    await assertSucceeds(setDoc(planRef, newPlan()));
+    await assertSucceeds(getDoc(planRef));
+    await assertSucceeds(updateDoc(planRef, {
+      name: "Plan 1 with a minor",
+      updatedAt: serverTimestamp(),
+    }));
+    await assertSucceeds(deleteDoc(planRef));
+  });
+
+  it("keeps plans private to their owner", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "users", ALICE.uid, "plans",
+          "plan-1"), newPlan({createdAt: SEEDED_AT, updatedAt: SEEDED_AT}));
+    });
+    const planRef = doc(dbAs(BOB), "users", ALICE.uid, "plans", "plan-1");
+    await assertFails(getDoc(planRef));
+    await assertFails(deleteDoc(planRef));
+    await assertFails(setDoc(
+        doc(dbAs(BOB), "users", ALICE.uid, "plans", "plan-2"), newPlan()));
+  });
+
+  it("rejects invalid plans", async () => {
+    const db = dbAs(ALICE);
+    await assertFails(setDoc(doc(db, "users", ALICE.uid, "plans", "p"),
+        newPlan({name: ""})));
+    await assertFails(setDoc(doc(db, "users", ALICE.uid, "plans", "p"),
+        newPlan({semesters: "Fall 2026"})));
+    await assertFails(setDoc(doc(db, "users", ALICE.uid, "plans", "p"),
+        newPlan({shared: true})));
+  });
+
+  it("keeps createdAt fixed", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "users", ALICE.uid, "plans",
+          "plan-1"), newPlan({createdAt: SEEDED_AT, updatedAt: SEEDED_AT}));
+    });
+    await assertFails(updateDoc(
+        doc(dbAs(ALICE), "users", ALICE.uid, "plans", "plan-1"),
+        {createdAt: serverTimestamp(), updatedAt: serverTimestamp()}));
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * Import a BU course catalog export into the courses collection and build
+ * the client-side search index.
+ *
+ * Usage (with GOOGLE_APPLICATION_CREDENTIALS pointing at a service account,
+ * or FIRESTORE_EMULATOR_HOST and GCLOUD_PROJECT set for the emulator):
+ *   npm run import-catalog -- catalog.csv
+ *   npm run import-catalog -- catalog.json --index-only
+ *   npm run import-catalog -- catalog.csv --dry-run
+ *
+ *   --dry-run     Validate the export and report what would be imported
+ *   --index-only  Write the search index but leave Firestore untouched
+ *
+ * CSV exports have one row per section; rows sharing a course code are
+ * merged into one course. List columns (prerequisites, hub areas,
+ * instructors) are separated by semicolons. JSON exports are an array of
+ * courses in the course schema, or an object with a `courses` array.
+ *
+ * The index is written to public/catalog/search-index.json, so import
+ * before `npm run build` for it to ship with the app.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeCourse, CourseSchemaError } from '../src/services/courseSchema.js';
+import { buildSearchIndex } from '../src/services/searchIndex.js';
+
+const INDEX_PATH = fileURLToPath(new URL('../public/catalog/search-index.json', import.meta.url));
+
+const COURSES_COLLECTION = 'courses';
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+// CSV header (lowercased, punctuation removed) to schema field
+const COLUMN_ALIASES = {
+  coursecode: 'courseCode',
+  course: 'courseCode',
+  code: 'courseCode',
+  coursename: 'courseName',
+  coursetitle: 'courseName',
+  title: 'courseName',
+  name: 'courseName',
+  college: 'collegeCode',
+  collegecode: 'collegeCode',
+  school: 'collegeCode',
+  subject: 'subjectCode',
+  subjectcode: 'subjectCode',
+  department: 'subjectCode',
+  dept: 'subjectCode',
+  number: 'courseNumber',
+  coursenumber: 'courseNumber',
+  catalognumber: 'courseNumber',
+  units: 'units',
+  credits: 'units',
+  credithours: 'units',
+  description: 'description',
+  coursedescription: 'description',
+  prerequisites: 'prerequisites',
+  prereqs: 'prerequisites',
+  corequisites: 'corequisites',
+  coreqs: 'corequisites',
+  hubareas: 'hubAreas',
+  hub: 'hubAreas',
+  section: 'sectionId',
+  sectionid: 'sectionId',
+  type: 'type',
+  component: 'type',
+  sectiontype: 'type',
+  term: 'semester',
+  semester: 'semester',
+  schedule: 'schedule',
+  daystimes: 'schedule',
+  meetingtimes: 'schedule',
+  location: 'location',
+  room: 'location',
+  instructor: 'instructors',
+  instructors: 'instructors',
+  capacity: 'capacity',
+  enrollmentcap: 'capacity',
+  enrolled: 'enrolled',
+  enrollment: 'enrolled',
+  waitlist: 'waitlist'
+};
+
+const LIST_COLUMNS = ['prerequisites', 'corequisites', 'hubAreas', 'instructors'];
+
+const SECTION_COLUMNS = ['sectionId', 'type', 'semester', 'schedule', 'location', 'capacity', 'enrolled', 'waitlist'];
+
+// "CAS CS 131", "CASCS131" and "CAS CS131" all name the same course
+const COURSE_CODE_PATTERN = /^([A-Z]{3})\s*([A-Z]{2,4})\s*(\d{3}[A-Z]?)$/;
+
+/**
+ * Split a course code into its parts
+ * @param {string} text - Course code in any common spacing
+ * @returns {Object|null} - { courseCode, collegeCode, subjectCode, courseNumber }, or null if it isn't a course code
+ */
+function parseCourseCode(text) {
+  const match = text.trim().toUpperCase().match(COURSE_CODE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, collegeCode, subjectCode, courseNumber] = match;
+  return { courseCode: `${collegeCode}${subjectCode}${courseNumber}`, collegeCode, subjectCode, courseNumber };
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, embedded newlines)
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Split a semicolon separated list column
+ * Entries that are course codes are compacted ("CAS CS 111" to "CASCS111").
+ * @param {string} value - Column value
+ * @returns {Array<string>} - List entries
+ */
+function splitList(value) {
+  return value.split(';')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => parseCourseCode(item)?.courseCode || item);
+}
+
+/**
+ * Merge CSV rows (one per section) into courses
+ * @param {string} text - CSV file contents
+ * @returns {Array} - Raw courses in the course schema
+ */
+function coursesFromCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const fields = header.map(column => COLUMN_ALIASES[column.toLowerCase().replace(/[^a-z]/g, '')] || null);
+  if (!fields.includes('courseCode') && !fields.includes('courseNumber')) {
+    throw new Error('CSV needs a course code column, or college, subject and number columns');
+  }
+
+  const courses = new Map();
+
+  rows.forEach((values, rowIndex) => {
+    const row = {};
+    fields.forEach((field, column) => {
+      const value = (values[column] || '').trim();
+      if (field && value) {
+        row[field] = LIST_COLUMNS.includes(field) ? splitList(value) : value;
+      }
+    });
+
+    const parsedCode = parseCourseCode(row.courseCode ||
+      `${row.collegeCode || ''}${row.subjectCode || ''}${row.courseNumber || ''}`);
+    if (!parsedCode) {
+      console.warn(`Skipping row ${rowIndex + 2}: "${row.courseCode || ''}" is not a course code`);
+      return;
+    }
+
+    if (!courses.has(parsedCode.courseCode)) {
+      courses.set(parsedCode.courseCode, { ...parsedCode, instructors: [], sections: [] });
+    }
+    const course = courses.get(parsedCode.courseCode);
+
+    // Course-level columns repeat on every section row; keep the first value
+    ['courseName', 'units', 'description', 'prerequisites', 'corequisites', 'hubAreas'].forEach(field => {
+      if (row[field] !== undefined && course[field] === undefined) {
+        course[field] = row[field];
+      }
+    });
+
+    const section = { instructors: row.instructors || [] };
+    SECTION_COLUMNS.forEach(field => {
+      if (row[field] !== undefined) section[field] = row[field];
+    });
+    if (Object.keys(section).length > 1) {
+      course.sections.push(section);
+    }
+    course.instructors = [...new Set([...course.instructors, ...section.instructors])];
+  });
+
+  return [...courses.values()].map(course => {
+    const lecture = course.sections.find(section => /^lec/i.test(section.type || '')) || course.sections[0];
+    const semesters = [...new Set(course.sections.map(section => section.semester).filter(Boolean))];
+    return {
+      ...course,
+      schedule: lecture?.schedule,
+      location: lecture?.location,
+      semester: semesters.join(', ')
+    };
+  });
+}
+
+/**
+ * Read courses from a JSON export
+ * @param {string} text - JSON file contents
+ * @returns {Array} - Raw courses in the course schema
+ */
+function coursesFromJson(text) {
+  const data = JSON.parse(text);
+  const courses = Array.isArray(data) ? data : data.courses;
+  if (!Array.isArray(courses)) {
+    throw new Error('JSON export must be an array of courses or { "courses": [...] }');
+  }
+  return courses;
+}
+
+/**
+ * Write courses to Firestore in batches
+ * firebase-admin is loaded here so dry runs work without it installed.
+ * @param {Array} courses - Normalized courses
+ * @returns {Promise<void>}
+ */
+async function writeCourses(courses) {
+  const { initializeApp } = await import('firebase-admin/app');
+  const { getFirestore, FieldValue } = await import('firebase-admin/firestore');
+
+  initializeApp();
+  const db = getFirestore();
+
+  for (let start = 0; start < courses.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    courses.slice(start, start + BATCH_SIZE).forEach(course => {
+      batch.set(db.collection(COURSES_COLLECTION).doc(course.courseCode), {
+        ...course,
+        importedAt: FieldValue.serverTimestamp()
+      });
+    });
+    await batch.commit();
+    console.log(`Wrote ${Math.min(start + BATCH_SIZE, courses.length)} of ${courses.length} courses.`);
+  }
+}
+
+/**
+ * Entry point.
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Promise<void>}
+ */
+async function main(args) {
+  const file = args.find(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const indexOnly = args.includes('--index-only');
+  if (!file) {
+    throw new Error('Usage: importCatalog.js <catalog.csv|catalog.json> [--dry-run] [--index-only]');
+  }
+
+  const text = await readFile(file, 'utf8');
+  const rawCourses = file.toLowerCase().endsWith('.json') ? coursesFromJson(text) : coursesFromCsv(text);
+
+  const courses = new Map();
+  let rejected = 0;
+  rawCourses.forEach(raw => {
+    try {
+      const course = normalizeCourse(raw);
+      courses.set(course.courseCode, course);
+    } catch (error) {
+      if (!(error instanceof CourseSchemaError)) throw error;
+      console.warn(`Skipping course: ${error.message}`);
+      rejected++;
+    }
+  });
+
+  const sectionCount = [...courses.values()].reduce((total, course) => total + course.sections.length, 0);
+  console.log(`Read ${courses.size} courses with ${sectionCount} sections (${rejected} rejected).`);
+
+  if (dryRun) {
+    console.log('Dry run: nothing written.');
+    return;
+  }
+
+  const index = buildSearchIndex([...courses.values()]);
+  await mkdir(path.dirname(INDEX_PATH), { recursive: true });
+  await writeFile(INDEX_PATH, JSON.stringify(index));
+  console.log(`Wrote search index with ${Object.keys(index.tokens).length} tokens to ${INDEX_PATH}.`);
+
+  if (!indexOnly) {
+    await writeCourses([...courses.values()]);
+  }
+  console.log('Catalog import complete.');
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
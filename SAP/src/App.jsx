@@ -1,12 +1,87 @@
 import React from "react";
+import { BrowserRouter, Routes, Route, NavLink, Navigate } from "react-router-dom";
+import AuthProvider from "./contexts/AuthContext";
+import ProfileProvider from "./contexts/ProfileContext";
+import AuthButton from "./components/AuthButton";
 import CourseRecommender from "./components/CourseRecommender";
+import CourseSearch from "./components/CourseSearch";
+import CourseDetailPage from "./components/CourseDetailPage";
+import InstructorPage from "./components/InstructorPage";
+import ProfileEditor from "./components/ProfileEditor";
+import PlannerBoard from "./components/PlannerBoard";
+import HubTracker from "./components/HubTracker";
+import ModerationPanel from "./components/ModerationPanel";
+import { useAuth } from "./hooks/useAuth";
+import { ROUTES } from "./routes";
+
+const navLinkClass = ({ isActive }) => `nav-link ${isActive ? "active" : ""}`;
+
+function AppContent() {
+  const { user, isModerator, loading } = useAuth();
+
+  // Wait for the session before deciding, so a refresh on /moderation
+  // doesn't bounce a moderator to the home page
+  const renderModeration = () => {
+    if (loading) return null;
+    return isModerator ? <ModerationPanel /> : <Navigate to={ROUTES.recommender} replace />;
+  };
 
-function App() {
   return (
     <div className="app">
-      <CourseRecommender />
+      <header className="app-header">
+        <nav className="app-nav">
+          <NavLink className={navLinkClass} to={ROUTES.recommender} end>
+            Recommendations
+          </NavLink>
+          <NavLink className={navLinkClass} to={ROUTES.search}>
+            Search
+          </NavLink>
+          {user && (
+            <>
+              <NavLink className={navLinkClass} to={ROUTES.planner}>
+                Planner
+              </NavLink>
+              <NavLink className={navLinkClass} to={ROUTES.hub}>
+                Hub
+              </NavLink>
+              <NavLink className={navLinkClass} to={ROUTES.profile}>
+                Profile
+              </NavLink>
+            </>
+          )}
+          {isModerator && (
+            <NavLink className={navLinkClass} to={ROUTES.moderation}>
+              Moderation
+            </NavLink>
+          )}
+        </nav>
+        <AuthButton />
+      </header>
+      <Routes>
+        <Route path={ROUTES.recommender} element={<CourseRecommender />} />
+        <Route path={ROUTES.search} element={<CourseSearch />} />
+        <Route path={ROUTES.course} element={<CourseDetailPage />} />
+        <Route path={ROUTES.instructor} element={<InstructorPage />} />
+        <Route path={ROUTES.planner} element={<PlannerBoard />} />
+        <Route path={ROUTES.hub} element={<HubTracker />} />
+        <Route path={ROUTES.profile} element={<ProfileEditor />} />
+        <Route path={ROUTES.moderation} element={renderModeration()} />
+        <Route path="*" element={<Navigate to={ROUTES.recommender} replace />} />
+      </Routes>
     </div>
   );
 }
 
+function App() {
+  return (
+    <AuthProvider>
+      <ProfileProvider>
+        <BrowserRouter>
+          <AppContent />
+        </BrowserRouter>
+      </ProfileProvider>
+    </AuthProvider>
+  );
+}
+
 export default App;
@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Starting points shown before the first message
+const SUGGESTED_PROMPTS = [
+  'Something lighter on workload',
+  'No Friday classes',
+  'Show me something else'
+];
+
+/**
+ * AdvisorChat - Conversation with the TerrierGPT advisor
+ * Replies stream in; courses the advisor mentions appear inline where it
+ * mentions them.
+ * @param {Array} messages - { id, role: 'user'|'assistant', parts } from useAdvisorChat
+ * @param {boolean} sending - Whether a reply is streaming
+ * @param {string} error - Error from the last message, if any
+ * @param {Function} onSend - Called with the student's message
+ * @param {Function} onStop - Stops the current reply
+ * @param {Function} onClear - Starts a new conversation
+ * @param {Function} renderCourse - Renders a mentioned course (e.g. as a CourseCard)
+ */
+function AdvisorChat({ messages, sending, error, onSend, onStop, onClear, renderCourse }) {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the newest text in view as it streams
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  const send = (text) => {
+    if (!text.trim() || sending) return;
+    setDraft('');
+    onSend(text);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    send(draft);
+  };
+
+  return (
+    <section className="advisor-chat">
+      <div className="advisor-chat-header">
+        <h2>Ask TerrierGPT</h2>
+        {messages.length > 0 && (
+          <button type="button" className="btn btn-secondary" onClick={onClear}>
+            New Conversation
+          </button>
+        )}
+      </div>
+
+      {messages.length === 0 ? (
+        <div className="chat-suggestions">
+          <p>Refine your recommendations by chatting, for example:</p>
+          {SUGGESTED_PROMPTS.map(prompt => (
+            <button key={prompt} type="button" className="chat-suggestion" onClick={() => send(prompt)}>
+              {prompt}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <ol className="chat-messages" ref={listRef} aria-live="polite">
+          {messages.map(message => (
+            <li key={message.id} className={`chat-message ${message.role}`}>
+              {message.parts.length === 0 && <p className="chat-text chat-typing">Thinking...</p>}
+              {message.parts.map((part, index) => (
+                part.type === 'course' ? (
+                  <div key={index} className="chat-course">{renderCourse(part.course)}</div>
+                ) : (
+                  <p key={index} className="chat-text">{part.text}</p>
+                )
+              ))}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <form className="chat-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          aria-label="Message TerrierGPT"
+          value={draft}
+          maxLength={500}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder='e.g., "no Friday classes" or "something lighter"'
+        />
+        {sending ? (
+          <button type="button" className="btn btn-secondary" onClick={onStop}>
+            Stop
+          </button>
+        ) : (
+          <button type="submit" className="btn btn-primary" disabled={!draft.trim()}>
+            Send
+          </button>
+        )}
+      </form>
+    </section>
+  );
+}
+
+export default AdvisorChat;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { getDisplayName } from '../services/authService';
+
+/**
+ * AuthButton - Header control for signing in/out with a BU account
+ */
+function AuthButton() {
+  const { user, loading, error, signIn, signOut } = useAuth();
+
+  if (loading) {
+    return <div className="auth-control" />;
+  }
+
+  return (
+    <div className="auth-control">
+      {user ? (
+        <>
+          <span className="auth-user" title={user.email}>
+            {getDisplayName(user)}
+          </span>
+          <button className="btn btn-secondary" onClick={signOut}>
+            Sign Out
+          </button>
+        </>
+      ) : (
+        <button className="btn btn-primary" onClick={signIn}>
+          Sign in with BU
+        </button>
+      )}
+      {error && <span className="auth-error">{error}</span>}
+    </div>
+  );
+}
+
+export default AuthButton;
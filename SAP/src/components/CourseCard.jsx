@@ -1,14 +1,32 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import CourseCodeList from './CourseCodeList';
+import RatingSummary from './RatingSummary';
+import TagCloud from './TagCloud';
+import { ELIGIBILITY_LABELS } from '../services/prerequisites';
+import { instructorOptions } from '../services/instructorService';
+import { coursePath, instructorPath } from '../routes';
 
 /**
  * CourseCard - Displays individual course recommendation with reviews summary
- * @param {Object} course - Course object with details
- * @param {number} averageRating - Average rating from reviews
- * @param {number} totalReviews - Number of reviews
- * @param {Function} onViewReviews - Callback when "View Reviews" is clicked
+ * The title links to the course's detail page and each instructor's name to
+ * their ratings page. Courses with several instructors can show one
+ * instructor's ratings instead of the whole course's.
+ * @param {Object} course - Course object with details (and `eligibility` when the student's completed courses are known)
+ * @param {Object} stats - courseStats summary (averageRating, reviewCount, ratingHistogram, breakdown means, tagCounts, byInstructor)
+ * @param {Array<string>} hubAreasFilled - The student's missing Hub areas this course would fill
+ * @param {Array<string>} scheduleWarnings - Why the course doesn't fit the student's week (overlaps, early starts, days off)
+ * @param {Object} ranking - Score and factors from rankRecommendations, if the course was ranked
+ * @param {Function} onViewReviews - Callback when "View Reviews" is clicked, with the selected instructor ID ('' for everyone)
  * @param {Function} onLeaveReview - Callback when "Leave Review" is clicked
  */
-function CourseCard({ course, averageRating, totalReviews, onViewReviews, onLeaveReview }) {
+function CourseCard({ course, stats, hubAreasFilled = [], scheduleWarnings = [], ranking, onViewReviews, onLeaveReview }) {
+  const [instructorId, setInstructorId] = useState('');
+  const instructors = instructorOptions(course);
+  const shownStats = instructorId ? stats?.byInstructor?.[instructorId] : stats;
+  const averageRating = shownStats?.averageRating || 0;
+  const totalReviews = shownStats?.reviewCount || 0;
+
   const renderStars = (rating) => {
     const stars = [];
     const fullStars = Math.floor(rating);
@@ -29,19 +47,41 @@ function CourseCard({ course, averageRating, totalReviews, onViewReviews, onLeav
   return (
     <div className="course-card">
       <div className="course-header">
-        <h3 className="course-title">{course.courseName}</h3>
+        <h3 className="course-title">
+          <Link to={coursePath(course.courseCode)}>{course.courseName}</Link>
+        </h3>
         <span className="course-code">{course.courseCode}</span>
       </div>
       
       <div className="course-meta">
         <span className="units">{course.units} units</span>
-        {course.instructors && course.instructors.length > 0 && (
+        {instructors.length > 0 && (
           <span className="instructors">
-            {course.instructors.join(', ')}
+            {instructors.map((instructor, index) => (
+              <React.Fragment key={instructor.id}>
+                {index > 0 && ', '}
+                <Link to={instructorPath(instructor.id)}>{instructor.name}</Link>
+              </React.Fragment>
+            ))}
           </span>
         )}
       </div>
 
+      {ranking && (
+        <details className="course-score">
+          <summary>Match score: <strong>{ranking.score}</strong>/100</summary>
+          <ul>
+            {ranking.factors.filter(factor => factor.weight > 0).map(factor => (
+              <li key={factor.key}>
+                <span className="course-score-factor">{factor.label}</span>
+                <span className="course-score-value">{Math.round(factor.value * 100)}</span>
+                <span className="course-score-detail">{factor.detail}</span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
       {course.schedule && (
         <div className="course-schedule">
           <strong>Schedule:</strong> {course.schedule}
@@ -58,9 +98,51 @@ function CourseCard({ course, averageRating, totalReviews, onViewReviews, onLeav
         </div>
       )}
 
+      {hubAreasFilled.length > 0 && (
+        <div className="hub-fills" title={hubAreasFilled.join(', ')}>
+          Fills {hubAreasFilled.length} of your missing Hub {hubAreasFilled.length === 1 ? 'area' : 'areas'}
+        </div>
+      )}
+
       {course.prerequisites && course.prerequisites.length > 0 && (
         <div className="prerequisites">
-          <strong>Prerequisites:</strong> {course.prerequisites.join(', ')}
+          <strong>Prerequisites:</strong> <CourseCodeList items={course.prerequisites} />
+        </div>
+      )}
+
+      {course.eligibility && (
+        <div className={`eligibility eligibility-${course.eligibility.status}`}>
+          <strong>{ELIGIBILITY_LABELS[course.eligibility.status]}</strong>
+          {course.eligibility.missing.length > 0 && (
+            <span> — needs {course.eligibility.missing.join('; ')}</span>
+          )}
+          {course.eligibility.corequisites.length > 0 && (
+            <span> — take with {course.eligibility.corequisites.join('; ')}</span>
+          )}
+        </div>
+      )}
+
+      {scheduleWarnings.length > 0 && (
+        <ul className="schedule-warnings">
+          {scheduleWarnings.map(warning => (
+            <li key={warning}>{warning}</li>
+          ))}
+        </ul>
+      )}
+
+      {instructors.length > 1 && (
+        <div className="course-rating-instructor">
+          <label htmlFor={`ratings-for-${course.courseCode}`}>Ratings for</label>
+          <select
+            id={`ratings-for-${course.courseCode}`}
+            value={instructorId}
+            onChange={(e) => setInstructorId(e.target.value)}
+          >
+            <option value="">All instructors</option>
+            {instructors.map(instructor => (
+              <option key={instructor.id} value={instructor.id}>{instructor.name}</option>
+            ))}
+          </select>
         </div>
       )}
 
@@ -76,16 +158,18 @@ function CourseCard({ course, averageRating, totalReviews, onViewReviews, onLeav
             <span className="review-count">
               ({totalReviews} {totalReviews === 1 ? 'review' : 'reviews'})
             </span>
+            <RatingSummary compact stats={shownStats} />
+            <TagCloud compact tagCounts={shownStats.tagCounts} total={totalReviews} />
           </>
         ) : (
-          <span className="no-reviews">No reviews yet</span>
+          <span className="no-reviews">{instructorId ? 'No reviews of this instructor yet' : 'No reviews yet'}</span>
         )}
       </div>
 
       <div className="course-actions">
         <button 
           className="btn btn-secondary" 
-          onClick={onViewReviews}
+          onClick={() => onViewReviews(instructorId)}
           disabled={totalReviews === 0}
         >
           View Reviews
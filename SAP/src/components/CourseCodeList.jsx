@@ -0,0 +1,20 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { isCourseCode } from '../services/courseSchema';
+import { coursePath } from '../routes';
+
+/**
+ * CourseCodeList - Comma separated requirement list
+ * Course codes link to their detail pages; free text is shown as is.
+ * @param {Array<string>} items - Prerequisites or corequisites
+ */
+function CourseCodeList({ items }) {
+  return items.map((item, index) => (
+    <React.Fragment key={item}>
+      {index > 0 && ', '}
+      {isCourseCode(item) ? <Link to={coursePath(item)}>{item}</Link> : item}
+    </React.Fragment>
+  ));
+}
+
+export default CourseCodeList;
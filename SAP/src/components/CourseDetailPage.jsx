@@ -0,0 +1,354 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import ReviewDisplay from './ReviewDisplay';
+import ReviewForm from './ReviewForm';
+import CourseCodeList from './CourseCodeList';
+import PrerequisiteGraph from './PrerequisiteGraph';
+import CourseTrends from './CourseTrends';
+import RatingSummary from './RatingSummary';
+import { getCourseDetails } from '../services/terrierGPTService';
+import { submitReview } from '../services/reviewService';
+import { useReviews } from '../hooks/useReviews';
+import { useCourseStats } from '../hooks/useCourseStats';
+import { useProfile } from '../hooks/useProfile';
+import { emptyCourseStats } from '../services/courseStatsService';
+import { instructorId as toInstructorId, instructorOptions } from '../services/instructorService';
+import { ROUTES, instructorPath } from '../routes';
+
+/**
+ * Sections to show in the schedule table
+ * Catalog courses list their sections; provider details only carry
+ * course-level schedule and seat counts, shown as a single row.
+ * @param {Object} course - Normalized course
+ * @returns {Array} - Sections
+ */
+function getSections(course) {
+  if (course.sections.length > 0) {
+    return course.sections;
+  }
+  if (!course.schedule && !course.location && course.capacity === undefined) {
+    return [];
+  }
+  return [{
+    sectionId: '',
+    type: '',
+    semester: course.semester,
+    schedule: course.schedule,
+    location: course.location,
+    instructors: course.instructors,
+    capacity: course.capacity,
+    enrolled: course.enrolled,
+    waitlist: course.waitlist
+  }];
+}
+
+/**
+ * Open seats for a section, e.g. "15 of 80 open"
+ * @param {Object} section - Course section
+ * @returns {string} - Seat summary
+ */
+function formatSeats(section) {
+  if (section.capacity === undefined) return '—';
+  const open = section.capacity - (section.enrolled || 0);
+  return open > 0 ? `${open} of ${section.capacity} open` : `Full (${section.capacity})`;
+}
+
+/**
+ * Instructor names as links to their ratings pages
+ * @param {Array<string>} names - Instructors as listed
+ * @returns {Array} - Links separated by commas
+ */
+function renderInstructorLinks(names) {
+  return names.map((name, index) => (
+    <React.Fragment key={name}>
+      {index > 0 && ', '}
+      {toInstructorId(name) ? <Link to={instructorPath(toInstructorId(name))}>{name}</Link> : name}
+    </React.Fragment>
+  ));
+}
+
+/**
+ * CourseDetailPage - Everything about one course, at /course/:courseCode
+ * Sections and seats, requirements and their prerequisite graph, the
+ * rating breakdown and its trend by term, and the live review list with
+ * the review form inline.
+ * Choosing an instructor narrows both the ratings and the reviews to the
+ * sections they taught; clicking a bar of the rating histogram narrows the
+ * reviews to that star rating.
+ */
+function CourseDetailPage() {
+  const courseCode = useParams().courseCode.toUpperCase();
+  const [course, setCourse] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [writingReview, setWritingReview] = useState(false);
+  const [editingReview, setEditingReview] = useState(null);
+  const [instructorId, setInstructorId] = useState('');
+
+  const { profile } = useProfile();
+  const completedCourses = profile ? profile.completedCourses.map(completed => completed.courseCode) : [];
+
+  const getStats = useCourseStats([courseCode]);
+  const stats = getStats(courseCode);
+
+  // Reviews stay live while the page is open
+  const courseReviews = useReviews(course ? courseCode : null, { live: true, instructorId });
+
+  useEffect(() => {
+    // Ignore a response for a course the user has already navigated away from
+    let cancelled = false;
+    setCourse(null);
+    setLoading(true);
+    setError(null);
+    setWritingReview(false);
+    setEditingReview(null);
+    setInstructorId('');
+
+    getCourseDetails(courseCode)
+      .then(details => {
+        if (!cancelled) setCourse(details);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [courseCode]);
+
+  const handleSubmitReview = async (reviewData) => {
+    // The live review list and stats listener pick up the new review
+    await submitReview(reviewData);
+    setWritingReview(false);
+  };
+
+  const handleVote = async (reviewId, vote) => {
+    const result = await courseReviews.vote(reviewId, vote);
+    if (!result.success) {
+      alert(result.error);
+    }
+  };
+
+  const handleEditReview = async (reviewData) => {
+    const result = await courseReviews.editReview(editingReview.id, reviewData);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    setEditingReview(null);
+  };
+
+  const handleDeleteReview = async (reviewId) => {
+    const result = await courseReviews.removeReview(reviewId);
+    if (!result.success) {
+      alert(result.error);
+    }
+  };
+
+  const handleReport = async (reviewId, reason, details) => {
+    const result = await courseReviews.report(reviewId, reason, details);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="course-detail">
+        <p className="search-status">Loading course...</p>
+      </div>
+    );
+  }
+
+  if (error || !course) {
+    return (
+      <div className="course-detail">
+        <div className="course-detail-missing">
+          <h1>{error ? 'Could not load course' : 'Course not found'}</h1>
+          <p>{error || `There is no course with code ${courseCode}.`}</p>
+          <Link className="btn btn-primary" to={ROUTES.search}>Search courses</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const sections = getSections(course);
+  const instructors = instructorOptions(course);
+  const selectedInstructor = instructors.find(option => option.id === instructorId);
+  const shownStats = instructorId
+    ? (stats.byInstructor || {})[instructorId] || emptyCourseStats(courseCode)
+    : stats;
+
+  return (
+    <div className="course-detail">
+      <Link className="back-link" to={ROUTES.search}>← Search courses</Link>
+
+      <div className="course-detail-header">
+        <div>
+          <h1>{course.courseName}</h1>
+          <span className="course-code">{course.courseCode}</span>
+        </div>
+        {course.units !== undefined && <span className="units">{course.units} units</span>}
+      </div>
+
+      <p className="course-description">{course.description}</p>
+
+      {course.hubAreas.length > 0 && (
+        <div className="hub-tags">
+          {course.hubAreas.map(hub => (
+            <span key={hub} className="hub-tag">{hub}</span>
+          ))}
+        </div>
+      )}
+
+      <dl className="course-detail-facts">
+        {course.instructors.length > 0 && (
+          <>
+            <dt>Instructors</dt>
+            <dd>{renderInstructorLinks(course.instructors)}</dd>
+          </>
+        )}
+        {course.prerequisites.length > 0 && (
+          <>
+            <dt>Prerequisites</dt>
+            <dd><CourseCodeList items={course.prerequisites} /></dd>
+          </>
+        )}
+        {course.corequisites.length > 0 && (
+          <>
+            <dt>Corequisites</dt>
+            <dd><CourseCodeList items={course.corequisites} /></dd>
+          </>
+        )}
+      </dl>
+
+      {sections.length > 0 && (
+        <section className="course-detail-section">
+          <h2>Sections</h2>
+          <div className="sections-table-wrapper">
+            <table className="sections-table">
+              <thead>
+                <tr>
+                  <th>Section</th>
+                  <th>Semester</th>
+                  <th>Schedule</th>
+                  <th>Location</th>
+                  <th>Instructors</th>
+                  <th>Seats</th>
+                  <th>Waitlist</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sections.map((section, index) => (
+                  <tr key={section.sectionId || index}>
+                    <td>{[section.sectionId, section.type].filter(Boolean).join(' ') || '—'}</td>
+                    <td>{section.semester || '—'}</td>
+                    <td>{section.schedule || '—'}</td>
+                    <td>{section.location || '—'}</td>
+                    <td>{section.instructors.length > 0 ? renderInstructorLinks(section.instructors) : '—'}</td>
+                    <td>{formatSeats(section)}</td>
+                    <td>{section.waitlist ?? '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      <section className="course-detail-section">
+        <h2>Prerequisite Chain</h2>
+        <PrerequisiteGraph course={course} completedCourses={completedCourses} />
+      </section>
+
+      <section className="course-detail-section">
+        <h2>Ratings{selectedInstructor && ` for ${selectedInstructor.name}`}</h2>
+        {shownStats.reviewCount > 0 ? (
+          <RatingSummary
+            stats={shownStats}
+            selectedRating={courseReviews.ratingFilter}
+            onSelectRating={courseReviews.setRatingFilter}
+          />
+        ) : (
+          <p className="no-reviews">No ratings yet</p>
+        )}
+      </section>
+
+      <section className="course-detail-section">
+        <h2>Trends by Semester</h2>
+        <CourseTrends byTerm={stats.byTerm} />
+      </section>
+
+      <section className="course-detail-section">
+        <div className="course-detail-section-header">
+          <h2>Reviews</h2>
+          {!writingReview && (
+            <button className="btn btn-primary" onClick={() => setWritingReview(true)}>
+              Leave a Review
+            </button>
+          )}
+        </div>
+
+        {writingReview && (
+          <ReviewForm
+            inline
+            courseCode={course.courseCode}
+            courseName={course.courseName}
+            instructors={instructors}
+            onSubmit={handleSubmitReview}
+            onCancel={() => setWritingReview(false)}
+          />
+        )}
+
+        {courseReviews.error && <div className="error-message">{courseReviews.error}</div>}
+        {courseReviews.loading ? (
+          <p className="search-status">Loading reviews...</p>
+        ) : (
+          <ReviewDisplay
+            inline
+            courseCode={course.courseCode}
+            courseName={course.courseName}
+            reviews={courseReviews.reviews}
+            averageRating={courseReviews.averageRating}
+            totalReviews={courseReviews.totalReviews}
+            ratingFilter={courseReviews.ratingFilter}
+            onRatingFilterChange={courseReviews.setRatingFilter}
+            tagCounts={shownStats.tagCounts}
+            tagFilter={courseReviews.tagFilter}
+            onTagFilterChange={courseReviews.setTagFilter}
+            sortBy={courseReviews.sortBy}
+            onSortChange={courseReviews.setSortBy}
+            instructors={instructors}
+            instructorId={instructorId}
+            onInstructorChange={setInstructorId}
+            hasMore={courseReviews.hasMore}
+            loadingMore={courseReviews.loadingMore}
+            onLoadMore={courseReviews.loadMore}
+            userVotes={courseReviews.userVotes}
+            authoredReviewIds={courseReviews.authoredReviewIds}
+            onVote={handleVote}
+            onReport={handleReport}
+            onEdit={setEditingReview}
+            onDelete={handleDeleteReview}
+          />
+        )}
+      </section>
+
+      {editingReview && (
+        <ReviewForm
+          courseCode={course.courseCode}
+          courseName={course.courseName}
+          review={editingReview}
+          instructors={instructors}
+          onSubmit={handleEditReview}
+          onCancel={() => setEditingReview(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default CourseDetailPage;
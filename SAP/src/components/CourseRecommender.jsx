@@ -1,30 +1,155 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import CourseCard from './CourseCard';
-import ReviewDisplay from './ReviewDisplay';
-import ReviewForm from './ReviewForm';
+import AdvisorChat from './AdvisorChat';
+import RankingControls from './RankingControls';
+import TermPicker from './TermPicker';
+import CourseReviewModals, { REVIEW_MODAL_VIEW, REVIEW_MODAL_WRITE } from './CourseReviewModals';
 import { getCourseRecommendations } from '../services/terrierGPTService';
-import { useReviews } from '../hooks/useReviews';
+import { parseCourseCodes } from '../services/prerequisites';
+import { PROGRAMS, profileToStudentData } from '../services/profileService';
+import { loadRecommenderState, saveRecommenderState } from '../services/recommenderState';
+import { hubAreasFilled, boostByHubAreas } from '../services/hubRequirements';
+import { courseMeetings, scheduleWarnings } from '../services/schedule';
+import { downloadSemesterCalendar, calendarUnavailableReason } from '../services/calendarExport';
+import { rankRecommendations, DEFAULT_RANKING_WEIGHTS } from '../services/recommendationRanking';
+import { termKey, termLabel, normalizeTermLabel, upcomingTerms } from '../services/terms';
+import { useCourseStats } from '../hooks/useCourseStats';
+import { useProfile } from '../hooks/useProfile';
+import { useHubProgress } from '../hooks/useHubProgress';
+import { useSemesterSchedule } from '../hooks/useSemesterSchedule';
+import { useAdvisorChat } from '../hooks/useAdvisorChat';
+
+// Semesters offered in the picker: this one and the next two years
+const PLANNING_TERM_COUNT = 7;
 
 /**
  * CourseRecommender - Main interface for course recommendations with reviews
  */
 function CourseRecommender() {
-  const [recommendations, setRecommendations] = useState([]);
+  const [recommendations, setRecommendations] = useState(() => loadRecommenderState().recommendations || []);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [studentData, setStudentData] = useState({
-    major: '',
-    semester: '',
-    preferences: ''
+  // The semester is picked as a term key and kept as its label, which is
+  // what the agent, schedule and calendar take; state saved before the
+  // picker may hold free text, so it's normalized on load
+  const [studentData, setStudentData] = useState(() => {
+    const saved = {
+      major: '',
+      semester: '',
+      preferences: '',
+      completedCourses: '',
+      ...loadRecommenderState().studentData
+    };
+    return { ...saved, semester: normalizeTermLabel(saved.semester) };
   });
+  const [hideIneligible, setHideIneligible] = useState(() => loadRecommenderState().hideIneligible || false);
+  const [prioritizeHub, setPrioritizeHub] = useState(() => loadRecommenderState().prioritizeHub || false);
+  const [hideClashes, setHideClashes] = useState(() => loadRecommenderState().hideClashes || false);
+  const [rankingWeights, setRankingWeights] = useState(() => ({
+    ...DEFAULT_RANKING_WEIGHTS,
+    ...loadRecommenderState().rankingWeights
+  }));
+  const { profile } = useProfile();
+  const { progress: hubProgress } = useHubProgress();
+  const schedule = useSemesterSchedule(studentData.semester);
+
+  // Fill in whatever the student hasn't typed from their stored profile
+  useEffect(() => {
+    if (!profile) return;
+    const fromProfile = profileToStudentData(profile);
+    setStudentData(prev => ({
+      ...prev,
+      major: prev.major || fromProfile.major,
+      semester: prev.semester || fromProfile.semester,
+      completedCourses: prev.completedCourses || fromProfile.completedCourses.join(', ')
+    }));
+  }, [profile]);
+
+  // The profile supplies the structured fields (minor, grades, Hub
+  // progress, schedule constraints); the form overrides what it shows.
+  // Completed courses are typed as free text; send them as course codes
+  const requestData = useMemo(() => ({
+    ...(profile ? profileToStudentData(profile) : {}),
+    ...studentData,
+    completedCourses: parseCourseCodes(studentData.completedCourses)
+  }), [profile, studentData]);
+
+  const chat = useAdvisorChat(
+    { studentData: requestData, courses: recommendations },
+    () => loadRecommenderState().chatMessages || []
+  );
+
+  // Saved once a reply has finished rather than on every streamed word
+  useEffect(() => {
+    if (chat.sending) return;
+    saveRecommenderState({
+      recommendations,
+      studentData,
+      hideIneligible,
+      prioritizeHub,
+      hideClashes,
+      rankingWeights,
+      chatMessages: chat.messages
+    });
+  }, [recommendations, studentData, hideIneligible, prioritizeHub, hideClashes, rankingWeights, chat.sending, chat.messages]);
+
+  const [exportError, setExportError] = useState(null);
+
+  // Modal state: { course, mode } while reviews are open or being written
+  const [reviewModal, setReviewModal] = useState(null);
   
-  // Modal states
-  const [selectedCourse, setSelectedCourse] = useState(null);
-  const [showReviewDisplay, setShowReviewDisplay] = useState(false);
-  const [showReviewForm, setShowReviewForm] = useState(false);
-  
-  // Reviews data for selected course
-  const [reviewsData, setReviewsData] = useState({});
+  // Live rating summaries for recommended courses and the courses mentioned
+  // in the chat (courseStats documents)
+  const chatCourseCodes = chat.messages.flatMap(message => message.parts
+    .filter(part => part.type === 'course')
+    .map(part => part.course.courseCode));
+  const getStats = useCourseStats([...new Set([
+    ...recommendations.map(course => course.courseCode),
+    ...chatCourseCodes
+  ])]);
+
+  const missingHubAreas = hubProgress ? hubProgress.missingAreas : [];
+
+  // How each course fits around the student's planned courses, blocked-out
+  // times and schedule preferences for the semester
+  const warningsFor = (course) => scheduleWarnings(
+    courseMeetings(course, schedule.term),
+    schedule.items.filter(item => item.id !== course.courseCode),
+    schedule.constraints || {}
+  );
+  // Re-score the agent's list with peer reviews and the student's weights
+  const rankedCourses = rankRecommendations(recommendations, getStats, {
+    weights: rankingWeights,
+    preferences: studentData.preferences
+  });
+  const fittingCourses = hideClashes
+    ? rankedCourses.filter(course => warningsFor(course).length === 0)
+    : rankedCourses;
+  const displayedCourses = prioritizeHub ? boostByHubAreas(fittingCourses, missingHubAreas) : fittingCourses;
+
+  const renderCourseCard = (course) => (
+    <CourseCard
+      course={course}
+      stats={getStats(course.courseCode)}
+      hubAreasFilled={hubAreasFilled(course, missingHubAreas)}
+      scheduleWarnings={warningsFor(course)}
+      ranking={course.ranking}
+      onViewReviews={(instructorId) => setReviewModal({ course, mode: REVIEW_MODAL_VIEW, instructorId })}
+      onLeaveReview={() => setReviewModal({ course, mode: REVIEW_MODAL_WRITE })}
+    />
+  );
+
+  // Only semesters with published class dates can be exported
+  const exportUnavailable = calendarUnavailableReason(studentData.semester);
+
+  const handleExportCalendar = () => {
+    setExportError(null);
+    try {
+      downloadSemesterCalendar(studentData.semester, displayedCourses, `Recommended ${studentData.semester}`);
+    } catch (err) {
+      setExportError(err.message);
+    }
+  };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -44,28 +169,8 @@ function CourseRecommender() {
     setError(null);
     
     try {
-      const courses = await getCourseRecommendations(studentData);
+      const courses = await getCourseRecommendations(requestData, { hideIneligible });
       setRecommendations(courses);
-      
-      // Fetch reviews for all recommended courses
-      const reviewsPromises = courses.map(async (course) => {
-        try {
-          const { getReviewsByCourse } = await import('../services/reviewService');
-          const reviewData = await getReviewsByCourse(course.courseCode);
-          return { courseCode: course.courseCode, ...reviewData };
-        } catch (err) {
-          console.error(`Error fetching reviews for ${course.courseCode}:`, err);
-          return { courseCode: course.courseCode, reviews: [], averageRating: 0, totalReviews: 0 };
-        }
-      });
-      
-      const allReviews = await Promise.all(reviewsPromises);
-      const reviewsMap = {};
-      allReviews.forEach(data => {
-        reviewsMap[data.courseCode] = data;
-      });
-      setReviewsData(reviewsMap);
-      
     } catch (err) {
       setError('Failed to get recommendations. Please try again.');
       console.error('Error fetching recommendations:', err);
@@ -74,67 +179,6 @@ function CourseRecommender() {
     }
   };
 
-  const handleViewReviews = (course) => {
-    setSelectedCourse(course);
-    setShowReviewDisplay(true);
-  };
-
-  const handleLeaveReview = (course) => {
-    setSelectedCourse(course);
-    setShowReviewForm(true);
-  };
-
-  const handleCloseReviewDisplay = () => {
-    setShowReviewDisplay(false);
-    setSelectedCourse(null);
-  };
-
-  const handleCloseReviewForm = () => {
-    setShowReviewForm(false);
-    setSelectedCourse(null);
-  };
-
-  const handleSubmitReview = async (reviewData) => {
-    try {
-      const { submitReview } = await import('../services/reviewService');
-      await submitReview(reviewData);
-      
-      // Refresh reviews for this course
-      const { getReviewsByCourse } = await import('../services/reviewService');
-      const updatedReviews = await getReviewsByCourse(reviewData.courseCode);
-      setReviewsData(prev => ({
-        ...prev,
-        [reviewData.courseCode]: updatedReviews
-      }));
-      
-      // Show success message
-      alert('Review submitted successfully!');
-      handleCloseReviewForm();
-    } catch (err) {
-      console.error('Error submitting review:', err);
-      throw err;
-    }
-  };
-
-  const handleMarkHelpful = async (reviewId) => {
-    if (!selectedCourse) return;
-    
-    try {
-      const { upvoteReview } = await import('../services/reviewService');
-      await upvoteReview(reviewId);
-      
-      // Refresh reviews
-      const { getReviewsByCourse } = await import('../services/reviewService');
-      const updatedReviews = await getReviewsByCourse(selectedCourse.courseCode);
-      setReviewsData(prev => ({
-        ...prev,
-        [selectedCourse.courseCode]: updatedReviews
-      }));
-    } catch (err) {
-      console.error('Error marking review helpful:', err);
-    }
-  };
-
   return (
     <div className="course-recommender">
       <div className="recommender-header">
@@ -152,18 +196,22 @@ function CourseRecommender() {
             value={studentData.major}
             onChange={handleInputChange}
             placeholder="e.g., Computer Science"
+            list="major-options"
           />
+          <datalist id="major-options">
+            {PROGRAMS.map(program => (
+              <option key={program} value={program} />
+            ))}
+          </datalist>
         </div>
 
         <div className="input-group">
           <label htmlFor="semester">Semester</label>
-          <input
-            type="text"
+          <TermPicker
             id="semester"
-            name="semester"
-            value={studentData.semester}
-            onChange={handleInputChange}
-            placeholder="e.g., Fall 2025"
+            value={termKey(studentData.semester)}
+            onChange={(key) => setStudentData(prev => ({ ...prev, semester: termLabel(key) }))}
+            terms={upcomingTerms(PLANNING_TERM_COUNT)}
           />
         </div>
 
@@ -179,6 +227,52 @@ function CourseRecommender() {
           />
         </div>
 
+        <div className="input-group">
+          <label htmlFor="completedCourses">Completed Courses</label>
+          <input
+            type="text"
+            id="completedCourses"
+            name="completedCourses"
+            value={studentData.completedCourses}
+            onChange={handleInputChange}
+            placeholder="e.g., CAS CS 111, CAS MA 123"
+          />
+        </div>
+
+        <div className="input-group checkbox-group">
+          <input
+            type="checkbox"
+            id="hideIneligible"
+            checked={hideIneligible}
+            onChange={(e) => setHideIneligible(e.target.checked)}
+          />
+          <label htmlFor="hideIneligible">Hide courses I can't take yet</label>
+        </div>
+
+        {hubProgress && (
+          <div className="input-group checkbox-group">
+            <input
+              type="checkbox"
+              id="prioritizeHub"
+              checked={prioritizeHub}
+              onChange={(e) => setPrioritizeHub(e.target.checked)}
+            />
+            <label htmlFor="prioritizeHub">Show courses that fill my missing Hub areas first</label>
+          </div>
+        )}
+
+        {profile && (
+          <div className="input-group checkbox-group">
+            <input
+              type="checkbox"
+              id="hideClashes"
+              checked={hideClashes}
+              onChange={(e) => setHideClashes(e.target.checked)}
+            />
+            <label htmlFor="hideClashes">Hide courses that don't fit my schedule</label>
+          </div>
+        )}
+
         <button 
           className="btn btn-primary btn-large"
           onClick={fetchRecommendations}
@@ -192,48 +286,47 @@ function CourseRecommender() {
 
       {recommendations.length > 0 && (
         <div className="recommendations-section">
-          <h2>Recommended Courses</h2>
+          <div className="recommendations-header">
+            <h2>Recommended Courses</h2>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={handleExportCalendar}
+              disabled={Boolean(exportUnavailable) || displayedCourses.length === 0}
+              title={exportUnavailable || undefined}
+            >
+              Export .ics
+            </button>
+          </div>
+          {exportError && <div className="error-message">{exportError}</div>}
+          <RankingControls weights={rankingWeights} onChange={setRankingWeights} />
+          {displayedCourses.length === 0 && (
+            <p className="search-status">None of these courses fit your schedule.</p>
+          )}
           <div className="course-grid">
-            {recommendations.map((course) => {
-              const courseReviews = reviewsData[course.courseCode] || {
-                averageRating: 0,
-                totalReviews: 0
-              };
-              
-              return (
-                <CourseCard
-                  key={course.courseCode}
-                  course={course}
-                  averageRating={courseReviews.averageRating}
-                  totalReviews={courseReviews.totalReviews}
-                  onViewReviews={() => handleViewReviews(course)}
-                  onLeaveReview={() => handleLeaveReview(course)}
-                />
-              );
-            })}
+            {displayedCourses.map((course) => (
+              <React.Fragment key={course.courseCode}>{renderCourseCard(course)}</React.Fragment>
+            ))}
           </div>
         </div>
       )}
 
-      {showReviewDisplay && selectedCourse && (
-        <ReviewDisplay
-          courseCode={selectedCourse.courseCode}
-          courseName={selectedCourse.courseName}
-          reviews={reviewsData[selectedCourse.courseCode]?.reviews || []}
-          averageRating={reviewsData[selectedCourse.courseCode]?.averageRating || 0}
-          onMarkHelpful={handleMarkHelpful}
-          onClose={handleCloseReviewDisplay}
-        />
-      )}
+      <AdvisorChat
+        messages={chat.messages}
+        sending={chat.sending}
+        error={chat.error}
+        onSend={chat.sendMessage}
+        onStop={chat.stop}
+        onClear={chat.clearChat}
+        renderCourse={renderCourseCard}
+      />
 
-      {showReviewForm && selectedCourse && (
-        <ReviewForm
-          courseCode={selectedCourse.courseCode}
-          courseName={selectedCourse.courseName}
-          onSubmit={handleSubmitReview}
-          onCancel={handleCloseReviewForm}
-        />
-      )}
+      <CourseReviewModals
+        course={reviewModal?.course}
+        mode={reviewModal?.mode}
+        instructorId={reviewModal?.instructorId}
+        onClose={() => setReviewModal(null)}
+      />
     </div>
   );
 }
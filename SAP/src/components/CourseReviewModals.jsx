@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import ReviewDisplay from './ReviewDisplay';
+import ReviewForm from './ReviewForm';
+import { submitReview } from '../services/reviewService';
+import { useReviews } from '../hooks/useReviews';
+import { instructorOptions } from '../services/instructorService';
+
+export const REVIEW_MODAL_VIEW = 'reviews';
+export const REVIEW_MODAL_WRITE = 'write';
+
+/**
+ * CourseReviewModals - Review display and review form for one course
+ * Shared by every page that shows CourseCards. Reviews are live while the
+ * display is open.
+ * @param {Object} course - Course the modal is for (null renders nothing)
+ * @param {string} mode - REVIEW_MODAL_VIEW or REVIEW_MODAL_WRITE
+ * @param {string} instructorId - Instructor to show reviews of at first ('' for everyone)
+ * @param {Function} onClose - Callback to close the modal
+ */
+function CourseReviewModals({ course, mode, instructorId = '', onClose }) {
+  const [editingReview, setEditingReview] = useState(null);
+  const showReviewDisplay = Boolean(course) && mode === REVIEW_MODAL_VIEW;
+  const showReviewForm = Boolean(course) && mode === REVIEW_MODAL_WRITE;
+  const instructors = instructorOptions(course);
+
+  // The filter starts from the instructor the modal was opened for, and
+  // starts over when it's opened for another course or instructor
+  const filterKey = `${course ? course.courseCode : ''}|${instructorId}`;
+  const [filter, setFilter] = useState({ key: filterKey, instructorId });
+  const selectedInstructor = filter.key === filterKey ? filter.instructorId : instructorId;
+
+  // Full reviews are only loaded (and kept live) while the review display is open
+  const courseReviews = useReviews(
+    showReviewDisplay ? course.courseCode : null,
+    { live: true, instructorId: selectedInstructor }
+  );
+
+  const handleSubmitReview = async (reviewData) => {
+    try {
+      // The course card's stats listener picks up the new review
+      await submitReview(reviewData);
+
+      // Show success message
+      alert('Review submitted successfully!');
+      onClose();
+    } catch (err) {
+      console.error('Error submitting review:', err);
+      throw err;
+    }
+  };
+
+  const handleVote = async (reviewId, vote) => {
+    const result = await courseReviews.vote(reviewId, vote);
+    if (!result.success) {
+      alert(result.error);
+    }
+  };
+
+  const handleEditReview = async (reviewData) => {
+    const result = await courseReviews.editReview(editingReview.id, reviewData);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    setEditingReview(null);
+  };
+
+  const handleDeleteReview = async (reviewId) => {
+    const result = await courseReviews.removeReview(reviewId);
+    if (!result.success) {
+      alert(result.error);
+    }
+  };
+
+  const handleReport = async (reviewId, reason, details) => {
+    const result = await courseReviews.report(reviewId, reason, details);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  };
+
+  return (
+    <>
+      {showReviewDisplay && (
+        <ReviewDisplay
+          courseCode={course.courseCode}
+          courseName={course.courseName}
+          reviews={courseReviews.reviews}
+          averageRating={courseReviews.averageRating}
+          totalReviews={courseReviews.totalReviews}
+          stats={courseReviews.stats}
+          ratingFilter={courseReviews.ratingFilter}
+          onRatingFilterChange={courseReviews.setRatingFilter}
+          tagFilter={courseReviews.tagFilter}
+          onTagFilterChange={courseReviews.setTagFilter}
+          sortBy={courseReviews.sortBy}
+          onSortChange={courseReviews.setSortBy}
+          instructors={instructors}
+          instructorId={selectedInstructor}
+          onInstructorChange={(id) => setFilter({ key: filterKey, instructorId: id })}
+          hasMore={courseReviews.hasMore}
+          loadingMore={courseReviews.loadingMore}
+          onLoadMore={courseReviews.loadMore}
+          userVotes={courseReviews.userVotes}
+          authoredReviewIds={courseReviews.authoredReviewIds}
+          onVote={handleVote}
+          onReport={handleReport}
+          onEdit={setEditingReview}
+          onDelete={handleDeleteReview}
+          onClose={onClose}
+        />
+      )}
+
+      {showReviewDisplay && editingReview && (
+        <ReviewForm
+          courseCode={course.courseCode}
+          courseName={course.courseName}
+          review={editingReview}
+          instructors={instructors}
+          onSubmit={handleEditReview}
+          onCancel={() => setEditingReview(null)}
+        />
+      )}
+
+      {showReviewForm && (
+        <ReviewForm
+          courseCode={course.courseCode}
+          courseName={course.courseName}
+          instructors={instructors}
+          onSubmit={handleSubmitReview}
+          onCancel={onClose}
+        />
+      )}
+    </>
+  );
+}
+
+export default CourseReviewModals;
@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import CourseCard from './CourseCard';
+import CourseReviewModals, { REVIEW_MODAL_VIEW, REVIEW_MODAL_WRITE } from './CourseReviewModals';
+import { searchCourses } from '../services/terrierGPTService';
+import {
+  COLLEGE_OPTIONS,
+  HUB_AREAS,
+  UNIT_OPTIONS,
+  EMPTY_COURSE_FILTERS,
+  hasActiveFilters
+} from '../services/courseFilters';
+import { hubAreasFilled, boostByHubAreas } from '../services/hubRequirements';
+import { courseMeetings, scheduleWarnings } from '../services/schedule';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { useCourseStats } from '../hooks/useCourseStats';
+import { useHubProgress } from '../hooks/useHubProgress';
+import { useSemesterSchedule } from '../hooks/useSemesterSchedule';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * CourseSearch - Type-ahead course search with filters
+ * Results are keyboard navigable (arrow keys, Enter, Escape). Choosing one
+ * shows its CourseCard, so any course can be reviewed, not just
+ * recommended ones, and links to its detail page.
+ */
+function CourseSearch() {
+  // The query lives in the URL (?q=) so results survive a refresh or going back
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchQuery, setSearchQuery] = useState(() => searchParams.get('q') || '');
+  // ?hub= preselects a Hub area, e.g. from the Hub progress page
+  const [filters, setFilters] = useState(() => ({
+    ...EMPTY_COURSE_FILTERS,
+    hubArea: searchParams.get('hub') || ''
+  }));
+  const [missingHubOnly, setMissingHubOnly] = useState(false);
+  const [searchResults, setSearchResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [showResults, setShowResults] = useState(false);
+  const [selectedCourse, setSelectedCourse] = useState(null);
+  const [reviewModal, setReviewModal] = useState(null);
+  const resultsRef = useRef(null);
+
+  const debouncedQuery = useDebouncedValue(searchQuery, SEARCH_DEBOUNCE_MS);
+  const debouncedFilters = useDebouncedValue(filters, SEARCH_DEBOUNCE_MS);
+  const getStats = useCourseStats(selectedCourse ? [selectedCourse.courseCode] : []);
+  const { progress: hubProgress } = useHubProgress();
+  const missingHubAreas = useMemo(() => (hubProgress ? hubProgress.missingAreas : []), [hubProgress]);
+  const schedule = useSemesterSchedule(filters.semester);
+
+  // With "fills my missing Hub areas" on, keep only those courses, best first
+  const results = useMemo(() => {
+    if (!missingHubOnly) return searchResults;
+    return boostByHubAreas(
+      searchResults.filter(course => hubAreasFilled(course, missingHubAreas).length > 0),
+      missingHubAreas
+    );
+  }, [searchResults, missingHubOnly, missingHubAreas]);
+
+  useEffect(() => {
+    const q = debouncedQuery.trim();
+    setSearchParams(q ? { q } : {}, { replace: true });
+  }, [debouncedQuery, setSearchParams]);
+
+  useEffect(() => {
+    if (!debouncedQuery.trim() && !hasActiveFilters(debouncedFilters) && !missingHubOnly) {
+      setSearchResults([]);
+      setError(null);
+      return;
+    }
+
+    // Ignore responses that arrive after a newer search started
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    searchCourses(debouncedQuery.trim(), debouncedFilters)
+      .then(courses => {
+        if (cancelled) return;
+        setSearchResults(courses);
+        setActiveIndex(-1);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery, debouncedFilters, missingHubOnly]);
+
+  // Keep the highlighted result visible while arrowing through the list
+  useEffect(() => {
+    if (activeIndex < 0 || !resultsRef.current) return;
+    resultsRef.current.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setShowResults(true);
+  };
+
+  const selectCourse = (course) => {
+    setSelectedCourse(course);
+    setShowResults(false);
+    setActiveIndex(-1);
+  };
+
+  // Select on mouse down, before the input's blur hides the list
+  const handleResultMouseDown = (e, course) => {
+    e.preventDefault();
+    selectCourse(course);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setShowResults(true);
+      setActiveIndex(prev => (results.length === 0 ? -1 : (prev + 1) % results.length));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => (results.length === 0 ? -1 : (prev <= 0 ? results.length : prev) - 1));
+    } else if (e.key === 'Enter') {
+      if (showResults && results[activeIndex]) {
+        e.preventDefault();
+        selectCourse(results[activeIndex]);
+      }
+    } else if (e.key === 'Escape') {
+      setShowResults(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const resultsVisible = showResults && results.length > 0;
+
+  return (
+    <div className="course-search">
+      <div className="recommender-header">
+        <h1>Search Courses</h1>
+        <p className="subtitle">Find any course by code, name, instructor or topic</p>
+      </div>
+
+      <div className="input-section">
+        <div className="input-group search-box">
+          <label htmlFor="course-search-input">Search</label>
+          <input
+            type="text"
+            id="course-search-input"
+            role="combobox"
+            autoComplete="off"
+            aria-expanded={resultsVisible}
+            aria-controls="course-search-results"
+            aria-activedescendant={
+              resultsVisible && activeIndex >= 0
+                ? `course-option-${results[activeIndex].courseCode}`
+                : undefined
+            }
+            value={searchQuery}
+            onChange={(e) => {
+              setSearchQuery(e.target.value);
+              setShowResults(true);
+            }}
+            onFocus={() => setShowResults(true)}
+            onBlur={() => setShowResults(false)}
+            onKeyDown={handleKeyDown}
+            placeholder="e.g., CS 131, algorithms, Reyzin"
+          />
+
+          {resultsVisible && (
+            <ul id="course-search-results" className="search-results" role="listbox" ref={resultsRef}>
+              {results.map((course, index) => {
+                const hubFills = hubAreasFilled(course, missingHubAreas).length;
+                return (
+                  <li
+                    key={course.courseCode}
+                    id={`course-option-${course.courseCode}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={`search-result ${index === activeIndex ? 'active' : ''}`}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    onMouseDown={(e) => handleResultMouseDown(e, course)}
+                  >
+                    <span className="search-result-code">{course.courseCode}</span>
+                    <span className="search-result-name">{course.courseName}</span>
+                    {course.instructors.length > 0 && (
+                      <span className="search-result-meta">{course.instructors.join(', ')}</span>
+                    )}
+                    {hubFills > 0 && (
+                      <span className="search-result-hub">
+                        Fills {hubFills} missing Hub {hubFills === 1 ? 'area' : 'areas'}
+                      </span>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="search-filters">
+          <div className="input-group">
+            <label htmlFor="filter-college">College</label>
+            <select
+              id="filter-college"
+              name="collegeCode"
+              value={filters.collegeCode}
+              onChange={handleFilterChange}
+            >
+              <option value="">Any college</option>
+              {COLLEGE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="filter-subject">Subject</label>
+            <input
+              type="text"
+              id="filter-subject"
+              name="subjectCode"
+              value={filters.subjectCode}
+              onChange={handleFilterChange}
+              placeholder="e.g., CS"
+              maxLength={4}
+            />
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="filter-hub">Hub Area</label>
+            <select
+              id="filter-hub"
+              name="hubArea"
+              value={filters.hubArea}
+              onChange={handleFilterChange}
+            >
+              <option value="">Any Hub area</option>
+              {HUB_AREAS.map(area => (
+                <option key={area} value={area}>{area}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="filter-units">Units</label>
+            <select
+              id="filter-units"
+              name="units"
+              value={filters.units}
+              onChange={handleFilterChange}
+            >
+              <option value="">Any</option>
+              {UNIT_OPTIONS.map(units => (
+                <option key={units} value={units}>{units}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="filter-semester">Semester</label>
+            <input
+              type="text"
+              id="filter-semester"
+              name="semester"
+              value={filters.semester}
+              onChange={handleFilterChange}
+              placeholder="e.g., Fall 2025"
+            />
+          </div>
+        </div>
+
+        {hubProgress && (
+          <div className="input-group checkbox-group">
+            <input
+              type="checkbox"
+              id="filter-missing-hub"
+              checked={missingHubOnly}
+              onChange={(e) => {
+                setMissingHubOnly(e.target.checked);
+                setShowResults(true);
+              }}
+            />
+            <label htmlFor="filter-missing-hub">Only courses that fill my missing Hub areas</label>
+          </div>
+        )}
+
+        {hasActiveFilters(filters) && (
+          <button className="btn btn-secondary" onClick={() => setFilters(EMPTY_COURSE_FILTERS)}>
+            Clear filters
+          </button>
+        )}
+
+        {loading && <p className="search-status">Searching...</p>}
+        {!loading && showResults && results.length === 0 &&
+          (debouncedQuery.trim() || hasActiveFilters(debouncedFilters) || missingHubOnly) && (
+          <p className="search-status">No courses match your search.</p>
+        )}
+        {error && <div className="error-message">{error}</div>}
+      </div>
+
+      {selectedCourse && (
+        <div className="recommendations-section">
+          <div className="course-grid">
+            <CourseCard
+              course={selectedCourse}
+              stats={getStats(selectedCourse.courseCode)}
+              hubAreasFilled={hubAreasFilled(selectedCourse, missingHubAreas)}
+              scheduleWarnings={scheduleWarnings(
+                courseMeetings(selectedCourse, schedule.term),
+                schedule.items.filter(item => item.id !== selectedCourse.courseCode),
+                schedule.constraints || {}
+              )}
+              onViewReviews={(instructorId) => setReviewModal({ course: selectedCourse, mode: REVIEW_MODAL_VIEW, instructorId })}
+              onLeaveReview={() => setReviewModal({ course: selectedCourse, mode: REVIEW_MODAL_WRITE })}
+            />
+          </div>
+        </div>
+      )}
+
+      <CourseReviewModals
+        course={reviewModal?.course}
+        mode={reviewModal?.mode}
+        instructorId={reviewModal?.instructorId}
+        onClose={() => setReviewModal(null)}
+      />
+    </div>
+  );
+}
+
+export default CourseSearch;
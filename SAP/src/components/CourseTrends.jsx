@@ -0,0 +1,180 @@
+import React from 'react';
+import { termLabel, TERM_SEASONS } from '../services/terms';
+
+// Lines on the chart, each a mean on the 1-5 review scale
+const SERIES = [
+  { key: 'averageRating', label: 'Rating', className: 'trend-rating' },
+  { key: 'averageDifficulty', label: 'Difficulty', className: 'trend-difficulty' },
+  { key: 'averageWorkload', label: 'Workload', className: 'trend-workload' }
+];
+
+// Chart size in SVG units; the SVG scales to its container
+const WIDTH = 640;
+const HEIGHT = 240;
+const PLOT = { top: 16, right: 24, bottom: 36, left: 36 };
+
+/**
+ * Short axis label for a term key, e.g. "Fall '25"
+ * @param {string} key - Term key
+ * @returns {string} - Label
+ */
+function shortTermLabel(key) {
+  const [year, season] = key.split('-');
+  return `${TERM_SEASONS[Number(season)]} '${year.slice(2)}`;
+}
+
+/**
+ * Whether the instructors reviewers named changed from one term to the next
+ * Terms where nobody named an instructor don't count as a change.
+ * @param {Array<string>} previous - Instructor names the term before
+ * @param {Array<string>} current - Instructor names this term
+ * @returns {boolean} - True when both are known and differ
+ */
+function instructorsChanged(previous, current) {
+  if (previous.length === 0 || current.length === 0) return false;
+  return previous.length !== current.length || previous.some(name => !current.includes(name));
+}
+
+/**
+ * SVG path through a series' points, broken where a term has no value
+ * @param {Array} points - { x, y } or null per term
+ * @returns {string} - Path data
+ */
+function linePath(points) {
+  let path = '';
+  let drawing = false;
+  points.forEach(point => {
+    if (!point) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? 'L' : 'M'}${point.x.toFixed(1)},${point.y.toFixed(1)} `;
+    drawing = true;
+  });
+  return path.trim();
+}
+
+/**
+ * CourseTrends - Average rating, difficulty and workload by term
+ * Dashed lines mark terms where the instructor changed, so a jump can be
+ * read against who was teaching.
+ * @param {Object} byTerm - courseStats.byTerm: term key to { reviewCount, averages, instructorNames }
+ */
+function CourseTrends({ byTerm }) {
+  const terms = Object.keys(byTerm || {}).sort();
+  if (terms.length < 2) {
+    return (
+      <p className="no-reviews">
+        Trends appear once there are reviews from at least two semesters.
+      </p>
+    );
+  }
+
+  const plotWidth = WIDTH - PLOT.left - PLOT.right;
+  const plotHeight = HEIGHT - PLOT.top - PLOT.bottom;
+  const x = (index) => PLOT.left + (index / (terms.length - 1)) * plotWidth;
+  const y = (value) => PLOT.top + ((5 - value) / 4) * plotHeight;
+
+  const changes = terms
+    .map((term, index) => ({ term, index }))
+    .filter(({ term, index }) => index > 0 && instructorsChanged(
+      byTerm[terms[index - 1]].instructorNames || [],
+      byTerm[term].instructorNames || []
+    ));
+
+  return (
+    <div className="course-trends">
+      <svg
+        className="trend-chart"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`Average rating, difficulty and workload from ${termLabel(terms[0])} to ${termLabel(terms[terms.length - 1])}`}
+      >
+        {[1, 2, 3, 4, 5].map(value => (
+          <g key={value} className="trend-grid">
+            <line x1={PLOT.left} x2={WIDTH - PLOT.right} y1={y(value)} y2={y(value)} />
+            <text x={PLOT.left - 8} y={y(value)} dy="0.35em" textAnchor="end">{value}</text>
+          </g>
+        ))}
+
+        {changes.map(({ term, index }) => (
+          <line
+            key={term}
+            className="trend-instructor-change"
+            x1={x(index - 0.5)}
+            x2={x(index - 0.5)}
+            y1={PLOT.top}
+            y2={HEIGHT - PLOT.bottom}
+          >
+            <title>
+              {`Instructor change: ${byTerm[terms[index - 1]].instructorNames.join(', ')} to ${byTerm[term].instructorNames.join(', ')}`}
+            </title>
+          </line>
+        ))}
+
+        {terms.map((term, index) => (
+          <text key={term} className="trend-axis-label" x={x(index)} y={HEIGHT - PLOT.bottom + 20} textAnchor="middle">
+            {shortTermLabel(term)}
+          </text>
+        ))}
+
+        {SERIES.map(series => {
+          const points = terms.map((term, index) => {
+            const value = byTerm[term][series.key];
+            return value ? { x: x(index), y: y(value), term, value } : null;
+          });
+          return (
+            <g key={series.key} className={`trend-series ${series.className}`}>
+              <path d={linePath(points)} />
+              {points.filter(Boolean).map(point => (
+                <circle key={point.term} cx={point.x} cy={point.y} r="4">
+                  <title>
+                    {`${termLabel(point.term)} ${series.label.toLowerCase()}: ${point.value.toFixed(1)}/5 ` +
+                      `(${byTerm[point.term].reviewCount} ${byTerm[point.term].reviewCount === 1 ? 'review' : 'reviews'})`}
+                  </title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+
+      <ul className="trend-legend">
+        {SERIES.map(series => (
+          <li key={series.key} className={series.className}>{series.label}</li>
+        ))}
+        {changes.length > 0 && <li className="trend-instructor-change">Instructor change</li>}
+      </ul>
+
+      <details className="trend-table">
+        <summary>Show as a table</summary>
+        <div className="sections-table-wrapper">
+          <table className="sections-table">
+            <thead>
+              <tr>
+                <th>Semester</th>
+                <th>Reviews</th>
+                {SERIES.map(series => <th key={series.key}>{series.label}</th>)}
+                <th>Instructors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {terms.map(term => (
+                <tr key={term}>
+                  <td>{termLabel(term)}</td>
+                  <td>{byTerm[term].reviewCount}</td>
+                  {SERIES.map(series => (
+                    <td key={series.key}>{byTerm[term][series.key] ? byTerm[term][series.key].toFixed(1) : '—'}</td>
+                  ))}
+                  <td>{(byTerm[term].instructorNames || []).join(', ') || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+export default CourseTrends;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import { useHubProgress } from '../hooks/useHubProgress';
+import { ROUTES } from '../routes';
+
+/**
+ * Status text for one Hub requirement
+ * @param {Object} requirement - Requirement progress from computeHubProgress
+ * @returns {string} - e.g. "Done", "1 planned", "2 more needed"
+ */
+function describeStatus(requirement) {
+  if (requirement.satisfied) return 'Satisfied';
+  if (requirement.remaining === 0) {
+    return requirement.planned > 0 ? 'Covered by your plan' : 'Done';
+  }
+  return `${requirement.remaining} more needed`;
+}
+
+/**
+ * HubTracker - BU Hub progress by capacity
+ * Shows how far the student's completed and planned courses go toward each
+ * Hub requirement, and links to courses for whatever is still missing.
+ */
+function HubTracker() {
+  const { user, signIn } = useAuth();
+  const { progress, plan, loading } = useHubProgress();
+
+  if (!user) {
+    return (
+      <div className="hub-tracker">
+        <div className="sign-in-required">
+          <p>Sign in with your BU account to track your Hub requirements.</p>
+          <button type="button" className="btn btn-primary" onClick={signIn}>
+            Sign in with BU
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="hub-tracker">
+      <div className="recommender-header">
+        <h1>Hub Progress</h1>
+        <p className="subtitle">Your BU Hub requirements, from completed and planned courses</p>
+      </div>
+
+      {!progress ? (
+        <p className="search-status">Loading your profile...</p>
+      ) : (
+        <>
+          <div className="hub-summary">
+            <p>
+              <strong>{progress.metCount} of {progress.requirementCount}</strong> requirements complete.
+              {' '}Counting the completed courses in your <Link to={ROUTES.profile}>profile</Link>
+              {plan ? <> and your plan “{plan.name}”.</> : '.'}
+            </p>
+            {!plan && (
+              <p>
+                <Link to={ROUTES.planner}>Make a plan</Link> to see which requirements it covers.
+              </p>
+            )}
+            {loading && <p className="search-status">Loading courses...</p>}
+          </div>
+
+          {progress.capacities.map(capacity => (
+            <section key={capacity.name} className="hub-capacity">
+              <h2>{capacity.name}</h2>
+              <ul className="hub-requirements">
+                {capacity.requirements.map(requirement => (
+                  <li
+                    key={requirement.label}
+                    className={`hub-requirement ${requirement.remaining === 0 ? 'met' : ''}`}
+                  >
+                    <div className="hub-requirement-header">
+                      <span className="hub-requirement-label">{requirement.label}</span>
+                      <span className="hub-requirement-status">{describeStatus(requirement)}</span>
+                    </div>
+                    <div
+                      className="hub-progress-bar"
+                      role="img"
+                      aria-label={`${requirement.completed} completed and ${requirement.planned} planned of ${requirement.units} units`}
+                    >
+                      <div
+                        className="hub-progress-completed"
+                        style={{ width: `${(requirement.completed / requirement.units) * 100}%` }}
+                      />
+                      <div
+                        className="hub-progress-planned"
+                        style={{ width: `${(requirement.planned / requirement.units) * 100}%` }}
+                      />
+                    </div>
+                    {requirement.remaining > 0 && (
+                      <div className="hub-find-courses">
+                        {requirement.areas.map(area => (
+                          <Link key={area} to={`${ROUTES.search}?hub=${encodeURIComponent(area)}`}>
+                            Find {area} courses
+                          </Link>
+                        ))}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+
+          <div className="graph-legend">
+            <span className="legend-item hub-completed">Completed</span>
+            <span className="legend-item hub-planned">Planned</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HubTracker;
@@ -0,0 +1,116 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import RatingSummary from './RatingSummary';
+import { useInstructorStats } from '../hooks/useInstructorStats';
+import { ROUTES, coursePath } from '../routes';
+
+/**
+ * One-decimal mean out of 5, or a dash when nobody rated it
+ * @param {number|null} value - Mean rating
+ * @returns {string} - e.g. "4.2"
+ */
+function formatMean(value) {
+  return value ? value.toFixed(1) : '—';
+}
+
+/**
+ * InstructorPage - An instructor's ratings, at /instructors/:instructorId
+ * Their overall numbers from every review that named them, then the same
+ * numbers course by course.
+ */
+function InstructorPage() {
+  const { instructorId } = useParams();
+  const { stats, loading, error } = useInstructorStats(instructorId);
+
+  if (loading) {
+    return (
+      <div className="course-detail">
+        <p className="search-status">Loading instructor...</p>
+      </div>
+    );
+  }
+
+  if (error || !stats) {
+    return (
+      <div className="course-detail">
+        <div className="course-detail-missing">
+          <h1>Could not load instructor</h1>
+          <p>{error}</p>
+          <Link className="btn btn-primary" to={ROUTES.search}>Search courses</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const courses = Object.entries(stats.courses)
+    .map(([courseCode, courseStats]) => ({ courseCode, ...courseStats }))
+    .sort((a, b) => b.reviewCount - a.reviewCount || a.courseCode.localeCompare(b.courseCode));
+
+  return (
+    <div className="course-detail instructor-page">
+      <Link className="back-link" to={ROUTES.search}>← Search courses</Link>
+
+      <div className="course-detail-header">
+        <div>
+          <h1>{stats.instructorName}</h1>
+          <span className="review-count">
+            {stats.reviewCount} {stats.reviewCount === 1 ? 'review' : 'reviews'}
+            {courses.length > 0 && ` across ${courses.length} ${courses.length === 1 ? 'course' : 'courses'}`}
+          </span>
+        </div>
+        {stats.reviewCount > 0 && (
+          <div className="instructor-rating">
+            <span className="rating-number">{stats.averageRating.toFixed(1)}</span>
+            <span>/ 5</span>
+          </div>
+        )}
+      </div>
+
+      {stats.reviewCount === 0 ? (
+        <p className="no-reviews">
+          No reviews name this instructor yet. Reviewers can say who taught them when they leave a review.
+        </p>
+      ) : (
+        <>
+          <RatingSummary stats={stats} />
+
+          <section className="course-detail-section">
+            <h2>By Course</h2>
+            <div className="sections-table-wrapper">
+              <table className="sections-table">
+                <thead>
+                  <tr>
+                    <th>Course</th>
+                    <th>Reviews</th>
+                    <th>Rating</th>
+                    <th>Difficulty</th>
+                    <th>Workload</th>
+                    <th>Helpfulness</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {courses.map(course => (
+                    <tr key={course.courseCode}>
+                      <td>
+                        <Link to={coursePath(course.courseCode)}>
+                          {course.courseCode}{course.courseName && `: ${course.courseName}`}
+                        </Link>
+                      </td>
+                      <td>{course.reviewCount}</td>
+                      <td>{formatMean(course.averageRating)}</td>
+                      <td>{formatMean(course.averageDifficulty)}</td>
+                      <td>{formatMean(course.averageWorkload)}</td>
+                      <td>{formatMean(course.averageProfHelpfulness)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default InstructorPage;
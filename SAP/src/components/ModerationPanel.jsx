@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getHiddenReviews,
+  getReportedReviews,
+  getReviewReports,
+  getReviewRevisions,
+  getModerationLog,
+  moderateReview,
+  MODERATION_ACTIONS
+} from '../services/moderationService';
+import { REPORT_REASONS } from '../services/reviewService';
+
+const REASON_LABELS = REPORT_REASONS.reduce((labels, option) => {
+  labels[option.value] = option.label;
+  return labels;
+}, {});
+
+const ACTION_LABELS = {
+  auto_hide: 'Auto-hidden',
+  restore: 'Restored',
+  redact: 'Redacted',
+  delete: 'Deleted'
+};
+
+const formatDateTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+  return date.toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * ModerationPanel - Moderator view for hidden and reported reviews
+ * Requires the `moderator` custom claim; actions go through the
+ * moderateReview Cloud Function, which records them in the audit log.
+ */
+function ModerationPanel() {
+  const [tab, setTab] = useState('hidden');
+  const [reviews, setReviews] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [reportsByReview, setReportsByReview] = useState({});
+  const [revisionsByReview, setRevisionsByReview] = useState({});
+  const [redactingId, setRedactingId] = useState(null);
+  const [redactedText, setRedactedText] = useState('');
+  const [notes, setNotes] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [queue, log] = await Promise.all([
+        tab === 'hidden' ? getHiddenReviews() : getReportedReviews(),
+        getModerationLog()
+      ]);
+      setReviews(queue);
+      setAuditLog(log);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [tab]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const handleShowReports = async (reviewId) => {
+    try {
+      const reports = await getReviewReports(reviewId);
+      setReportsByReview(prev => ({ ...prev, [reviewId]: reports }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleShowRevisions = async (reviewId) => {
+    try {
+      const revisions = await getReviewRevisions(reviewId);
+      setRevisionsByReview(prev => ({ ...prev, [reviewId]: revisions }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runAction = async (review, action, options = {}) => {
+    if (action === MODERATION_ACTIONS.DELETE &&
+        !window.confirm('Delete this review permanently?')) {
+      return;
+    }
+
+    setBusyId(review.id);
+    setError(null);
+    try {
+      await moderateReview(review.id, action, { ...options, note: notes[review.id] || '' });
+      setRedactingId(null);
+      setNotes(prev => ({ ...prev, [review.id]: '' }));
+      await loadQueue();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const startRedact = (review) => {
+    setRedactingId(review.id);
+    setRedactedText(review.reviewText);
+  };
+
+  return (
+    <div className="moderation-panel">
+      <div className="recommender-header">
+        <h1>Moderation</h1>
+        <p className="subtitle">Review reported content and keep an audit trail</p>
+      </div>
+
+      <div className="moderation-tabs">
+        <button
+          className={`btn ${tab === 'hidden' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => setTab('hidden')}
+        >
+          Hidden
+        </button>
+        <button
+          className={`btn ${tab === 'reported' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => setTab('reported')}
+        >
+          Reported
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="moderation-queue">
+        {loading ? (
+          <p className="no-reviews">Loading...</p>
+        ) : reviews.length === 0 ? (
+          <p className="no-reviews">Nothing to review.</p>
+        ) : (
+          reviews.map((review) => (
+            <div key={review.id} className="review-item moderation-item">
+              <div className="review-header">
+                <div>
+                  <strong>{review.courseCode}</strong>
+                  {review.hidden && <span className="moderation-badge">Hidden</span>}
+                  {review.redacted && <span className="moderation-badge">Redacted</span>}
+                </div>
+                <div className="review-date">
+                  {review.reportedCount} {review.reportedCount === 1 ? 'report' : 'reports'}
+                </div>
+              </div>
+
+              {redactingId === review.id ? (
+                <div className="form-section">
+                  <textarea
+                    value={redactedText}
+                    onChange={(e) => setRedactedText(e.target.value)}
+                    rows="4"
+                  />
+                  {(review.pros || review.cons) && (
+                    <small>Redacting also clears the review's pros and cons.</small>
+                  )}
+                </div>
+              ) : (
+                <>
+                  <div className="review-text">{review.reviewText}</div>
+                  {(review.pros || review.cons) && (
+                    <dl className="review-pros-cons">
+                      {review.pros && (
+                        <div className="review-pros">
+                          <dt>Pros</dt>
+                          <dd>{review.pros}</dd>
+                        </div>
+                      )}
+                      {review.cons && (
+                        <div className="review-cons">
+                          <dt>Cons</dt>
+                          <dd>{review.cons}</dd>
+                        </div>
+                      )}
+                    </dl>
+                  )}
+                </>
+              )}
+
+              {reportsByReview[review.id] ? (
+                <ul className="report-list">
+                  {reportsByReview[review.id].map(report => (
+                    <li key={report.id}>
+                      <strong>{REASON_LABELS[report.reason] || report.reason}</strong>
+                      {report.details && ` — ${report.details}`}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <button
+                  className="helpful-button"
+                  onClick={() => handleShowReports(review.id)}
+                >
+                  Show reports
+                </button>
+              )}
+
+              {revisionsByReview[review.id] ? (
+                revisionsByReview[review.id].length === 0 ? (
+                  <p className="no-reviews">Never edited.</p>
+                ) : (
+                  <ul className="revision-list">
+                    {revisionsByReview[review.id].map(revision => (
+                      <li key={revision.id}>
+                        <span className="review-date">
+                          {formatDateTime(revision.writtenAt)} – {formatDateTime(revision.replacedAt)}
+                          {' '}({revision.rating}/5)
+                        </span>
+                        <div className="review-text">{revision.reviewText}</div>
+                      </li>
+                    ))}
+                  </ul>
+                )
+              ) : (
+                <button
+                  className="helpful-button"
+                  onClick={() => handleShowRevisions(review.id)}
+                >
+                  Show edit history
+                </button>
+              )}
+
+              <div className="form-section moderation-note">
+                <input
+                  type="text"
+                  placeholder="Note for the audit log (optional)"
+                  value={notes[review.id] || ''}
+                  onChange={(e) => setNotes(prev => ({ ...prev, [review.id]: e.target.value }))}
+                />
+              </div>
+
+              <div className="review-actions">
+                {redactingId === review.id ? (
+                  <>
+                    <button
+                      className="btn btn-primary"
+                      disabled={busyId === review.id}
+                      onClick={() => runAction(review, MODERATION_ACTIONS.REDACT, { reviewText: redactedText })}
+                    >
+                      Save Redaction
+                    </button>
+                    <button className="btn btn-secondary" onClick={() => setRedactingId(null)}>
+                      Cancel
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      className="btn btn-secondary"
+                      disabled={busyId === review.id}
+                      onClick={() => runAction(review, MODERATION_ACTIONS.RESTORE)}
+                    >
+                      Restore
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      disabled={busyId === review.id}
+                      onClick={() => startRedact(review)}
+                    >
+                      Edit / Redact
+                    </button>
+                    <button
+                      className="btn btn-primary"
+                      disabled={busyId === review.id}
+                      onClick={() => runAction(review, MODERATION_ACTIONS.DELETE)}
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className="moderation-log">
+        <h2>Audit Log</h2>
+        {auditLog.length === 0 ? (
+          <p className="no-reviews">No moderation actions yet.</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Action</th>
+                <th>Course</th>
+                <th>By</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {auditLog.map(entry => (
+                <tr key={entry.id}>
+                  <td>{formatDateTime(entry.createdAt)}</td>
+                  <td>{ACTION_LABELS[entry.action] || entry.action}</td>
+                  <td>{entry.courseCode}</td>
+                  <td>{entry.actorEmail}</td>
+                  <td>{entry.note}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ModerationPanel;
@@ -0,0 +1,475 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import PlannerCoursePicker, { PLANNER_DRAG_TYPE } from './PlannerCoursePicker';
+import WeeklyCalendar from './WeeklyCalendar';
+import {
+  MAX_PLAN_NAME_LENGTH,
+  MAX_PLAN_SEMESTERS,
+  defaultPlanSemesters,
+  emptyPlan,
+  nextSemester
+} from '../services/planService';
+import { checkPlan, courseUnits, planCourseKey, DEFAULT_MAX_UNITS } from '../services/planChecks';
+import { buildWeekItems } from '../services/schedule';
+import { downloadSemesterCalendar, calendarUnavailableReason } from '../services/calendarExport';
+import { useAuth } from '../hooks/useAuth';
+import { useProfile } from '../hooks/useProfile';
+import { usePlans } from '../hooks/usePlans';
+import { useCourseDetails } from '../hooks/useCourseDetails';
+import { coursePath } from '../routes';
+
+/**
+ * Editable copy of a saved plan
+ * @param {Object} plan - Plan document
+ * @returns {Object} - { name, semesters }
+ */
+function toDraft(plan) {
+  return {
+    name: plan.name,
+    semesters: plan.semesters.map(semester => ({ ...semester, courses: [...semester.courses] }))
+  };
+}
+
+/**
+ * SemesterColumn - One semester of the plan and its drop target
+ * @param {Object} semester - { term, courses }
+ * @param {number} index - Position in the plan
+ * @param {Object} check - { units, issues } for the semester
+ * @param {Object} courseIssues - Issues by planCourseKey
+ * @param {Object} courseDetails - Loaded courses by code
+ * @param {number} maxUnits - Unit limit shown in the header
+ * @param {Function} onDrop - Called with the parsed drag data
+ * @param {Function} onRemoveCourse - Called with a course code
+ * @param {Function} onRemoveSemester - Called when the (empty) semester is removed
+ */
+function SemesterColumn({
+  semester,
+  index,
+  check,
+  courseIssues,
+  courseDetails,
+  maxUnits,
+  onDrop,
+  onRemoveCourse,
+  onRemoveSemester
+}) {
+  const [dragOver, setDragOver] = useState(false);
+
+  const acceptsDrag = (e) => e.dataTransfer.types.includes(PLANNER_DRAG_TYPE);
+
+  const handleDragOver = (e) => {
+    if (!acceptsDrag(e)) return;
+    e.preventDefault();
+    setDragOver(true);
+  };
+
+  const handleDrop = (e) => {
+    if (!acceptsDrag(e)) return;
+    e.preventDefault();
+    setDragOver(false);
+    onDrop(JSON.parse(e.dataTransfer.getData(PLANNER_DRAG_TYPE)));
+  };
+
+  const handleDragStart = (e, course) => {
+    e.dataTransfer.setData(PLANNER_DRAG_TYPE, JSON.stringify({ course, fromIndex: index }));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const columnClass = [
+    'semester-column',
+    dragOver ? 'drop-target' : '',
+    check.issues.length > 0 ? 'has-issues' : ''
+  ].filter(Boolean).join(' ');
+
+  return (
+    <section
+      className={columnClass}
+      aria-label={semester.term}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={handleDrop}
+    >
+      <div className="semester-header">
+        <h2>{semester.term}</h2>
+        <span className="semester-units">{check.units}/{maxUnits} units</span>
+        {semester.courses.length === 0 && (
+          <button
+            type="button"
+            className="close-button"
+            aria-label={`Remove ${semester.term}`}
+            onClick={onRemoveSemester}
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {check.issues.map(issue => (
+        <p key={issue.type} className={`plan-issue ${issue.type}`}>{issue.message}</p>
+      ))}
+
+      <ul className="planned-courses">
+        {semester.courses.map(course => {
+          const issues = courseIssues[planCourseKey(index, course.courseCode)] || [];
+          return (
+            <li
+              key={course.courseCode}
+              className={`planned-course ${issues.length > 0 ? 'has-issues' : ''}`}
+              draggable
+              onDragStart={(e) => handleDragStart(e, course)}
+            >
+              <div className="planned-course-header">
+                <Link className="course-code" to={coursePath(course.courseCode)}>{course.courseCode}</Link>
+                <span className="planned-course-units">
+                  {courseUnits(course, courseDetails[course.courseCode])} units
+                </span>
+                <button
+                  type="button"
+                  className="close-button"
+                  aria-label={`Remove ${course.courseCode} from ${semester.term}`}
+                  onClick={() => onRemoveCourse(course.courseCode)}
+                >
+                  ✕
+                </button>
+              </div>
+              {course.courseName && <span className="planned-course-name">{course.courseName}</span>}
+              {issues.map(issue => (
+                <p key={issue.type} className={`plan-issue ${issue.type}`}>{issue.message}</p>
+              ))}
+            </li>
+          );
+        })}
+      </ul>
+
+      {semester.courses.length === 0 && <p className="semester-empty">Drop courses here</p>}
+    </section>
+  );
+}
+
+/**
+ * PlannerBoard - Multi-semester degree planner
+ * Students drag courses from search or their recommendations into semester
+ * columns through graduation. The board flags unit overloads, courses
+ * placed before their prerequisites, and duplicates as it changes. Plans
+ * are saved under the student's profile as named versions.
+ */
+function PlannerBoard() {
+  const { user, signIn } = useAuth();
+  const { profile } = useProfile();
+  const { plans, loading, error: plansError, createPlan, savePlan, removePlan } = usePlans();
+
+  const [activePlanId, setActivePlanId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [weekTerm, setWeekTerm] = useState('');
+
+  const activePlan = plans.find(plan => plan.id === activePlanId);
+
+  // Open the most recent plan, and follow saved changes (e.g. from another
+  // tab) unless there are unsaved edits
+  useEffect(() => {
+    if (plans.length === 0) {
+      setActivePlanId(null);
+      setDraft(null);
+      return;
+    }
+    const plan = plans.find(candidate => candidate.id === activePlanId) || plans[0];
+    if (plan.id !== activePlanId) {
+      setActivePlanId(plan.id);
+      setDraft(toDraft(plan));
+      setDirty(false);
+    } else if (!dirty) {
+      setDraft(toDraft(plan));
+    }
+  }, [plans, activePlanId, dirty]);
+
+  // Prerequisites and units of every planned course
+  const plannedCodes = draft
+    ? draft.semesters.flatMap(semester => semester.courses.map(course => course.courseCode))
+    : [];
+  const courseDetails = useCourseDetails(plannedCodes);
+
+  const maxUnits = (profile && profile.scheduleConstraints.maxUnits) || DEFAULT_MAX_UNITS;
+  const completedCourses = useMemo(
+    () => (profile ? profile.completedCourses.map(course => course.courseCode) : []),
+    [profile]
+  );
+  const blockedTimes = useMemo(
+    () => (profile ? profile.scheduleConstraints.blockedTimes : []),
+    [profile]
+  );
+  const checks = useMemo(
+    () => (draft ? checkPlan(draft, courseDetails, { completedCourses, maxUnits, blockedTimes }) : null),
+    [draft, courseDetails, completedCourses, maxUnits, blockedTimes]
+  );
+
+  // Week view of one semester, the first one by default
+  const weekSemester = draft
+    ? draft.semesters.find(semester => semester.term === weekTerm) || draft.semesters[0]
+    : null;
+  const weekItems = useMemo(
+    () => (weekSemester
+      ? buildWeekItems({ courses: weekSemester.courses, courseDetails, semester: weekSemester.term, blockedTimes })
+      : []),
+    [weekSemester, courseDetails, blockedTimes]
+  );
+  const exportUnavailable = weekSemester ? calendarUnavailableReason(weekSemester.term) : null;
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setDirty(true);
+    setMessage(null);
+  };
+
+  const updateSemesters = (update) => {
+    updateDraft({ semesters: update(draft.semesters) });
+  };
+
+  const addCourse = (course, toIndex, fromIndex = null) => {
+    updateSemesters(semesters => semesters.map((semester, index) => {
+      let courses = semester.courses;
+      if (index === fromIndex) {
+        courses = courses.filter(planned => planned.courseCode !== course.courseCode);
+      }
+      if (index === toIndex && !courses.some(planned => planned.courseCode === course.courseCode)) {
+        courses = [...courses, {
+          courseCode: course.courseCode,
+          courseName: course.courseName || '',
+          units: course.units ?? null
+        }];
+      }
+      return courses === semester.courses ? semester : { ...semester, courses };
+    }));
+  };
+
+  const removeCourse = (semesterIndex, courseCode) => {
+    updateSemesters(semesters => semesters.map((semester, index) => (
+      index === semesterIndex
+        ? { ...semester, courses: semester.courses.filter(course => course.courseCode !== courseCode) }
+        : semester
+    )));
+  };
+
+  const addSemester = () => {
+    const lastTerm = draft.semesters[draft.semesters.length - 1];
+    const term = lastTerm ? nextSemester(lastTerm.term) : defaultPlanSemesters(profile)[0];
+    if (!term || draft.semesters.some(semester => semester.term === term)) return;
+    updateSemesters(semesters => [...semesters, { term, courses: [] }]);
+  };
+
+  const confirmDiscard = () => !dirty || window.confirm('Discard your unsaved changes?');
+
+  const selectPlan = (planId) => {
+    if (!confirmDiscard()) return;
+    const plan = plans.find(candidate => candidate.id === planId);
+    setActivePlanId(planId);
+    setDraft(toDraft(plan));
+    setDirty(false);
+    setError(null);
+    setMessage(null);
+  };
+
+  // Run a plan mutation, reporting its outcome under the toolbar
+  const runAction = async (action, successMessage) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    const result = await action();
+    setSaving(false);
+    if (!result.success) {
+      setError(result.error);
+      return null;
+    }
+    setMessage(successMessage);
+    return result;
+  };
+
+  const handleNewPlan = async () => {
+    if (!confirmDiscard()) return;
+    const plan = emptyPlan(`Plan ${plans.length + 1}`, defaultPlanSemesters(profile));
+    const result = await runAction(() => createPlan(plan), 'Plan created');
+    if (result) {
+      setActivePlanId(result.planId);
+      setDraft(plan);
+      setDirty(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const result = await runAction(() => savePlan(activePlanId, draft), 'Plan saved');
+    if (result) setDirty(false);
+  };
+
+  // Keeps the current plan as it was saved and stores the edits as a new version
+  const handleSaveAsCopy = async () => {
+    const plan = { ...draft, name: `${draft.name.trim()} (copy)`.slice(0, MAX_PLAN_NAME_LENGTH) };
+    const result = await runAction(() => createPlan(plan), 'Saved as a new plan');
+    if (result) {
+      setActivePlanId(result.planId);
+      setDraft(plan);
+      setDirty(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${activePlan.name}"? This cannot be undone.`)) return;
+    const result = await runAction(() => removePlan(activePlanId), 'Plan deleted');
+    if (result) {
+      // The plans listener opens the next most recent plan
+      setActivePlanId(null);
+      setDirty(false);
+    }
+  };
+
+  const handleExportWeek = () => {
+    const courses = weekSemester.courses
+      .map(course => courseDetails[course.courseCode])
+      .filter(Boolean);
+    setError(null);
+    try {
+      const { skipped } = downloadSemesterCalendar(weekSemester.term, courses, `${draft.name} ${weekSemester.term}`);
+      setMessage(skipped.length > 0
+        ? `Calendar downloaded. ${skipped.join(', ')} ${skipped.length === 1 ? 'has' : 'have'} no meeting times.`
+        : 'Calendar downloaded.');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="planner">
+        <div className="sign-in-required">
+          <p>Sign in with your BU account to plan your semesters.</p>
+          <button type="button" className="btn btn-primary" onClick={signIn}>
+            Sign in with BU
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="planner">
+      <div className="recommender-header">
+        <h1>Degree Planner</h1>
+        <p className="subtitle">Drag courses into semesters through graduation</p>
+      </div>
+
+      {plansError && <div className="error-message">{plansError}</div>}
+
+      {loading ? (
+        <p className="search-status">Loading plans...</p>
+      ) : !draft ? (
+        <div className="planner-empty">
+          <p>You don't have any plans yet.</p>
+          <button type="button" className="btn btn-primary" onClick={handleNewPlan} disabled={saving}>
+            Start a Plan
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="planner-toolbar">
+            <select
+              aria-label="Saved plans"
+              value={activePlanId || ''}
+              onChange={(e) => selectPlan(e.target.value)}
+            >
+              {plans.map(plan => (
+                <option key={plan.id} value={plan.id}>{plan.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              aria-label="Plan name"
+              value={draft.name}
+              maxLength={MAX_PLAN_NAME_LENGTH}
+              onChange={(e) => updateDraft({ name: e.target.value })}
+            />
+            <button type="button" className="btn btn-primary" onClick={handleSave} disabled={saving || !dirty}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={handleSaveAsCopy} disabled={saving}>
+              Save as New Version
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={handleNewPlan} disabled={saving}>
+              New Plan
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={handleDelete} disabled={saving}>
+              Delete
+            </button>
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+          {message && <div className="profile-saved">{message}</div>}
+          {checks.issueCount > 0 && (
+            <p className="plan-summary">
+              {checks.issueCount} {checks.issueCount === 1 ? 'issue' : 'issues'} to review
+            </p>
+          )}
+
+          <div className="planner-layout">
+            <PlannerCoursePicker
+              semesters={draft.semesters.map(semester => semester.term)}
+              onAdd={(course, index) => addCourse(course, index)}
+            />
+
+            <div className="planner-board">
+              {draft.semesters.map((semester, index) => (
+                <SemesterColumn
+                  key={semester.term}
+                  semester={semester}
+                  index={index}
+                  check={checks.semesters[index]}
+                  courseIssues={checks.courses}
+                  courseDetails={courseDetails}
+                  maxUnits={maxUnits}
+                  onDrop={({ course, fromIndex }) => addCourse(course, index, fromIndex)}
+                  onRemoveCourse={(courseCode) => removeCourse(index, courseCode)}
+                  onRemoveSemester={() => updateSemesters(semesters => semesters.filter((_, i) => i !== index))}
+                />
+              ))}
+              {draft.semesters.length < MAX_PLAN_SEMESTERS && (
+                <button type="button" className="add-semester" onClick={addSemester}>
+                  + Add Semester
+                </button>
+              )}
+            </div>
+          </div>
+
+          {weekSemester && (
+            <section className="planner-week">
+              <div className="planner-week-header">
+                <h2>Week View</h2>
+                <select
+                  aria-label="Semester to show"
+                  value={weekSemester.term}
+                  onChange={(e) => setWeekTerm(e.target.value)}
+                >
+                  {draft.semesters.map(semester => (
+                    <option key={semester.term} value={semester.term}>{semester.term}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={handleExportWeek}
+                  disabled={Boolean(exportUnavailable) || weekItems.every(item => item.kind !== 'course')}
+                  title={exportUnavailable || undefined}
+                >
+                  Export .ics
+                </button>
+              </div>
+              <WeeklyCalendar items={weekItems} title={`${weekSemester.term} schedule`} />
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PlannerBoard;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { searchCourses } from '../services/terrierGPTService';
+import { loadRecommenderState } from '../services/recommenderState';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { ROUTES } from '../routes';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MAX_RESULTS = 30;
+
+// dataTransfer type for courses dragged onto the planner board
+export const PLANNER_DRAG_TYPE = 'application/x-sap-course';
+
+/**
+ * PlannerCoursePicker - Courses to drag into the planner
+ * Lists the catalog search results or the last recommendations. Each
+ * course can also be added with its "Add to" menu instead of dragging.
+ * @param {Array<string>} semesters - Plan's semester labels
+ * @param {Function} onAdd - Called with (course, semesterIndex)
+ */
+function PlannerCoursePicker({ semesters, onAdd }) {
+  const [source, setSource] = useState('search');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [recommendations] = useState(() => loadRecommenderState().recommendations || []);
+
+  const debouncedQuery = useDebouncedValue(searchQuery, SEARCH_DEBOUNCE_MS);
+
+  useEffect(() => {
+    const q = debouncedQuery.trim();
+    if (!q) {
+      setResults([]);
+      setError(null);
+      return;
+    }
+
+    // Ignore responses that arrive after a newer search started
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    searchCourses(q)
+      .then(courses => {
+        if (!cancelled) setResults(courses.slice(0, MAX_RESULTS));
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery]);
+
+  const handleDragStart = (e, course) => {
+    e.dataTransfer.setData(PLANNER_DRAG_TYPE, JSON.stringify({ course, fromIndex: null }));
+    e.dataTransfer.effectAllowed = 'copyMove';
+  };
+
+  const courses = source === 'search' ? results : recommendations;
+
+  return (
+    <aside className="planner-picker">
+      <div className="picker-tabs" role="tablist">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={source === 'search'}
+          className={`picker-tab ${source === 'search' ? 'active' : ''}`}
+          onClick={() => setSource('search')}
+        >
+          Search
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={source === 'recommended'}
+          className={`picker-tab ${source === 'recommended' ? 'active' : ''}`}
+          onClick={() => setSource('recommended')}
+        >
+          Recommended
+        </button>
+      </div>
+
+      {source === 'search' && (
+        <input
+          type="search"
+          className="picker-search"
+          aria-label="Search courses to add"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          placeholder="Search by code or name"
+        />
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+      {loading && <p className="search-status">Searching...</p>}
+      {source === 'recommended' && recommendations.length === 0 && (
+        <p className="search-status">
+          No recommendations yet. <Link to={ROUTES.recommender}>Get some</Link> and they'll show up here.
+        </p>
+      )}
+
+      <ul className="picker-courses">
+        {courses.map(course => (
+          <li
+            key={course.courseCode}
+            className="picker-course"
+            draggable
+            onDragStart={(e) => handleDragStart(e, course)}
+          >
+            <div className="picker-course-info">
+              <span className="course-code">{course.courseCode}</span>
+              <span className="picker-course-name">{course.courseName}</span>
+            </div>
+            <select
+              aria-label={`Add ${course.courseCode} to a semester`}
+              value=""
+              onChange={(e) => onAdd(course, Number(e.target.value))}
+            >
+              <option value="" disabled>Add to…</option>
+              {semesters.map((term, index) => (
+                <option key={term} value={index}>{term}</option>
+              ))}
+            </select>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default PlannerCoursePicker;
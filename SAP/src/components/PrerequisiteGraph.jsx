@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getCourseDetails } from '../services/terrierGPTService';
+import { buildPrerequisiteGraph } from '../services/prerequisites';
+import { coursePath } from '../routes';
+
+const COLUMN_WIDTH = 170;
+const ROW_HEIGHT = 56;
+const NODE_WIDTH = 120;
+const NODE_HEIGHT = 34;
+const OR_RADIUS = 15;
+const PADDING = 20;
+
+/**
+ * Place graph nodes in columns by distance from the course
+ * A requirement sits left of everything that needs it; the course itself
+ * is in the rightmost column.
+ * @param {Object} graph - { nodes, edges } from buildPrerequisiteGraph
+ * @param {string} rootId - The course's node ID
+ * @returns {Object} - { positions: id to {x, y}, width, height }
+ */
+function layoutGraph(graph, rootId) {
+  const depths = { [rootId]: 0 };
+
+  // Longest path to the root; capped at one pass per node so a
+  // prerequisite cycle in bad catalog data can't loop forever
+  for (let pass = 0; pass < graph.nodes.length; pass++) {
+    let changed = false;
+    graph.edges.forEach(({ from, to }) => {
+      if (depths[to] !== undefined && (depths[from] === undefined || depths[from] < depths[to] + 1)) {
+        depths[from] = depths[to] + 1;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+
+  const maxDepth = Math.max(0, ...Object.values(depths));
+  const columns = Array.from({ length: maxDepth + 1 }, () => []);
+  graph.nodes.forEach(node => columns[depths[node.id] ?? 0].push(node.id));
+
+  const tallest = Math.max(...columns.map(column => column.length));
+  const height = tallest * ROW_HEIGHT + PADDING * 2;
+  const positions = {};
+  columns.forEach((column, depth) => {
+    const top = (height - column.length * ROW_HEIGHT) / 2;
+    column.forEach((id, row) => {
+      positions[id] = {
+        x: PADDING + (maxDepth - depth) * COLUMN_WIDTH + NODE_WIDTH / 2,
+        y: top + row * ROW_HEIGHT + ROW_HEIGHT / 2
+      };
+    });
+  });
+
+  return {
+    positions,
+    width: maxDepth * COLUMN_WIDTH + NODE_WIDTH + PADDING * 2,
+    height
+  };
+}
+
+/**
+ * PrerequisiteGraph - Interactive prerequisite chain for a course
+ * Hovering or focusing a course highlights everything it depends on;
+ * clicking a prerequisite opens its detail page.
+ * @param {Object} course - Normalized course at the root of the graph
+ * @param {Array<string>} completedCourses - Codes the student has completed, shown as done
+ */
+function PrerequisiteGraph({ course, completedCourses = [] }) {
+  const navigate = useNavigate();
+  const [graph, setGraph] = useState(null);
+  const [error, setError] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setGraph(null);
+    setError(null);
+    buildPrerequisiteGraph(course, getCourseDetails)
+      .then(result => {
+        if (!cancelled) setGraph(result);
+      })
+      .catch(err => {
+        console.error('Error building prerequisite graph:', err);
+        if (!cancelled) setError('Failed to load the prerequisite chain');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [course]);
+
+  const layout = useMemo(
+    () => (graph ? layoutGraph(graph, course.courseCode) : null),
+    [graph, course.courseCode]
+  );
+
+  // The active node and everything upstream of it
+  const highlighted = useMemo(() => {
+    if (!graph || !activeId) return new Set();
+    const found = new Set([activeId]);
+    let frontier = [activeId];
+    while (frontier.length > 0) {
+      const next = graph.edges
+        .filter(edge => frontier.includes(edge.to) && !found.has(edge.from))
+        .map(edge => edge.from);
+      next.forEach(id => found.add(id));
+      frontier = next;
+    }
+    return found;
+  }, [graph, activeId]);
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+  if (!graph) {
+    return <p className="search-status">Loading prerequisites...</p>;
+  }
+  if (graph.edges.length === 0) {
+    return <p className="no-reviews">No prerequisites or corequisites.</p>;
+  }
+
+  const completed = new Set(completedCourses);
+  const { positions, width, height } = layout;
+  const nodesById = Object.fromEntries(graph.nodes.map(node => [node.id, node]));
+  const halfWidth = (node) => (node.type === 'or' ? OR_RADIUS : NODE_WIDTH / 2);
+
+  const nodeClass = (node) => [
+    'graph-node',
+    node.id === course.courseCode ? 'root' : '',
+    completed.has(node.code) ? 'completed' : '',
+    node.known ? '' : 'unknown',
+    highlighted.has(node.id) ? 'highlighted' : ''
+  ].filter(Boolean).join(' ');
+
+  const openCourse = (node) => {
+    if (node.type === 'course' && node.id !== course.courseCode) {
+      navigate(coursePath(node.code));
+    }
+  };
+
+  return (
+    <div className="prerequisite-graph">
+      <svg
+        width={width}
+        height={height}
+        viewBox={`0 0 ${width} ${height}`}
+        role="img"
+        aria-label={`Prerequisite chain for ${course.courseCode}`}
+      >
+        {graph.edges.map(edge => {
+          const from = positions[edge.from];
+          const to = positions[edge.to];
+          const startX = from.x + halfWidth(nodesById[edge.from]);
+          const endX = to.x - halfWidth(nodesById[edge.to]);
+          const midX = (startX + endX) / 2;
+          const isHighlighted = highlighted.has(edge.from) && highlighted.has(edge.to);
+          return (
+            <path
+              key={`${edge.from}-${edge.to}-${edge.kind}`}
+              className={`graph-edge ${edge.kind} ${isHighlighted ? 'highlighted' : ''}`}
+              d={`M ${startX} ${from.y} C ${midX} ${from.y}, ${midX} ${to.y}, ${endX} ${to.y}`}
+            />
+          );
+        })}
+
+        {graph.nodes.map(node => {
+          const { x, y } = positions[node.id];
+          const handlers = {
+            onMouseEnter: () => setActiveId(node.id),
+            onMouseLeave: () => setActiveId(null),
+            onFocus: () => setActiveId(node.id),
+            onBlur: () => setActiveId(null)
+          };
+
+          if (node.type === 'or') {
+            return (
+              <g key={node.id} className="graph-node or" {...handlers}>
+                <circle cx={x} cy={y} r={OR_RADIUS} />
+                <text x={x} y={y} dominantBaseline="central" textAnchor="middle">or</text>
+              </g>
+            );
+          }
+
+          const clickable = node.id !== course.courseCode;
+          return (
+            <g
+              key={node.id}
+              className={nodeClass(node)}
+              tabIndex={clickable ? 0 : undefined}
+              role={clickable ? 'link' : undefined}
+              aria-label={clickable ? `Open ${node.code}` : undefined}
+              onClick={() => openCourse(node)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') openCourse(node);
+              }}
+              {...handlers}
+            >
+              <rect
+                x={x - NODE_WIDTH / 2}
+                y={y - NODE_HEIGHT / 2}
+                width={NODE_WIDTH}
+                height={NODE_HEIGHT}
+                rx={8}
+              />
+              <text x={x} y={y} dominantBaseline="central" textAnchor="middle">{node.code}</text>
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="graph-legend">
+        <span className="legend-item completed">Completed</span>
+        <span className="legend-item unknown">Not in catalog</span>
+        <span className="legend-item coreq">Corequisite (dashed)</span>
+      </div>
+    </div>
+  );
+}
+
+export default PrerequisiteGraph;
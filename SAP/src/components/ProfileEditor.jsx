@@ -0,0 +1,418 @@
+import React, { useState } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useProfile } from '../hooks/useProfile';
+import {
+  PROGRAMS,
+  GRADES,
+  WEEKDAYS,
+  upcomingSemesters,
+  validateProfile
+} from '../services/profileService';
+import { HUB_AREAS } from '../services/courseFilters';
+import { termLabel } from '../services/terms';
+import { normalizeCourseCode } from '../services/prerequisites';
+
+const EMPTY_COURSE_ROW = { courseCode: '', grade: '', semester: '' };
+const EMPTY_BLOCKED_TIME = { label: '', days: [], start: '', end: '' };
+
+/**
+ * Toggle a value in a list
+ * @param {Array} list - Current values
+ * @param {*} value - Value to add or remove
+ * @returns {Array} - New list
+ */
+function toggle(list, value) {
+  return list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+}
+
+/**
+ * ProfileForm - Editable copy of the stored profile
+ * @param {Object} initialProfile - Profile to start from
+ * @param {Function} onSave - Async callback with the profile; resolves to { success, error }
+ */
+function ProfileForm({ initialProfile, onSave }) {
+  const [form, setForm] = useState(initialProfile);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const currentYear = new Date().getFullYear();
+  const classYears = Array.from({ length: 7 }, (_, i) => currentYear + i);
+
+  // Semesters offered as checkboxes, by term key: upcoming ones, plus any
+  // saved earlier
+  const semesterOptions = [...new Set([
+    ...upcomingSemesters(form.classYear),
+    ...form.plannedSemesters
+  ])];
+
+  const update = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+    setMessage(null);
+  };
+
+  const updateConstraints = (changes) => {
+    update({ scheduleConstraints: { ...form.scheduleConstraints, ...changes } });
+  };
+
+  const updateBlockedTime = (index, changes) => {
+    updateConstraints({
+      blockedTimes: form.scheduleConstraints.blockedTimes.map((blocked, i) => (i === index ? { ...blocked, ...changes } : blocked))
+    });
+  };
+
+  const updateCourse = (index, changes) => {
+    update({
+      completedCourses: form.completedCourses.map((course, i) => (i === index ? { ...course, ...changes } : course))
+    });
+  };
+
+  const handleClassYearChange = (e) => {
+    const classYear = e.target.value ? Number(e.target.value) : null;
+    // Default to fall and spring terms the first time a year is picked
+    const plannedSemesters = form.plannedSemesters.length > 0
+      ? form.plannedSemesters
+      : upcomingSemesters(classYear, { includeSummer: false });
+    update({ classYear, plannedSemesters });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+
+    const profile = {
+      ...form,
+      completedCourses: form.completedCourses
+        .filter(course => course.courseCode.trim())
+        .map(course => ({ ...course, courseCode: normalizeCourseCode(course.courseCode) })),
+      plannedSemesters: semesterOptions.filter(semester => form.plannedSemesters.includes(semester))
+    };
+
+    try {
+      validateProfile(profile);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    setSaving(true);
+    const result = await onSave(profile);
+    setSaving(false);
+    if (result.success) {
+      setForm(profile);
+      setMessage('Profile saved');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <form className="profile-form" onSubmit={handleSubmit}>
+      <section className="profile-section">
+        <h2>Program</h2>
+        <div className="profile-row">
+          <div className="input-group">
+            <label htmlFor="profile-major">Major</label>
+            <select
+              id="profile-major"
+              value={form.major}
+              onChange={(e) => update({ major: e.target.value })}
+            >
+              <option value="">Choose a major</option>
+              {PROGRAMS.map(program => (
+                <option key={program} value={program}>{program}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="profile-minor">Minor</label>
+            <select
+              id="profile-minor"
+              value={form.minor}
+              onChange={(e) => update({ minor: e.target.value })}
+            >
+              <option value="">No minor</option>
+              {PROGRAMS.map(program => (
+                <option key={program} value={program}>{program}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="profile-class-year">Class Year</label>
+            <select
+              id="profile-class-year"
+              value={form.classYear || ''}
+              onChange={handleClassYearChange}
+            >
+              <option value="">Choose a year</option>
+              {classYears.map(year => (
+                <option key={year} value={year}>{year}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </section>
+
+      <section className="profile-section">
+        <h2>Completed Courses</h2>
+        {form.completedCourses.length > 0 && (
+          <table className="sections-table completed-courses-table">
+            <thead>
+              <tr>
+                <th>Course</th>
+                <th>Grade</th>
+                <th>Semester</th>
+                <th aria-label="Remove" />
+              </tr>
+            </thead>
+            <tbody>
+              {form.completedCourses.map((course, index) => (
+                <tr key={index}>
+                  <td>
+                    <input
+                      type="text"
+                      aria-label="Course code"
+                      value={course.courseCode}
+                      onChange={(e) => updateCourse(index, { courseCode: e.target.value })}
+                      placeholder="e.g., CASCS111"
+                    />
+                  </td>
+                  <td>
+                    <select
+                      aria-label="Grade"
+                      value={course.grade}
+                      onChange={(e) => updateCourse(index, { grade: e.target.value })}
+                    >
+                      <option value="">—</option>
+                      {GRADES.map(grade => (
+                        <option key={grade} value={grade}>{grade}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      aria-label="Semester taken"
+                      value={course.semester}
+                      onChange={(e) => updateCourse(index, { semester: e.target.value })}
+                      placeholder="e.g., Fall 2025"
+                    />
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="close-button"
+                      aria-label={`Remove ${course.courseCode || 'course'}`}
+                      onClick={() => update({
+                        completedCourses: form.completedCourses.filter((_, i) => i !== index)
+                      })}
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => update({ completedCourses: [...form.completedCourses, { ...EMPTY_COURSE_ROW }] })}
+        >
+          Add a course
+        </button>
+      </section>
+
+      <section className="profile-section">
+        <h2>Planned Semesters</h2>
+        {semesterOptions.length === 0 ? (
+          <p className="search-status">Choose your class year to list semesters.</p>
+        ) : (
+          <div className="checkbox-grid">
+            {semesterOptions.map(semester => (
+              <label key={semester} className="checkbox-group">
+                <input
+                  type="checkbox"
+                  checked={form.plannedSemesters.includes(semester)}
+                  onChange={() => update({ plannedSemesters: toggle(form.plannedSemesters, semester) })}
+                />
+                {termLabel(semester)}
+              </label>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="profile-section">
+        <h2>Hub Requirements Satisfied</h2>
+        <div className="checkbox-grid">
+          {HUB_AREAS.map(area => (
+            <label key={area} className="checkbox-group">
+              <input
+                type="checkbox"
+                checked={form.hubAreasSatisfied.includes(area)}
+                onChange={() => update({ hubAreasSatisfied: toggle(form.hubAreasSatisfied, area) })}
+              />
+              {area}
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section className="profile-section">
+        <h2>Schedule Constraints</h2>
+        <div className="profile-row">
+          <div className="input-group">
+            <label htmlFor="profile-max-units">Max units per semester</label>
+            <input
+              type="number"
+              id="profile-max-units"
+              min="1"
+              max="24"
+              value={form.scheduleConstraints.maxUnits ?? ''}
+              onChange={(e) => updateConstraints({ maxUnits: e.target.value ? Number(e.target.value) : null })}
+            />
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="profile-earliest-start">No classes before</label>
+            <input
+              type="time"
+              id="profile-earliest-start"
+              value={form.scheduleConstraints.earliestStart}
+              onChange={(e) => updateConstraints({ earliestStart: e.target.value })}
+            />
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="profile-latest-end">No classes after</label>
+            <input
+              type="time"
+              id="profile-latest-end"
+              value={form.scheduleConstraints.latestEnd}
+              onChange={(e) => updateConstraints({ latestEnd: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <fieldset className="days-off">
+          <legend>Days off</legend>
+          {WEEKDAYS.map(day => (
+            <label key={day.value} className="checkbox-group">
+              <input
+                type="checkbox"
+                checked={form.scheduleConstraints.daysOff.includes(day.value)}
+                onChange={() => updateConstraints({ daysOff: toggle(form.scheduleConstraints.daysOff, day.value) })}
+              />
+              {day.label}
+            </label>
+          ))}
+        </fieldset>
+
+        <h3 className="profile-subheading">Blocked-out times</h3>
+        <p className="search-status">Work shifts, practices or anything else recommendations should avoid.</p>
+        {form.scheduleConstraints.blockedTimes.map((blocked, index) => (
+          <div key={index} className="blocked-time">
+            <input
+              type="text"
+              aria-label="Label"
+              value={blocked.label}
+              maxLength={50}
+              onChange={(e) => updateBlockedTime(index, { label: e.target.value })}
+              placeholder="e.g., Work"
+            />
+            <div className="blocked-time-days">
+              {WEEKDAYS.map(day => (
+                <label key={day.value} className="checkbox-group">
+                  <input
+                    type="checkbox"
+                    checked={blocked.days.includes(day.value)}
+                    onChange={() => updateBlockedTime(index, { days: toggle(blocked.days, day.value) })}
+                  />
+                  {day.label}
+                </label>
+              ))}
+            </div>
+            <input
+              type="time"
+              aria-label="From"
+              value={blocked.start}
+              onChange={(e) => updateBlockedTime(index, { start: e.target.value })}
+            />
+            <input
+              type="time"
+              aria-label="Until"
+              value={blocked.end}
+              onChange={(e) => updateBlockedTime(index, { end: e.target.value })}
+            />
+            <button
+              type="button"
+              className="close-button"
+              aria-label={`Remove ${blocked.label || 'blocked time'}`}
+              onClick={() => updateConstraints({
+                blockedTimes: form.scheduleConstraints.blockedTimes.filter((_, i) => i !== index)
+              })}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => updateConstraints({
+            blockedTimes: [...form.scheduleConstraints.blockedTimes, { ...EMPTY_BLOCKED_TIME }]
+          })}
+        >
+          Block out a time
+        </button>
+      </section>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="profile-saved">{message}</div>}
+
+      <button type="submit" className="btn btn-primary btn-large" disabled={saving}>
+        {saving ? 'Saving...' : 'Save Profile'}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * ProfileEditor - Page for the student's academic profile
+ * The recommender, prerequisite checks and planner read from this profile.
+ */
+function ProfileEditor() {
+  const { user, signIn } = useAuth();
+  const { profile, loading, error, saveProfile } = useProfile();
+
+  return (
+    <div className="profile-editor">
+      <div className="recommender-header">
+        <h1>Your Academic Profile</h1>
+        <p className="subtitle">Used to tailor recommendations and check prerequisites</p>
+      </div>
+
+      {!user ? (
+        <div className="sign-in-required">
+          <p>Sign in with your BU account to set up your profile.</p>
+          <button type="button" className="btn btn-primary" onClick={signIn}>
+            Sign in with BU
+          </button>
+        </div>
+      ) : error ? (
+        <div className="error-message">{error}</div>
+      ) : loading || !profile ? (
+        <p className="search-status">Loading profile...</p>
+      ) : (
+        <ProfileForm initialProfile={profile} onSave={saveProfile} />
+      )}
+    </div>
+  );
+}
+
+export default ProfileEditor;
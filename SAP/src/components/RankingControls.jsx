@@ -0,0 +1,38 @@
+import React from 'react';
+import { RANKING_FACTORS, MAX_RANKING_WEIGHT, DEFAULT_RANKING_WEIGHTS } from '../services/recommendationRanking';
+
+const WEIGHT_LABELS = ['Off', 'Low', 'Medium', 'High'];
+
+/**
+ * RankingControls - How much each factor counts when ranking recommendations
+ * @param {Object} weights - Factor key to weight (0 to MAX_RANKING_WEIGHT)
+ * @param {Function} onChange - Called with the new weights
+ */
+function RankingControls({ weights, onChange }) {
+  return (
+    <details className="ranking-controls">
+      <summary>Adjust ranking</summary>
+      <div className="ranking-weights">
+        {RANKING_FACTORS.map(factor => (
+          <label key={factor.key} className="ranking-weight">
+            <span>{factor.label}</span>
+            <input
+              type="range"
+              min={0}
+              max={MAX_RANKING_WEIGHT}
+              step={1}
+              value={weights[factor.key]}
+              onChange={(e) => onChange({ ...weights, [factor.key]: Number(e.target.value) })}
+            />
+            <span className="ranking-weight-value">{WEIGHT_LABELS[weights[factor.key]]}</span>
+          </label>
+        ))}
+      </div>
+      <button type="button" className="btn btn-secondary" onClick={() => onChange(DEFAULT_RANKING_WEIGHTS)}>
+        Reset
+      </button>
+    </details>
+  );
+}
+
+export default RankingControls;
@@ -0,0 +1,57 @@
+import React from 'react';
+
+// Gauge geometry in SVG units: a half circle open at the bottom
+const RADIUS = 40;
+const STROKE = 10;
+const CENTER_X = RADIUS + STROKE / 2;
+const CENTER_Y = RADIUS + STROKE / 2;
+
+/**
+ * SVG arc from the left end of the gauge to a fraction of the way round
+ * @param {number} fraction - 0 (empty) to 1 (full)
+ * @returns {string} - Path data
+ */
+function arcPath(fraction) {
+  const angle = Math.PI * (1 - fraction);
+  const x = CENTER_X + RADIUS * Math.cos(angle);
+  const y = CENTER_Y - RADIUS * Math.sin(angle);
+  return `M${CENTER_X - RADIUS},${CENTER_Y} A${RADIUS},${RADIUS} 0 0 1 ${x.toFixed(2)},${y.toFixed(2)}`;
+}
+
+/**
+ * RatingGauge - Half-circle gauge for a mean on the 1-5 review scale
+ * @param {string} label - What's measured, e.g. "Workload"
+ * @param {number|null} value - Mean rating (null when nobody rated it)
+ * @param {number} count - Reviews behind the mean
+ * @param {string} lowLabel - What 1 means, e.g. "Light"
+ * @param {string} highLabel - What 5 means, e.g. "Heavy"
+ * @param {boolean} compact - Smaller, without the end labels, for cards
+ */
+function RatingGauge({ label, value, count = 0, lowLabel, highLabel, compact = false }) {
+  const hasValue = value !== null && value !== undefined;
+  const width = CENTER_X * 2;
+  const height = CENTER_Y + STROKE / 2;
+
+  return (
+    <figure
+      className={`rating-gauge${compact ? ' compact' : ''}`}
+      title={hasValue ? `${label} ${value.toFixed(1)}/5 from ${count} ${count === 1 ? 'rating' : 'ratings'}` : `No ${label.toLowerCase()} ratings yet`}
+    >
+      <svg viewBox={`0 0 ${width} ${height}`} aria-hidden="true">
+        <path className="gauge-track" d={arcPath(1)} strokeWidth={STROKE} />
+        {hasValue && (
+          <path className="gauge-fill" d={arcPath((value - 1) / 4)} strokeWidth={STROKE} />
+        )}
+      </svg>
+      <div className="gauge-value">{hasValue ? value.toFixed(1) : '—'}</div>
+      <figcaption>
+        <span className="gauge-label">{label}</span>
+        {!compact && lowLabel && highLabel && (
+          <span className="gauge-range">{lowLabel} – {highLabel}</span>
+        )}
+      </figcaption>
+    </figure>
+  );
+}
+
+export default RatingGauge;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+/**
+ * RatingHistogram - Bars for the number of 5, 4, 3, 2 and 1-star reviews
+ * With `onSelect` each bar is a button that picks its star rating, and
+ * clicking the selected bar again clears it.
+ * @param {Object} histogram - Star (1-5) to number of reviews
+ * @param {number} total - Number of reviews (defaults to the histogram's sum)
+ * @param {number|null} selected - Star rating currently picked, if any
+ * @param {Function} onSelect - Called with a star rating, or null to clear
+ * @param {boolean} compact - Thin bars without counts, for cards
+ */
+function RatingHistogram({ histogram, total, selected = null, onSelect, compact = false }) {
+  const counts = [5, 4, 3, 2, 1].map(star => ({ star, count: (histogram && histogram[star]) || 0 }));
+  const reviewCount = total ?? counts.reduce((sum, { count }) => sum + count, 0);
+
+  return (
+    <div className={`rating-histogram${compact ? ' compact' : ''}${onSelect ? ' selectable' : ''}`}>
+      {counts.map(({ star, count }) => {
+        const bar = (
+          <>
+            <span className="histogram-label">{star} ★</span>
+            <span className="histogram-bar">
+              <span
+                className="histogram-fill"
+                style={{ width: `${reviewCount > 0 ? (count / reviewCount) * 100 : 0}%` }}
+              />
+            </span>
+            {!compact && <span className="histogram-count">{count}</span>}
+          </>
+        );
+
+        if (!onSelect) {
+          return (
+            <div key={star} className="histogram-row" title={`${count} ${star}-star`}>
+              {bar}
+            </div>
+          );
+        }
+        return (
+          <button
+            key={star}
+            type="button"
+            className={`histogram-row${selected === star ? ' active' : ''}`}
+            aria-pressed={selected === star}
+            aria-label={`${star} stars: ${count} ${count === 1 ? 'review' : 'reviews'}`}
+            disabled={count === 0 && selected !== star}
+            onClick={() => onSelect(selected === star ? null : star)}
+          >
+            {bar}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RatingHistogram;
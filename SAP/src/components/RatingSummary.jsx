@@ -0,0 +1,63 @@
+import React from 'react';
+import RatingHistogram from './RatingHistogram';
+import RatingGauge from './RatingGauge';
+import { describeDistribution } from '../services/ratingDistribution';
+
+// Optional ratings shown as gauges, with what each end of the scale means
+const GAUGES = [
+  { key: 'averageDifficulty', countKey: 'difficultyCount', label: 'Difficulty', low: 'Easy', high: 'Hard' },
+  { key: 'averageWorkload', countKey: 'workloadCount', label: 'Workload', low: 'Light', high: 'Heavy' },
+  { key: 'averageProfHelpfulness', countKey: 'profHelpfulnessCount', label: 'Helpfulness', low: 'Low', high: 'High' }
+];
+
+/**
+ * RatingSummary - Star histogram, breakdown gauges and how ratings are spread
+ * Used at the top of ReviewDisplay, on course and instructor pages and, in
+ * compact form, on CourseCard.
+ * @param {Object} stats - Rating stats (reviewCount, ratingHistogram and the optional rating means and counts)
+ * @param {number|null} selectedRating - Star rating the reviews are filtered to, if any
+ * @param {Function} onSelectRating - Called with a star rating (or null) when a bar is clicked; omit for static bars
+ * @param {boolean} compact - Smaller charts for cards
+ */
+function RatingSummary({ stats, selectedRating = null, onSelectRating, compact = false }) {
+  const distribution = describeDistribution(stats.ratingHistogram);
+  const gauges = GAUGES.filter(gauge => !compact || stats[gauge.key]);
+
+  return (
+    <div className={`rating-summary${compact ? ' compact' : ''}`}>
+      <div className="rating-summary-distribution">
+        <RatingHistogram
+          histogram={stats.ratingHistogram}
+          total={stats.reviewCount}
+          selected={selectedRating}
+          onSelect={onSelectRating}
+          compact={compact}
+        />
+        {distribution.shape !== 'few' && (
+          <p className={`distribution-summary ${distribution.shape}`} title={distribution.description}>
+            <strong>{distribution.label}</strong>
+            {!compact && <span> — {distribution.description}</span>}
+          </p>
+        )}
+      </div>
+
+      {gauges.length > 0 && (
+        <div className="rating-summary-gauges">
+          {gauges.map(gauge => (
+            <RatingGauge
+              key={gauge.key}
+              label={gauge.label}
+              value={stats[gauge.key]}
+              count={stats[gauge.countKey]}
+              lowLabel={gauge.low}
+              highLabel={gauge.high}
+              compact={compact}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RatingSummary;
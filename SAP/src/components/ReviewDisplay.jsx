@@ -1,22 +1,88 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import RatingSummary from './RatingSummary';
+import TagCloud from './TagCloud';
+import {
+  VOTE_HELPFUL,
+  VOTE_NOT_HELPFUL,
+  REPORT_REASONS,
+  REVIEW_SORTS,
+  isEditedReview,
+  reviewTagLabel
+} from '../services/reviewService';
+import { useAuth } from '../hooks/useAuth';
+import { instructorPath } from '../routes';
 
 /**
  * ReviewDisplay - Shows all reviews for a course
  * @param {string} courseCode - Course code
  * @param {string} courseName - Course name
- * @param {Array} reviews - Array of review objects
+ * @param {Array} reviews - Reviews loaded so far
  * @param {number} averageRating - Average rating
- * @param {Function} onMarkHelpful - Callback when "Helpful" is clicked
+ * @param {number} totalReviews - Total number of visible reviews (defaults to reviews.length)
+ * @param {Object} stats - Rating stats for the summary charts (histogram and breakdown means); omit to show only the average
+ * @param {number|null} ratingFilter - Star rating the list is filtered to, if any
+ * @param {Function} onRatingFilterChange - Callback with a star rating, or null to show every rating
+ * @param {Object} tagCounts - Tag to number of reviews, for the tag filter (defaults to stats.tagCounts)
+ * @param {string} tagFilter - Tag the list is filtered to ('' for every review)
+ * @param {Function} onTagFilterChange - Callback with a tag, or '' to show every review
+ * @param {string} sortBy - Current sort (key of REVIEW_SORTS)
+ * @param {Function} onSortChange - Callback with the new sort key
+ * @param {Array} instructors - { id, name } of the course's instructors, to filter by
+ * @param {string} instructorId - Instructor the reviews are filtered to ('' for everyone)
+ * @param {Function} onInstructorChange - Callback with the new instructor ID
+ * @param {boolean} hasMore - Whether another page of reviews exists
+ * @param {boolean} loadingMore - Whether the next page is loading
+ * @param {Function} onLoadMore - Callback to load the next page
+ * @param {Object} userVotes - Map of reviewId to the signed-in user's vote
+ * @param {Array<string>} authoredReviewIds - IDs of the reviews the signed-in user wrote
+ * @param {Function} onVote - Callback with (reviewId, vote); vote is null to take it back
+ * @param {Function} onReport - Async callback with (reviewId, reason, details)
+ * @param {Function} onEdit - Callback with the review when its author clicks "Edit"
+ * @param {Function} onDelete - Callback with the review ID when its author clicks "Delete"
  * @param {Function} onClose - Callback to close the display
+ * @param {boolean} inline - Render as part of the page instead of a modal
  */
 function ReviewDisplay({ 
   courseCode, 
   courseName, 
   reviews, 
   averageRating, 
-  onMarkHelpful,
-  onClose 
+  totalReviews = reviews.length,
+  stats,
+  ratingFilter = null,
+  onRatingFilterChange,
+  tagCounts = stats?.tagCounts || {},
+  tagFilter = '',
+  onTagFilterChange,
+  sortBy,
+  onSortChange,
+  instructors = [],
+  instructorId = '',
+  onInstructorChange,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  userVotes = {},
+  authoredReviewIds = [],
+  onVote,
+  onReport,
+  onEdit,
+  onDelete,
+  onClose,
+  inline = false
 }) {
+  const { user } = useAuth();
+  const [reportingId, setReportingId] = useState(null);
+  const [reportReason, setReportReason] = useState('');
+  const [reportDetails, setReportDetails] = useState('');
+  const [reportError, setReportError] = useState(null);
+  const [reportedIds, setReportedIds] = useState([]);
+  const hasTags = Boolean(tagFilter) || Object.values(tagCounts).some(count => count > 0);
+  // e.g. "4-star reviews tagged “Great lectures”", for the filter notice
+  const filterDescription = `${ratingFilter ? `${ratingFilter}-star ` : ''}reviews`
+    + (tagFilter ? ` tagged “${reviewTagLabel(tagFilter)}”` : '');
+
   const renderStars = (rating) => {
     const stars = [];
     for (let i = 0; i < 5; i++) {
@@ -40,16 +106,54 @@ function ReviewDisplay({
     });
   };
 
+  const startReport = (reviewId) => {
+    setReportingId(reviewId);
+    setReportReason('');
+    setReportDetails('');
+    setReportError(null);
+  };
+
+  const handleSubmitReport = async (reviewId) => {
+    if (!reportReason) {
+      setReportError('Please choose a reason');
+      return;
+    }
+    
+    try {
+      await onReport(reviewId, reportReason, reportDetails);
+      setReportedIds(prev => [...prev, reviewId]);
+      setReportingId(null);
+    } catch (err) {
+      setReportError(err.message);
+    }
+  };
+
+  // Clicking the vote the user already cast takes it back
+  const renderVoteButton = (review, vote, label, count) => {
+    const isActive = userVotes[review.id] === vote;
+    return (
+      <button 
+        className={`helpful-button ${isActive ? 'active' : ''}`}
+        aria-pressed={isActive}
+        onClick={() => onVote(review.id, isActive ? null : vote)}
+      >
+        {label} ({count})
+      </button>
+    );
+  };
+
   return (
-    <div className="review-display-overlay">
+    <div className={inline ? 'review-display-inline' : 'review-display-overlay'}>
       <div className="review-display">
-        <div className="review-display-header">
-          <div>
-            <h2>{courseName}</h2>
-            <p className="course-code-subtitle">{courseCode}</p>
+        {!inline && (
+          <div className="review-display-header">
+            <div>
+              <h2>{courseName}</h2>
+              <p className="course-code-subtitle">{courseCode}</p>
+            </div>
+            <button className="close-button" onClick={onClose}>✕</button>
           </div>
-          <button className="close-button" onClick={onClose}>✕</button>
-        </div>
+        )}
 
         <div className="review-summary">
           <div className="average-rating">
@@ -58,16 +162,88 @@ function ReviewDisplay({
               {renderStars(Math.round(averageRating))}
             </div>
             <div className="review-count">
-              {reviews.length} {reviews.length === 1 ? 'review' : 'reviews'}
+              {totalReviews} {totalReviews === 1 ? 'review' : 'reviews'}
             </div>
           </div>
+          {stats && stats.reviewCount > 0 && (
+            <RatingSummary
+              stats={stats}
+              selectedRating={ratingFilter}
+              onSelectRating={onRatingFilterChange}
+            />
+          )}
         </div>
 
+        {onTagFilterChange && hasTags && (
+          <div className="review-tag-filter">
+            <span className="review-tag-filter-label">Filter by tag</span>
+            <TagCloud
+              tagCounts={tagCounts}
+              total={totalReviews}
+              selected={tagFilter}
+              onSelect={onTagFilterChange}
+            />
+          </div>
+        )}
+
+        {(ratingFilter || tagFilter) && (
+          <div className="review-filter-notice">
+            Showing {filterDescription}
+            {ratingFilter && onRatingFilterChange && (
+              <button type="button" className="review-filter-clear" onClick={() => onRatingFilterChange(null)}>
+                Show all ratings
+              </button>
+            )}
+            {tagFilter && onTagFilterChange && (
+              <button type="button" className="review-filter-clear" onClick={() => onTagFilterChange('')}>
+                Show all tags
+              </button>
+            )}
+          </div>
+        )}
+
+        {onInstructorChange && instructors.length > 1 && (
+          <div className="review-sort">
+            <label htmlFor="review-instructor">Taught by</label>
+            <select
+              id="review-instructor"
+              value={instructorId}
+              onChange={(e) => onInstructorChange(e.target.value)}
+            >
+              <option value="">All instructors</option>
+              {instructors.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {onSortChange && (
+          <div className="review-sort">
+            <label htmlFor="review-sort">Sort by</label>
+            <select
+              id="review-sort"
+              value={sortBy}
+              onChange={(e) => onSortChange(e.target.value)}
+            >
+              {Object.entries(REVIEW_SORTS).map(([value, sort]) => (
+                <option key={value} value={value}>{sort.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <div className="reviews-list">
           {reviews.length === 0 ? (
             <div className="no-reviews-message">
-              <p>No reviews yet for this course.</p>
-              <p>Be the first to share your experience!</p>
+              {ratingFilter || tagFilter ? (
+                <p>No {filterDescription}{instructorId ? ' for this instructor' : ''}.</p>
+              ) : (
+                <>
+                  <p>{instructorId ? 'No reviews yet for this instructor.' : 'No reviews yet for this course.'}</p>
+                  <p>Be the first to share your experience!</p>
+                </>
+              )}
             </div>
           ) : (
             reviews.map((review) => (
@@ -82,6 +258,11 @@ function ReviewDisplay({
                   </div>
                   <div className="review-date">
                     {formatDate(review.createdAt)}
+                    {isEditedReview(review) && (
+                      <span className="edited-marker" title={`Edited ${formatDate(review.updatedAt)}`}>
+                        {' '}(edited)
+                      </span>
+                    )}
                   </div>
                 </div>
 
@@ -93,12 +274,42 @@ function ReviewDisplay({
                       Taken: {review.semesterTaken}
                     </span>
                   )}
+                  {review.instructorId && (
+                    <Link className="review-instructor" to={instructorPath(review.instructorId)}>
+                      {review.instructorName}
+                    </Link>
+                  )}
                 </div>
 
+                {review.tags?.length > 0 && (
+                  <ul className="review-tags">
+                    {review.tags.map(tag => (
+                      <li key={tag} className="review-tag">{reviewTagLabel(tag)}</li>
+                    ))}
+                  </ul>
+                )}
+
                 <div className="review-text">
                   {review.reviewText}
                 </div>
 
+                {(review.pros || review.cons) && (
+                  <dl className="review-pros-cons">
+                    {review.pros && (
+                      <div className="review-pros">
+                        <dt>Pros</dt>
+                        <dd>{review.pros}</dd>
+                      </div>
+                    )}
+                    {review.cons && (
+                      <div className="review-cons">
+                        <dt>Cons</dt>
+                        <dd>{review.cons}</dd>
+                      </div>
+                    )}
+                  </dl>
+                )}
+
                 {(review.difficultyRating || review.workloadRating || review.profHelpfulnessRating) && (
                   <div className="review-breakdown">
                     {review.difficultyRating && (
@@ -129,16 +340,98 @@ function ReviewDisplay({
                 )}
 
                 <div className="review-actions">
-                  <button 
-                    className="helpful-button"
-                    onClick={() => onMarkHelpful(review.id)}
-                  >
-                    👍 Helpful ({review.helpfulVotes})
-                  </button>
+                  {user && (authoredReviewIds.includes(review.id) || review.userId === user.uid) ? (
+                    // Authors manage their own reviews instead of voting on them
+                    // (older reviews name theirs in userId until it is migrated);
+                    // a review a moderator redacted can only be deleted
+                    <>
+                      {review.redacted ? (
+                        <span className="redacted-note">
+                          Redacted by a moderator — this review can no longer be edited
+                        </span>
+                      ) : (
+                        <button className="helpful-button" onClick={() => onEdit(review)}>
+                          Edit
+                        </button>
+                      )}
+                      <button 
+                        className="report-button"
+                        onClick={() => {
+                          if (window.confirm('Delete your review? This cannot be undone.')) {
+                            onDelete(review.id);
+                          }
+                        }}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      {renderVoteButton(review, VOTE_HELPFUL, '👍 Helpful', review.helpfulVotes)}
+                      {renderVoteButton(
+                        review,
+                        VOTE_NOT_HELPFUL,
+                        '👎 Not helpful',
+                        review.totalVotes - review.helpfulVotes
+                      )}
+                      {reportedIds.includes(review.id) ? (
+                        <span className="reported-note">Reported — thanks</span>
+                      ) : (
+                        <button 
+                          className="report-button"
+                          onClick={() => startReport(review.id)}
+                        >
+                          Report
+                        </button>
+                      )}
+                    </>
+                  )}
                 </div>
+
+                {reportingId === review.id && (
+                  <div className="report-form">
+                    <label htmlFor={`report-reason-${review.id}`}>Why are you reporting this review?</label>
+                    <select
+                      id={`report-reason-${review.id}`}
+                      value={reportReason}
+                      onChange={(e) => setReportReason(e.target.value)}
+                    >
+                      <option value="">Choose a reason</option>
+                      {REPORT_REASONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <textarea
+                      value={reportDetails}
+                      onChange={(e) => setReportDetails(e.target.value)}
+                      placeholder="Anything else moderators should know? (optional)"
+                      rows="2"
+                      maxLength={500}
+                    />
+                    {reportError && <span className="error">{reportError}</span>}
+                    <div className="report-form-actions">
+                      <button className="btn btn-secondary" onClick={() => setReportingId(null)}>
+                        Cancel
+                      </button>
+                      <button className="btn btn-primary" onClick={() => handleSubmitReport(review.id)}>
+                        Submit Report
+                      </button>
+                    </div>
+                  </div>
+                )}
               </div>
             ))
           )}
+
+          {hasMore && (
+            <button
+              className="btn btn-secondary load-more-button"
+              onClick={onLoadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? 'Loading...' : 'Load more reviews'}
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -1,23 +1,44 @@
 import React, { useState } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import TermPicker from './TermPicker';
+import { getDisplayName } from '../services/authService';
+import { recentTerms, termKey } from '../services/terms';
+import { REVIEW_TAGS, PROS_CONS_MAX_LENGTH } from '../services/reviewService';
+
+// Reviews can be about the current term and the eight years before it
+const REVIEW_TERM_COUNT = 25;
 
 /**
- * ReviewForm - Form for students to submit course reviews
+ * ReviewForm - Form for students to submit or edit course reviews
  * @param {string} courseCode - Course code
  * @param {string} courseName - Course name
+ * @param {Object} review - Existing review to edit; omit to write a new one
+ * @param {Array} instructors - { id, name } of the course's instructors, to say who taught the reviewer
  * @param {Function} onSubmit - Callback when form is submitted
  * @param {Function} onCancel - Callback to cancel/close form
+ * @param {boolean} inline - Render as part of the page instead of a modal
  */
-function ReviewForm({ courseCode, courseName, onSubmit, onCancel }) {
+function ReviewForm({ courseCode, courseName, review = null, instructors = [], onSubmit, onCancel, inline = false }) {
+  const { user, signIn } = useAuth();
+  const isEditing = review !== null;
+  // Keep an edited review's instructor selectable even if the listing changed
+  const instructorChoices = review?.instructorName && !instructors.some(option => option.name === review.instructorName)
+    ? [...instructors, { id: review.instructorId, name: review.instructorName }]
+    : instructors;
   const [formData, setFormData] = useState({
-    rating: 0,
-    reviewText: '',
-    difficultyRating: 0,
-    workloadRating: 0,
-    profHelpfulnessRating: 0,
-    semesterTaken: '',
-    authorName: '',
-    authorEmail: '',
-    isAnonymous: true
+    rating: review?.rating || 0,
+    reviewText: review?.reviewText || '',
+    difficultyRating: review?.difficultyRating || 0,
+    workloadRating: review?.workloadRating || 0,
+    profHelpfulnessRating: review?.profHelpfulnessRating || 0,
+    tags: review?.tags || [],
+    pros: review?.pros || '',
+    cons: review?.cons || '',
+    semesterKey: review ? review.semesterKey || termKey(review.semesterTaken) : '',
+    instructorName: review
+      ? review.instructorName || ''
+      : (instructors.length === 1 ? instructors[0].name : ''),
+    isAnonymous: review ? review.isAnonymous : true
   });
 
   const [errors, setErrors] = useState({});
@@ -47,6 +68,15 @@ function ReviewForm({ courseCode, courseName, onSubmit, onCancel }) {
     }
   };
 
+  const toggleTag = (tag) => {
+    setFormData(prev => ({
+      ...prev,
+      tags: prev.tags.includes(tag)
+        ? prev.tags.filter(item => item !== tag)
+        : [...prev.tags, tag]
+    }));
+  };
+
   const validateForm = () => {
     const newErrors = {};
     
@@ -60,10 +90,6 @@ function ReviewForm({ courseCode, courseName, onSubmit, onCancel }) {
       newErrors.reviewText = 'Review must be at least 20 characters';
     }
     
-    if (!formData.isAnonymous && !formData.authorName.trim()) {
-      newErrors.authorName = 'Please enter your name or select anonymous';
-    }
-    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -85,7 +111,7 @@ function ReviewForm({ courseCode, courseName, onSubmit, onCancel }) {
       });
     } catch (error) {
       console.error('Error submitting review:', error);
-      setErrors({ submit: 'Failed to submit review. Please try again.' });
+      setErrors({ submit: error.message || 'Failed to submit review. Please try again.' });
     } finally {
       setIsSubmitting(false);
     }
@@ -111,138 +137,192 @@ function ReviewForm({ courseCode, courseName, onSubmit, onCancel }) {
   );
 
   return (
-    <div className="review-form-overlay">
+    <div className={inline ? 'review-form-inline' : 'review-form-overlay'}>
       <div className="review-form">
         <div className="form-header">
-          <h2>Leave a Review</h2>
+          <h2>{isEditing ? 'Edit Your Review' : 'Leave a Review'}</h2>
           <p className="form-subtitle">{courseName} ({courseCode})</p>
-          <button className="close-button" onClick={onCancel}>✕</button>
+          {!inline && <button className="close-button" onClick={onCancel}>✕</button>}
         </div>
 
-        <form onSubmit={handleSubmit}>
-          <div className="form-section">
-            <RatingSelector
-              label="Overall Rating *"
-              value={formData.rating}
-              onChange={handleRatingChange}
-              name="rating"
-            />
-            {errors.rating && <span className="error">{errors.rating}</span>}
+        {!user ? (
+          <div className="sign-in-required">
+            <p>Sign in with your BU account to leave a review.</p>
+            <button type="button" className="btn btn-primary" onClick={signIn}>
+              Sign in with BU
+            </button>
           </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-section">
+              <RatingSelector
+                label="Overall Rating *"
+                value={formData.rating}
+                onChange={handleRatingChange}
+                name="rating"
+              />
+              {errors.rating && <span className="error">{errors.rating}</span>}
+            </div>
 
-          <div className="form-section">
-            <label htmlFor="reviewText">Your Review *</label>
-            <textarea
-              id="reviewText"
-              name="reviewText"
-              value={formData.reviewText}
-              onChange={handleInputChange}
-              placeholder="Share your experience with this course... (minimum 20 characters)"
-              rows="5"
-              className={errors.reviewText ? 'error' : ''}
-            />
-            {errors.reviewText && <span className="error">{errors.reviewText}</span>}
-          </div>
+            <div className="form-section">
+              <label htmlFor="reviewText">Your Review *</label>
+              <textarea
+                id="reviewText"
+                name="reviewText"
+                value={formData.reviewText}
+                onChange={handleInputChange}
+                placeholder="Share your experience with this course... (minimum 20 characters)"
+                rows="5"
+                className={errors.reviewText ? 'error' : ''}
+              />
+              {errors.reviewText && <span className="error">{errors.reviewText}</span>}
+            </div>
 
-          <div className="form-section optional-ratings">
-            <h3>Additional Ratings (Optional)</h3>
+            <div className="form-section">
+              <label id="review-tags-label">Tags (Optional)</label>
+              <div className="tag-picker" role="group" aria-labelledby="review-tags-label">
+                {REVIEW_TAGS.map(option => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    className={`review-tag${formData.tags.includes(option.value) ? ' active' : ''}`}
+                    aria-pressed={formData.tags.includes(option.value)}
+                    onClick={() => toggleTag(option.value)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="form-section pros-cons-fields">
+              <div>
+                <label htmlFor="pros">Pros (Optional)</label>
+                <textarea
+                  id="pros"
+                  name="pros"
+                  value={formData.pros}
+                  onChange={handleInputChange}
+                  placeholder="What worked well?"
+                  rows="3"
+                  maxLength={PROS_CONS_MAX_LENGTH}
+                />
+              </div>
+              <div>
+                <label htmlFor="cons">Cons (Optional)</label>
+                <textarea
+                  id="cons"
+                  name="cons"
+                  value={formData.cons}
+                  onChange={handleInputChange}
+                  placeholder="What could be better?"
+                  rows="3"
+                  maxLength={PROS_CONS_MAX_LENGTH}
+                />
+              </div>
+            </div>
+
+            <div className="form-section optional-ratings">
+              <h3>Additional Ratings (Optional)</h3>
             
-            <RatingSelector
-              label="Difficulty"
-              value={formData.difficultyRating}
-              onChange={handleRatingChange}
-              name="difficultyRating"
-            />
+              <RatingSelector
+                label="Difficulty"
+                value={formData.difficultyRating}
+                onChange={handleRatingChange}
+                name="difficultyRating"
+              />
             
-            <RatingSelector
-              label="Workload"
-              value={formData.workloadRating}
-              onChange={handleRatingChange}
-              name="workloadRating"
-            />
+              <RatingSelector
+                label="Workload"
+                value={formData.workloadRating}
+                onChange={handleRatingChange}
+                name="workloadRating"
+              />
             
-            <RatingSelector
-              label="Professor Helpfulness"
-              value={formData.profHelpfulnessRating}
-              onChange={handleRatingChange}
-              name="profHelpfulnessRating"
-            />
-          </div>
-
-          <div className="form-section">
-            <label htmlFor="semesterTaken">Semester Taken</label>
-            <input
-              type="text"
-              id="semesterTaken"
-              name="semesterTaken"
-              value={formData.semesterTaken}
-              onChange={handleInputChange}
-              placeholder="e.g., Fall 2025"
-            />
-          </div>
-
-          <div className="form-section">
-            <div className="checkbox-group">
-              <input
-                type="checkbox"
-                id="isAnonymous"
-                name="isAnonymous"
-                checked={formData.isAnonymous}
-                onChange={handleInputChange}
+              <RatingSelector
+                label="Professor Helpfulness"
+                value={formData.profHelpfulnessRating}
+                onChange={handleRatingChange}
+                name="profHelpfulnessRating"
               />
-              <label htmlFor="isAnonymous">Post anonymously</label>
             </div>
-          </div>
 
-          {!formData.isAnonymous && (
             <div className="form-section">
-              <label htmlFor="authorName">Your Name *</label>
-              <input
-                type="text"
-                id="authorName"
-                name="authorName"
-                value={formData.authorName}
-                onChange={handleInputChange}
-                placeholder="Enter your name"
-                className={errors.authorName ? 'error' : ''}
+              <label htmlFor="semesterKey">Semester Taken</label>
+              <TermPicker
+                id="semesterKey"
+                value={formData.semesterKey}
+                onChange={(key) => setFormData(prev => ({ ...prev, semesterKey: key }))}
+                terms={recentTerms(REVIEW_TERM_COUNT)}
+                emptyLabel="Not sure"
               />
-              {errors.authorName && <span className="error">{errors.authorName}</span>}
-              
-              <label htmlFor="authorEmail">Email (Optional)</label>
-              <input
-                type="email"
-                id="authorEmail"
-                name="authorEmail"
-                value={formData.authorEmail}
-                onChange={handleInputChange}
-                placeholder="your.email@bu.edu"
-              />
-              <small>Your email will only be visible if you choose to share it</small>
             </div>
-          )}
-
-          {errors.submit && (
-            <div className="error-message">{errors.submit}</div>
-          )}
-
-          <div className="form-actions">
-            <button 
-              type="button" 
-              className="btn btn-secondary" 
-              onClick={onCancel}
-              disabled={isSubmitting}
-            >
-              Cancel
-            </button>
-            <button 
-              type="submit" 
-              className="btn btn-primary"
-              disabled={isSubmitting}
-            >
-              {isSubmitting ? 'Submitting...' : 'Submit Review'}
-            </button>
-          </div>
-        </form>
+
+            {instructorChoices.length > 0 && (
+              <div className="form-section">
+                <label htmlFor="instructorName">Instructor</label>
+                <select
+                  id="instructorName"
+                  name="instructorName"
+                  value={formData.instructorName}
+                  onChange={handleInputChange}
+                >
+                  <option value="">Not sure</option>
+                  {instructorChoices.map(option => (
+                    <option key={option.id} value={option.name}>{option.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="form-section">
+              <div className="checkbox-group">
+                <input
+                  type="checkbox"
+                  id="isAnonymous"
+                  name="isAnonymous"
+                  checked={formData.isAnonymous}
+                  onChange={handleInputChange}
+                />
+                <label htmlFor="isAnonymous">Post anonymously</label>
+              </div>
+            </div>
+
+            <div className="form-section posting-as">
+              {formData.isAnonymous ? (
+                <small>Your name and email will be hidden from other students.</small>
+              ) : (
+                <small>
+                  Posting as <strong>{getDisplayName(user)}</strong> ({user.email})
+                </small>
+              )}
+            </div>
+
+            {errors.submit && (
+              <div className="error-message">{errors.submit}</div>
+            )}
+
+            <div className="form-actions">
+              <button 
+                type="button" 
+                className="btn btn-secondary" 
+                onClick={onCancel}
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+              <button 
+                type="submit" 
+                className="btn btn-primary"
+                disabled={isSubmitting}
+              >
+                {isSubmitting
+                  ? (isEditing ? 'Saving...' : 'Submitting...')
+                  : (isEditing ? 'Save Changes' : 'Submit Review')}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,61 @@
+import React from 'react';
+import { REVIEW_TAGS } from '../services/reviewService';
+
+/**
+ * TagCloud - The tags reviewers picked, sized by how many picked each
+ * With `onSelect` each tag is a button that filters to it, and clicking the
+ * selected tag again clears it.
+ * @param {Object} tagCounts - Tag value to number of reviews (courseStats.tagCounts)
+ * @param {number} total - Number of reviews, for the share in each tag's tooltip
+ * @param {string} selected - Tag currently picked ('' for none)
+ * @param {Function} onSelect - Called with a tag value, or '' to clear
+ * @param {boolean} compact - Smaller, without counts, for cards
+ */
+function TagCloud({ tagCounts = {}, total = 0, selected = '', onSelect, compact = false }) {
+  // Most-picked first; ties keep REVIEW_TAGS order
+  const tags = REVIEW_TAGS
+    .map(option => ({ ...option, count: tagCounts[option.value] || 0 }))
+    .filter(tag => tag.count > 0 || tag.value === selected)
+    .sort((a, b) => b.count - a.count);
+  if (tags.length === 0) return null;
+
+  const maxCount = Math.max(...tags.map(tag => tag.count), 1);
+
+  return (
+    <ul className={`tag-cloud${compact ? ' compact' : ''}`}>
+      {tags.map(tag => {
+        const style = { fontSize: `${(compact ? 0.75 : 0.85) + 0.35 * (tag.count / maxCount)}em` };
+        const title = total > 0
+          ? `${tag.count} of ${total} ${total === 1 ? 'review' : 'reviews'}`
+          : `${tag.count} ${tag.count === 1 ? 'review' : 'reviews'}`;
+        const content = (
+          <>
+            {tag.label}
+            {!compact && <span className="tag-count">{tag.count}</span>}
+          </>
+        );
+
+        return (
+          <li key={tag.value}>
+            {onSelect ? (
+              <button
+                type="button"
+                className={`review-tag${selected === tag.value ? ' active' : ''}`}
+                style={style}
+                title={title}
+                aria-pressed={selected === tag.value}
+                onClick={() => onSelect(selected === tag.value ? '' : tag.value)}
+              >
+                {content}
+              </button>
+            ) : (
+              <span className="review-tag" style={style} title={title}>{content}</span>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default TagCloud;
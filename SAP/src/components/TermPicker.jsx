@@ -0,0 +1,26 @@
+import React from 'react';
+import { isTermKey, termLabel } from '../services/terms';
+
+/**
+ * TermPicker - Select for a semester, by canonical term key
+ * A value outside `terms` (e.g. an older review's semester) stays selectable.
+ * @param {string} id - Element ID, for a <label htmlFor>
+ * @param {string} value - Selected term key ('' for none)
+ * @param {Function} onChange - Called with the chosen term key ('' for none)
+ * @param {Array<string>} terms - Term keys to offer, in display order
+ * @param {string} emptyLabel - Label of the no-term option
+ */
+function TermPicker({ id, value, onChange, terms, emptyLabel = 'Choose a semester' }) {
+  const options = isTermKey(value) && !terms.includes(value) ? [value, ...terms] : terms;
+
+  return (
+    <select id={id} value={isTermKey(value) ? value : ''} onChange={(e) => onChange(e.target.value)}>
+      <option value="">{emptyLabel}</option>
+      {options.map(key => (
+        <option key={key} value={key}>{termLabel(key)}</option>
+      ))}
+    </select>
+  );
+}
+
+export default TermPicker;
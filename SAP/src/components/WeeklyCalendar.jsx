@@ -0,0 +1,125 @@
+import React from 'react';
+import { CALENDAR_DAYS, findConflicts, formatTime } from '../services/schedule';
+
+// Always show at least 8am-6pm so a light week still reads as a week
+const DEFAULT_DAY_START = 8 * 60;
+const DEFAULT_DAY_END = 18 * 60;
+const HOUR_HEIGHT = 48;
+
+/**
+ * Place a day's blocks side by side where they overlap
+ * @param {Array} blocks - { start, end } sorted by start
+ * @returns {number} - Number of lanes used; each block gets a `lane`
+ */
+function assignLanes(blocks) {
+  const laneEnds = [];
+  blocks.forEach(block => {
+    let lane = laneEnds.findIndex(end => end <= block.start);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(block.end);
+    } else {
+      laneEnds[lane] = block.end;
+    }
+    block.lane = lane;
+  });
+  return Math.max(1, laneEnds.length);
+}
+
+/**
+ * WeeklyCalendar - Week grid of courses and blocked-out times
+ * Items whose meetings overlap are highlighted and listed below the grid.
+ * @param {Array} items - { id, label, kind: 'course'|'blocked', meetings }
+ * @param {string} title - Accessible name for the grid, e.g. "Fall 2026 schedule"
+ */
+function WeeklyCalendar({ items, title }) {
+  const meetings = items.flatMap(item => item.meetings);
+  if (meetings.length === 0) {
+    return <p className="search-status">Nothing with a meeting time to show yet.</p>;
+  }
+
+  const conflicts = findConflicts(items);
+  const conflicting = new Set(conflicts.flatMap(conflict => [conflict.first, conflict.second]));
+  const labels = Object.fromEntries(items.map(item => [item.id, item.label]));
+
+  const dayStart = Math.min(DEFAULT_DAY_START, Math.floor(Math.min(...meetings.map(m => m.start)) / 60) * 60);
+  const dayEnd = Math.max(DEFAULT_DAY_END, Math.ceil(Math.max(...meetings.map(m => m.end)) / 60) * 60);
+  const hours = Array.from({ length: (dayEnd - dayStart) / 60 }, (_, i) => dayStart + i * 60);
+  const toPixels = (minutes) => ((minutes - dayStart) / 60) * HOUR_HEIGHT;
+
+  // Weekends only get a column when something meets then
+  const days = CALENDAR_DAYS.filter(day => !['S', 'U'].includes(day.value) ||
+    meetings.some(meeting => meeting.days.includes(day.value)));
+
+  const columns = { gridTemplateColumns: `56px repeat(${days.length}, 1fr)` };
+
+  return (
+    <div className="weekly-calendar">
+      <div className="calendar-grid" role="group" aria-label={title}>
+        <div className="calendar-row calendar-head" style={columns}>
+          <div className="calendar-gutter" />
+          {days.map(day => (
+            <div key={day.value} className="calendar-day-label">{day.label}</div>
+          ))}
+        </div>
+
+        <div className="calendar-row" style={{ ...columns, height: toPixels(dayEnd) }}>
+          <div className="calendar-gutter">
+            {hours.map(hour => (
+              <span key={hour} className="calendar-hour" style={{ top: toPixels(hour) }}>
+                {formatTime(hour).replace(':00', '')}
+              </span>
+            ))}
+          </div>
+
+          {days.map(day => {
+            const blocks = items
+              .flatMap(item => item.meetings
+                .filter(meeting => meeting.days.includes(day.value))
+                .map(meeting => ({ item, start: meeting.start, end: meeting.end })))
+              .sort((a, b) => a.start - b.start);
+            const lanes = assignLanes(blocks);
+
+            return (
+              <div key={day.value} className="calendar-day">
+                {hours.map(hour => (
+                  <div key={hour} className="calendar-hour-line" style={{ top: toPixels(hour) }} />
+                ))}
+                {blocks.map(block => (
+                  <div
+                    key={`${block.item.id}-${block.start}`}
+                    className={`calendar-block ${block.item.kind} ${conflicting.has(block.item.id) ? 'conflict' : ''}`}
+                    style={{
+                      top: toPixels(block.start),
+                      height: toPixels(block.end) - toPixels(block.start),
+                      left: `${(block.lane / lanes) * 100}%`,
+                      width: `${100 / lanes}%`
+                    }}
+                    title={`${block.item.label}, ${formatTime(block.start)}-${formatTime(block.end)}`}
+                  >
+                    <strong>{block.item.label}</strong>
+                    <span>{formatTime(block.start)}</span>
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {conflicts.length > 0 && (
+        <ul className="calendar-conflicts">
+          {conflicts.map(({ first, second, overlap }) => (
+            <li key={`${first}-${second}-${overlap.days.join('')}-${overlap.start}`}>
+              {labels[first]} and {labels[second]} overlap on{' '}
+              {CALENDAR_DAYS.filter(day => overlap.days.includes(day.value)).map(day => day.label).join(', ')}{' '}
+              {formatTime(overlap.start)}-{formatTime(overlap.end)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default WeeklyCalendar;
@@ -0,0 +1,78 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { auth } from '../services/firebase';
+import { signInWithBU, signOutUser, isBUEmail } from '../services/authService';
+import AuthContext from './authContext';
+
+/**
+ * AuthProvider - Tracks the Firebase user and exposes BU sign-in/out
+ * @param {ReactNode} children - App tree
+ */
+function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [isModerator, setIsModerator] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, async (firebaseUser) => {
+      // A restored session from a non-BU account is treated as signed out
+      if (firebaseUser && !isBUEmail(firebaseUser.email)) {
+        signOutUser().catch(() => {});
+        setUser(null);
+        setIsModerator(false);
+      } else {
+        // Moderators carry a custom claim set by functions/scripts/setModerator.js.
+        // Reading it can fail (e.g. an expired token while offline); the
+        // user then stays signed in without moderator tools.
+        let moderator = false;
+        try {
+          const tokenResult = firebaseUser ? await firebaseUser.getIdTokenResult() : null;
+          moderator = tokenResult?.claims.moderator === true;
+        } catch (err) {
+          console.error('Error reading moderator claim:', err);
+        }
+        setIsModerator(moderator);
+        setUser(firebaseUser);
+      }
+      setLoading(false);
+    });
+
+    return unsubscribe;
+  }, []);
+
+  const signIn = useCallback(async () => {
+    setError(null);
+    try {
+      await signInWithBU();
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  const signOut = useCallback(async () => {
+    setError(null);
+    try {
+      await signOutUser();
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  const value = useMemo(
+    () => ({ user, isModerator, loading, error, signIn, signOut }),
+    [user, isModerator, loading, error, signIn, signOut]
+  );
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export default AuthProvider;
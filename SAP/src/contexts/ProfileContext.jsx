@@ -0,0 +1,63 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { subscribeToProfile, saveProfile as saveProfileDoc } from '../services/profileService';
+import ProfileContext from './profileContext';
+
+/**
+ * ProfileProvider - Keeps the signed-in student's profile (users/{uid}) live
+ * Must sit inside AuthProvider. The profile is null while signed out.
+ * @param {ReactNode} children - App tree
+ */
+function ProfileProvider({ children }) {
+  const { user } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setProfile(null);
+    setError(null);
+    if (!user) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    return subscribeToProfile(
+      user.uid,
+      (nextProfile) => {
+        setProfile(nextProfile);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err.message);
+        setLoading(false);
+      }
+    );
+  }, [user]);
+
+  const saveProfile = useCallback(async (nextProfile) => {
+    if (!user) {
+      return { success: false, error: 'Sign in to save your profile' };
+    }
+    try {
+      await saveProfileDoc(user.uid, nextProfile);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [user]);
+
+  const value = useMemo(
+    () => ({ profile, loading, error, saveProfile }),
+    [profile, loading, error, saveProfile]
+  );
+
+  return (
+    <ProfileContext.Provider value={value}>
+      {children}
+    </ProfileContext.Provider>
+  );
+}
+
+export default ProfileProvider;
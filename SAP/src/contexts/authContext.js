@@ -0,0 +1,8 @@
+import { createContext } from 'react';
+
+/**
+ * Auth state shared by AuthProvider: { user, isModerator, loading, error, signIn, signOut }
+ */
+const AuthContext = createContext(null);
+
+export default AuthContext;
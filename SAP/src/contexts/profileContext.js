@@ -0,0 +1,8 @@
+import { createContext } from 'react';
+
+/**
+ * Profile state shared by ProfileProvider: { profile, loading, error, saveProfile }
+ */
+const ProfileContext = createContext(null);
+
+export default ProfileContext;
@@ -0,0 +1,113 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { streamAdvisorChat } from '../services/terrierGPTService';
+
+/**
+ * A chat message in the form the advisor reads: its text, and the codes of
+ * the courses it showed
+ * @param {Object} message - { role, parts }
+ * @returns {Object} - { role, content, courseCodes }
+ */
+function toAgentMessage(message) {
+  return {
+    role: message.role,
+    content: message.parts.filter(part => part.type === 'text').map(part => part.text).join(''),
+    courseCodes: message.parts.filter(part => part.type === 'course').map(part => part.course.courseCode)
+  };
+}
+
+/**
+ * Add a streamed part to a message, joining consecutive text
+ * @param {Object} message - { parts }
+ * @param {Object} part - { type: 'text', text } or { type: 'course', course }
+ * @returns {Object} - Updated message
+ */
+function appendPart(message, part) {
+  const last = message.parts[message.parts.length - 1];
+  if (part.type === 'text' && last && last.type === 'text') {
+    return { ...message, parts: [...message.parts.slice(0, -1), { type: 'text', text: last.text + part.text }] };
+  }
+  return { ...message, parts: [...message.parts, part] };
+}
+
+/**
+ * Custom hook for a conversation with the TerrierGPT advisor
+ * Messages are { id, role: 'user'|'assistant', parts }, where parts are
+ * text and the courses mentioned, in the order they streamed in.
+ * @param {Object} context - { studentData, courses: currently recommended courses }
+ * @param {Array|Function} initialMessages - Conversation to pick up from, or a function returning it
+ * @returns {Object} - { messages, sending, error, sendMessage, stop, clearChat }
+ */
+export function useAdvisorChat({ studentData, courses }, initialMessages = []) {
+  const [messages, setMessages] = useState(initialMessages);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stop streaming into a component that's gone
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  const sendMessage = useCallback(async (text) => {
+    const content = text.trim();
+    if (!content) {
+      return { success: false, error: 'Type a message first' };
+    }
+    if (abortRef.current) {
+      return { success: false, error: 'Wait for the current reply to finish' };
+    }
+
+    const userMessage = { id: crypto.randomUUID(), role: 'user', parts: [{ type: 'text', text: content }] };
+    const replyId = crypto.randomUUID();
+    const addToReply = (part) => {
+      setMessages(prev => prev.map(message => (message.id === replyId ? appendPart(message, part) : message)));
+    };
+    setMessages(prev => [...prev, userMessage, { id: replyId, role: 'assistant', parts: [] }]);
+    setError(null);
+    setSending(true);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      await streamAdvisorChat(
+        [...messages, userMessage].map(toAgentMessage),
+        { studentData, courses },
+        {
+          signal: controller.signal,
+          onText: (chunk) => addToReply({ type: 'text', text: chunk }),
+          onCourse: (course) => addToReply({ type: 'course', course })
+        }
+      );
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      // Drop the reply if nothing arrived before it failed or was stopped
+      setMessages(prev => prev.filter(message => message.id !== replyId || message.parts.length > 0));
+      abortRef.current = null;
+      setSending(false);
+    }
+  }, [messages, studentData, courses]);
+
+  const stop = useCallback(() => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  const clearChat = useCallback(() => {
+    stop();
+    setMessages([]);
+    setError(null);
+  }, [stop]);
+
+  return {
+    messages,
+    sending,
+    error,
+    sendMessage,
+    stop,
+    clearChat
+  };
+}
+
+export default useAdvisorChat;
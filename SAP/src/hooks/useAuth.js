@@ -0,0 +1,16 @@
+import { useContext } from 'react';
+import AuthContext from '../contexts/authContext';
+
+/**
+ * Custom hook for reading the signed-in user
+ * @returns {Object} - { user, isModerator, loading, error, signIn, signOut }
+ */
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside an AuthProvider');
+  }
+  return context;
+}
+
+export default useAuth;
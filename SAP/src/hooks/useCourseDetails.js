@@ -0,0 +1,33 @@
+import { useState, useEffect, useRef } from 'react';
+import { getCourseDetails } from '../services/terrierGPTService';
+
+/**
+ * Custom hook that loads full details for a set of courses
+ * Each course is requested once; codes added later are loaded as they appear.
+ * @param {Array<string>} courseCodes - Course codes to load
+ * @returns {Object} - Normalized courses by code; undefined while loading, null if unknown
+ */
+export function useCourseDetails(courseCodes) {
+  const [details, setDetails] = useState({});
+  const requested = useRef(new Set());
+
+  // Reload only when the set of courses changes, not on every render
+  const codesKey = [...new Set(courseCodes)].join(',');
+  useEffect(() => {
+    const missing = (codesKey ? codesKey.split(',') : [])
+      .filter(code => !requested.current.has(code));
+    missing.forEach(code => {
+      requested.current.add(code);
+      getCourseDetails(code)
+        .catch(err => {
+          console.error('Error loading course details:', err);
+          return null;
+        })
+        .then(course => setDetails(prev => ({ ...prev, [code]: course })));
+    });
+  }, [codesKey]);
+
+  return details;
+}
+
+export default useCourseDetails;
@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+import { subscribeToCourseStats, emptyCourseStats } from '../services/courseStatsService';
+
+/**
+ * Custom hook for live rating summaries of a set of courses
+ * @param {Array<string>} courseCodes - Course codes to watch
+ * @returns {Function} - Lookup returning a course's stats (empty until loaded)
+ */
+export function useCourseStats(courseCodes) {
+  const [statsByCourse, setStatsByCourse] = useState({});
+
+  // Resubscribe only when the set of courses changes, not on every render
+  const codesKey = courseCodes.join(',');
+  useEffect(() => {
+    if (!codesKey) {
+      setStatsByCourse({});
+      return;
+    }
+    return subscribeToCourseStats(codesKey.split(','), setStatsByCourse);
+  }, [codesKey]);
+
+  return (courseCode) => statsByCourse[courseCode] || emptyCourseStats(courseCode);
+}
+
+export default useCourseStats;
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom hook that follows a value after it stops changing
+ * @param {*} value - Value to debounce (e.g. a search box's text)
+ * @param {number} delayMs - How long the value must stay unchanged
+ * @returns {*} - The value as of the last pause
+ */
+export function useDebouncedValue(value, delayMs = 300) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delayMs);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+
+  return debouncedValue;
+}
+
+export default useDebouncedValue;
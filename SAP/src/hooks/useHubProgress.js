@@ -0,0 +1,49 @@
+import { useMemo } from 'react';
+import { useProfile } from './useProfile';
+import { usePlans } from './usePlans';
+import { useCourseDetails } from './useCourseDetails';
+import { computeHubProgress } from '../services/hubRequirements';
+
+/**
+ * Course codes in a saved plan
+ * @param {Object|null} plan - Plan document
+ * @returns {Array<string>} - Codes across all semesters
+ */
+function plannedCourseCodes(plan) {
+  return plan ? plan.semesters.flatMap(semester => semester.courses.map(course => course.courseCode)) : [];
+}
+
+/**
+ * Custom hook for the signed-in student's BU Hub progress
+ * Counts completed courses from the profile and the courses in the most
+ * recently saved plan.
+ * @returns {Object} - { progress (null while signed out), plan, loading }
+ */
+export function useHubProgress() {
+  const { profile, loading: profileLoading } = useProfile();
+  const { plans, loading: plansLoading } = usePlans();
+  const plan = plans[0] || null;
+
+  const completedCodes = profile ? profile.completedCourses.map(course => course.courseCode) : [];
+  const plannedCodes = plannedCourseCodes(plan);
+  const details = useCourseDetails([...completedCodes, ...plannedCodes]);
+  const detailsLoaded = [...completedCodes, ...plannedCodes].every(code => details[code] !== undefined);
+
+  const progress = useMemo(() => {
+    if (!profile) return null;
+    const coursesFor = (codes) => codes.map(code => details[code]).filter(Boolean);
+    return computeHubProgress({
+      completedCourses: coursesFor(profile.completedCourses.map(course => course.courseCode)),
+      plannedCourses: coursesFor(plannedCourseCodes(plan)),
+      satisfiedAreas: profile.hubAreasSatisfied
+    });
+  }, [profile, plan, details]);
+
+  return {
+    progress,
+    plan,
+    loading: profileLoading || plansLoading || !detailsLoaded
+  };
+}
+
+export default useHubProgress;
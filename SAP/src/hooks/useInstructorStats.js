@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { subscribeToInstructorStats } from '../services/instructorService';
+
+/**
+ * Custom hook for an instructor's live ratings across their courses
+ * @param {string} instructorId - Instructor ID
+ * @returns {Object} - { stats (null until loaded), loading, error }
+ */
+export function useInstructorStats(instructorId) {
+  // Keyed by instructor so a page switching instructors never shows the last one's stats
+  const [state, setState] = useState({ instructorId: null, stats: null, error: null });
+
+  useEffect(() => {
+    if (!instructorId) return;
+    return subscribeToInstructorStats(
+      instructorId,
+      (stats) => setState({ instructorId, stats, error: null }),
+      (err) => setState({ instructorId, stats: null, error: err.message })
+    );
+  }, [instructorId]);
+
+  const current = state.instructorId === instructorId;
+  return {
+    stats: current ? state.stats : null,
+    loading: Boolean(instructorId) && !current,
+    error: current ? state.error : null
+  };
+}
+
+export default useInstructorStats;
@@ -0,0 +1,89 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './useAuth';
+import {
+  subscribeToPlans,
+  createPlan as createPlanDoc,
+  updatePlan as updatePlanDoc,
+  deletePlan as deletePlanDoc
+} from '../services/planService';
+
+/**
+ * Custom hook for the signed-in student's saved degree plans
+ * Plans stay live; mutations resolve to { success, error } (and planId for new plans).
+ * @returns {Object} - { plans, loading, error, createPlan, savePlan, removePlan }
+ */
+export function usePlans() {
+  const { user } = useAuth();
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setPlans([]);
+    setError(null);
+    if (!user) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    return subscribeToPlans(
+      user.uid,
+      (nextPlans) => {
+        setPlans(nextPlans);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err.message);
+        setLoading(false);
+      }
+    );
+  }, [user]);
+
+  const createPlan = useCallback(async (plan) => {
+    if (!user) {
+      return { success: false, error: 'Sign in to save plans' };
+    }
+    try {
+      const planId = await createPlanDoc(user.uid, plan);
+      return { success: true, planId };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [user]);
+
+  const savePlan = useCallback(async (planId, plan) => {
+    if (!user) {
+      return { success: false, error: 'Sign in to save plans' };
+    }
+    try {
+      await updatePlanDoc(user.uid, planId, plan);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [user]);
+
+  const removePlan = useCallback(async (planId) => {
+    if (!user) {
+      return { success: false, error: 'Sign in to delete plans' };
+    }
+    try {
+      await deletePlanDoc(user.uid, planId);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [user]);
+
+  return {
+    plans,
+    loading,
+    error,
+    createPlan,
+    savePlan,
+    removePlan
+  };
+}
+
+export default usePlans;
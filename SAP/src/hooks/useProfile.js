@@ -0,0 +1,16 @@
+import { useContext } from 'react';
+import ProfileContext from '../contexts/profileContext';
+
+/**
+ * Custom hook for reading and saving the signed-in student's profile
+ * @returns {Object} - { profile, loading, error, saveProfile }
+ */
+export function useProfile() {
+  const context = useContext(ProfileContext);
+  if (!context) {
+    throw new Error('useProfile must be used inside a ProfileProvider');
+  }
+  return context;
+}
+
+export default useProfile;
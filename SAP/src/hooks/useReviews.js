@@ -1,41 +1,259 @@
-import { useState, useEffect } from 'react';
-import { getReviewsByCourse, submitReview, upvoteReview } from '../services/reviewService';
+import { useState, useEffect, useRef } from 'react';
+import { Timestamp } from 'firebase/firestore';
+import {
+  getReviewsPage,
+  subscribeToCourseReviews,
+  submitReview,
+  updateReview,
+  deleteReview,
+  voteOnReview,
+  getUserVotes,
+  subscribeToAuthoredReviewIds,
+  reportReview,
+  DEFAULT_REVIEW_SORT,
+  REVIEWS_PAGE_SIZE,
+  VOTE_HELPFUL
+} from '../services/reviewService';
+import { getCourseStats, subscribeToCourseStats, emptyCourseStats } from '../services/courseStatsService';
+import { useAuth } from './useAuth';
+
+/**
+ * Review counters after a user's vote changes from previousVote to vote
+ * @param {Object} review - Review with helpfulVotes and totalVotes
+ * @param {string|null} previousVote - The user's current vote
+ * @param {string|null} vote - The new vote
+ * @returns {Object} - { helpfulVotes, totalVotes }
+ */
+function applyVote(review, previousVote, vote) {
+  const helpful = (value) => (value === VOTE_HELPFUL ? 1 : 0);
+  const counted = (value) => (value ? 1 : 0);
+  return {
+    helpfulVotes: review.helpfulVotes + helpful(vote) - helpful(previousVote),
+    totalVotes: review.totalVotes + counted(vote) - counted(previousVote)
+  };
+}
+
+/**
+ * Drop one review's entry from a map keyed by review ID
+ * @param {Object} map - Map keyed by review ID
+ * @param {string} reviewId - Review document ID
+ * @returns {Object} - Copy of the map without reviewId
+ */
+function withoutReview(map, reviewId) {
+  const { [reviewId]: _removed, ...rest } = map;
+  return rest;
+}
+
+/**
+ * Rating stats from a courseStats document, overall or for one instructor
+ * @param {Object} stats - courseStats document
+ * @param {string} instructorId - Instructor ID, or '' for the whole course
+ * @returns {Object} - averageRating, reviewCount, ratingHistogram, the optional rating means and tagCounts
+ */
+function ratingSummary(stats, instructorId) {
+  const summary = instructorId ? (stats.byInstructor || {})[instructorId] : stats;
+  return { ...emptyCourseStats(stats.courseCode), ...summary };
+}
 
 /**
  * Custom hook for managing course reviews
+ * Reviews are loaded a page at a time in the selected sort order; the
+ * average and total come from the course's precomputed stats.
+ *
+ * With `live: true` the reviews and stats come from Firestore listeners
+ * instead, so new reviews, edits and other users' votes show up without a
+ * refetch. The listeners are removed when the course changes or the hook
+ * unmounts.
+ *
+ * With an `instructorId` only reviews of that instructor's sections are
+ * listed, and the stats are theirs. `ratingFilter` narrows the list to one
+ * star rating and `tagFilter` to reviews with one tag; both start over when
+ * the course or instructor changes.
  * @param {string} courseCode - Course code to fetch reviews for
+ * @param {Object} options - { live } to subscribe instead of fetching once, { instructorId } to filter
  * @returns {Object} - Reviews data and helper functions
  */
-export function useReviews(courseCode) {
+export function useReviews(courseCode, { live = false, instructorId = '' } = {}) {
   const [reviews, setReviews] = useState([]);
-  const [averageRating, setAverageRating] = useState(0);
-  const [totalReviews, setTotalReviews] = useState(0);
+  const [stats, setStats] = useState(() => emptyCourseStats(courseCode));
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
-
-  // Fetch reviews when courseCode changes
+  const [userVotes, setUserVotes] = useState({});
+  const [authoredReviewIds, setAuthoredReviewIds] = useState([]);
+  const [sortBy, setSortBy] = useState(DEFAULT_REVIEW_SORT);
+  const [hasMore, setHasMore] = useState(false);
+  // Optimistic vote counts by review ID, shown until the server catches up
+  const [pendingCounts, setPendingCounts] = useState({});
+  const cursorRef = useRef(null);
+  // Bumped on every first-page load so late pages from an old sort are dropped
+  const requestIdRef = useRef(0);
+  const { user } = useAuth();
+  
+  const filterKey = `${courseCode}|${instructorId}`;
+  const [filterState, setFilterState] = useState({ key: filterKey, rating: null, tag: '' });
+  const filters = filterState.key === filterKey ? filterState : { rating: null, tag: '' };
+  const ratingFilter = filters.rating;
+  const tagFilter = filters.tag;
+  const setRatingFilter = (rating) => setFilterState({ ...filters, key: filterKey, rating });
+  const setTagFilter = (tag) => setFilterState({ ...filters, key: filterKey, tag });
+  
+  // Live mode shows more by raising the listener's limit; the page count
+  // starts over whenever the course, sort order or a filter changes
+  const listKey = `${filterKey}|${sortBy}|${ratingFilter}|${tagFilter}`;
+  const [livePages, setLivePages] = useState({ key: listKey, pages: 1 });
+  const pageCount = livePages.key === listKey ? livePages.pages : 1;
+  
+  // Start over from the first page when the course, sort order or a filter changes
   useEffect(() => {
-    if (courseCode) {
+    if (!courseCode) {
+      // No course selected (e.g. the review display is closed)
+      requestIdRef.current += 1;
+      cursorRef.current = null;
+      setReviews([]);
+      setHasMore(false);
+      setPendingCounts({});
+      return;
+    }
+    if (!live) {
       fetchReviews();
     }
-  }, [courseCode]);
-
+  }, [courseCode, sortBy, instructorId, ratingFilter, tagFilter, live]);
+  
+  // Live reviews
+  useEffect(() => {
+    if (!live || !courseCode) return;
+    
+    if (pageCount === 1) {
+      setLoading(true);
+    }
+    setError(null);
+    const unsubscribe = subscribeToCourseReviews(
+      courseCode,
+      { sortBy, instructorId, rating: ratingFilter, tag: tagFilter, maxReviews: pageCount * REVIEWS_PAGE_SIZE },
+      (snapshot) => {
+        setReviews(snapshot.reviews);
+        setHasMore(snapshot.hasMore);
+        setLoading(false);
+        setLoadingMore(false);
+        // Counts confirmed by a finished vote are in this snapshot now
+        setPendingCounts(prev => Object.fromEntries(
+          Object.entries(prev).filter(([, pending]) => !pending.settled)
+        ));
+      },
+      (err) => {
+        setError(err.message);
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    );
+    
+    return unsubscribe;
+  }, [live, courseCode, sortBy, instructorId, ratingFilter, tagFilter, pageCount]);
+  
+  // Live average and total
+  useEffect(() => {
+    if (!live || !courseCode) return;
+    
+    return subscribeToCourseStats([courseCode], (statsByCourse) => {
+      setStats(ratingSummary(statsByCourse[courseCode], instructorId));
+    });
+  }, [live, courseCode, instructorId]);
+  
+  // Load the signed-in user's votes for the reviews on screen
+  const reviewIds = reviews.map(review => review.id).join(',');
+  useEffect(() => {
+    if (!user || !reviewIds) {
+      setUserVotes({});
+      return;
+    }
+    
+    let cancelled = false;
+    getUserVotes(reviewIds.split(','))
+      .then(votes => {
+        if (!cancelled) setUserVotes(votes);
+      })
+      .catch(err => console.error('Error loading votes:', err));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [user, reviewIds]);
+  
+  // Reviews the signed-in user wrote, which they edit or delete instead of voting on
+  useEffect(() => {
+    if (!user) {
+      setAuthoredReviewIds([]);
+      return;
+    }
+    
+    return subscribeToAuthoredReviewIds(
+      user.uid,
+      setAuthoredReviewIds,
+      (err) => console.error('Error loading your reviews:', err)
+    );
+  }, [user]);
+  
+  const displayedReviews = reviews.map(review =>
+    pendingCounts[review.id] ? { ...review, ...pendingCounts[review.id].counts } : review
+  );
+  
   const fetchReviews = async () => {
+    const requestId = ++requestIdRef.current;
     try {
       setLoading(true);
       setError(null);
-      const data = await getReviewsByCourse(courseCode);
-      setReviews(data.reviews);
-      setAverageRating(data.averageRating);
-      setTotalReviews(data.totalReviews);
+      const [page, courseStats] = await Promise.all([
+        getReviewsPage(courseCode, { sortBy, instructorId, rating: ratingFilter, tag: tagFilter }),
+        getCourseStats(courseCode)
+      ]);
+      if (requestId !== requestIdRef.current) return;
+      
+      cursorRef.current = page.cursor;
+      setReviews(page.reviews);
+      setHasMore(page.hasMore);
+      setStats(ratingSummary(courseStats, instructorId));
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       setError(err.message);
       console.error('Error in useReviews hook:', err);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) setLoading(false);
     }
   };
-
+  
+  const loadMore = async () => {
+    if (!courseCode || !hasMore || loading || loadingMore) return;
+    
+    if (live) {
+      setLoadingMore(true);
+      setLivePages({ key: listKey, pages: pageCount + 1 });
+      return;
+    }
+    
+    const requestId = requestIdRef.current;
+    try {
+      setLoadingMore(true);
+      const page = await getReviewsPage(courseCode, {
+        sortBy,
+        instructorId,
+        rating: ratingFilter,
+        tag: tagFilter,
+        cursor: cursorRef.current
+      });
+      if (requestId !== requestIdRef.current) return;
+      
+      cursorRef.current = page.cursor;
+      setReviews(prevReviews => [...prevReviews, ...page.reviews]);
+      setHasMore(page.hasMore);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error loading more reviews:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+  
   const addReview = async (reviewData) => {
     try {
       const reviewId = await submitReview({
@@ -43,8 +261,10 @@ export function useReviews(courseCode) {
         courseCode
       });
       
-      // Refresh reviews after submission
-      await fetchReviews();
+      // Refresh reviews after submission (listeners pick it up on their own)
+      if (!live) {
+        await fetchReviews();
+      }
       
       return { success: true, reviewId };
     } catch (err) {
@@ -52,39 +272,116 @@ export function useReviews(courseCode) {
       return { success: false, error: err.message };
     }
   };
-
-  const markHelpful = async (reviewId) => {
+  
+  const editReview = async (reviewId, reviewData) => {
     try {
-      await upvoteReview(reviewId);
+      const changes = await updateReview(reviewId, reviewData);
       
-      // Update local state optimistically
-      setReviews(prevReviews => 
-        prevReviews.map(review => 
-          review.id === reviewId 
-            ? { 
-                ...review, 
-                helpfulVotes: review.helpfulVotes + 1,
-                totalVotes: review.totalVotes + 1
-              }
-            : review
-        )
-      );
+      // Show the edit right away; serverTimestamp() resolves on the next fetch
+      if (!live) {
+        setReviews(prevReviews =>
+          prevReviews.map(review =>
+            review.id === reviewId
+              ? { ...review, ...changes, updatedAt: Timestamp.now() }
+              : review
+          )
+        );
+      }
       
       return { success: true };
     } catch (err) {
-      console.error('Error marking review helpful:', err);
+      console.error('Error updating review:', err);
       return { success: false, error: err.message };
     }
   };
-
+  
+  const removeReview = async (reviewId) => {
+    try {
+      await deleteReview(reviewId);
+      if (!live) {
+        setReviews(prevReviews => prevReviews.filter(review => review.id !== reviewId));
+        setStats(prev => ({ ...prev, reviewCount: Math.max(prev.reviewCount - 1, 0) }));
+      }
+      return { success: true };
+    } catch (err) {
+      console.error('Error deleting review:', err);
+      return { success: false, error: err.message };
+    }
+  };
+  
+  const vote = async (reviewId, value) => {
+    const review = displayedReviews.find(item => item.id === reviewId);
+    const previousVote = userVotes[reviewId] || null;
+    
+    // Optimistic update, rolled back if the transaction fails
+    if (review) {
+      setPendingCounts(prev => ({
+        ...prev,
+        [reviewId]: { counts: applyVote(review, previousVote, value), settled: false }
+      }));
+    }
+    setUserVotes(prev => ({ ...prev, [reviewId]: value }));
+    
+    try {
+      const result = await voteOnReview(reviewId, value);
+      const counts = {
+        helpfulVotes: result.helpfulVotes,
+        totalVotes: result.totalVotes
+      };
+      
+      if (live) {
+        // Keep the committed counts until the next snapshot replaces them
+        setPendingCounts(prev => ({ ...prev, [reviewId]: { counts, settled: true } }));
+      } else {
+        setReviews(prevReviews =>
+          prevReviews.map(item => (item.id === reviewId ? { ...item, ...counts } : item))
+        );
+        setPendingCounts(prev => withoutReview(prev, reviewId));
+      }
+      setUserVotes(prev => ({ ...prev, [reviewId]: result.vote }));
+      
+      return { success: true };
+    } catch (err) {
+      console.error('Error voting on review:', err);
+      setPendingCounts(prev => withoutReview(prev, reviewId));
+      setUserVotes(prev => ({ ...prev, [reviewId]: previousVote }));
+      return { success: false, error: err.message };
+    }
+  };
+  
+  const report = async (reviewId, reason, details) => {
+    try {
+      await reportReview(reviewId, reason, details);
+      return { success: true };
+    } catch (err) {
+      console.error('Error reporting review:', err);
+      return { success: false, error: err.message };
+    }
+  };
+  
   return {
-    reviews,
-    averageRating,
-    totalReviews,
+    reviews: displayedReviews,
+    stats,
+    averageRating: stats.averageRating,
+    totalReviews: stats.reviewCount,
     loading,
+    loadingMore,
     error,
+    userVotes,
+    authoredReviewIds,
+    sortBy,
+    setSortBy,
+    ratingFilter,
+    setRatingFilter,
+    tagFilter,
+    setTagFilter,
+    hasMore,
+    loadMore,
     addReview,
-    markHelpful,
+    editReview,
+    removeReview,
+    vote,
+    report,
     refreshReviews: fetchReviews
   };
 }
@@ -0,0 +1,36 @@
+import { useMemo } from 'react';
+import { useProfile } from './useProfile';
+import { usePlans } from './usePlans';
+import { useCourseDetails } from './useCourseDetails';
+import { buildWeekItems } from '../services/schedule';
+
+/**
+ * Custom hook for what is already in a student's week for a semester:
+ * the courses planned for it in their most recent plan, and the times they
+ * blocked out in their profile
+ * @param {string} semester - Semester label; the plan's first semester when empty
+ * @returns {Object} - { term, items: [{ id, label, kind: 'course'|'blocked', meetings }], constraints }
+ */
+export function useSemesterSchedule(semester) {
+  const { profile } = useProfile();
+  const { plans } = usePlans();
+  const plan = plans[0] || null;
+
+  const planSemester = plan
+    ? plan.semesters.find(candidate => candidate.term === semester) || (semester ? null : plan.semesters[0])
+    : null;
+  const term = planSemester ? planSemester.term : semester;
+  const details = useCourseDetails(planSemester ? planSemester.courses.map(course => course.courseCode) : []);
+
+  const constraints = profile ? profile.scheduleConstraints : null;
+  const items = useMemo(() => buildWeekItems({
+    courses: planSemester ? planSemester.courses : [],
+    courseDetails: details,
+    semester: term,
+    blockedTimes: constraints ? constraints.blockedTimes : []
+  }), [planSemester, details, term, constraints]);
+
+  return { term, items, constraints };
+}
+
+export default useSemesterSchedule;
@@ -0,0 +1,34 @@
+/**
+ * URL paths for the app's pages
+ * Components link with these instead of spelling out paths, so a route
+ * only has to change here.
+ */
+
+export const ROUTES = {
+  recommender: '/',
+  search: '/search',
+  course: '/course/:courseCode',
+  instructor: '/instructors/:instructorId',
+  profile: '/profile',
+  planner: '/planner',
+  hub: '/hub',
+  moderation: '/moderation'
+};
+
+/**
+ * Path of a course's detail page
+ * @param {string} courseCode - Course code (e.g., "CASCS131")
+ * @returns {string} - Shareable URL path (e.g., "/course/CASCS131")
+ */
+export function coursePath(courseCode) {
+  return `/course/${encodeURIComponent(courseCode)}`;
+}
+
+/**
+ * Path of an instructor's ratings page
+ * @param {string} instructorId - Instructor ID (e.g., "lev-reyzin")
+ * @returns {string} - Shareable URL path (e.g., "/instructors/lev-reyzin")
+ */
+export function instructorPath(instructorId) {
+  return `/instructors/${encodeURIComponent(instructorId)}`;
+}
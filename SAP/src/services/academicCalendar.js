@@ -0,0 +1,96 @@
+/**
+ * BU academic calendar
+ * First and last days of classes and the days without classes, by
+ * semester label. Add each new semester from BU's published academic
+ * calendar (bu.edu/reg/calendars) once it's announced.
+ */
+
+const ACADEMIC_CALENDAR = {
+  'Fall 2025': {
+    firstDay: '2025-09-02',
+    lastDay: '2025-12-10',
+    holidays: [
+      { name: "Indigenous Peoples' Day", start: '2025-10-13', end: '2025-10-13' },
+      { name: 'Thanksgiving Recess', start: '2025-11-26', end: '2025-11-30' }
+    ]
+  },
+  'Spring 2026': {
+    firstDay: '2026-01-20',
+    lastDay: '2026-04-30',
+    holidays: [
+      { name: "Presidents' Day", start: '2026-02-16', end: '2026-02-16' },
+      { name: 'Spring Recess', start: '2026-03-07', end: '2026-03-15' },
+      { name: "Patriots' Day", start: '2026-04-20', end: '2026-04-20' }
+    ]
+  },
+  'Fall 2026': {
+    firstDay: '2026-09-02',
+    lastDay: '2026-12-10',
+    holidays: [
+      { name: 'Labor Day', start: '2026-09-07', end: '2026-09-07' },
+      { name: "Indigenous Peoples' Day", start: '2026-10-12', end: '2026-10-12' },
+      { name: 'Thanksgiving Recess', start: '2026-11-25', end: '2026-11-29' }
+    ]
+  },
+  'Spring 2027': {
+    firstDay: '2027-01-19',
+    lastDay: '2027-04-29',
+    holidays: [
+      { name: "Presidents' Day", start: '2027-02-15', end: '2027-02-15' },
+      { name: 'Spring Recess', start: '2027-03-06', end: '2027-03-14' },
+      { name: "Patriots' Day", start: '2027-04-19', end: '2027-04-19' }
+    ]
+  }
+};
+
+/**
+ * Class dates for a semester
+ * @param {string} semester - Semester label, e.g. "Fall 2026"
+ * @returns {Object|null} - { firstDay, lastDay, holidays: [{ name, start, end }] } as "YYYY-MM-DD" dates, or null if unknown
+ */
+export function getSemesterDates(semester) {
+  return ACADEMIC_CALENDAR[semester] || null;
+}
+
+/**
+ * Every date with no classes in a semester
+ * @param {Object} semesterDates - From getSemesterDates
+ * @returns {Set<string>} - "YYYY-MM-DD" dates
+ */
+export function holidayDates(semesterDates) {
+  const dates = new Set();
+  semesterDates.holidays.forEach(holiday => {
+    for (let date = holiday.start; date <= holiday.end; date = addDays(date, 1)) {
+      dates.add(date);
+    }
+  });
+  return dates;
+}
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} days - Days to add
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Day letter of a calendar date, in schedule letters (R is Thursday)
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string} - 'M', 'T', 'W', 'R', 'F', 'S' or 'U'
+ */
+export function dayLetter(date) {
+  return 'UMTWRFS'[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+export default {
+  getSemesterDates,
+  holidayDates,
+  addDays,
+  dayLetter
+};
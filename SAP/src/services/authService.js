@@ -0,0 +1,68 @@
+import {
+  GoogleAuthProvider,
+  signInWithPopup,
+  signOut
+} from 'firebase/auth';
+import { auth } from './firebase';
+
+export const BU_EMAIL_DOMAIN = 'bu.edu';
+
+/**
+ * Check whether an email address belongs to a BU account
+ * @param {string} email - Email address
+ * @returns {boolean} - True for verified-looking @bu.edu addresses
+ */
+export function isBUEmail(email) {
+  return typeof email === 'string' && email.toLowerCase().endsWith(`@${BU_EMAIL_DOMAIN}`);
+}
+
+/**
+ * Sign in with a BU Google account
+ * Non-BU accounts are signed straight back out.
+ * @returns {Promise<Object>} - Signed-in Firebase user
+ */
+export async function signInWithBU() {
+  const provider = new GoogleAuthProvider();
+  // Ask Google to only offer accounts from the BU workspace
+  provider.setCustomParameters({ hd: BU_EMAIL_DOMAIN, prompt: 'select_account' });
+
+  try {
+    const { user } = await signInWithPopup(auth, provider);
+
+    if (!isBUEmail(user.email) || !user.emailVerified) {
+      await signOut(auth);
+      throw new Error('Please sign in with your @bu.edu account');
+    }
+
+    return user;
+  } catch (error) {
+    console.error('Error signing in:', error);
+    if (error.code === 'auth/popup-closed-by-user' || error.code === 'auth/cancelled-popup-request') {
+      throw new Error('Sign-in was cancelled');
+    }
+    throw error.code ? new Error('Failed to sign in') : error;
+  }
+}
+
+/**
+ * Sign the current user out
+ * @returns {Promise<void>}
+ */
+export async function signOutUser() {
+  try {
+    await signOut(auth);
+  } catch (error) {
+    console.error('Error signing out:', error);
+    throw new Error('Failed to sign out');
+  }
+}
+
+/**
+ * Display name for a signed-in user, falling back to the email's local part
+ * @param {Object} user - Firebase user
+ * @returns {string} - Name to show in the UI
+ */
+export function getDisplayName(user) {
+  if (!user) return '';
+  return user.displayName || (user.email ? user.email.split('@')[0] : 'BU Student');
+}
@@ -0,0 +1,238 @@
+/**
+ * iCalendar (.ics) export of a semester's courses
+ * Each meeting pattern of a course becomes one weekly recurring event
+ * (RFC 5545) from the first to the last day of classes, with holidays
+ * left out. Event UIDs depend only on the semester, course and meeting
+ * number, so importing an updated file replaces the earlier events
+ * instead of adding copies.
+ */
+
+import { getSemesterDates, holidayDates, addDays, dayLetter } from './academicCalendar';
+import { courseSection, courseMeetings } from './schedule';
+
+const PRODUCT_ID = '-//TerrierGPT//Course Planner//EN';
+const UID_DOMAIN = 'terriergpt';
+
+// BU's time zone; event times are written in it so they follow DST
+const TIME_ZONE = 'America/New_York';
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIME_ZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const RRULE_DAYS = { M: 'MO', T: 'TU', W: 'WE', R: 'TH', F: 'FR', S: 'SA', U: 'SU' };
+
+// Content lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Raw text
+ * @returns {string} - Text with backslashes, semicolons, commas and newlines escaped
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75-octet pieces joined by CRLF and a space
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const pieces = [];
+  let piece = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (encoder.encode(piece + char).length > limit) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece += char;
+  }
+  pieces.push(piece);
+  return pieces.join('\r\n ');
+}
+
+/**
+ * Local date-time value, e.g. "20260902T101000"
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} - DATE-TIME without a UTC offset
+ */
+function localDateTime(date, minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${date.replace(/-/g, '')}T${hours}${String(minutes % 60).padStart(2, '0')}00`;
+}
+
+/**
+ * Current time as a UTC DATE-TIME, for DTSTAMP
+ * @param {Date} now - Current time
+ * @returns {string} - e.g. "20261019T142500Z"
+ */
+function utcDateTime(now) {
+  return now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Lower-case, hyphenated form of a label for UIDs and file names
+ * @param {string} text - e.g. "Fall 2026"
+ * @returns {string} - e.g. "fall-2026"
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Content lines of the event for one meeting pattern
+ * @param {Object} options - { course, meeting, index, semester, semesterDates, holidays, location, stamp }
+ * @returns {Array<string>|null} - Lines, or null if the meeting never falls between the first and last day
+ */
+function meetingEvent({ course, meeting, index, semester, semesterDates, holidays, location, stamp }) {
+  const dates = [];
+  for (let date = semesterDates.firstDay; date <= semesterDates.lastDay; date = addDays(date, 1)) {
+    if (meeting.days.includes(dayLetter(date))) dates.push(date);
+  }
+  const classDates = dates.filter(date => !holidays.has(date));
+  if (classDates.length === 0) return null;
+
+  // The first occurrence anchors the rule; holidays after it become EXDATEs.
+  // UNTIL is the end of the last day in UTC, which covers both EST and EDT.
+  const firstDate = classDates[0];
+  const skipped = dates.filter(date => date > firstDate && holidays.has(date));
+  const until = `${addDays(semesterDates.lastDay, 1).replace(/-/g, '')}T035959Z`;
+  const byDay = meeting.days.map(day => RRULE_DAYS[day]).join(',');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${slugify(semester)}-${slugify(course.courseCode)}-${index}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${TIME_ZONE}:${localDateTime(firstDate, meeting.start)}`,
+    `DTEND;TZID=${TIME_ZONE}:${localDateTime(firstDate, meeting.end)}`,
+    `RRULE:FREQ=WEEKLY;BYDAY=${byDay};UNTIL=${until}`
+  ];
+  if (skipped.length > 0) {
+    lines.push(`EXDATE;TZID=${TIME_ZONE}:${skipped.map(date => localDateTime(date, meeting.start)).join(',')}`);
+  }
+  lines.push(`SUMMARY:${escapeText(course.courseName ? `${course.courseCode}: ${course.courseName}` : course.courseCode)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  const instructors = course.instructors && course.instructors.length > 0 ? `, ${course.instructors.join(', ')}` : '';
+  lines.push(`DESCRIPTION:${escapeText(`${semester}${instructors}`)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Why a semester's calendar can't be exported
+ * Only semesters in the academic calendar have class dates to export.
+ * @param {string} semester - Semester label, e.g. "Fall 2026"
+ * @returns {string|null} - Explanation, or null when the semester can be exported
+ */
+export function calendarUnavailableReason(semester) {
+  if (!semester) return 'Choose a semester to export';
+  if (!getSemesterDates(semester)) return `Class dates for ${semester} aren't published yet, so it can't be exported`;
+  return null;
+}
+
+/**
+ * Build an .ics calendar of a semester's courses
+ * @param {string} semester - Semester label, e.g. "Fall 2026"
+ * @param {Array} courses - Normalized courses
+ * @param {Date} [now] - Time to stamp the events with
+ * @returns {Object} - { ics: calendar text, eventCount, skipped: codes of courses without a meeting time }
+ */
+export function buildSemesterCalendar(semester, courses, now = new Date()) {
+  const unavailable = calendarUnavailableReason(semester);
+  if (unavailable) {
+    throw new Error(unavailable);
+  }
+  const semesterDates = getSemesterDates(semester);
+  const holidays = holidayDates(semesterDates);
+  const stamp = utcDateTime(now);
+
+  const events = [];
+  const skipped = [];
+  courses.forEach(course => {
+    const section = courseSection(course, semester);
+    const location = (section && section.location) || course.location || '';
+    const courseEvents = courseMeetings(course, semester)
+      .map((meeting, index) => meetingEvent({
+        course, meeting, index, semester, semesterDates, holidays, location, stamp
+      }))
+      .filter(Boolean);
+    if (courseEvents.length === 0) {
+      skipped.push(course.courseCode);
+    }
+    events.push(...courseEvents);
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${semester} Classes`)}`,
+    ...VTIMEZONE,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return {
+    ics: lines.map(foldLine).join('\r\n') + '\r\n',
+    eventCount: events.length,
+    skipped
+  };
+}
+
+/**
+ * Build a semester's calendar and download it as an .ics file
+ * @param {string} semester - Semester label, e.g. "Fall 2026"
+ * @param {Array} courses - Normalized courses
+ * @param {string} [name] - What the file is of, e.g. a plan name; defaults to the semester
+ * @returns {Object} - { eventCount, skipped } from buildSemesterCalendar
+ */
+export function downloadSemesterCalendar(semester, courses, name = semester) {
+  const { ics, eventCount, skipped } = buildSemesterCalendar(semester, courses);
+  if (eventCount === 0) {
+    throw new Error('None of these courses have meeting times to export');
+  }
+
+  const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${slugify(name)}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  return { eventCount, skipped };
+}
+
+export default {
+  calendarUnavailableReason,
+  buildSemesterCalendar,
+  downloadSemesterCalendar
+};
@@ -0,0 +1,86 @@
+/**
+ * Course catalog service
+ * Reads the catalog imported by scripts/importCatalog.js: full course
+ * documents from the courses collection, and the search index served as
+ * a static file next to the app.
+ */
+
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from './firebase';
+import { SEARCH_INDEX_VERSION, prepareSearchIndex, searchCourseIndex } from './searchIndex';
+import { filterCourses } from './courseFilters';
+
+const COURSES_COLLECTION = 'courses';
+
+export const CATALOG_INDEX_URL = '/catalog/search-index.json';
+
+const MAX_SEARCH_RESULTS = 50;
+
+// Loaded once per page; null when no catalog has been imported
+let catalogIndexPromise = null;
+
+/**
+ * Load the catalog search index
+ * @returns {Promise<Object|null>} - Prepared index, or null if there is no usable index
+ */
+export function loadCatalogIndex() {
+  if (!catalogIndexPromise) {
+    catalogIndexPromise = fetch(CATALOG_INDEX_URL)
+      .then(response => (response.ok ? response.json() : null))
+      .then(index => {
+        if (!index) return null;
+        if (index.version !== SEARCH_INDEX_VERSION) {
+          console.warn(`Ignoring catalog index version ${index.version}; re-run npm run import-catalog`);
+          return null;
+        }
+        return prepareSearchIndex(index);
+      })
+      .catch(error => {
+        // The dev server and hosting rewrites answer a missing file with
+        // index.html, which fails to parse here
+        console.warn('Course catalog index unavailable:', error.message);
+        return null;
+      });
+  }
+  return catalogIndexPromise;
+}
+
+/**
+ * Search the imported catalog
+ * @param {string} searchQuery - Free-text query
+ * @param {Object} filters - { collegeCode, subjectCode, hubArea, units, semester }
+ * @returns {Promise<Array|null>} - Best matches first, or null if no catalog has been imported
+ */
+export async function searchCatalog(searchQuery, filters = {}) {
+  const index = await loadCatalogIndex();
+  if (!index) {
+    return null;
+  }
+  return filterCourses(searchCourseIndex(index, searchQuery), filters).slice(0, MAX_SEARCH_RESULTS);
+}
+
+/**
+ * Fetch a course from the catalog
+ * Falls back to the search index summary when Firestore can't be reached.
+ * @param {string} courseCode - Course code (e.g., "CASCS131")
+ * @returns {Promise<Object|null>} - Catalog course, or null if it was never imported
+ */
+export async function getCatalogCourse(courseCode) {
+  try {
+    const snapshot = await getDoc(doc(db, COURSES_COLLECTION, courseCode));
+    if (snapshot.exists()) {
+      return snapshot.data();
+    }
+  } catch (error) {
+    console.error('Error fetching catalog course:', error);
+  }
+
+  const index = await loadCatalogIndex();
+  return index?.courses.find(course => course.courseCode === courseCode) || null;
+}
+
+export default {
+  loadCatalogIndex,
+  searchCatalog,
+  getCatalogCourse
+};
@@ -0,0 +1,121 @@
+/**
+ * Course search helpers
+ * Text matching and filter options shared by the search page and the
+ * course providers.
+ */
+
+export const COLLEGE_OPTIONS = [
+  { value: 'CAS', label: 'Arts & Sciences (CAS)' },
+  { value: 'CDS', label: 'Computing & Data Sciences (CDS)' },
+  { value: 'CFA', label: 'Fine Arts (CFA)' },
+  { value: 'CGS', label: 'General Studies (CGS)' },
+  { value: 'COM', label: 'Communication (COM)' },
+  { value: 'ENG', label: 'Engineering (ENG)' },
+  { value: 'QST', label: 'Questrom Business (QST)' },
+  { value: 'SAR', label: 'Sargent (SAR)' },
+  { value: 'SHA', label: 'Hospitality (SHA)' },
+  { value: 'SPH', label: 'Public Health (SPH)' },
+  { value: 'WED', label: 'Wheelock Education (WED)' }
+];
+
+// BU Hub areas as listed in the Hub requirements
+export const HUB_AREAS = [
+  'Philosophical Inquiry and Life\'s Meanings',
+  'Aesthetic Exploration',
+  'Historical Consciousness',
+  'Social Inquiry I',
+  'Social Inquiry II',
+  'Scientific Inquiry I',
+  'Scientific Inquiry II',
+  'Quantitative Reasoning I',
+  'Quantitative Reasoning II',
+  'The Individual in Community',
+  'Global Citizenship and Intercultural Literacy',
+  'Ethical Reasoning',
+  'First-Year Writing Seminar',
+  'Writing, Research, and Inquiry',
+  'Writing-Intensive Course',
+  'Oral and/or Signed Communication',
+  'Digital/Multimedia Expression',
+  'Critical Thinking',
+  'Research and Information Literacy',
+  'Teamwork/Collaboration',
+  'Creativity/Innovation'
+];
+
+export const UNIT_OPTIONS = [1, 2, 3, 4];
+
+export const EMPTY_COURSE_FILTERS = {
+  collegeCode: '',
+  subjectCode: '',
+  hubArea: '',
+  units: '',
+  semester: ''
+};
+
+/**
+ * Whether a course matches a free-text query
+ * Looks at the course code, name, instructors and description.
+ * @param {Object} course - Course object
+ * @param {string} searchQuery - Search term
+ * @returns {boolean} - True when every word of the query appears somewhere
+ */
+export function matchesCourseQuery(course, searchQuery) {
+  const haystack = [
+    course.courseCode,
+    course.courseName,
+    ...(course.instructors || []),
+    course.description
+  ].join(' ').toLowerCase();
+
+  return searchQuery.toLowerCase().split(/\s+/).filter(Boolean)
+    .every(word => haystack.includes(word));
+}
+
+// " I" / " II" at the end of leveled Hub areas ("Social Inquiry II")
+const HUB_LEVEL_SUFFIX = /\s+(i|ii)$/;
+
+/**
+ * Whether a course's Hub area satisfies the chosen one
+ * Shared by the search filters and the Hub requirement counts. Areas must
+ * match exactly, except that catalog data sometimes drops the I/II suffix
+ * ("Quantitative Reasoning"); such a course matches either level.
+ * "Quantitative Reasoning I" never matches "Quantitative Reasoning II".
+ * @param {string} courseArea - Hub area from the course
+ * @param {string} filterArea - Hub area chosen in the filter (or a requirement's area)
+ * @returns {boolean} - True when the course's area is the chosen one
+ */
+export function hubAreaMatches(courseArea, filterArea) {
+  const course = courseArea.trim().toLowerCase();
+  const filter = filterArea.trim().toLowerCase();
+  if (course === filter) return true;
+  return !HUB_LEVEL_SUFFIX.test(course) && filter.replace(HUB_LEVEL_SUFFIX, '') === course;
+}
+
+/**
+ * Apply search filters to a list of courses
+ * Empty filter values are ignored.
+ * @param {Array} courses - Normalized courses
+ * @param {Object} filters - { collegeCode, subjectCode, hubArea, units, semester }
+ * @returns {Array} - Courses that pass every filter
+ */
+export function filterCourses(courses, filters = {}) {
+  const { collegeCode, subjectCode, hubArea, units, semester } = { ...EMPTY_COURSE_FILTERS, ...filters };
+
+  return courses.filter(course =>
+    (!collegeCode || course.collegeCode === collegeCode) &&
+    (!subjectCode || course.subjectCode === subjectCode.trim().toUpperCase()) &&
+    (!hubArea || (course.hubAreas || []).some(area => hubAreaMatches(area, hubArea))) &&
+    (!units || course.units === Number(units)) &&
+    (!semester || (course.semester || '').toLowerCase().includes(semester.trim().toLowerCase()))
+  );
+}
+
+/**
+ * Whether any filter is set
+ * @param {Object} filters - Search filters
+ * @returns {boolean} - True when at least one filter has a value
+ */
+export function hasActiveFilters(filters) {
+  return Object.values(filters).some(value => value !== '' && value !== null && value !== undefined);
+}
@@ -0,0 +1,173 @@
+/**
+ * Schema checks for course data returned by recommendation providers.
+ * Every provider response goes through these before it reaches the UI,
+ * so components can rely on the shape documented below.
+ */
+
+const STRING_FIELDS = [
+  'courseCode',
+  'courseName',
+  'collegeCode',
+  'subjectCode',
+  'courseNumber',
+  'description',
+  'schedule',
+  'semester',
+  'location'
+];
+
+const STRING_ARRAY_FIELDS = [
+  'prerequisites',
+  'corequisites',
+  'hubAreas',
+  'instructors'
+];
+
+const NUMBER_FIELDS = ['units', 'capacity', 'enrolled', 'waitlist'];
+
+// Each entry of `sections` (one per lecture/discussion/lab offering)
+const SECTION_STRING_FIELDS = ['sectionId', 'type', 'semester', 'schedule', 'location'];
+const SECTION_NUMBER_FIELDS = ['capacity', 'enrolled', 'waitlist'];
+
+// Compact course codes as stored in courseCode ("CASCS131")
+const COURSE_CODE_PATTERN = /^[A-Z]{3}[A-Z]{2,4}\d{3}[A-Z]?$/;
+
+/**
+ * Error thrown when a provider response does not match the course schema
+ */
+export class CourseSchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CourseSchemaError';
+  }
+}
+
+/**
+ * Validate and normalize a single course object
+ * @param {Object} raw - Course object as returned by a provider
+ * @returns {Object} - Normalized course
+ */
+export function normalizeCourse(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new CourseSchemaError('Course must be an object');
+  }
+
+  if (typeof raw.courseCode !== 'string' || !raw.courseCode.trim()) {
+    throw new CourseSchemaError('Course is missing courseCode');
+  }
+
+  if (typeof raw.courseName !== 'string' || !raw.courseName.trim()) {
+    throw new CourseSchemaError(`Course ${raw.courseCode} is missing courseName`);
+  }
+
+  const course = { ...raw };
+
+  STRING_FIELDS.forEach((field) => {
+    if (course[field] === undefined || course[field] === null) {
+      course[field] = '';
+    } else if (typeof course[field] !== 'string') {
+      throw new CourseSchemaError(`Course ${raw.courseCode}: ${field} must be a string`);
+    }
+  });
+
+  STRING_ARRAY_FIELDS.forEach((field) => {
+    if (course[field] === undefined || course[field] === null) {
+      course[field] = [];
+    } else if (!Array.isArray(course[field]) || course[field].some(item => typeof item !== 'string')) {
+      throw new CourseSchemaError(`Course ${raw.courseCode}: ${field} must be an array of strings`);
+    }
+  });
+
+  NUMBER_FIELDS.forEach((field) => {
+    if (course[field] === undefined || course[field] === null) {
+      return;
+    }
+    const value = Number(course[field]);
+    if (!Number.isFinite(value)) {
+      throw new CourseSchemaError(`Course ${raw.courseCode}: ${field} must be a number`);
+    }
+    course[field] = value;
+  });
+
+  if (course.sections === undefined || course.sections === null) {
+    course.sections = [];
+  } else if (!Array.isArray(course.sections)) {
+    throw new CourseSchemaError(`Course ${raw.courseCode}: sections must be an array`);
+  } else {
+    course.sections = course.sections.map(section => normalizeSection(section, raw.courseCode));
+  }
+
+  course.courseCode = course.courseCode.trim().toUpperCase();
+  return course;
+}
+
+/**
+ * Validate and normalize one section of a course
+ * @param {Object} raw - Section object
+ * @param {string} courseCode - Course the section belongs to (for error messages)
+ * @returns {Object} - Normalized section
+ */
+function normalizeSection(raw, courseCode) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new CourseSchemaError(`Course ${courseCode}: each section must be an object`);
+  }
+
+  const section = { ...raw };
+
+  SECTION_STRING_FIELDS.forEach((field) => {
+    if (section[field] === undefined || section[field] === null) {
+      section[field] = '';
+    } else if (typeof section[field] !== 'string') {
+      throw new CourseSchemaError(`Course ${courseCode}: section ${field} must be a string`);
+    }
+  });
+
+  if (section.instructors === undefined || section.instructors === null) {
+    section.instructors = [];
+  } else if (!Array.isArray(section.instructors) || section.instructors.some(item => typeof item !== 'string')) {
+    throw new CourseSchemaError(`Course ${courseCode}: section instructors must be an array of strings`);
+  }
+
+  SECTION_NUMBER_FIELDS.forEach((field) => {
+    if (section[field] === undefined || section[field] === null) {
+      return;
+    }
+    const value = Number(section[field]);
+    if (!Number.isFinite(value)) {
+      throw new CourseSchemaError(`Course ${courseCode}: section ${field} must be a number`);
+    }
+    section[field] = value;
+  });
+
+  return section;
+}
+
+/**
+ * Whether a string is a compact course code
+ * Prerequisite lists mix course codes with free text ("consent of instructor").
+ * @param {string} text - Text to check
+ * @returns {boolean} - True for codes like "CASCS131"
+ */
+export function isCourseCode(text) {
+  return COURSE_CODE_PATTERN.test(text);
+}
+
+/**
+ * Validate a list of courses, dropping entries that fail the schema
+ * @param {Array} rawCourses - Courses as returned by a provider
+ * @returns {Array} - Normalized courses
+ */
+export function normalizeCourseList(rawCourses) {
+  if (!Array.isArray(rawCourses)) {
+    throw new CourseSchemaError('Expected an array of courses');
+  }
+
+  return rawCourses.reduce((courses, raw) => {
+    try {
+      courses.push(normalizeCourse(raw));
+    } catch (error) {
+      console.warn('Dropping invalid course from response:', error.message);
+    }
+    return courses;
+  }, []);
+}
@@ -0,0 +1,94 @@
+import { doc, getDoc, onSnapshot } from 'firebase/firestore';
+import { db } from './firebase';
+
+const COURSE_STATS_COLLECTION = 'courseStats';
+
+/**
+ * Stats for a course nobody has reviewed yet
+ * @param {string} courseCode - Course code
+ * @returns {Object} - Zeroed courseStats document
+ */
+export function emptyCourseStats(courseCode) {
+  return {
+    courseCode,
+    reviewCount: 0,
+    ratingSum: 0,
+    averageRating: 0,
+    ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+    averageDifficulty: null,
+    difficultyCount: 0,
+    averageWorkload: null,
+    workloadCount: 0,
+    averageProfHelpfulness: null,
+    profHelpfulnessCount: 0,
+    tagCounts: {},
+    byInstructor: {},
+    byTerm: {}
+  };
+}
+
+/**
+ * Fetch the precomputed rating summary for a course
+ * Maintained by the onReviewWrittenUpdateStats Cloud Function.
+ * @param {string} courseCode - Course code (e.g., "CASCS131")
+ * @returns {Promise<Object>} - courseStats document (zeroed if none exists)
+ */
+export async function getCourseStats(courseCode) {
+  try {
+    const snapshot = await getDoc(doc(db, COURSE_STATS_COLLECTION, courseCode));
+    return snapshot.exists()
+      ? { ...emptyCourseStats(courseCode), ...snapshot.data() }
+      : emptyCourseStats(courseCode);
+  } catch (error) {
+    console.error('Error fetching course stats:', error);
+    throw new Error('Failed to fetch course stats');
+  }
+}
+
+/**
+ * Fetch rating summaries for several courses at once
+ * Courses whose stats fail to load fall back to empty stats.
+ * @param {Array<string>} courseCodes - Course codes
+ * @returns {Promise<Object>} - Map of courseCode to courseStats
+ */
+export async function getCourseStatsMap(courseCodes) {
+  const entries = await Promise.all(
+    courseCodes.map(async (courseCode) => {
+      try {
+        return [courseCode, await getCourseStats(courseCode)];
+      } catch {
+        return [courseCode, emptyCourseStats(courseCode)];
+      }
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Listen to the rating summaries of several courses
+ * The callback receives the full map each time any of them changes;
+ * courses without stats (or whose listener fails) map to empty stats.
+ * @param {Array<string>} courseCodes - Course codes
+ * @param {Function} onChange - Called with a map of courseCode to courseStats
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToCourseStats(courseCodes, onChange) {
+  const statsByCourse = Object.fromEntries(
+    courseCodes.map(courseCode => [courseCode, emptyCourseStats(courseCode)])
+  );
+  
+  const unsubscribes = courseCodes.map(courseCode =>
+    onSnapshot(
+      doc(db, COURSE_STATS_COLLECTION, courseCode),
+      (snapshot) => {
+        statsByCourse[courseCode] = snapshot.exists()
+          ? { ...emptyCourseStats(courseCode), ...snapshot.data() }
+          : emptyCourseStats(courseCode);
+        onChange({ ...statsByCourse });
+      },
+      (error) => console.error(`Error listening to stats for ${courseCode}:`, error)
+    )
+  );
+  
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+}
@@ -0,0 +1,139 @@
+/**
+ * BU Hub requirements
+ * The Hub is grouped into six capacities. Each requirement needs a number
+ * of Hub units, and a course earns one unit in every Hub area it lists.
+ * Progress counts the student's completed courses, the courses in their
+ * plan, and areas they marked as satisfied in their profile (transfer or
+ * AP credit), which count as fully met.
+ */
+
+import { hubAreaMatches } from './courseFilters';
+
+export const HUB_CAPACITIES = [
+  {
+    name: 'Philosophical, Aesthetic, and Historical Interpretation',
+    requirements: [
+      { areas: ['Philosophical Inquiry and Life\'s Meanings'], units: 1 },
+      { areas: ['Aesthetic Exploration'], units: 1 },
+      { areas: ['Historical Consciousness'], units: 1 }
+    ]
+  },
+  {
+    name: 'Scientific and Social Inquiry',
+    requirements: [
+      { areas: ['Scientific Inquiry I'], units: 1 },
+      { areas: ['Social Inquiry I'], units: 1 },
+      // One more unit from either second-level inquiry area
+      { areas: ['Scientific Inquiry II', 'Social Inquiry II'], units: 1 }
+    ]
+  },
+  {
+    name: 'Quantitative Reasoning',
+    requirements: [
+      { areas: ['Quantitative Reasoning I'], units: 1 },
+      { areas: ['Quantitative Reasoning II'], units: 1 }
+    ]
+  },
+  {
+    name: 'Diversity, Civic Engagement, and Global Citizenship',
+    requirements: [
+      { areas: ['The Individual in Community'], units: 1 },
+      { areas: ['Global Citizenship and Intercultural Literacy'], units: 2 },
+      { areas: ['Ethical Reasoning'], units: 1 }
+    ]
+  },
+  {
+    name: 'Communication',
+    requirements: [
+      { areas: ['First-Year Writing Seminar'], units: 1 },
+      { areas: ['Writing, Research, and Inquiry'], units: 1 },
+      { areas: ['Writing-Intensive Course'], units: 2 },
+      { areas: ['Oral and/or Signed Communication'], units: 1 },
+      { areas: ['Digital/Multimedia Expression'], units: 1 }
+    ]
+  },
+  {
+    name: 'Intellectual Toolkit',
+    requirements: [
+      { areas: ['Critical Thinking'], units: 2 },
+      { areas: ['Research and Information Literacy'], units: 2 },
+      { areas: ['Teamwork/Collaboration'], units: 2 },
+      { areas: ['Creativity/Innovation'], units: 2 }
+    ]
+  }
+];
+
+/**
+ * Hub units a list of courses earns toward a requirement
+ * @param {Array} courses - Normalized courses
+ * @param {Array<string>} areas - The requirement's Hub areas
+ * @returns {number} - Courses with at least one of the areas
+ */
+function countUnits(courses, areas) {
+  return courses.filter(course =>
+    (course.hubAreas || []).some(area => areas.some(required => hubAreaMatches(area, required)))
+  ).length;
+}
+
+/**
+ * Add up a student's Hub progress
+ * @param {Object} options - { completedCourses, plannedCourses: normalized courses, satisfiedAreas: areas marked done in the profile }
+ * @returns {Object} - { capacities: [{ name, requirements: [{ label, areas, units, completed, planned, remaining, satisfied }] }], missingAreas, requirementCount, metCount }
+ */
+export function computeHubProgress({ completedCourses = [], plannedCourses = [], satisfiedAreas = [] } = {}) {
+  const completedCodes = new Set(completedCourses.map(course => course.courseCode));
+  const stillPlanned = plannedCourses.filter(course => !completedCodes.has(course.courseCode));
+  const missingAreas = [];
+  let requirementCount = 0;
+  let metCount = 0;
+
+  const capacities = HUB_CAPACITIES.map(capacity => ({
+    name: capacity.name,
+    requirements: capacity.requirements.map(({ areas, units }) => {
+      const satisfied = areas.some(area => satisfiedAreas.includes(area));
+      const completed = satisfied ? units : Math.min(units, countUnits(completedCourses, areas));
+      const planned = Math.min(units - completed, countUnits(stillPlanned, areas));
+      const remaining = units - completed - planned;
+
+      requirementCount++;
+      if (completed === units) metCount++;
+      if (remaining > 0) missingAreas.push(...areas);
+
+      return {
+        label: areas.join(' or '),
+        areas,
+        units,
+        completed,
+        planned,
+        remaining,
+        satisfied
+      };
+    })
+  }));
+
+  return { capacities, missingAreas, requirementCount, metCount };
+}
+
+/**
+ * Which of a student's missing Hub areas a course would fill
+ * @param {Object} course - Normalized course
+ * @param {Array<string>} missingAreas - From computeHubProgress
+ * @returns {Array<string>} - The course's Hub areas that are still missing
+ */
+export function hubAreasFilled(course, missingAreas) {
+  return (course.hubAreas || []).filter(area => missingAreas.some(missing => hubAreaMatches(area, missing)));
+}
+
+/**
+ * Order courses so those filling the most missing Hub areas come first,
+ * keeping the original order otherwise
+ * @param {Array} courses - Normalized courses
+ * @param {Array<string>} missingAreas - From computeHubProgress
+ * @returns {Array} - Reordered copy
+ */
+export function boostByHubAreas(courses, missingAreas) {
+  return courses
+    .map((course, index) => ({ course, index, fills: hubAreasFilled(course, missingAreas).length }))
+    .sort((a, b) => b.fills - a.fills || a.index - b.index)
+    .map(({ course }) => course);
+}
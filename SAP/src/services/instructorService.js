@@ -0,0 +1,130 @@
+import { doc, getDoc, onSnapshot } from 'firebase/firestore';
+import { db } from './firebase';
+
+const INSTRUCTOR_STATS_COLLECTION = 'instructorStats';
+
+// Titles course listings put in front of names ("Prof. Reyzin")
+const TITLE_PATTERN = /^(prof(essor)?|dr|mr|mrs|ms)\.?\s+/i;
+
+/**
+ * Stable ID for an instructor, the same however a listing titles them
+ * @param {string} name - Instructor as listed (e.g., "Prof. Lev Reyzin")
+ * @returns {string} - Lower-case, hyphenated ID (e.g., "lev-reyzin"), or '' without a name
+ */
+export function instructorId(name) {
+  return (name || '')
+    .trim()
+    .replace(TITLE_PATTERN, '')
+    .toLowerCase()
+    .normalize('NFD')
+    // Drop accents so "José" and "Jose" match
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 100);
+}
+
+/**
+ * Readable name for an instructor known only by ID
+ * @param {string} id - Instructor ID (e.g., "lev-reyzin")
+ * @returns {string} - e.g., "Lev Reyzin"
+ */
+export function nameFromInstructorId(id) {
+  return (id || '')
+    .split('-')
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Everyone listed as teaching a course, across its sections
+ * @param {Object} course - Normalized course
+ * @returns {Array} - { id, name } per instructor, in listing order
+ */
+export function instructorOptions(course) {
+  const names = [
+    ...((course && course.instructors) || []),
+    ...((course && course.sections) || []).flatMap(section => section.instructors || [])
+  ];
+  const options = [];
+  names.forEach(name => {
+    const id = instructorId(name);
+    if (id && !options.some(option => option.id === id)) {
+      options.push({ id, name });
+    }
+  });
+  return options;
+}
+
+/**
+ * Stats for an instructor nobody has reviewed yet
+ * @param {string} id - Instructor ID
+ * @returns {Object} - Zeroed instructorStats document
+ */
+export function emptyInstructorStats(id) {
+  return {
+    instructorId: id,
+    instructorName: nameFromInstructorId(id),
+    reviewCount: 0,
+    ratingSum: 0,
+    averageRating: 0,
+    ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+    averageDifficulty: null,
+    difficultyCount: 0,
+    averageWorkload: null,
+    workloadCount: 0,
+    averageProfHelpfulness: null,
+    profHelpfulnessCount: 0,
+    courses: {}
+  };
+}
+
+/**
+ * Fetch an instructor's ratings across the courses they taught
+ * Maintained by the onReviewWrittenUpdateStats Cloud Function.
+ * @param {string} id - Instructor ID
+ * @returns {Promise<Object>} - instructorStats document (zeroed if none exists)
+ */
+export async function getInstructorStats(id) {
+  try {
+    const snapshot = await getDoc(doc(db, INSTRUCTOR_STATS_COLLECTION, id));
+    return snapshot.exists()
+      ? { ...emptyInstructorStats(id), ...snapshot.data() }
+      : emptyInstructorStats(id);
+  } catch (error) {
+    console.error('Error fetching instructor stats:', error);
+    throw new Error('Failed to fetch instructor ratings');
+  }
+}
+
+/**
+ * Listen to an instructor's ratings
+ * @param {string} id - Instructor ID
+ * @param {Function} onChange - Called with the instructorStats document (zeroed if none exists)
+ * @param {Function} onError - Called with an Error if the listener fails
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToInstructorStats(id, onChange, onError) {
+  return onSnapshot(
+    doc(db, INSTRUCTOR_STATS_COLLECTION, id),
+    (snapshot) => {
+      onChange(snapshot.exists()
+        ? { ...emptyInstructorStats(id), ...snapshot.data() }
+        : emptyInstructorStats(id));
+    },
+    (error) => {
+      console.error('Error listening to instructor stats:', error);
+      onError?.(new Error('Failed to load instructor ratings'));
+    }
+  );
+}
+
+export default {
+  instructorId,
+  nameFromInstructorId,
+  instructorOptions,
+  emptyInstructorStats,
+  getInstructorStats,
+  subscribeToInstructorStats
+};
@@ -0,0 +1,127 @@
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  orderBy,
+  limit
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './firebase';
+
+const REVIEWS_COLLECTION = 'reviews';
+const REPORTS_SUBCOLLECTION = 'reports';
+const REVISIONS_SUBCOLLECTION = 'revisions';
+const MODERATION_LOG_COLLECTION = 'moderationLog';
+
+export const MODERATION_ACTIONS = {
+  RESTORE: 'restore',
+  REDACT: 'redact',
+  DELETE: 'delete'
+};
+
+const toDocs = (querySnapshot) =>
+  querySnapshot.docs.map(snapshot => ({ id: snapshot.id, ...snapshot.data() }));
+
+/**
+ * Fetch reviews hidden by moderation (moderators only)
+ * @returns {Promise<Array>} - Hidden reviews, most recently hidden first
+ */
+export async function getHiddenReviews() {
+  try {
+    const q = query(
+      collection(db, REVIEWS_COLLECTION),
+      where('hidden', '==', true),
+      orderBy('hiddenAt', 'desc')
+    );
+    return toDocs(await getDocs(q));
+  } catch (error) {
+    console.error('Error fetching hidden reviews:', error);
+    throw new Error('Failed to fetch hidden reviews');
+  }
+}
+
+/**
+ * Fetch reviews with at least one report (moderators only)
+ * @returns {Promise<Array>} - Reported reviews, most reported first
+ */
+export async function getReportedReviews() {
+  try {
+    const q = query(
+      collection(db, REVIEWS_COLLECTION),
+      where('reportedCount', '>', 0),
+      orderBy('reportedCount', 'desc')
+    );
+    return toDocs(await getDocs(q));
+  } catch (error) {
+    console.error('Error fetching reported reviews:', error);
+    throw new Error('Failed to fetch reported reviews');
+  }
+}
+
+/**
+ * Fetch the individual reports filed against a review (moderators only)
+ * @param {string} reviewId - Review document ID
+ * @returns {Promise<Array>} - Reports with reason and details
+ */
+export async function getReviewReports(reviewId) {
+  try {
+    const reportsRef = collection(db, REVIEWS_COLLECTION, reviewId, REPORTS_SUBCOLLECTION);
+    return toDocs(await getDocs(query(reportsRef, orderBy('createdAt', 'desc'))));
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    throw new Error('Failed to fetch reports');
+  }
+}
+
+/**
+ * Fetch the earlier versions of an edited review (moderators only)
+ * @param {string} reviewId - Review document ID
+ * @returns {Promise<Array>} - Revisions, most recently replaced first
+ */
+export async function getReviewRevisions(reviewId) {
+  try {
+    const revisionsRef = collection(db, REVIEWS_COLLECTION, reviewId, REVISIONS_SUBCOLLECTION);
+    return toDocs(await getDocs(query(revisionsRef, orderBy('replacedAt', 'desc'))));
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    throw new Error('Failed to fetch edit history');
+  }
+}
+
+/**
+ * Restore, redact or delete a review through the moderateReview function
+ * @param {string} reviewId - Review document ID
+ * @param {string} action - One of MODERATION_ACTIONS
+ * @param {Object} options - { reviewText (for redact), note }
+ * @returns {Promise<Object>} - Success status
+ */
+export async function moderateReview(reviewId, action, { reviewText, note } = {}) {
+  try {
+    const callable = httpsCallable(functions, 'moderateReview');
+    const result = await callable({ reviewId, action, reviewText, note });
+    return result.data;
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    throw new Error(error.message || 'Failed to moderate review');
+  }
+}
+
+/**
+ * Fetch the moderation audit log (moderators only)
+ * @param {number} maxEntries - Number of entries to load
+ * @returns {Promise<Array>} - Log entries, newest first
+ */
+export async function getModerationLog(maxEntries = 50) {
+  try {
+    const q = query(
+      collection(db, MODERATION_LOG_COLLECTION),
+      orderBy('createdAt', 'desc'),
+      limit(maxEntries)
+    );
+    return toDocs(await getDocs(q));
+  } catch (error) {
+    console.error('Error fetching moderation log:', error);
+    throw new Error('Failed to fetch moderation log');
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Offline advisor agent
+ * A rule-based stand-in for the TerrierGPT chat endpoint so the chat panel
+ * works, and can be tried out, without an agent. It reads every student
+ * message in the conversation for refinements ("lighter workload",
+ * "no Friday classes", a Hub area, "something else"), applies them to the
+ * recommended and offline courses, and streams its reply word by word.
+ */
+
+import { HUB_AREAS } from './courseFilters';
+import { CALENDAR_DAYS, courseMeetings, describeMeeting } from './schedule';
+
+// Delay between streamed words, so replies arrive like a real agent's
+const WORD_DELAY_MS = 30;
+
+// Courses suggested per reply
+const MAX_SUGGESTIONS = 3;
+
+const DAY_NAMES = {
+  M: 'monday',
+  T: 'tuesday',
+  W: 'wednesday',
+  R: 'thursday',
+  F: 'friday',
+  S: 'saturday',
+  U: 'sunday'
+};
+
+const SORTS = {
+  workload: {
+    pattern: /\b(light(er)?|less work|lower workload|workload|less busy|fewer hours)\b/,
+    field: 'averageWorkload',
+    ascending: true,
+    description: 'lightest workload first'
+  },
+  difficulty: {
+    pattern: /\b(easier|easy|less difficult|not too hard)\b/,
+    field: 'averageDifficulty',
+    ascending: true,
+    description: 'easiest first'
+  },
+  rating: {
+    pattern: /\b((best|highly|top)[- ]rated|best reviewed|well reviewed)\b/,
+    field: 'averageRating',
+    ascending: false,
+    description: 'best rated first'
+  }
+};
+
+const SOMETHING_ELSE_PATTERN = /\b(other|different|else|instead|more options)\b/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Days the student asked to keep free in a message
+ * @param {string} text - Lower-case message
+ * @returns {Array<string>} - Day letters
+ */
+function requestedDaysOff(text) {
+  return Object.entries(DAY_NAMES)
+    .filter(([, name]) => new RegExp(
+      `\\b(no|not on|without|avoid)\\s+(classes\\s+on\\s+)?${name}s?\\b|\\b${name}s?\\s+off\\b|\\bfree\\s+${name}s?\\b`
+    ).test(text))
+    .map(([letter]) => letter);
+}
+
+/**
+ * Refinements asked for over the whole conversation; later messages
+ * override earlier ones where they conflict
+ * @param {Array} messages - { role, content, courseCodes }
+ * @returns {Object} - { daysOff, sort, hubAreas, exclude: course codes already suggested }
+ */
+function readRefinements(messages) {
+  const refinements = { daysOff: new Set(), sort: null, hubAreas: new Set(), exclude: new Set() };
+  const suggested = new Set();
+
+  messages.forEach(message => {
+    if (message.role === 'assistant') {
+      (message.courseCodes || []).forEach(code => suggested.add(code));
+      return;
+    }
+    const text = message.content.toLowerCase();
+    requestedDaysOff(text).forEach(day => refinements.daysOff.add(day));
+    Object.entries(SORTS).forEach(([name, sort]) => {
+      if (sort.pattern.test(text)) refinements.sort = name;
+    });
+    HUB_AREAS.filter(area => text.includes(area.toLowerCase()))
+      .forEach(area => refinements.hubAreas.add(area));
+    if (SOMETHING_ELSE_PATTERN.test(text)) {
+      suggested.forEach(code => refinements.exclude.add(code));
+    }
+  });
+
+  return refinements;
+}
+
+/**
+ * Why a course is suggested, from its review aggregates and meeting times
+ * @param {Object} course - Course
+ * @param {Object} stats - Review aggregates for the course, if any
+ * @param {string} semester - Semester the student is planning
+ * @returns {string} - Reason sentence(s)
+ */
+function describeCourse(course, stats, semester) {
+  const sentences = [];
+  if (stats && stats.reviewCount > 0) {
+    const details = [`rated ${stats.averageRating.toFixed(1)}/5`];
+    if (stats.averageWorkload !== null) details.push(`workload ${stats.averageWorkload.toFixed(1)}/5`);
+    if (stats.averageDifficulty !== null) details.push(`difficulty ${stats.averageDifficulty.toFixed(1)}/5`);
+    sentences.push(`Students ${details.join(', ')} (${stats.reviewCount} ${stats.reviewCount === 1 ? 'review' : 'reviews'}).`);
+  } else {
+    sentences.push('No reviews yet.');
+  }
+  const meetings = courseMeetings(course, semester);
+  if (meetings.length > 0) {
+    sentences.push(`Meets ${meetings.map(describeMeeting).join(', ')}.`);
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * Compose a reply as a list of text and course parts
+ * @param {Object} request - { messages, studentData, courses, reviewStats, offlineCourses }
+ * @returns {Array} - { type: 'text', text } and { type: 'course', course } parts
+ */
+function composeReply({ messages, studentData = {}, courses = [], reviewStats = {}, offlineCourses = [] }) {
+  const refinements = readRefinements(messages);
+  const constraints = studentData.scheduleConstraints || {};
+  const daysOff = new Set([...refinements.daysOff, ...(constraints.daysOff || [])]);
+  const completed = new Set(studentData.completedCourses || []);
+  const stats = (code) => reviewStats[code] || null;
+
+  const candidates = [...courses, ...offlineCourses]
+    .filter((course, index, all) => all.findIndex(other => other.courseCode === course.courseCode) === index)
+    .filter(course => !completed.has(course.courseCode) && !refinements.exclude.has(course.courseCode))
+    .filter(course => !courseMeetings(course, studentData.semester)
+      .some(meeting => meeting.days.some(day => daysOff.has(day))))
+    .filter(course => [...refinements.hubAreas].every(area => (course.hubAreas || []).includes(area)));
+
+  const sort = refinements.sort ? SORTS[refinements.sort] : null;
+  if (sort) {
+    // Courses without reviews go last whichever way the list is sorted
+    const value = (course) => {
+      const courseStats = stats(course.courseCode);
+      return courseStats && courseStats.reviewCount > 0 ? courseStats[sort.field] : null;
+    };
+    candidates.sort((a, b) => {
+      if (value(a) === null || value(b) === null) return (value(a) === null) - (value(b) === null);
+      return sort.ascending ? value(a) - value(b) : value(b) - value(a);
+    });
+  }
+
+  const conditions = [];
+  if (daysOff.size > 0) {
+    const labels = CALENDAR_DAYS.filter(day => daysOff.has(day.value)).map(day => day.label);
+    conditions.push(`no classes on ${labels.join(' or ')}`);
+  }
+  if (refinements.hubAreas.size > 0) conditions.push(`counting toward ${[...refinements.hubAreas].join(' and ')}`);
+  if (refinements.exclude.size > 0) conditions.push('different from what I suggested before');
+  if (sort) conditions.push(sort.description);
+
+  const suggestions = candidates.slice(0, MAX_SUGGESTIONS);
+  if (suggestions.length === 0) {
+    return [{
+      type: 'text',
+      text: `I couldn't find a course that fits all of that${conditions.length > 0 ? ` (${conditions.join(', ')})` : ''}. ` +
+        'Try dropping one of those conditions.'
+    }];
+  }
+
+  const opening = studentData.major && messages.filter(message => message.role === 'user').length === 1
+    ? `For a ${studentData.major} student${studentData.semester ? ` planning ${studentData.semester}` : ''}, here`
+    : 'Here';
+  const parts = [{
+    type: 'text',
+    text: `${opening} ${suggestions.length === 1 ? 'is a course' : `are ${suggestions.length} courses`}` +
+      `${conditions.length > 0 ? ` with ${conditions.join(', ')}` : ''}:`
+  }];
+  suggestions.forEach(course => {
+    parts.push({
+      type: 'text',
+      text: `\n\n${course.courseCode}, ${course.courseName}. ${describeCourse(course, stats(course.courseCode), studentData.semester)}`
+    });
+    parts.push({ type: 'course', course });
+  });
+  parts.push({ type: 'text', text: '\n\nTell me what to change, like "no Friday classes" or "something lighter".' });
+  return parts;
+}
+
+/**
+ * Stream a reply to the conversation
+ * @param {Object} request - { messages, studentData, courses, reviewStats, offlineCourses }
+ * @param {Object} options - { onEvent: called with { type: 'text', text } and { type: 'course', course }, signal }
+ * @returns {Promise<void>} - Resolves when the reply is complete or the signal aborts
+ */
+export async function streamOfflineChat(request, { onEvent, signal } = {}) {
+  const parts = composeReply(request);
+  for (const part of parts) {
+    if (part.type === 'course') {
+      onEvent(part);
+      continue;
+    }
+    for (const word of part.text.match(/\s*\S+/g) || []) {
+      await sleep(WORD_DELAY_MS);
+      if (signal && signal.aborted) return;
+      onEvent({ type: 'text', text: word });
+    }
+  }
+}
+
+export default {
+  streamOfflineChat
+};
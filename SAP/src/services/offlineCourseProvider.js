@@ -0,0 +1,105 @@
+/**
+ * Offline recommendation provider
+ * Serves canned course data so the app works without a TerrierGPT endpoint,
+ * and answers chat with the rule-based offline advisor agent.
+ * Select it with VITE_TERRIER_GPT_PROVIDER=offline.
+ */
+
+import { matchesCourseQuery, filterCourses } from './courseFilters';
+import { streamOfflineChat } from './offlineAdvisorAgent';
+
+const MOCK_COURSES = [
+  {
+    courseCode: 'CASCS131',
+    courseName: 'Combinatoric Structures',
+    collegeCode: 'CAS',
+    subjectCode: 'CS',
+    courseNumber: '131',
+    units: 4,
+    description: 'Fundamental concepts in discrete mathematics with a focus on combinatorics and graph theory.',
+    prerequisites: ['CASCS111'],
+    hubAreas: ['Quantitative Reasoning II'],
+    instructors: ['Prof. Reyzin'],
+    schedule: 'MWF 10:10-11:00',
+    semester: 'Fall 2025'
+  },
+  {
+    courseCode: 'CASCS132',
+    courseName: 'Geometric Algorithms',
+    collegeCode: 'CAS',
+    subjectCode: 'CS',
+    courseNumber: '132',
+    units: 4,
+    description: 'Introduction to computational geometry and spatial algorithms.',
+    prerequisites: ['CASCS131'],
+    hubAreas: ['Quantitative Reasoning II', 'Critical Thinking'],
+    instructors: ['Prof. Smith'],
+    schedule: 'TTH 11:00-12:30',
+    semester: 'Fall 2025'
+  },
+  {
+    courseCode: 'CASLF309',
+    courseName: 'French Literature',
+    collegeCode: 'CAS',
+    subjectCode: 'LF',
+    courseNumber: '309',
+    units: 4,
+    description: 'Survey of French literature from the 18th century to present.',
+    prerequisites: ['CASLF210'],
+    hubAreas: ['Aesthetic Exploration', 'Global Citizenship and Intercultural Literacy'],
+    instructors: ['Prof. Dubois'],
+    schedule: 'MW 2:30-4:00',
+    semester: 'Fall 2025'
+  }
+];
+
+const MOCK_COURSE_DETAILS = {
+  'CASCS131': {
+    courseCode: 'CASCS131',
+    courseName: 'Combinatoric Structures',
+    collegeCode: 'CAS',
+    subjectCode: 'CS',
+    courseNumber: '131',
+    units: 4,
+    description: 'Fundamental concepts in discrete mathematics with a focus on combinatorics and graph theory. Topics include counting, recurrence relations, generating functions, and graph algorithms.',
+    prerequisites: ['CASCS111'],
+    corequisites: [],
+    hubAreas: ['Quantitative Reasoning II'],
+    instructors: ['Prof. Reyzin', 'Prof. Johnson'],
+    schedule: 'MWF 10:10-11:00',
+    semester: 'Fall 2025',
+    location: 'STO B50',
+    capacity: 80,
+    enrolled: 65,
+    waitlist: 5
+  }
+};
+
+async function getCourseRecommendations() {
+  return MOCK_COURSES;
+}
+
+async function getCourseDetails(courseCode) {
+  return MOCK_COURSE_DETAILS[courseCode] ||
+    MOCK_COURSES.find(course => course.courseCode === courseCode) ||
+    null;
+}
+
+async function searchCourses(searchQuery, filters = {}) {
+  const matches = MOCK_COURSES.filter(course => matchesCourseQuery(course, searchQuery));
+  return filterCourses(matches, filters);
+}
+
+async function streamChat(request, options) {
+  return streamOfflineChat({ ...request, offlineCourses: MOCK_COURSES }, options);
+}
+
+const offlineCourseProvider = {
+  name: 'offline',
+  getCourseRecommendations,
+  getCourseDetails,
+  searchCourses,
+  streamChat
+};
+
+export default offlineCourseProvider;
@@ -0,0 +1,154 @@
+/**
+ * Degree plan checks
+ * Looks over a plan's semesters for unit overloads, courses placed before
+ * their prerequisites, courses planned twice or already completed, and
+ * courses whose meeting times overlap each other or a blocked-out time.
+ */
+
+import { checkEligibility, normalizeCourseCode } from './prerequisites';
+import { buildWeekItems, findConflicts } from './schedule';
+
+// BU's full-time range; the upper bound applies when the profile sets no limit
+export const MIN_FULL_TIME_UNITS = 12;
+export const DEFAULT_MAX_UNITS = 18;
+
+// Most BU courses are 4 units, so that's assumed when a course doesn't say
+export const DEFAULT_COURSE_UNITS = 4;
+
+export const ISSUE_OVERLOAD = 'overload';
+export const ISSUE_UNDERLOAD = 'underload';
+export const ISSUE_PREREQUISITE = 'prerequisite';
+export const ISSUE_COREQUISITE = 'corequisite';
+export const ISSUE_DUPLICATE = 'duplicate';
+export const ISSUE_COMPLETED = 'completed';
+export const ISSUE_TIME_CONFLICT = 'time-conflict';
+
+/**
+ * Units a planned course counts for
+ * @param {Object} plannedCourse - { courseCode, units }
+ * @param {Object} [details] - Normalized course, if loaded
+ * @returns {number} - Units
+ */
+export function courseUnits(plannedCourse, details) {
+  if (typeof plannedCourse.units === 'number') return plannedCourse.units;
+  if (details && typeof details.units === 'number') return details.units;
+  return DEFAULT_COURSE_UNITS;
+}
+
+/**
+ * Key for a planned course's issues
+ * @param {number} semesterIndex - Index of the semester in the plan
+ * @param {string} courseCode - Course code
+ * @returns {string} - Lookup key
+ */
+export function planCourseKey(semesterIndex, courseCode) {
+  return `${semesterIndex}:${courseCode}`;
+}
+
+/**
+ * Labels of what each course in a semester overlaps
+ * @param {Object} semester - { term, courses }
+ * @param {Object} courseDetails - Normalized courses by course code
+ * @param {Array} blockedTimes - Profile blocked-out times
+ * @returns {Object} - Course code to labels of overlapping courses and blocked times
+ */
+function semesterOverlaps(semester, courseDetails, blockedTimes) {
+  const items = buildWeekItems({
+    courses: semester.courses,
+    courseDetails,
+    semester: semester.term,
+    blockedTimes
+  });
+  const labels = Object.fromEntries(items.map(item => [item.id, item.label]));
+
+  const overlaps = {};
+  const add = (id, otherId) => {
+    overlaps[id] = overlaps[id] || new Set();
+    overlaps[id].add(labels[otherId]);
+  };
+  findConflicts(items).forEach(({ first, second }) => {
+    add(first, second);
+    add(second, first);
+  });
+  return overlaps;
+}
+
+/**
+ * Check a plan
+ * Courses whose details haven't loaded yet are only checked for units and
+ * duplicates.
+ * @param {Object} plan - { semesters: [{ term, courses: [{ courseCode, units }] }] }
+ * @param {Object} courseDetails - Normalized courses by course code
+ * @param {Object} options - { completedCourses: codes done before the plan starts, maxUnits, blockedTimes from the profile }
+ * @returns {Object} - { semesters: [{ term, units, issues }], courses: planCourseKey to issues, issueCount }; issues are { type, message }
+ */
+export function checkPlan(plan, courseDetails = {}, {
+  completedCourses = [],
+  maxUnits = DEFAULT_MAX_UNITS,
+  blockedTimes = []
+} = {}) {
+  const completed = completedCourses.map(normalizeCourseCode);
+  const completedSet = new Set(completed);
+  const firstPlanned = {};
+  const courses = {};
+  let issueCount = 0;
+
+  const addIssue = (list, type, message) => {
+    list.push({ type, message });
+    issueCount++;
+  };
+
+  // Courses from earlier semesters count as completed for later ones
+  const takenBefore = [...completed];
+
+  const semesters = plan.semesters.map((semester, index) => {
+    const codes = semester.courses.map(course => course.courseCode);
+    const overlaps = semesterOverlaps(semester, courseDetails, blockedTimes);
+    const issues = [];
+    let units = 0;
+
+    semester.courses.forEach(plannedCourse => {
+      const { courseCode } = plannedCourse;
+      const details = courseDetails[courseCode];
+      const courseIssues = [];
+      units += courseUnits(plannedCourse, details);
+
+      if (completedSet.has(courseCode)) {
+        addIssue(courseIssues, ISSUE_COMPLETED, 'Already completed');
+      } else if (firstPlanned[courseCode] !== undefined) {
+        addIssue(courseIssues, ISSUE_DUPLICATE, `Also planned for ${plan.semesters[firstPlanned[courseCode]].term}`);
+      } else {
+        firstPlanned[courseCode] = index;
+      }
+
+      if (details) {
+        const eligibility = checkEligibility(details, takenBefore, {
+          concurrentCourses: codes.filter(code => code !== courseCode)
+        });
+        if (eligibility.missing.length > 0) {
+          addIssue(courseIssues, ISSUE_PREREQUISITE, `Take ${eligibility.missing.join(', ')} first`);
+        }
+        if (eligibility.corequisites.length > 0) {
+          addIssue(courseIssues, ISSUE_COREQUISITE, `Take ${eligibility.corequisites.join(', ')} by this semester`);
+        }
+      }
+
+      if (overlaps[courseCode]) {
+        addIssue(courseIssues, ISSUE_TIME_CONFLICT, `Overlaps ${[...overlaps[courseCode]].join(', ')}`);
+      }
+
+      courses[planCourseKey(index, courseCode)] = courseIssues;
+    });
+
+    if (units > maxUnits) {
+      addIssue(issues, ISSUE_OVERLOAD, `${units} units is over the ${maxUnits}-unit limit`);
+    } else if (units > 0 && units < MIN_FULL_TIME_UNITS) {
+      addIssue(issues, ISSUE_UNDERLOAD, `${units} units is below full time (${MIN_FULL_TIME_UNITS})`);
+    }
+
+    takenBefore.push(...codes);
+    return { term: semester.term, units, issues };
+  });
+
+  return { semesters, courses, issueCount };
+}
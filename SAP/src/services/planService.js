@@ -0,0 +1,205 @@
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  orderBy,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase';
+import { upcomingSemesters } from './profileService';
+import { termLabel } from './terms';
+
+const USERS_COLLECTION = 'users';
+const PLANS_SUBCOLLECTION = 'plans';
+
+export const MAX_PLAN_NAME_LENGTH = 60;
+export const MAX_PLAN_SEMESTERS = 20;
+export const MAX_SEMESTER_COURSES = 12;
+
+// Semesters a plan starts with when the profile has no class year
+const DEFAULT_PLAN_LENGTH = 8;
+
+/**
+ * The fall or spring semester after the given one
+ * @param {string} semester - Label like "Fall 2026"
+ * @returns {string} - Label like "Spring 2027", or '' if the label isn't recognized
+ */
+export function nextSemester(semester) {
+  const match = (semester || '').match(/^(Spring|Summer|Fall) (\d{4})$/);
+  if (!match) return '';
+  const year = Number(match[2]);
+  return match[1] === 'Fall' ? `Spring ${year + 1}` : `Fall ${year}`;
+}
+
+/**
+ * Semester columns for a new plan
+ * Uses the profile's planned semesters, then the fall and spring terms
+ * left before the class year, then the next four years.
+ * @param {Object|null} profile - Stored profile
+ * @returns {Array<string>} - Semester labels in order
+ */
+export function defaultPlanSemesters(profile) {
+  if (profile && profile.plannedSemesters.length > 0) {
+    return profile.plannedSemesters.map(termLabel);
+  }
+
+  const regularTerms = (classYear) => upcomingSemesters(classYear, { includeSummer: false }).map(termLabel);
+  if (profile && profile.classYear) {
+    const semesters = regularTerms(profile.classYear);
+    if (semesters.length > 0) return semesters;
+  }
+  return regularTerms(new Date().getFullYear() + 5).slice(0, DEFAULT_PLAN_LENGTH);
+}
+
+/**
+ * A new, empty plan
+ * @param {string} name - Plan name
+ * @param {Array<string>} semesters - Semester labels
+ * @returns {Object} - { name, semesters: [{ term, courses }] }
+ */
+export function emptyPlan(name, semesters) {
+  return {
+    name,
+    semesters: semesters.map(term => ({ term, courses: [] }))
+  };
+}
+
+/**
+ * Check a plan before saving it
+ * @param {Object} plan - { name, semesters }
+ * @throws {Error} - Describing the first problem
+ */
+export function validatePlan(plan) {
+  const name = plan.name.trim();
+  if (!name) {
+    throw new Error('Give your plan a name');
+  }
+  if (name.length > MAX_PLAN_NAME_LENGTH) {
+    throw new Error(`Plan names can be at most ${MAX_PLAN_NAME_LENGTH} characters`);
+  }
+  if (plan.semesters.length > MAX_PLAN_SEMESTERS) {
+    throw new Error(`A plan can have at most ${MAX_PLAN_SEMESTERS} semesters`);
+  }
+  plan.semesters.forEach(({ term, courses }) => {
+    if (courses.length > MAX_SEMESTER_COURSES) {
+      throw new Error(`${term} has more than ${MAX_SEMESTER_COURSES} courses`);
+    }
+  });
+}
+
+/**
+ * Plan fields as stored in Firestore
+ * @param {Object} plan - { name, semesters }
+ * @returns {Object} - Document fields without timestamps
+ */
+function toPlanDoc(plan) {
+  return {
+    name: plan.name.trim(),
+    semesters: plan.semesters.map(({ term, courses }) => ({
+      term,
+      courses: courses.map(({ courseCode, courseName, units }) => ({
+        courseCode,
+        courseName: courseName || '',
+        units: units ?? null
+      }))
+    }))
+  };
+}
+
+/**
+ * Reference to a student's plans subcollection (users/{uid}/plans)
+ * @param {string} uid - User ID
+ * @returns {CollectionReference}
+ */
+function plansCollection(uid) {
+  return collection(db, USERS_COLLECTION, uid, PLANS_SUBCOLLECTION);
+}
+
+/**
+ * Listen to a student's saved plans, most recently changed first
+ * @param {string} uid - User ID
+ * @param {Function} onChange - Called with an array of plans ({ id, name, semesters, ... })
+ * @param {Function} onError - Called with an Error if the listener fails
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToPlans(uid, onChange, onError) {
+  return onSnapshot(
+    query(plansCollection(uid), orderBy('updatedAt', 'desc')),
+    (snapshot) => {
+      onChange(snapshot.docs.map(planDoc => ({ id: planDoc.id, ...planDoc.data() })));
+    },
+    (error) => {
+      console.error('Error listening to plans:', error);
+      onError(new Error('Failed to load your plans'));
+    }
+  );
+}
+
+/**
+ * Save a new named plan
+ * @param {string} uid - User ID
+ * @param {Object} plan - { name, semesters }
+ * @returns {Promise<string>} - New plan ID
+ */
+export async function createPlan(uid, plan) {
+  validatePlan(plan);
+
+  try {
+    const planRef = await addDoc(plansCollection(uid), {
+      ...toPlanDoc(plan),
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+    return planRef.id;
+  } catch (error) {
+    console.error('Error creating plan:', error);
+    throw new Error('Failed to save your plan');
+  }
+}
+
+/**
+ * Overwrite a plan's name and semesters
+ * @param {string} uid - User ID
+ * @param {string} planId - Plan ID
+ * @param {Object} plan - { name, semesters }
+ * @returns {Promise<void>}
+ */
+export async function updatePlan(uid, planId, plan) {
+  validatePlan(plan);
+
+  try {
+    await updateDoc(doc(plansCollection(uid), planId), {
+      ...toPlanDoc(plan),
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error updating plan:', error);
+    throw new Error('Failed to save your plan');
+  }
+}
+
+/**
+ * Delete a plan
+ * @param {string} uid - User ID
+ * @param {string} planId - Plan ID
+ * @returns {Promise<void>}
+ */
+export async function deletePlan(uid, planId) {
+  try {
+    await deleteDoc(doc(plansCollection(uid), planId));
+  } catch (error) {
+    console.error('Error deleting plan:', error);
+    throw new Error('Failed to delete plan');
+  }
+}
+
+export default {
+  subscribeToPlans,
+  createPlan,
+  updatePlan,
+  deletePlan
+};
@@ -0,0 +1,340 @@
+/**
+ * Prerequisite engine
+ * Parses prerequisite and corequisite lists into AND/OR requirement trees
+ * and checks them against the courses a student has completed.
+ *
+ * Each entry of a course's `prerequisites` array must be met. An entry may
+ * hold alternatives and grouping, e.g.
+ *   ['CASCS111', 'CASMA123 or CASMA127', '(CASCS112 and CASCS131) or CASCS132']
+ * Text that names no course ("consent of instructor") can't be checked and
+ * is returned as a note. As an alternative ("CASCS111 or consent of
+ * instructor") it stays in the tree as a note node, which counts as met so
+ * students aren't held back by a requirement we can't verify.
+ *
+ * Requirement nodes:
+ *   { type: 'course', code } | { type: 'note', text } |
+ *   { type: 'and', items } | { type: 'or', items }
+ */
+
+export const ELIGIBLE = 'eligible';
+export const MISSING_PREREQS = 'missing-prereqs';
+export const ELIGIBLE_WITH_COREQ = 'eligible-with-coreq';
+
+export const ELIGIBILITY_LABELS = {
+  [ELIGIBLE]: 'Eligible',
+  [MISSING_PREREQS]: 'Missing prerequisites',
+  [ELIGIBLE_WITH_COREQ]: 'Eligible with corequisite'
+};
+
+// Course codes with optional spaces ("CAS CS 111"), parentheses, and the
+// words and separators that join requirements
+const TOKEN_PATTERN = /([A-Z]{3}\s*[A-Z]{2,4}\s*\d{3}[A-Z]?)\b|(\()|(\))|\b(and|or)\b|(,)|([;&+])|([|/])/gi;
+
+/**
+ * Compact a course code ("CAS CS 111" to "CASCS111")
+ * @param {string} code - Course code in any common spacing
+ * @returns {string} - Compact uppercase code
+ */
+export function normalizeCourseCode(code) {
+  return code.replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Pull every course code out of free text, e.g. a completed-courses field
+ * @param {string} text - Text such as "CAS CS 111, CASMA123"
+ * @returns {Array<string>} - Unique compact course codes
+ */
+export function parseCourseCodes(text) {
+  const codes = (text || '').match(/[A-Z]{3}\s*[A-Z]{2,4}\s*\d{3}[A-Z]?\b/gi) || [];
+  return [...new Set(codes.map(normalizeCourseCode))];
+}
+
+/**
+ * Combine requirement nodes, collapsing groups of zero or one and merging
+ * nested groups of the same type
+ * @param {string} type - 'and' or 'or'
+ * @param {Array} items - Child nodes (nulls are dropped)
+ * @returns {Object|null} - Requirement node
+ */
+function combine(type, items) {
+  const present = items.filter(Boolean).flatMap(item => (item.type === type ? item.items : [item]));
+  if (present.length === 0) return null;
+  if (present.length === 1) return present[0];
+  return { type, items: present };
+}
+
+/**
+ * Split one prerequisite entry into tokens, collecting text between them
+ * @param {string} text - Prerequisite entry
+ * @returns {Object} - { tokens, notes }
+ */
+function tokenizeRequirement(text) {
+  const tokens = [];
+  const notes = [];
+  let lastIndex = 0;
+
+  const addNote = (fragment) => {
+    const note = fragment.replace(/^[\s.:-]+|[\s.:-]+$/g, '');
+    if (note) {
+      notes.push(note);
+      tokens.push({ type: 'note', text: note });
+    }
+  };
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    addNote(text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [, code, open, close, word, comma, andSeparator] = match;
+    if (code) {
+      tokens.push({ type: 'course', code: normalizeCourseCode(code) });
+    } else if (open) {
+      tokens.push({ type: '(' });
+    } else if (close) {
+      tokens.push({ type: ')' });
+    } else if (word) {
+      tokens.push({ type: word.toLowerCase() });
+    } else if (comma) {
+      tokens.push({ type: ',' });
+    } else if (andSeparator) {
+      tokens.push({ type: 'and' });
+    } else {
+      tokens.push({ type: 'or' });
+    }
+  }
+  addNote(text.slice(lastIndex));
+
+  // "CASCS111, CASCS112 or CASCS113" is a list of alternatives; otherwise
+  // commas separate requirements that are all needed
+  const commaType = tokens.some(token => token.type === 'or') &&
+    !tokens.some(token => token.type === 'and' || token.type === '(')
+    ? 'or'
+    : 'and';
+  tokens.forEach(token => {
+    if (token.type === ',') token.type = commaType;
+  });
+
+  return { tokens, notes };
+}
+
+/**
+ * Recursive descent parser over requirement tokens
+ * "and" binds tighter than "or"; codes next to each other are all required.
+ * Notes only matter where they make up a whole alternative; next to a course
+ * ("Prerequisite: CASCS111") they are dropped.
+ * Unbalanced parentheses and dangling operators are skipped.
+ * @param {Array} tokens - Tokens from tokenizeRequirement
+ * @returns {Object|null} - Requirement node
+ */
+function parseTokens(tokens) {
+  let position = 0;
+  const peek = () => tokens[position]?.type;
+
+  const parseFactor = () => {
+    const token = tokens[position++];
+    if (token.type === 'course' || token.type === 'note') {
+      return token;
+    }
+    if (token.type === '(') {
+      const node = parseExpression();
+      if (peek() === ')') position++;
+      return node;
+    }
+    return null;
+  };
+
+  const parseTerm = () => {
+    const items = [parseFactor()];
+    while (position < tokens.length && peek() !== 'or' && peek() !== ')') {
+      if (peek() === 'and') {
+        position++;
+        continue;
+      }
+      items.push(parseFactor());
+    }
+    const checkable = items.filter(item => item && item.type !== 'note');
+    if (checkable.length > 0) return combine('and', checkable);
+    const notes = items.filter(Boolean);
+    return notes.length > 0 ? { type: 'note', text: notes.map(note => note.text).join(' ') } : null;
+  };
+
+  const parseExpression = () => {
+    const items = [];
+    while (position < tokens.length && peek() !== ')') {
+      if (peek() === 'or') {
+        position++;
+        continue;
+      }
+      items.push(parseTerm());
+    }
+    return combine('or', items);
+  };
+
+  const nodes = [];
+  while (position < tokens.length) {
+    nodes.push(parseExpression());
+    // Skip a stray closing parenthesis and keep going
+    if (peek() === ')') position++;
+  }
+  return combine('and', nodes);
+}
+
+/**
+ * Parse a prerequisite or corequisite list
+ * @param {Array<string>} entries - Course's prerequisites or corequisites
+ * @returns {Object} - { requirement: node or null, notes: text that couldn't be parsed }
+ */
+export function parseRequirements(entries = []) {
+  const notes = [];
+  const nodes = entries.map(entry => {
+    const { tokens, notes: entryNotes } = tokenizeRequirement(entry);
+    notes.push(...entryNotes);
+    return parseTokens(tokens);
+  });
+  return { requirement: combine('and', nodes), notes };
+}
+
+/**
+ * Every course code a requirement mentions
+ * @param {Object|null} node - Requirement node
+ * @returns {Array<string>} - Unique course codes
+ */
+export function requirementCourses(node) {
+  if (!node || node.type === 'note') return [];
+  if (node.type === 'course') return [node.code];
+  return [...new Set(node.items.flatMap(requirementCourses))];
+}
+
+/**
+ * Whether a set of taken courses satisfies a requirement
+ * @param {Object|null} node - Requirement node
+ * @param {Set<string>} taken - Compact course codes
+ * @returns {boolean} - True when satisfied (an empty requirement and a note always are)
+ */
+export function isRequirementMet(node, taken) {
+  if (!node || node.type === 'note') return true;
+  if (node.type === 'course') return taken.has(node.code);
+  if (node.type === 'and') return node.items.every(item => isRequirementMet(item, taken));
+  return node.items.some(item => isRequirementMet(item, taken));
+}
+
+/**
+ * Human-readable form of a requirement, e.g. "CASMA123 or CASMA127"
+ * @param {Object} node - Requirement node
+ * @returns {string} - Description
+ */
+export function describeRequirement(node) {
+  if (node.type === 'course') return node.code;
+  if (node.type === 'note') return node.text;
+  const joiner = node.type === 'and' ? ' and ' : ' or ';
+  return node.items
+    .map(item => (item.type === 'course' || item.type === 'note' ? describeRequirement(item) : `(${describeRequirement(item)})`))
+    .join(joiner);
+}
+
+/**
+ * The smallest parts of a requirement that are still unmet
+ * An unmet AND lists its unmet parts; an unmet OR is listed whole.
+ * @param {Object|null} node - Requirement node
+ * @param {Set<string>} taken - Compact course codes
+ * @returns {Array} - Unmet requirement nodes
+ */
+function unmetRequirements(node, taken) {
+  if (isRequirementMet(node, taken)) return [];
+  if (node.type === 'and') return node.items.flatMap(item => unmetRequirements(item, taken));
+  return [node];
+}
+
+/**
+ * Check whether a student can take a course
+ * @param {Object} course - Normalized course
+ * @param {Array<string>} completedCourses - Course codes the student has completed
+ * @param {Object} options - { concurrentCourses: codes taken in the same semester, which satisfy corequisites }
+ * @returns {Object} - { status, missing, corequisites, notes }; missing and corequisites are descriptions of unmet requirements
+ */
+export function checkEligibility(course, completedCourses = [], { concurrentCourses = [] } = {}) {
+  const completed = new Set(completedCourses.map(normalizeCourseCode));
+  const withConcurrent = new Set([...completed, ...concurrentCourses.map(normalizeCourseCode)]);
+  const prerequisites = parseRequirements(course.prerequisites);
+  const corequisites = parseRequirements(course.corequisites);
+
+  const missing = unmetRequirements(prerequisites.requirement, completed).map(describeRequirement);
+  const pendingCoreqs = unmetRequirements(corequisites.requirement, withConcurrent).map(describeRequirement);
+
+  let status = ELIGIBLE;
+  if (missing.length > 0) {
+    status = MISSING_PREREQS;
+  } else if (pendingCoreqs.length > 0) {
+    status = ELIGIBLE_WITH_COREQ;
+  }
+
+  return {
+    status,
+    missing,
+    corequisites: pendingCoreqs,
+    notes: [...prerequisites.notes, ...corequisites.notes]
+  };
+}
+
+/**
+ * Build the prerequisite graph of a course, loading prerequisites of
+ * prerequisites up to maxDepth levels back
+ * @param {Object} rootCourse - Normalized course the graph is for
+ * @param {Function} loadCourse - Async (courseCode) => course or null
+ * @param {Object} options - { maxDepth }
+ * @returns {Promise<Object>} - { nodes, edges }; nodes are { id, type: 'course'|'or', code, known } and edges { from, to, kind: 'prereq'|'coreq' }, pointing from requirement to dependent
+ */
+export async function buildPrerequisiteGraph(rootCourse, loadCourse, { maxDepth = 3 } = {}) {
+  const nodes = new Map();
+  const edges = [];
+  const loaded = new Set([rootCourse.courseCode]);
+  let queue = [rootCourse];
+
+  const addCourseNode = (code, known = true) => {
+    if (!nodes.has(code)) {
+      nodes.set(code, { id: code, type: 'course', code, known });
+    }
+    return nodes.get(code);
+  };
+
+  // Connect a requirement to the node that needs it; AND groups are
+  // implied by several edges, OR groups get their own node. Notes have no
+  // course to draw and are left out.
+  const addRequirement = (node, targetId, kind, next) => {
+    if (!node || node.type === 'note') return;
+    if (node.type === 'course') {
+      addCourseNode(node.code);
+      if (!edges.some(edge => edge.from === node.code && edge.to === targetId && edge.kind === kind)) {
+        edges.push({ from: node.code, to: targetId, kind });
+      }
+      next.add(node.code);
+    } else if (node.type === 'and') {
+      node.items.forEach(item => addRequirement(item, targetId, kind, next));
+    } else {
+      const id = `${targetId}:or${nodes.size}`;
+      nodes.set(id, { id, type: 'or', code: null, known: true });
+      edges.push({ from: id, to: targetId, kind });
+      node.items.forEach(item => addRequirement(item, id, kind, next));
+    }
+  };
+
+  addCourseNode(rootCourse.courseCode);
+
+  for (let depth = 0; depth < maxDepth && queue.length > 0; depth++) {
+    const next = new Set();
+    queue.forEach(course => {
+      addRequirement(parseRequirements(course.prerequisites).requirement, course.courseCode, 'prereq', next);
+      addRequirement(parseRequirements(course.corequisites).requirement, course.courseCode, 'coreq', next);
+    });
+
+    const toLoad = [...next].filter(code => !loaded.has(code));
+    toLoad.forEach(code => loaded.add(code));
+    const courses = await Promise.all(toLoad.map(code => loadCourse(code).catch(() => null)));
+    queue = courses.filter(Boolean);
+    toLoad.forEach((code, index) => {
+      if (!courses[index]) nodes.get(code).known = false;
+    });
+  }
+
+  return { nodes: [...nodes.values()], edges };
+}
@@ -0,0 +1,261 @@
+import { doc, onSnapshot, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { HUB_AREAS } from './courseFilters';
+import { isTermKey, termKey, termLabel, currentTermKey, shiftTerm } from './terms';
+
+const USERS_COLLECTION = 'users';
+
+// Majors and minors offered in the profile editor
+export const PROGRAMS = [
+  'Accounting',
+  'Anthropology',
+  'Biochemistry & Molecular Biology',
+  'Biology',
+  'Biomedical Engineering',
+  'Business Administration & Management',
+  'Chemistry',
+  'Communication',
+  'Computer Engineering',
+  'Computer Science',
+  'Data Science',
+  'Economics',
+  'Electrical Engineering',
+  'English',
+  'Environmental Analysis & Policy',
+  'Film & Television',
+  'Finance',
+  'French',
+  'History',
+  'International Relations',
+  'Journalism',
+  'Linguistics',
+  'Marketing',
+  'Mathematics',
+  'Mechanical Engineering',
+  'Neuroscience',
+  'Philosophy',
+  'Physics',
+  'Political Science',
+  'Psychology',
+  'Public Health',
+  'Sociology',
+  'Statistics'
+];
+
+export const GRADES = ['A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D', 'F', 'P', 'W'];
+
+// Meeting day letters as BU schedules write them (R is Thursday)
+export const WEEKDAYS = [
+  { value: 'M', label: 'Mon' },
+  { value: 'T', label: 'Tue' },
+  { value: 'W', label: 'Wed' },
+  { value: 'R', label: 'Thu' },
+  { value: 'F', label: 'Fri' }
+];
+
+const MAX_COMPLETED_COURSES = 200;
+const MAX_PLANNED_SEMESTERS = 20;
+const MAX_BLOCKED_TIMES = 10;
+const MAX_BLOCKED_LABEL_LENGTH = 50;
+const COURSE_CODE_PATTERN = /^[A-Z]{3}[A-Z]{2,4}\d{3}[A-Z]?$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Profile of a student who hasn't filled anything in yet
+ * @returns {Object} - users/{uid} document without timestamps
+ */
+export function emptyProfile() {
+  return {
+    major: '',
+    minor: '',
+    classYear: null,
+    completedCourses: [],
+    // Term keys, like reviews' semesterKey
+    plannedSemesters: [],
+    hubAreasSatisfied: [],
+    scheduleConstraints: {
+      maxUnits: null,
+      earliestStart: '',
+      latestEnd: '',
+      daysOff: [],
+      // Recurring times the student can't take classes, e.g. work hours
+      blockedTimes: []
+    }
+  };
+}
+
+/**
+ * Semesters from the next one through the spring of the class year
+ * @param {number|null} classYear - Graduation year
+ * @param {Object} options - { includeSummer, now: current date }
+ * @returns {Array<string>} - Term keys like "2027-1", in order
+ */
+export function upcomingSemesters(classYear, { includeSummer = true, now = new Date() } = {}) {
+  if (!classYear) return [];
+
+  const lastKey = `${classYear}-1`;
+  const semesters = [];
+  for (let key = shiftTerm(currentTermKey(now), 1); key <= lastKey; key = shiftTerm(key, 1)) {
+    if (includeSummer || !termLabel(key).startsWith('Summer')) semesters.push(key);
+  }
+  return semesters;
+}
+
+/**
+ * Check a profile before saving it
+ * @param {Object} profile - Profile fields
+ * @throws {Error} - Describing the first invalid field
+ */
+export function validateProfile(profile) {
+  if (profile.major && !PROGRAMS.includes(profile.major)) {
+    throw new Error('Choose a major from the list');
+  }
+  if (profile.minor && !PROGRAMS.includes(profile.minor)) {
+    throw new Error('Choose a minor from the list');
+  }
+  if (profile.classYear !== null &&
+      (!Number.isInteger(profile.classYear) || profile.classYear < 2000 || profile.classYear > 2100)) {
+    throw new Error('Class year must be a year like 2028');
+  }
+
+  if (profile.completedCourses.length > MAX_COMPLETED_COURSES) {
+    throw new Error(`You can list at most ${MAX_COMPLETED_COURSES} completed courses`);
+  }
+  profile.completedCourses.forEach(({ courseCode, grade }) => {
+    if (!COURSE_CODE_PATTERN.test(courseCode)) {
+      throw new Error(`"${courseCode}" is not a course code like CASCS111`);
+    }
+    if (grade && !GRADES.includes(grade)) {
+      throw new Error(`Unknown grade for ${courseCode}`);
+    }
+  });
+
+  if (profile.plannedSemesters.length > MAX_PLANNED_SEMESTERS) {
+    throw new Error(`You can plan at most ${MAX_PLANNED_SEMESTERS} semesters`);
+  }
+  if (profile.plannedSemesters.some(key => !isTermKey(key))) {
+    throw new Error('Unknown planned semester');
+  }
+  if (profile.hubAreasSatisfied.some(area => !HUB_AREAS.includes(area))) {
+    throw new Error('Unknown Hub area');
+  }
+
+  const { maxUnits, earliestStart, latestEnd, daysOff, blockedTimes } = profile.scheduleConstraints;
+  if (maxUnits !== null && (!Number.isInteger(maxUnits) || maxUnits < 1 || maxUnits > 24)) {
+    throw new Error('Maximum units must be between 1 and 24');
+  }
+  if ((earliestStart && !TIME_PATTERN.test(earliestStart)) || (latestEnd && !TIME_PATTERN.test(latestEnd))) {
+    throw new Error('Times must look like 09:00');
+  }
+  if (earliestStart && latestEnd && earliestStart >= latestEnd) {
+    throw new Error('Earliest start must be before latest end');
+  }
+  if (daysOff.some(day => !WEEKDAYS.some(weekday => weekday.value === day))) {
+    throw new Error('Unknown day off');
+  }
+
+  if (blockedTimes.length > MAX_BLOCKED_TIMES) {
+    throw new Error(`You can block out at most ${MAX_BLOCKED_TIMES} times`);
+  }
+  blockedTimes.forEach(({ label, days, start, end }) => {
+    const name = label || 'Blocked time';
+    if (label.length > MAX_BLOCKED_LABEL_LENGTH) {
+      throw new Error(`Blocked time labels can be at most ${MAX_BLOCKED_LABEL_LENGTH} characters`);
+    }
+    if (days.length === 0 || days.some(day => !WEEKDAYS.some(weekday => weekday.value === day))) {
+      throw new Error(`Choose the days for "${name}"`);
+    }
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start >= end) {
+      throw new Error(`"${name}" needs a start time before its end time`);
+    }
+  });
+}
+
+/**
+ * Listen to the signed-in student's profile
+ * @param {string} uid - User ID
+ * @param {Function} onChange - Called with the profile (emptyProfile() until one is saved)
+ * @param {Function} onError - Called with an Error if the listener fails
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToProfile(uid, onChange, onError) {
+  return onSnapshot(
+    doc(db, USERS_COLLECTION, uid),
+    (snapshot) => {
+      const base = emptyProfile();
+      const data = snapshot.exists() ? snapshot.data() : {};
+      // Profiles saved before term keys hold labels like "Fall 2026"
+      const plannedSemesters = (data.plannedSemesters || []).map(termKey).filter(Boolean);
+      onChange({
+        ...base,
+        ...data,
+        plannedSemesters,
+        scheduleConstraints: { ...base.scheduleConstraints, ...data.scheduleConstraints }
+      });
+    },
+    (error) => {
+      console.error('Error listening to profile:', error);
+      onError(new Error('Failed to load your profile'));
+    }
+  );
+}
+
+/**
+ * Save the student's profile, replacing the stored one
+ * @param {string} uid - User ID
+ * @param {Object} profile - Profile fields
+ * @returns {Promise<void>}
+ */
+export async function saveProfile(uid, profile) {
+  validateProfile(profile);
+
+  try {
+    await setDoc(doc(db, USERS_COLLECTION, uid), {
+      major: profile.major,
+      minor: profile.minor,
+      classYear: profile.classYear,
+      completedCourses: profile.completedCourses.map(({ courseCode, grade, semester }) => ({
+        courseCode,
+        grade: grade || '',
+        semester: semester || ''
+      })),
+      plannedSemesters: profile.plannedSemesters,
+      hubAreasSatisfied: profile.hubAreasSatisfied,
+      scheduleConstraints: profile.scheduleConstraints,
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    throw new Error('Failed to save your profile');
+  }
+}
+
+/**
+ * Structured student data for the recommendation provider
+ * Semesters go out as labels ("Fall 2026"), which is what the agent reads.
+ * @param {Object} profile - Stored profile
+ * @returns {Object} - studentData fields taken from the profile
+ */
+export function profileToStudentData(profile) {
+  return {
+    major: profile.major,
+    minor: profile.minor,
+    classYear: profile.classYear,
+    semester: termLabel(profile.plannedSemesters[0]),
+    completedCourses: profile.completedCourses.map(course => course.courseCode),
+    grades: Object.fromEntries(
+      profile.completedCourses
+        .filter(course => course.grade)
+        .map(course => [course.courseCode, course.grade])
+    ),
+    plannedSemesters: profile.plannedSemesters.map(termLabel),
+    hubAreasSatisfied: profile.hubAreasSatisfied,
+    scheduleConstraints: profile.scheduleConstraints
+  };
+}
+
+export default {
+  subscribeToProfile,
+  saveProfile,
+  profileToStudentData
+};
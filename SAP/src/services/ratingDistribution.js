@@ -0,0 +1,84 @@
+/**
+ * Rating distribution
+ * Puts the shape of a 1-5 star histogram into words: whether reviewers
+ * mostly agree, split into camps, or are spread out. The average alone
+ * can't tell a course everyone rates 3 from one half love and half hate.
+ */
+
+// Fewer reviews than this say nothing about the shape
+export const MIN_REVIEWS_FOR_SHAPE = 3;
+
+// Standard deviation (in stars) at or below which ratings count as consistent
+const CONSISTENT_SPREAD = 0.8;
+
+// Share of reviews at each end (1-2 and 4-5 stars) that makes a course
+// polarizing, as long as both ends outweigh the 3-star middle
+const POLARIZED_SHARE = 0.25;
+
+/**
+ * Count, mean and standard deviation of a star histogram
+ * @param {Object} histogram - Star (1-5) to number of reviews
+ * @returns {Object} - { count, mean, standardDeviation } (mean and deviation are null without reviews)
+ */
+export function histogramStats(histogram) {
+  const stars = [1, 2, 3, 4, 5];
+  const countOf = (star) => (histogram && histogram[star]) || 0;
+  const count = stars.reduce((sum, star) => sum + countOf(star), 0);
+  if (count === 0) {
+    return { count, mean: null, standardDeviation: null };
+  }
+
+  const mean = stars.reduce((sum, star) => sum + star * countOf(star), 0) / count;
+  const variance = stars.reduce((sum, star) => sum + countOf(star) * (star - mean) ** 2, 0) / count;
+  return { count, mean, standardDeviation: Math.sqrt(variance) };
+}
+
+/**
+ * Describe how reviewers' ratings are spread
+ * @param {Object} histogram - Star (1-5) to number of reviews
+ * @returns {Object} - { shape: 'few'|'consistent'|'polarizing'|'mixed', label, description }
+ */
+export function describeDistribution(histogram) {
+  const { count, standardDeviation } = histogramStats(histogram);
+  if (count < MIN_REVIEWS_FOR_SHAPE) {
+    return {
+      shape: 'few',
+      label: 'Too few reviews',
+      description: 'Not enough reviews yet to say how opinions are spread.'
+    };
+  }
+
+  const share = (stars) => stars.reduce((sum, star) => sum + (histogram[star] || 0), 0) / count;
+  const low = share([1, 2]);
+  const middle = share([3]);
+  const high = share([4, 5]);
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  if (low >= POLARIZED_SHARE && high >= POLARIZED_SHARE && middle < Math.min(low, high)) {
+    return {
+      shape: 'polarizing',
+      label: 'Polarizing',
+      description: `${percent(high)} rated it 4 or 5 stars and ${percent(low)} rated it 1 or 2.`
+    };
+  }
+
+  if (standardDeviation <= CONSISTENT_SPREAD) {
+    const mode = [5, 4, 3, 2, 1].reduce((best, star) => ((histogram[star] || 0) > (histogram[best] || 0) ? star : best));
+    return {
+      shape: 'consistent',
+      label: 'Consistent',
+      description: `Reviewers mostly agree: ${percent((histogram[mode] || 0) / count)} gave it ${mode} ${mode === 1 ? 'star' : 'stars'}.`
+    };
+  }
+
+  return {
+    shape: 'mixed',
+    label: 'Mixed',
+    description: 'Ratings are spread out, so read a few reviews before deciding.'
+  };
+}
+
+export default {
+  histogramStats,
+  describeDistribution
+};
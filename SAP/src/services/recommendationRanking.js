@@ -0,0 +1,146 @@
+/**
+ * Recommendation ranking
+ * Re-scores the agent's recommendations with peer reviews and the
+ * student's stated preferences. Each factor is scaled to 0-1 and the score
+ * is their weighted mean, so weights only say how much factors matter
+ * relative to each other.
+ *
+ * Review means are Bayesian averages: a course's mean is pulled toward a
+ * prior by PRIOR_REVIEW_WEIGHT phantom reviews, so one 5-star review
+ * doesn't outrank forty 4.5-star ones.
+ */
+
+// Phantom reviews added to every course's mean
+export const PRIOR_REVIEW_WEIGHT = 5;
+
+// Prior means on the 1-5 review scales: a middling rating, and average
+// difficulty and workload
+const PRIOR_RATING = 3.5;
+const PRIOR_SCALE_MIDPOINT = 3;
+
+export const RANKING_FACTORS = [
+  { key: 'agent', label: "TerrierGPT's order" },
+  { key: 'rating', label: 'Higher peer ratings' },
+  { key: 'workload', label: 'Lighter workload' },
+  { key: 'difficulty', label: 'Easier courses' },
+  { key: 'preferences', label: 'Matches my preferences' }
+];
+
+// Weights run from 0 (ignore) to MAX_RANKING_WEIGHT
+export const MAX_RANKING_WEIGHT = 3;
+
+export const DEFAULT_RANKING_WEIGHTS = {
+  agent: 2,
+  rating: 2,
+  workload: 0,
+  difficulty: 0,
+  preferences: 1
+};
+
+// Words in a preferences sentence that say nothing about courses
+const STOP_WORDS = new Set([
+  'about', 'also', 'and', 'any', 'are', 'but', 'can', 'class', 'classes',
+  'course', 'courses', 'for', 'from', 'have', 'into', 'like', 'more', 'not',
+  'something', 'some', 'that', 'the', 'them', 'this', 'want', 'with', 'would'
+]);
+
+/**
+ * Bayesian average of a mean over `count` reviews
+ * @param {number|null} mean - Observed mean (null without reviews)
+ * @param {number} count - Number of reviews behind the mean
+ * @param {number} prior - Prior mean
+ * @returns {number} - Mean pulled toward the prior by PRIOR_REVIEW_WEIGHT reviews
+ */
+export function bayesianAverage(mean, count, prior) {
+  if (mean === null || mean === undefined || !count) return prior;
+  return (prior * PRIOR_REVIEW_WEIGHT + mean * count) / (PRIOR_REVIEW_WEIGHT + count);
+}
+
+/**
+ * Keywords from the student's stated preferences
+ * @param {string} preferences - Free text, e.g. "machine learning, small classes"
+ * @returns {Array<string>} - Lower-case keywords
+ */
+export function preferenceKeywords(preferences) {
+  const words = (preferences || '').toLowerCase().match(/[a-z][a-z0-9+#]+/g) || [];
+  return [...new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)))];
+}
+
+/**
+ * Score one course
+ * @param {Object} course - Normalized course
+ * @param {Object} stats - courseStats document for the course
+ * @param {Object} options - { index and total: place in the agent's list, weights, keywords }
+ * @returns {Object} - { score: 0-100, factors: [{ key, label, value: 0-1, weight, detail }] }
+ */
+function scoreCourse(course, stats, { index, total, weights, keywords }) {
+  const position = total > 1 ? index / (total - 1) : 0;
+  const factors = [];
+  const add = (key, value, detail) => {
+    const { label } = RANKING_FACTORS.find(factor => factor.key === key);
+    factors.push({ key, label, value, weight: weights[key] || 0, detail });
+  };
+
+  add('agent', 1 - position, `#${index + 1} of ${total} from TerrierGPT`);
+
+  const reviewCount = stats ? stats.reviewCount : 0;
+  const rating = bayesianAverage(reviewCount ? stats.averageRating : null, reviewCount, PRIOR_RATING);
+  add('rating', (rating - 1) / 4, reviewCount
+    ? `${stats.averageRating.toFixed(1)}/5 from ${reviewCount} ${reviewCount === 1 ? 'review' : 'reviews'}, counted as ${rating.toFixed(1)}`
+    : `No reviews yet, counted as ${PRIOR_RATING.toFixed(1)}`);
+
+  // Lower workload and difficulty score higher
+  [['workload', 'averageWorkload', 'workloadCount'], ['difficulty', 'averageDifficulty', 'difficultyCount']]
+    .forEach(([key, meanField, countField]) => {
+      const count = stats ? stats[countField] : 0;
+      const mean = bayesianAverage(count ? stats[meanField] : null, count, PRIOR_SCALE_MIDPOINT);
+      add(key, (5 - mean) / 4, count
+        ? `${key[0].toUpperCase()}${key.slice(1)} ${stats[meanField].toFixed(1)}/5 from ${count} ${count === 1 ? 'rating' : 'ratings'}`
+        : `No ${key} ratings yet`);
+    });
+
+  if (keywords.length > 0) {
+    const text = [course.courseName, course.description, ...(course.hubAreas || [])].join(' ').toLowerCase();
+    const matched = keywords.filter(keyword => text.includes(keyword));
+    add('preferences', matched.length / keywords.length, matched.length > 0
+      ? `Mentions ${matched.join(', ')}`
+      : 'Doesn\'t mention your preferences');
+  }
+
+  const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+  const score = totalWeight > 0
+    ? factors.reduce((sum, factor) => sum + factor.value * factor.weight, 0) / totalWeight
+    : 1 - position;
+  return { score: Math.round(score * 100), factors };
+}
+
+/**
+ * Rank recommendations
+ * Ties keep the agent's order.
+ * @param {Array} courses - Recommendations in the agent's order
+ * @param {Function} getStats - Course code to its courseStats document
+ * @param {Object} options - { weights, preferences: the student's stated preferences }
+ * @returns {Array} - Courses sorted by score, each with a `ranking`: { score, factors }
+ */
+export function rankRecommendations(courses, getStats, { weights = DEFAULT_RANKING_WEIGHTS, preferences = '' } = {}) {
+  const keywords = preferenceKeywords(preferences);
+  return courses
+    .map((course, index) => ({
+      ...course,
+      ranking: scoreCourse(course, getStats(course.courseCode), {
+        index,
+        total: courses.length,
+        weights,
+        keywords
+      })
+    }))
+    .map((course, index) => ({ course, index }))
+    .sort((a, b) => b.course.ranking.score - a.course.ranking.score || a.index - b.index)
+    .map(({ course }) => course);
+}
+
+export default {
+  bayesianAverage,
+  preferenceKeywords,
+  rankRecommendations
+};
@@ -0,0 +1,28 @@
+// Last recommender form and results, kept for the browser session so that
+// coming back from another page doesn't throw the recommendations away
+const RECOMMENDER_STATE_KEY = 'courseRecommender';
+
+/**
+ * Read the saved recommender state
+ * @returns {Object} - { recommendations, studentData, hideIneligible, prioritizeHub, hideClashes, rankingWeights, chatMessages }, empty if nothing was saved
+ */
+export function loadRecommenderState() {
+  try {
+    return JSON.parse(sessionStorage.getItem(RECOMMENDER_STATE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save the recommender state for this browser session
+ * @param {Object} state - { recommendations, studentData, hideIneligible, prioritizeHub, hideClashes, rankingWeights, chatMessages }
+ */
+export function saveRecommenderState(state) {
+  sessionStorage.setItem(RECOMMENDER_STATE_KEY, JSON.stringify(state));
+}
+
+export default {
+  loadRecommenderState,
+  saveRecommenderState
+};
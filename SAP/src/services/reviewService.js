@@ -1,49 +1,142 @@
 import { 
   collection, 
-  addDoc, 
   query, 
   where, 
   getDocs, 
   orderBy, 
+  limit,
+  startAfter,
+  onSnapshot,
   doc, 
-  updateDoc, 
-  increment,
+  getDoc,
+  deleteDoc,
+  documentId,
+  runTransaction,
+  writeBatch,
   serverTimestamp 
 } from 'firebase/firestore';
-import { db } from './firebase';
+import { db, auth } from './firebase';
+import { getDisplayName } from './authService';
+import { instructorId } from './instructorService';
+import { isTermKey, termKey, termLabel } from './terms';
 
 const REVIEWS_COLLECTION = 'reviews';
+const VOTES_SUBCOLLECTION = 'votes';
+const REPORTS_SUBCOLLECTION = 'reports';
+const REVISIONS_SUBCOLLECTION = 'revisions';
+// reviewAuthors/{reviewId} holds { userId } so the review itself, which
+// anyone can read, never carries its author's uid
+const REVIEW_AUTHORS_COLLECTION = 'reviewAuthors';
+
+export const VOTE_HELPFUL = 'helpful';
+export const VOTE_NOT_HELPFUL = 'not_helpful';
+
+// Reason categories accepted by firestore.rules for reports
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'offensive', label: 'Harassment or offensive language' },
+  { value: 'personal_info', label: 'Shares personal information' },
+  { value: 'off_topic', label: 'Not about this course' },
+  { value: 'other', label: 'Something else' }
+];
+
+// Tags a reviewer can pick to sum up a course at a glance, in display
+// order; firestore.rules accepts only these values
+export const REVIEW_TAGS = [
+  { value: 'heavy-reading', label: 'Heavy reading' },
+  { value: 'curve', label: 'Graded on a curve' },
+  { value: 'group-projects', label: 'Group projects' },
+  { value: 'attendance-mandatory', label: 'Attendance mandatory' },
+  { value: 'great-lectures', label: 'Great lectures' }
+];
+
+// Longest pros or cons text firestore.rules accepts
+export const PROS_CONS_MAX_LENGTH = 500;
+
+/**
+ * Display label for a review tag
+ * @param {string} tag - One of the REVIEW_TAGS values
+ * @returns {string} - Label, or the value itself for tags no longer offered
+ */
+export function reviewTagLabel(tag) {
+  const option = REVIEW_TAGS.find(item => item.value === tag);
+  return option ? option.label : tag;
+}
+
+// Sort options for review listings; each one is backed by a composite
+// index on (courseCode, hidden, field) in firestore.indexes.json, plus one
+// per combination of the instructor, rating and tag filters
+export const REVIEW_SORTS = {
+  helpful: { label: 'Most helpful', field: 'helpfulVotes', direction: 'desc' },
+  newest: { label: 'Newest', field: 'createdAt', direction: 'desc' },
+  highest: { label: 'Highest rating', field: 'rating', direction: 'desc' },
+  lowest: { label: 'Lowest rating', field: 'rating', direction: 'asc' },
+  semester: { label: 'Semester taken', field: 'semesterKey', direction: 'desc' }
+};
+
+export const DEFAULT_REVIEW_SORT = 'helpful';
+export const REVIEWS_PAGE_SIZE = 10;
 
 /**
- * Fetch all reviews for a specific course
+ * Query constraints for a course's visible reviews in the given sort order
+ * Reviews hidden by moderation are left out, and so are reviews with no
+ * hidden flag at all until functions/scripts/migrateReviewVisibility.js
+ * has given them one. Sorting by semester only
+ * includes reviews that carry a semesterKey. Sorting by rating means
+ * nothing once the reviews are filtered to one rating, so those come
+ * newest first.
+ * @param {string} courseCode - Course code
+ * @param {string} sortBy - Key of REVIEW_SORTS
+ * @param {Object} [filters] - { instructorId: only that instructor's sections, rating: only that star rating, tag: only reviews with that tag }
+ * @returns {Array} - where/orderBy constraints
+ */
+function courseReviewConstraints(courseCode, sortBy, { instructorId: instructor = '', rating = null, tag = '' } = {}) {
+  const sort = REVIEW_SORTS[sortBy];
+  if (!sort) {
+    throw new Error(`Unknown sort "${sortBy}"`);
+  }
+  const order = rating && sort.field === 'rating' ? REVIEW_SORTS.newest : sort;
+  
+  return [
+    where('courseCode', '==', courseCode),
+    where('hidden', '==', false),
+    ...(instructor ? [where('instructorId', '==', instructor)] : []),
+    ...(rating ? [where('rating', '==', rating)] : []),
+    ...(tag ? [where('tags', 'array-contains', tag)] : []),
+    orderBy(order.field, order.direction)
+  ];
+}
+
+/**
+ * Fetch one page of visible reviews for a specific course
  * @param {string} courseCode - Course code (e.g., "CASCS131")
- * @returns {Promise<Object>} - Reviews array, average rating, and count
+ * @param {Object} options - { sortBy (key of REVIEW_SORTS), instructorId, rating and tag (optional filters), pageSize, cursor }
+ * @returns {Promise<Object>} - Reviews array, cursor for the next page, and hasMore
  */
-export async function getReviewsByCourse(courseCode) {
+export async function getReviewsPage(courseCode, {
+  sortBy = DEFAULT_REVIEW_SORT,
+  instructorId: instructor = '',
+  rating = null,
+  tag = '',
+  pageSize = REVIEWS_PAGE_SIZE,
+  cursor = null
+} = {}) {
+  const constraints = courseReviewConstraints(courseCode, sortBy, { instructorId: instructor, rating, tag });
+  
   try {
-    const reviewsRef = collection(db, REVIEWS_COLLECTION);
-    const q = query(
-      reviewsRef, 
-      where('courseCode', '==', courseCode),
-      orderBy('helpfulVotes', 'desc')
-    );
-    
-    const querySnapshot = await getDocs(q);
-    const reviews = [];
-    let totalRating = 0;
-    
-    querySnapshot.forEach((doc) => {
-      const reviewData = { id: doc.id, ...doc.data() };
-      reviews.push(reviewData);
-      totalRating += reviewData.rating;
-    });
+    if (cursor) {
+      constraints.push(startAfter(cursor));
+    }
+    // One extra document tells us whether another page exists
+    constraints.push(limit(pageSize + 1));
     
-    const averageRating = reviews.length > 0 ? totalRating / reviews.length : 0;
+    const querySnapshot = await getDocs(query(collection(db, REVIEWS_COLLECTION), ...constraints));
+    const pageDocs = querySnapshot.docs.slice(0, pageSize);
     
     return {
-      reviews,
-      averageRating: parseFloat(averageRating.toFixed(1)),
-      totalReviews: reviews.length
+      reviews: pageDocs.map(snapshot => ({ id: snapshot.id, ...snapshot.data() })),
+      cursor: pageDocs.length > 0 ? pageDocs[pageDocs.length - 1] : cursor,
+      hasMore: querySnapshot.docs.length > pageSize
     };
   } catch (error) {
     console.error('Error fetching reviews:', error);
@@ -52,26 +145,148 @@ export async function getReviewsByCourse(courseCode) {
 }
 
 /**
- * Submit a new review
+ * Listen to the first `maxReviews` visible reviews for a course
+ * The callback runs with the current reviews right away and again whenever
+ * a review in range is added, edited, voted on, hidden or deleted. Raise
+ * maxReviews (by resubscribing) to show more.
+ * @param {string} courseCode - Course code (e.g., "CASCS131")
+ * @param {Object} options - { sortBy (key of REVIEW_SORTS), instructorId, rating and tag (optional filters), maxReviews }
+ * @param {Function} onChange - Called with { reviews, hasMore }
+ * @param {Function} onError - Called with an Error if the listener fails
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToCourseReviews(courseCode, {
+  sortBy = DEFAULT_REVIEW_SORT,
+  instructorId: instructor = '',
+  rating = null,
+  tag = '',
+  maxReviews = REVIEWS_PAGE_SIZE
+} = {}, onChange, onError) {
+  const q = query(
+    collection(db, REVIEWS_COLLECTION),
+    ...courseReviewConstraints(courseCode, sortBy, { instructorId: instructor, rating, tag }),
+    limit(maxReviews + 1)
+  );
+  
+  return onSnapshot(
+    q,
+    (querySnapshot) => {
+      const docs = querySnapshot.docs.slice(0, maxReviews);
+      onChange({
+        reviews: docs.map(snapshot => ({ id: snapshot.id, ...snapshot.data() })),
+        hasMore: querySnapshot.docs.length > maxReviews
+      });
+    },
+    (error) => {
+      console.error('Error listening to reviews:', error);
+      onError?.(new Error('Failed to load reviews'));
+    }
+  );
+}
+
+/**
+ * Term key for the semester a review is about
+ * Takes the picker's key, or parses a semester label from older callers.
+ * @param {Object} reviewData - Review data object
+ * @returns {string} - Term key, or '' if no semester was given
+ */
+function reviewTermKey(reviewData) {
+  return isTermKey(reviewData.semesterKey) ? reviewData.semesterKey : termKey(reviewData.semesterTaken);
+}
+
+/**
+ * Check the fields every review needs before it is written
+ * @param {Object} reviewData - Review data object
+ */
+function validateReviewContent(reviewData) {
+  // Validate required fields
+  if (!reviewData.rating || !reviewData.reviewText) {
+    throw new Error('Missing required fields: rating or reviewText');
+  }
+  
+  // Validate rating range
+  if (reviewData.rating < 1 || reviewData.rating > 5) {
+    throw new Error('Rating must be between 1 and 5');
+  }
+  
+  // Validate review text length
+  if (reviewData.reviewText.length < 20) {
+    throw new Error('Review text must be at least 20 characters');
+  }
+  
+  if ((reviewData.semesterKey || reviewData.semesterTaken) && !reviewTermKey(reviewData)) {
+    throw new Error('Semester taken must be a term like "Fall 2025"');
+  }
+  
+  const unknownTag = (reviewData.tags || []).find(tag => !REVIEW_TAGS.some(option => option.value === tag));
+  if (unknownTag) {
+    throw new Error(`Unknown tag "${unknownTag}"`);
+  }
+  
+  if ((reviewData.pros || '').trim().length > PROS_CONS_MAX_LENGTH
+      || (reviewData.cons || '').trim().length > PROS_CONS_MAX_LENGTH) {
+    throw new Error(`Pros and cons must be at most ${PROS_CONS_MAX_LENGTH} characters each`);
+  }
+}
+
+/**
+ * Build the review fields an author may write, both on submit and on edit
+ * @param {Object} reviewData - Review data object
+ * @param {Object} user - Signed-in Firebase user
+ * @returns {Object} - Content and author fields
+ */
+function buildReviewContent(reviewData, user) {
+  const isAnonymous = reviewData.isAnonymous !== false;
+  const semesterKey = reviewTermKey(reviewData);
+  
+  return {
+    // Review content
+    rating: reviewData.rating,
+    reviewText: reviewData.reviewText,
+    
+    // Optional ratings
+    difficultyRating: reviewData.difficultyRating || null,
+    workloadRating: reviewData.workloadRating || null,
+    profHelpfulnessRating: reviewData.profHelpfulnessRating || null,
+    
+    // Tags in REVIEW_TAGS order, each at most once, and optional pros/cons
+    tags: REVIEW_TAGS
+      .map(option => option.value)
+      .filter(tag => (reviewData.tags || []).includes(tag)),
+    pros: (reviewData.pros || '').trim(),
+    cons: (reviewData.cons || '').trim(),
+    
+    // Semester info: the term key, and its label for display
+    semesterTaken: termLabel(semesterKey),
+    semesterKey,
+    
+    // Who taught the section the reviewer took ('' if they didn't say)
+    instructorName: reviewData.instructorName || '',
+    instructorId: instructorId(reviewData.instructorName),
+    
+    // Author info (anonymous reviews never expose the author's name or email)
+    authorEmail: isAnonymous ? null : user.email,
+    isAnonymous,
+    authorName: isAnonymous ? 'Anonymous' : getDisplayName(user)
+  };
+}
+
+/**
+ * Submit a new review as the signed-in user
  * @param {Object} reviewData - Review data object
  * @returns {Promise<string>} - New review ID
  */
 export async function submitReview(reviewData) {
   try {
-    // Validate required fields
-    if (!reviewData.courseCode || !reviewData.rating || !reviewData.reviewText) {
-      throw new Error('Missing required fields: courseCode, rating, or reviewText');
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('You must be signed in to submit a review');
     }
     
-    // Validate rating range
-    if (reviewData.rating < 1 || reviewData.rating > 5) {
-      throw new Error('Rating must be between 1 and 5');
-    }
-    
-    // Validate review text length
-    if (reviewData.reviewText.length < 20) {
-      throw new Error('Review text must be at least 20 characters');
+    if (!reviewData.courseCode) {
+      throw new Error('Missing required field: courseCode');
     }
+    validateReviewContent(reviewData);
     
     const reviewToSubmit = {
       // Course info
@@ -81,79 +296,330 @@ export async function submitReview(reviewData) {
       subjectCode: reviewData.subjectCode || '',
       courseNumber: reviewData.courseNumber || '',
       
-      // Review content
-      rating: reviewData.rating,
-      reviewText: reviewData.reviewText,
-      
-      // Optional ratings
-      difficultyRating: reviewData.difficultyRating || null,
-      workloadRating: reviewData.workloadRating || null,
-      profHelpfulnessRating: reviewData.profHelpfulnessRating || null,
-      
-      // Semester info
-      semesterTaken: reviewData.semesterTaken || '',
-      
-      // Author info
-      authorEmail: reviewData.isAnonymous ? null : reviewData.authorEmail,
-      isAnonymous: reviewData.isAnonymous || true,
-      authorName: reviewData.isAnonymous ? 'Anonymous' : reviewData.authorName,
+      ...buildReviewContent(reviewData, user),
       
       // Metadata
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
       verified: false,
+      hidden: false,
       helpfulVotes: 0,
       totalVotes: 0,
       reportedCount: 0
     };
     
-    const docRef = await addDoc(collection(db, REVIEWS_COLLECTION), reviewToSubmit);
-    return docRef.id;
+    // The author mapping is written with the review; firestore.rules
+    // only accept the two together
+    const reviewRef = doc(collection(db, REVIEWS_COLLECTION));
+    const batch = writeBatch(db);
+    batch.set(reviewRef, reviewToSubmit);
+    batch.set(doc(db, REVIEW_AUTHORS_COLLECTION, reviewRef.id), { userId: user.uid });
+    await batch.commit();
+    return reviewRef.id;
   } catch (error) {
     console.error('Error submitting review:', error);
-    throw error;
+    throw error.code ? new Error('Failed to submit review') : error;
   }
 }
 
 /**
- * Upvote a review as helpful
+ * Whether a user wrote a review
+ * Reviews from before the reviewAuthors mapping still carry userId until
+ * functions/scripts/migrateReviewAuthors.js moves it out.
  * @param {string} reviewId - Review document ID
- * @returns {Promise<Object>} - Updated vote counts
+ * @param {Object} review - Review document data
+ * @param {string} uid - User ID
+ * @returns {Promise<boolean>} - True when uid is the review's author
  */
-export async function upvoteReview(reviewId) {
+async function isReviewAuthor(reviewId, review, uid) {
+  if (review.userId) {
+    return review.userId === uid;
+  }
+  // Queried by userId because rules only let users read their own mappings
+  const snapshot = await getDocs(query(
+    collection(db, REVIEW_AUTHORS_COLLECTION),
+    where('userId', '==', uid),
+    where(documentId(), '==', reviewId)
+  ));
+  return !snapshot.empty;
+}
+
+/**
+ * Listen to the IDs of the reviews a user has written
+ * @param {string} uid - User ID
+ * @param {Function} onChange - Called with an array of review IDs
+ * @param {Function} onError - Called with an Error if the listener fails
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToAuthoredReviewIds(uid, onChange, onError) {
+  return onSnapshot(
+    query(collection(db, REVIEW_AUTHORS_COLLECTION), where('userId', '==', uid)),
+    (snapshot) => {
+      onChange(snapshot.docs.map(authorDoc => authorDoc.id));
+    },
+    (error) => {
+      console.error('Error listening to authored reviews:', error);
+      onError(new Error('Failed to load your reviews'));
+    }
+  );
+}
+
+/**
+ * Edit one of the signed-in user's reviews
+ * The version being replaced is copied to reviews/{reviewId}/revisions,
+ * keyed by its updatedAt time, in the same transaction as the edit.
+ * @param {string} reviewId - Review document ID
+ * @param {Object} reviewData - New review content
+ * @returns {Promise<Object>} - The updated review fields
+ */
+export async function updateReview(reviewId, reviewData) {
   try {
-    const reviewRef = doc(db, REVIEWS_COLLECTION, reviewId);
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('You must be signed in to edit a review');
+    }
+    validateReviewContent(reviewData);
     
-    await updateDoc(reviewRef, {
-      helpfulVotes: increment(1),
-      totalVotes: increment(1),
+    const reviewRef = doc(db, REVIEWS_COLLECTION, reviewId);
+    const changes = {
+      ...buildReviewContent(reviewData, user),
       updatedAt: serverTimestamp()
+    };
+    
+    await runTransaction(db, async (transaction) => {
+      const reviewSnap = await transaction.get(reviewRef);
+      if (!reviewSnap.exists()) {
+        throw new Error('Review no longer exists');
+      }
+      
+      const review = reviewSnap.data();
+      if (!(await isReviewAuthor(reviewId, review, user.uid))) {
+        throw new Error('You can only edit your own reviews');
+      }
+      if (review.redacted) {
+        throw new Error('A moderator redacted this review, so it can no longer be edited');
+      }
+      
+      const revisionRef = doc(reviewRef, REVISIONS_SUBCOLLECTION, String(review.updatedAt.toMillis()));
+      transaction.set(revisionRef, {
+        rating: review.rating,
+        reviewText: review.reviewText,
+        difficultyRating: review.difficultyRating,
+        workloadRating: review.workloadRating,
+        profHelpfulnessRating: review.profHelpfulnessRating,
+        tags: review.tags || [],
+        pros: review.pros || '',
+        cons: review.cons || '',
+        semesterTaken: review.semesterTaken,
+        instructorId: review.instructorId || '',
+        instructorName: review.instructorName || '',
+        isAnonymous: review.isAnonymous,
+        authorName: review.authorName,
+        authorEmail: review.authorEmail,
+        editedBy: user.uid,
+        writtenAt: review.updatedAt,
+        replacedAt: serverTimestamp()
+      });
+      transaction.update(reviewRef, changes);
     });
     
+    return changes;
+  } catch (error) {
+    console.error('Error updating review:', error);
+    throw error.code ? new Error('Failed to update review') : error;
+  }
+}
+
+/**
+ * Delete one of the signed-in user's reviews
+ * Its votes, reports, revisions and author mapping are cleaned up by the
+ * onReviewDeleted Cloud Function.
+ * @param {string} reviewId - Review document ID
+ * @returns {Promise<Object>} - Success status
+ */
+export async function deleteReview(reviewId) {
+  try {
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('You must be signed in to delete a review');
+    }
+    
+    await deleteDoc(doc(db, REVIEWS_COLLECTION, reviewId));
     return { success: true };
   } catch (error) {
-    console.error('Error upvoting review:', error);
-    throw new Error('Failed to upvote review');
+    console.error('Error deleting review:', error);
+    throw error.code ? new Error('Failed to delete review') : error;
+  }
+}
+
+/**
+ * Whether a review has been edited since it was posted
+ * @param {Object} review - Review object
+ * @returns {boolean} - True when updatedAt is later than createdAt
+ */
+export function isEditedReview(review) {
+  if (!review.createdAt?.toMillis || !review.updatedAt?.toMillis) return false;
+  return review.updatedAt.toMillis() > review.createdAt.toMillis();
+}
+
+/**
+ * Set, change or take back the signed-in user's vote on a review
+ * Votes live in reviews/{reviewId}/votes/{uid}, one per user, and the
+ * review's counters are updated in the same transaction.
+ * @param {string} reviewId - Review document ID
+ * @param {string|null} vote - VOTE_HELPFUL, VOTE_NOT_HELPFUL, or null to undo
+ * @returns {Promise<Object>} - The user's vote and updated vote counts
+ */
+export async function voteOnReview(reviewId, vote) {
+  try {
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('You must be signed in to vote');
+    }
+    if (vote !== null && vote !== VOTE_HELPFUL && vote !== VOTE_NOT_HELPFUL) {
+      throw new Error(`Unknown vote "${vote}"`);
+    }
+    
+    const reviewRef = doc(db, REVIEWS_COLLECTION, reviewId);
+    const voteRef = doc(reviewRef, VOTES_SUBCOLLECTION, user.uid);
+    
+    return await runTransaction(db, async (transaction) => {
+      const reviewSnap = await transaction.get(reviewRef);
+      const voteSnap = await transaction.get(voteRef);
+      
+      if (!reviewSnap.exists()) {
+        throw new Error('Review no longer exists');
+      }
+      
+      const review = reviewSnap.data();
+      if (await isReviewAuthor(reviewId, review, user.uid)) {
+        throw new Error("You can't vote on your own review");
+      }
+      
+      const previousVote = voteSnap.exists() ? voteSnap.data().vote : null;
+      const counts = {
+        helpfulVotes: review.helpfulVotes,
+        totalVotes: review.totalVotes
+      };
+      
+      if (previousVote === vote) {
+        return { vote, ...counts };
+      }
+      
+      const helpfulDelta = (vote === VOTE_HELPFUL ? 1 : 0) - (previousVote === VOTE_HELPFUL ? 1 : 0);
+      const totalDelta = (vote ? 1 : 0) - (previousVote ? 1 : 0);
+      
+      // Only send counters that actually change; the rules check each delta
+      const counterUpdates = {};
+      if (helpfulDelta !== 0) counterUpdates.helpfulVotes = counts.helpfulVotes + helpfulDelta;
+      if (totalDelta !== 0) counterUpdates.totalVotes = counts.totalVotes + totalDelta;
+      transaction.update(reviewRef, counterUpdates);
+      
+      if (vote) {
+        transaction.set(voteRef, {
+          vote,
+          userId: user.uid,
+          updatedAt: serverTimestamp()
+        });
+      } else {
+        transaction.delete(voteRef);
+      }
+      
+      return { vote, ...counts, ...counterUpdates };
+    });
+  } catch (error) {
+    console.error('Error voting on review:', error);
+    // Firestore errors carry a code; our own validation messages are shown as-is
+    throw error.code ? new Error('Failed to record vote') : error;
+  }
+}
+
+/**
+ * Upvote a review as helpful
+ * @param {string} reviewId - Review document ID
+ * @returns {Promise<Object>} - Updated vote counts
+ */
+export async function upvoteReview(reviewId) {
+  return voteOnReview(reviewId, VOTE_HELPFUL);
+}
+
+/**
+ * Fetch the signed-in user's votes for a set of reviews
+ * @param {Array<string>} reviewIds - Review document IDs
+ * @returns {Promise<Object>} - Map of reviewId to VOTE_HELPFUL / VOTE_NOT_HELPFUL
+ */
+export async function getUserVotes(reviewIds) {
+  const user = auth.currentUser;
+  if (!user || reviewIds.length === 0) {
+    return {};
+  }
+  
+  try {
+    const snapshots = await Promise.all(
+      reviewIds.map(reviewId =>
+        getDoc(doc(db, REVIEWS_COLLECTION, reviewId, VOTES_SUBCOLLECTION, user.uid))
+      )
+    );
+    
+    return snapshots.reduce((votes, snapshot, index) => {
+      if (snapshot.exists()) {
+        votes[reviewIds[index]] = snapshot.data().vote;
+      }
+      return votes;
+    }, {});
+  } catch (error) {
+    console.error('Error fetching votes:', error);
+    throw new Error('Failed to fetch votes');
   }
 }
 
 /**
  * Report a review as inappropriate
+ * Each user can report a review once; the report and the counter bump are
+ * written together so the moderation trigger sees a consistent count.
  * @param {string} reviewId - Review document ID
+ * @param {string} reason - One of the REPORT_REASONS values
+ * @param {string} details - Optional free-text explanation
  * @returns {Promise<Object>} - Success status
  */
-export async function reportReview(reviewId) {
+export async function reportReview(reviewId, reason, details = '') {
   try {
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('You must be signed in to report a review');
+    }
+    if (!REPORT_REASONS.some(option => option.value === reason)) {
+      throw new Error('Please choose a reason for the report');
+    }
+    
     const reviewRef = doc(db, REVIEWS_COLLECTION, reviewId);
+    const reportRef = doc(reviewRef, REPORTS_SUBCOLLECTION, user.uid);
     
-    await updateDoc(reviewRef, {
-      reportedCount: increment(1),
-      updatedAt: serverTimestamp()
+    await runTransaction(db, async (transaction) => {
+      const reviewSnap = await transaction.get(reviewRef);
+      const reportSnap = await transaction.get(reportRef);
+      
+      if (!reviewSnap.exists()) {
+        throw new Error('Review no longer exists');
+      }
+      if (reportSnap.exists()) {
+        throw new Error("You've already reported this review");
+      }
+      
+      transaction.update(reviewRef, {
+        reportedCount: reviewSnap.data().reportedCount + 1
+      });
+      transaction.set(reportRef, {
+        reason,
+        details: details.trim().slice(0, 500),
+        userId: user.uid,
+        createdAt: serverTimestamp()
+      });
     });
     
     return { success: true };
   } catch (error) {
     console.error('Error reporting review:', error);
-    throw new Error('Failed to report review');
+    throw error.code ? new Error('Failed to report review') : error;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,267 @@
+/**
+ * Course schedule parsing and time conflicts
+ * Turns schedule strings such as 'MWF 10:10-11:00', 'TTH 11:00-12:30' or
+ * 'MW 2:30-3:45pm; F 9:05-9:55' into meetings:
+ *   { days: ['M', 'W', 'F'], start: 610, end: 660 }
+ * Days use BU's letters (R is Thursday); times are minutes after midnight.
+ */
+
+// Calendar columns in week order
+export const CALENDAR_DAYS = [
+  { value: 'M', label: 'Mon' },
+  { value: 'T', label: 'Tue' },
+  { value: 'W', label: 'Wed' },
+  { value: 'R', label: 'Thu' },
+  { value: 'F', label: 'Fri' },
+  { value: 'S', label: 'Sat' },
+  { value: 'U', label: 'Sun' }
+];
+
+const DAY_TOKENS = { M: 'M', T: 'T', TU: 'T', W: 'W', TH: 'R', R: 'R', F: 'F', S: 'S', SA: 'S', SU: 'U' };
+
+const MEETING_PATTERN = /^([A-Za-z]+)\s+(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?m?\.?\s*[-–]\s*(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?m?\.?$/i;
+
+// Schedules that mean "no fixed time"
+const NO_MEETING_PATTERN = /^(tba|tbd|arr|arranged|online|asynchronous)?$/i;
+
+// Classes run between 8am and 10pm, so a bare "2:30" is in the afternoon
+const FIRST_MORNING_HOUR = 8;
+
+/**
+ * Split a day string ("TTH", "MWF", "TR") into day letters
+ * @param {string} text - Day letters as written in a schedule
+ * @returns {Array<string>|null} - Days in week order, or null if unrecognized
+ */
+function parseDays(text) {
+  const tokens = text.toUpperCase().match(/TH|TU|SA|SU|[MTWRFS]/g) || [];
+  if (tokens.join('') !== text.toUpperCase()) return null;
+  const days = new Set(tokens.map(token => DAY_TOKENS[token]));
+  return CALENDAR_DAYS.map(day => day.value).filter(day => days.has(day));
+}
+
+/**
+ * Minutes after midnight for an hour and minute on a schedule
+ * @param {number} hour - Hour as written (1-12, or 0-23)
+ * @param {number} minute - Minute
+ * @param {string|undefined} meridiem - 'a', 'p' or undefined
+ * @returns {number} - Minutes after midnight
+ */
+function toMinutes(hour, minute, meridiem) {
+  let hours = hour;
+  if (meridiem) {
+    hours = hour % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+  } else if (hour < FIRST_MORNING_HOUR) {
+    hours = hour + 12;
+  }
+  return hours * 60 + minute;
+}
+
+/**
+ * Parse one "days start-end" meeting
+ * @param {string} text - e.g. "MWF 10:10-11:00"
+ * @returns {Object|null} - Meeting, or null if the text isn't one
+ */
+function parseMeeting(text) {
+  const match = text.trim().match(MEETING_PATTERN);
+  if (!match) return null;
+
+  const [, dayText, startHour, startMinute = '0', startMeridiem, endHour, endMinute = '0', endMeridiem] = match;
+  const days = parseDays(dayText);
+  if (!days || days.length === 0) return null;
+
+  let end = toMinutes(Number(endHour), Number(endMinute), endMeridiem);
+  // "11:00-12:30pm": the end's am/pm carries over unless that puts the start after the end
+  let start = toMinutes(Number(startHour), Number(startMinute), startMeridiem || endMeridiem);
+  if (!startMeridiem && endMeridiem && start >= end) {
+    start = toMinutes(Number(startHour), Number(startMinute), 'a');
+  }
+  // "7:00-9:45" is an evening class: a bare end before the start is in the evening
+  if (!endMeridiem && end <= start) {
+    end += 12 * 60;
+  }
+  if (start >= end || end > 24 * 60) return null;
+
+  return { days, start, end };
+}
+
+/**
+ * Parse a course's schedule string
+ * @param {string} schedule - e.g. 'MWF 10:10-11:00' or 'MW 2:30-3:45; F 9:05-9:55'
+ * @returns {Object} - { meetings, unparsed: parts that couldn't be read }
+ */
+export function parseSchedule(schedule) {
+  const meetings = [];
+  const unparsed = [];
+  (schedule || '').split(/[;,]|\s+and\s+/i).forEach(part => {
+    if (NO_MEETING_PATTERN.test(part.trim())) return;
+    const meeting = parseMeeting(part);
+    if (meeting) {
+      meetings.push(meeting);
+    } else {
+      unparsed.push(part.trim());
+    }
+  });
+  return { meetings, unparsed };
+}
+
+/**
+ * Minutes after midnight for an "HH:MM" time input value
+ * @param {string} time - e.g. "09:30"
+ * @returns {number|null} - Minutes, or null for an empty or invalid value
+ */
+export function parseTimeInput(time) {
+  const match = (time || '').match(/^(\d{2}):(\d{2})$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Format minutes after midnight as a clock time
+ * @param {number} minutes - e.g. 610
+ * @returns {string} - e.g. "10:10 AM"
+ */
+export function formatTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const suffix = hours >= 12 && hours < 24 ? 'PM' : 'AM';
+  const displayHour = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHour}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Human-readable meeting, e.g. "MWF 10:10 AM-11:00 AM"
+ * @param {Object} meeting - Meeting
+ * @returns {string} - Description
+ */
+export function describeMeeting(meeting) {
+  return `${meeting.days.join('')} ${formatTime(meeting.start)}-${formatTime(meeting.end)}`;
+}
+
+/**
+ * The section of a course a student would most likely take in a semester:
+ * the first lecture offered then, or else the first section offered then
+ * @param {Object} course - Normalized course
+ * @param {string} [semester] - Semester label, e.g. "Fall 2026"
+ * @returns {Object|null} - Section, or null if the course lists none for the semester
+ */
+export function courseSection(course, semester) {
+  const sections = (course.sections || []).filter(section => !semester || !section.semester || section.semester === semester);
+  return sections.find(candidate => candidate.type === 'LEC') || sections[0] || null;
+}
+
+/**
+ * Meetings of a course in a semester
+ * Uses the section from courseSection when the course lists sections,
+ * otherwise the course-level schedule.
+ * @param {Object} course - Normalized course
+ * @param {string} [semester] - Semester label, e.g. "Fall 2026"
+ * @returns {Array} - Meetings
+ */
+export function courseMeetings(course, semester) {
+  const section = courseSection(course, semester);
+  return parseSchedule(section ? section.schedule : course.schedule).meetings;
+}
+
+/**
+ * Meetings for a student's blocked-out times
+ * @param {Object} blockedTime - { label, days, start: "HH:MM", end: "HH:MM" }
+ * @returns {Array} - Meetings (empty if the times are incomplete)
+ */
+export function blockedTimeMeetings(blockedTime) {
+  const start = parseTimeInput(blockedTime.start);
+  const end = parseTimeInput(blockedTime.end);
+  if (start === null || end === null || start >= end || blockedTime.days.length === 0) return [];
+  return [{ days: blockedTime.days, start, end }];
+}
+
+/**
+ * Calendar items for a semester's courses and the student's blocked-out times
+ * Courses whose details haven't loaded, and anything without a meeting
+ * time, are left out.
+ * @param {Object} options - { courses: [{ courseCode }], courseDetails: normalized courses by code, semester, blockedTimes }
+ * @returns {Array} - { id, label, kind: 'course'|'blocked', meetings }
+ */
+export function buildWeekItems({ courses = [], courseDetails = {}, semester, blockedTimes = [] }) {
+  const courseItems = courses
+    .filter(course => courseDetails[course.courseCode])
+    .map(course => ({
+      id: course.courseCode,
+      label: course.courseCode,
+      kind: 'course',
+      meetings: courseMeetings(courseDetails[course.courseCode], semester)
+    }));
+  const blockedItems = blockedTimes.map((blocked, index) => ({
+    id: `blocked-${index}`,
+    label: blocked.label || 'Blocked time',
+    kind: 'blocked',
+    meetings: blockedTimeMeetings(blocked)
+  }));
+  return [...courseItems, ...blockedItems].filter(item => item.meetings.length > 0);
+}
+
+/**
+ * Where two meetings overlap
+ * @param {Object} a - Meeting
+ * @param {Object} b - Meeting
+ * @returns {Object|null} - { days, start, end } of the overlap, or null
+ */
+export function meetingOverlap(a, b) {
+  const days = a.days.filter(day => b.days.includes(day));
+  const start = Math.max(a.start, b.start);
+  const end = Math.min(a.end, b.end);
+  return days.length > 0 && start < end ? { days, start, end } : null;
+}
+
+/**
+ * Every pair of calendar items whose meetings overlap
+ * @param {Array} items - { id, label, meetings }
+ * @returns {Array} - { first, second, overlap }, with first and second the item IDs
+ */
+export function findConflicts(items) {
+  const conflicts = [];
+  items.forEach((first, i) => {
+    items.slice(i + 1).forEach(second => {
+      first.meetings.forEach(a => {
+        second.meetings.forEach(b => {
+          const overlap = meetingOverlap(a, b);
+          if (overlap) conflicts.push({ first: first.id, second: second.id, overlap });
+        });
+      });
+    });
+  });
+  return conflicts;
+}
+
+/**
+ * Why a course doesn't fit a student's week
+ * @param {Array} meetings - The course's meetings
+ * @param {Array} items - What the student already has: { id, label, meetings }
+ * @param {Object} constraints - Profile scheduleConstraints: { earliestStart, latestEnd, daysOff }
+ * @returns {Array<string>} - Warnings, e.g. "Overlaps CASCS131 (TR 11:00 AM-12:15 PM)"
+ */
+export function scheduleWarnings(meetings, items = [], constraints = {}) {
+  const warnings = [];
+
+  items.forEach(item => {
+    const overlaps = item.meetings.some(other => meetings.some(meeting => meetingOverlap(meeting, other)));
+    if (overlaps) {
+      warnings.push(`Overlaps ${item.label} (${item.meetings.map(describeMeeting).join(', ')})`);
+    }
+  });
+
+  const earliest = parseTimeInput(constraints.earliestStart);
+  const latest = parseTimeInput(constraints.latestEnd);
+  const daysOff = constraints.daysOff || [];
+  if (earliest !== null && meetings.some(meeting => meeting.start < earliest)) {
+    warnings.push(`Starts before ${formatTime(earliest)}`);
+  }
+  if (latest !== null && meetings.some(meeting => meeting.end > latest)) {
+    warnings.push(`Ends after ${formatTime(latest)}`);
+  }
+  const onDaysOff = CALENDAR_DAYS
+    .filter(day => daysOff.includes(day.value) && meetings.some(meeting => meeting.days.includes(day.value)))
+    .map(day => day.label);
+  if (onDaysOff.length > 0) {
+    warnings.push(`Meets on your day off (${onDaysOff.join(', ')})`);
+  }
+
+  return warnings;
+}
@@ -0,0 +1,287 @@
+/**
+ * Full-text search index for the course catalog
+ * Built by scripts/importCatalog.js and queried in the browser by
+ * catalogService, so this module must not import Node or Firebase code.
+ *
+ * Index shape:
+ *   { version, builtAt, courses: [summary], tokens: { token: [courseIndex, weight, ...] } }
+ */
+
+export const SEARCH_INDEX_VERSION = 1;
+
+// How much a match in each field counts toward a course's score
+const FIELD_WEIGHTS = {
+  code: 8,
+  name: 4,
+  instructors: 3,
+  hubAreas: 2,
+  description: 1
+};
+
+// Scales a field weight by how closely the query term matched the token
+const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.7,
+  typo: 0.5
+};
+
+// Cap on index tokens a short prefix like "c" may expand to
+const MAX_PREFIX_EXPANSIONS = 200;
+
+const SUMMARY_DESCRIPTION_LENGTH = 240;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'into', 'its',
+  'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+/**
+ * Split text into lowercase search tokens
+ * Accents are folded ("Études" matches "etudes") and stop words dropped.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Tokens in order of appearance
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Tokens a student might type for a course code
+ * "CASCS131" is found by "cascs131", "cs131", "cs 131", "cs" and "131".
+ * @param {Object} course - Normalized course
+ * @returns {Array<string>} - Code tokens
+ */
+function courseCodeTokens(course) {
+  const subject = course.subjectCode.toLowerCase();
+  const number = course.courseNumber.toLowerCase();
+  return [
+    course.courseCode.toLowerCase(),
+    subject,
+    number,
+    subject && number ? `${subject}${number}` : ''
+  ].filter(Boolean);
+}
+
+/**
+ * The fields search results need to render a CourseCard
+ * Full details (sections, corequisites, the whole description) are read
+ * from the courses collection when a course is opened.
+ * @param {Object} course - Normalized course
+ * @returns {Object} - Course summary
+ */
+function summarizeCourse(course) {
+  const description = course.description.length > SUMMARY_DESCRIPTION_LENGTH
+    ? `${course.description.slice(0, SUMMARY_DESCRIPTION_LENGTH).trimEnd()}…`
+    : course.description;
+
+  return {
+    courseCode: course.courseCode,
+    courseName: course.courseName,
+    collegeCode: course.collegeCode,
+    subjectCode: course.subjectCode,
+    courseNumber: course.courseNumber,
+    units: course.units,
+    description,
+    prerequisites: course.prerequisites,
+    hubAreas: course.hubAreas,
+    instructors: course.instructors,
+    schedule: course.schedule,
+    semester: course.semester
+  };
+}
+
+/**
+ * Build the search index for a list of normalized courses
+ * @param {Array} courses - Courses that passed normalizeCourse
+ * @returns {Object} - Serializable search index
+ */
+export function buildSearchIndex(courses) {
+  // No prototype, so tokens like "constructor" are ordinary keys
+  const tokens = Object.create(null);
+
+  courses.forEach((course, courseIndex) => {
+    // Best weight per token for this course, so each course is listed once
+    const weights = new Map();
+    const add = (courseTokens, weight) => {
+      courseTokens.forEach(token => {
+        weights.set(token, Math.max(weights.get(token) || 0, weight));
+      });
+    };
+
+    add(courseCodeTokens(course), FIELD_WEIGHTS.code);
+    add(tokenize(course.courseName), FIELD_WEIGHTS.name);
+    add(tokenize(course.instructors.join(' ')), FIELD_WEIGHTS.instructors);
+    add(tokenize(course.hubAreas.join(' ')), FIELD_WEIGHTS.hubAreas);
+    add(tokenize(course.description), FIELD_WEIGHTS.description);
+
+    weights.forEach((weight, token) => {
+      (tokens[token] || (tokens[token] = [])).push(courseIndex, weight);
+    });
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    builtAt: new Date().toISOString(),
+    courses: courses.map(summarizeCourse),
+    tokens
+  };
+}
+
+/**
+ * Add the lookup structures search needs to a loaded index
+ * @param {Object} index - Index produced by buildSearchIndex
+ * @returns {Object} - Index with a sorted token list for prefix and typo matching
+ */
+export function prepareSearchIndex(index) {
+  return {
+    ...index,
+    sortedTokens: Object.keys(index.tokens).sort()
+  };
+}
+
+/**
+ * Whether two strings are within maxDistance edits of each other
+ * Counts insertions, deletions, substitutions and swaps of neighbouring
+ * letters, and stops early once every alignment is over the limit.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Largest allowed edit distance
+ * @returns {boolean} - True when the strings are close enough
+ */
+function withinEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return false;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > maxDistance) return false;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length] <= maxDistance;
+}
+
+/**
+ * Index of the first token that is >= term in the sorted token list
+ * @param {Array<string>} sortedTokens - Sorted index tokens
+ * @param {string} term - Query term
+ * @returns {number} - Insertion point for term
+ */
+function lowerBound(sortedTokens, term) {
+  let low = 0;
+  let high = sortedTokens.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedTokens[mid] < term) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Score every course matching one query term
+ * @param {Object} index - Prepared index
+ * @param {string} term - Query term
+ * @returns {Map<number, number>} - courseIndex to best score for this term
+ */
+function scoreTerm(index, term) {
+  const scores = new Map();
+  const addPostings = (token, factor) => {
+    const postings = index.tokens[token];
+    for (let i = 0; i < postings.length; i += 2) {
+      const score = postings[i + 1] * factor;
+      if (score > (scores.get(postings[i]) || 0)) {
+        scores.set(postings[i], score);
+      }
+    }
+  };
+
+  // A loaded index is plain JSON, so only its own keys are tokens
+  if (Object.hasOwn(index.tokens, term)) {
+    addPostings(term, MATCH_FACTORS.exact);
+  }
+
+  // Prefix matches, for type-ahead ("algo" finds "algorithms")
+  const start = lowerBound(index.sortedTokens, term);
+  for (let i = start, expanded = 0; i < index.sortedTokens.length && expanded < MAX_PREFIX_EXPANSIONS; i++) {
+    const token = index.sortedTokens[i];
+    if (!token.startsWith(term)) break;
+    if (token !== term) {
+      addPostings(token, MATCH_FACTORS.prefix);
+      expanded++;
+    }
+  }
+
+  // Typo tolerance for longer words; the first letter must match, which
+  // keeps both the noise and the scan small. Terms with digits are course
+  // numbers, where one digit off is a different course.
+  if (term.length >= 4 && !/\d/.test(term)) {
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    const firstLetterStart = lowerBound(index.sortedTokens, term[0]);
+    for (let i = firstLetterStart; i < index.sortedTokens.length; i++) {
+      const token = index.sortedTokens[i];
+      if (token[0] !== term[0]) break;
+      if (token !== term && !token.startsWith(term) && withinEditDistance(term, token, maxDistance)) {
+        addPostings(token, MATCH_FACTORS.typo);
+      }
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Search a prepared index
+ * Every query term has to match (exactly, as a prefix or with a typo).
+ * An empty query returns every course in course code order.
+ * @param {Object} index - Index returned by prepareSearchIndex
+ * @param {string} searchQuery - Free-text query
+ * @returns {Array} - Matching course summaries, best match first
+ */
+export function searchCourseIndex(index, searchQuery) {
+  const terms = [...new Set(tokenize(searchQuery))];
+  if (terms.length === 0) {
+    return [...index.courses].sort((a, b) => a.courseCode.localeCompare(b.courseCode));
+  }
+
+  let totals = null;
+  terms.forEach(term => {
+    const termScores = scoreTerm(index, term);
+    const combined = new Map();
+    (totals || termScores).forEach((score, courseIndex) => {
+      if (!totals) {
+        combined.set(courseIndex, score);
+      } else if (termScores.has(courseIndex)) {
+        combined.set(courseIndex, score + termScores.get(courseIndex));
+      }
+    });
+    totals = combined;
+  });
+
+  return [...totals.entries()]
+    .sort(([aIndex, aScore], [bIndex, bScore]) =>
+      bScore - aScore ||
+      index.courses[aIndex].courseCode.localeCompare(index.courses[bIndex].courseCode))
+    .map(([courseIndex]) => index.courses[courseIndex]);
+}
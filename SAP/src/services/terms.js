@@ -0,0 +1,151 @@
+/**
+ * Academic terms
+ * A term is stored as a canonical key, "YYYY-N", where N orders the seasons
+ * within a year (0 Winter, 1 Spring, 2 Summer, 3 Fall), so keys sort in
+ * calendar order as plain strings. Labels like "Fall 2026" are only for
+ * display and for the services that take them; they are always built from
+ * a key, never typed in.
+ */
+
+export const TERM_SEASONS = ['Winter', 'Spring', 'Summer', 'Fall'];
+
+// Abbreviations seen in legacy free-text values ("FA24", "Sp '23")
+const SEASON_ALIASES = {
+  winter: 0,
+  wi: 0,
+  spring: 1,
+  sp: 1,
+  summer: 2,
+  su: 2,
+  fall: 3,
+  fa: 3,
+  autumn: 3
+};
+
+const TERM_KEY_PATTERN = /^(\d{4})-([0-3])$/;
+
+/**
+ * Whether a value is a canonical term key
+ * @param {string} key - Candidate key
+ * @returns {boolean} - True for keys like "2026-3"
+ */
+export function isTermKey(key) {
+  return typeof key === 'string' && TERM_KEY_PATTERN.test(key);
+}
+
+/**
+ * Parse a free-text semester into a term key
+ * Accepts "Fall 2024", "fall '24", "Fall24", "2024 Fall", "FA24" and
+ * "Summer 1 2025"; two-digit years are taken as 20xx.
+ * @param {string} text - Semester as typed, or a label
+ * @returns {string} - Term key, or '' if unrecognized
+ */
+export function termKey(text) {
+  const value = (text || '').trim().toLowerCase();
+  if (isTermKey(value)) return value;
+
+  const seasons = Object.keys(SEASON_ALIASES).join('|');
+  const match = value.match(new RegExp(`\\b(${seasons})(?:\\s*[12]\\b)?\\D*?(\\d{4}|\\d{2})\\b`))
+    || value.match(new RegExp(`^(\\d{4})\\s+(${seasons})\\b`));
+  if (!match) return '';
+
+  const [season, year] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+  return `${year.length === 2 ? `20${year}` : year}-${SEASON_ALIASES[season]}`;
+}
+
+/**
+ * Display label for a term key
+ * @param {string} key - Term key (e.g., "2026-3")
+ * @returns {string} - e.g., "Fall 2026", or '' for an invalid key
+ */
+export function termLabel(key) {
+  const match = (key || '').match(TERM_KEY_PATTERN);
+  return match ? `${TERM_SEASONS[Number(match[2])]} ${match[1]}` : '';
+}
+
+/**
+ * Canonical label for a free-text semester
+ * @param {string} text - Semester as typed, or a label
+ * @returns {string} - e.g., "Fall 2024", or '' if unrecognized
+ */
+export function normalizeTermLabel(text) {
+  return termLabel(termKey(text));
+}
+
+/**
+ * The term a date falls in: Winter in January, Spring through May,
+ * Summer through August, Fall from September
+ * @param {Date} now - Date
+ * @returns {string} - Term key
+ */
+export function currentTermKey(now = new Date()) {
+  const month = now.getMonth();
+  const season = month < 1 ? 0 : month < 5 ? 1 : month < 8 ? 2 : 3;
+  return `${now.getFullYear()}-${season}`;
+}
+
+/**
+ * The term after (or before) a term
+ * @param {string} key - Term key
+ * @param {number} step - Terms to move; negative moves back
+ * @param {Object} options - { includeWinter } to count the winter intersession as a term
+ * @returns {string} - Term key
+ */
+export function shiftTerm(key, step, { includeWinter = false } = {}) {
+  const [, yearText, seasonText] = key.match(TERM_KEY_PATTERN);
+  let year = Number(yearText);
+  let season = Number(seasonText);
+  const first = includeWinter ? 0 : 1;
+  if (season < first) season = first;
+
+  for (let moved = 0; moved < Math.abs(step); moved++) {
+    season += Math.sign(step);
+    if (season > 3) {
+      season = first;
+      year++;
+    } else if (season < first) {
+      season = 3;
+      year--;
+    }
+  }
+  return `${year}-${season}`;
+}
+
+/**
+ * Terms a student could have taken a course in, newest first
+ * @param {number} count - How many terms to list
+ * @param {Date} now - Current date
+ * @returns {Array<string>} - Term keys from the current term back
+ */
+export function recentTerms(count, now = new Date()) {
+  const terms = [shiftTerm(currentTermKey(now), 0)];
+  while (terms.length < count) {
+    terms.push(shiftTerm(terms[terms.length - 1], -1));
+  }
+  return terms;
+}
+
+/**
+ * Terms a student could be planning, soonest first
+ * @param {number} count - How many terms to list
+ * @param {Date} now - Current date
+ * @returns {Array<string>} - Term keys from the current term on
+ */
+export function upcomingTerms(count, now = new Date()) {
+  const terms = [shiftTerm(currentTermKey(now), 0)];
+  while (terms.length < count) {
+    terms.push(shiftTerm(terms[terms.length - 1], 1));
+  }
+  return terms;
+}
+
+export default {
+  isTermKey,
+  termKey,
+  termLabel,
+  normalizeTermLabel,
+  currentTermKey,
+  shiftTerm,
+  recentTerms,
+  upcomingTerms
+};
@@ -1,32 +1,352 @@
 /**
  * Service for integrating with TerrierGPT API
- * This handles course recommendations and course data fetching
+ * This handles course recommendations, course data fetching and advisor chat
+ *
+ * Configuration (see .env.example):
+ *   VITE_TERRIER_GPT_PROVIDER    - "functions", "http" or "offline" (defaults to "http" when a base URL is set)
+ *   VITE_TERRIER_GPT_API_BASE    - Base URL of the TerrierGPT agent or a local stub server
+ *   VITE_TERRIER_GPT_API_KEY     - Bearer token sent with every request
+ *   VITE_TERRIER_GPT_TIMEOUT_MS  - Per-attempt timeout in milliseconds
+ *   VITE_TERRIER_GPT_MAX_RETRIES - Retries after the first attempt for transient failures
  */
 
-// TODO: Replace with actual TerrierGPT API endpoint
-const TERRIER_GPT_API_BASE = 'https://api.terriergpt.bu.edu'; // Replace with actual URL
+import { httpsCallable } from 'firebase/functions';
+import { functions } from './firebase';
+import offlineCourseProvider from './offlineCourseProvider';
+import { normalizeCourse, normalizeCourseList, CourseSchemaError } from './courseSchema';
+import { filterCourses } from './courseFilters';
+import { getCatalogCourse, searchCatalog } from './catalogService';
+import { checkEligibility, MISSING_PREREQS } from './prerequisites';
+import { getCourseStatsMap } from './courseStatsService';
+
+const env = import.meta.env;
+
+/**
+ * Read a retry count from the environment
+ * @param {string} value - Raw variable value
+ * @param {number} fallback - Used when the value is unset or not a whole number of at least 0
+ * @returns {number} - Retry count
+ */
+function parseRetryCount(value, fallback) {
+  const count = value === undefined || value === '' ? NaN : Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : fallback;
+}
+
+export const TERRIER_GPT_CONFIG = {
+  provider: env.VITE_TERRIER_GPT_PROVIDER || (env.VITE_TERRIER_GPT_API_BASE ? 'http' : 'offline'),
+  apiBase: (env.VITE_TERRIER_GPT_API_BASE || '').replace(/\/+$/, ''),
+  apiKey: env.VITE_TERRIER_GPT_API_KEY || '',
+  timeoutMs: Number(env.VITE_TERRIER_GPT_TIMEOUT_MS) || 10000,
+  maxRetries: parseRetryCount(env.VITE_TERRIER_GPT_MAX_RETRIES, 2),
+  retryBaseDelayMs: 500
+};
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Error raised by the HTTP client for failed TerrierGPT requests
+ */
+export class TerrierGPTError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'TerrierGPTError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Error raised when the configured provider can't do what was asked
+ * Its message is meant for students and is shown as is.
+ */
+export class UnsupportedProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedProviderError';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before the given retry attempt: exponential backoff with jitter,
+ * or the server's Retry-After header when it sends one
+ */
+function getRetryDelay(attempt, retryAfterHeader) {
+  const retryAfterSeconds = Number(retryAfterHeader);
+  if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0) {
+    return retryAfterSeconds * 1000;
+  }
+  const backoff = TERRIER_GPT_CONFIG.retryBaseDelayMs * 2 ** attempt;
+  return backoff + Math.random() * TERRIER_GPT_CONFIG.retryBaseDelayMs;
+}
+
+/**
+ * Perform a single request with a timeout
+ * @param {string} url - Absolute request URL
+ * @param {Object} options - fetch options; a `signal` cancels the request as well as the timeout
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, { signal, ...options }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TERRIER_GPT_CONFIG.timeoutMs);
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    if (error.name === 'AbortError') {
+      throw new TerrierGPTError(`Request timed out after ${TERRIER_GPT_CONFIG.timeoutMs}ms`, { retryable: true });
+    }
+    throw new TerrierGPTError(`Network error: ${error.message}`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Absolute URL of a TerrierGPT API path
+ * @param {string} path - Path relative to the API base
+ * @returns {string} - URL
+ */
+function terrierGPTUrl(path) {
+  if (!TERRIER_GPT_CONFIG.apiBase) {
+    throw new TerrierGPTError('VITE_TERRIER_GPT_API_BASE is not configured');
+  }
+  return `${TERRIER_GPT_CONFIG.apiBase}${path}`;
+}
+
+/**
+ * Headers for a TerrierGPT request
+ * @param {boolean} hasBody - Whether a JSON body is sent
+ * @param {string} accept - Response type to ask for
+ * @returns {Object} - Headers
+ */
+function requestHeaders(hasBody, accept = 'application/json') {
+  const headers = { Accept: accept };
+  if (hasBody) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (TERRIER_GPT_CONFIG.apiKey) {
+    headers.Authorization = `Bearer ${TERRIER_GPT_CONFIG.apiKey}`;
+  }
+  return headers;
+}
+
+/**
+ * Call the TerrierGPT API, retrying transient failures with backoff
+ * @param {string} path - Path relative to the API base (e.g., "/recommendations")
+ * @param {Object} options - { method, body }
+ * @returns {Promise<Object|null>} - Parsed JSON body, or null for 404
+ */
+async function terrierGPTRequest(path, { method = 'GET', body } = {}) {
+  const url = terrierGPTUrl(path);
+  const headers = requestHeaders(body !== undefined);
+  let lastError;
+
+  for (let attempt = 0; attempt <= TERRIER_GPT_CONFIG.maxRetries; attempt++) {
+    let retryAfter = null;
+
+    try {
+      const response = await fetchWithTimeout(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+
+      if (response.status === 404) {
+        return null;
+      }
+
+      if (!response.ok) {
+        retryAfter = response.headers.get('Retry-After');
+        throw new TerrierGPTError(`TerrierGPT responded with ${response.status}`, {
+          status: response.status,
+          retryable: RETRYABLE_STATUSES.includes(response.status)
+        });
+      }
+
+      try {
+        return await response.json();
+      } catch {
+        throw new TerrierGPTError('TerrierGPT returned invalid JSON', { status: response.status });
+      }
+    } catch (error) {
+      lastError = error;
+      if (!error.retryable || attempt === TERRIER_GPT_CONFIG.maxRetries) {
+        break;
+      }
+      await sleep(getRetryDelay(attempt, retryAfter));
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Read a text/event-stream response, calling onEvent with the JSON payload
+ * of each event's `data:` lines
+ * @param {Response} response - Streaming response
+ * @param {Function} onEvent - Called with each parsed event
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+async function readEventStream(response, onEvent) {
+  const dispatch = (block) => {
+    const data = block.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (!data || data === '[DONE]') return;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      throw new TerrierGPTError('TerrierGPT sent an invalid chat event');
+    }
+    onEvent(event);
+  };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) dispatch(buffer);
+}
+
+/**
+ * Provider backed by the TerrierGPT HTTP API
+ */
+const httpCourseProvider = {
+  name: 'http',
+
+  async getCourseRecommendations(studentData) {
+    const data = await terrierGPTRequest('/recommendations', {
+      method: 'POST',
+      body: studentData
+    });
+    if (!data || !Array.isArray(data.recommendations)) {
+      throw new CourseSchemaError('Response is missing a recommendations array');
+    }
+    return data.recommendations;
+  },
+
+  async getCourseDetails(courseCode) {
+    return terrierGPTRequest(`/courses/${encodeURIComponent(courseCode)}`);
+  },
+
+  async searchCourses(searchQuery, filters = {}) {
+    const params = new URLSearchParams({ q: searchQuery });
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value !== '' && value !== null && value !== undefined) {
+        params.set(name, value);
+      }
+    });
+    const data = await terrierGPTRequest(`/courses/search?${params}`);
+    if (!data || !Array.isArray(data.courses)) {
+      throw new CourseSchemaError('Response is missing a courses array');
+    }
+    return data.courses;
+  },
+
+  // Streamed replies aren't retried: part of the reply may already be shown
+  async streamChat(request, { onEvent, signal } = {}) {
+    const response = await fetchWithTimeout(terrierGPTUrl('/chat'), {
+      method: 'POST',
+      headers: requestHeaders(true, 'text/event-stream'),
+      body: JSON.stringify(request),
+      signal
+    });
+    if (!response.ok) {
+      throw new TerrierGPTError(`TerrierGPT responded with ${response.status}`, { status: response.status });
+    }
+    await readEventStream(response, (event) => {
+      if (event.type === 'error') {
+        throw new TerrierGPTError(event.message || 'TerrierGPT chat failed');
+      }
+      onEvent(event);
+    });
+  }
+};
+
+/**
+ * Provider backed by the recommendCourses Cloud Function, which holds the
+ * TerrierGPT credentials server-side. Course details and search come only
+ * from the imported catalog, and there's no chat Cloud Function yet; those
+ * calls fail rather than fall back to the offline fixtures.
+ */
+const functionsCourseProvider = {
+  name: 'functions',
+
+  async getCourseRecommendations(studentData) {
+    const recommendCourses = httpsCallable(functions, 'recommendCourses');
+    const result = await recommendCourses(studentData);
+    if (!result.data || !Array.isArray(result.data.courses)) {
+      throw new CourseSchemaError('Response is missing a courses array');
+    }
+    return result.data.courses;
+  },
+
+  async getCourseDetails(courseCode) {
+    throw new UnsupportedProviderError(`${courseCode} isn't in the course catalog`);
+  },
+
+  async searchCourses() {
+    throw new UnsupportedProviderError('Course search is unavailable until the course catalog is imported');
+  },
+
+  async streamChat() {
+    throw new UnsupportedProviderError('The advisor chat isn\'t available yet');
+  }
+};
+
+const PROVIDERS = {
+  functions: functionsCourseProvider,
+  http: httpCourseProvider,
+  offline: offlineCourseProvider
+};
+
+/**
+ * Resolve the provider selected in config
+ * @returns {Object} - Provider implementing getCourseRecommendations, getCourseDetails, searchCourses and streamChat
+ */
+export function getCourseProvider() {
+  const provider = PROVIDERS[TERRIER_GPT_CONFIG.provider];
+  if (!provider) {
+    throw new Error(`Unknown TerrierGPT provider "${TERRIER_GPT_CONFIG.provider}"`);
+  }
+  return provider;
+}
 
 /**
  * Get course recommendations from TerrierGPT agent
+ * Each course gets an `eligibility` check against studentData.completedCourses.
+ * Courses the student already completed are dropped, and so are courses
+ * with missing prerequisites when hideIneligible is set.
  * @param {Object} studentData - Student preferences and academic info
+ * @param {Object} options - { hideIneligible }
  * @returns {Promise<Array>} - Array of recommended courses
  */
-export async function getCourseRecommendations(studentData) {
+export async function getCourseRecommendations(studentData, { hideIneligible = false } = {}) {
   try {
-    // TODO: Replace with actual API call to TerrierGPT
-    // For now, using mock data for development
-    
-    // Example API call structure:
-    // const response = await fetch(`${TERRIER_GPT_API_BASE}/recommendations`, {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify(studentData)
-    // });
-    // const data = await response.json();
-    // return data.recommendations;
-    
-    // Mock data for development
-    return getMockRecommendations();
+    const courses = await getCourseProvider().getCourseRecommendations(studentData);
+    const completedCourses = studentData.completedCourses || [];
+    return normalizeCourseList(courses)
+      .filter(course => !completedCourses.includes(course.courseCode))
+      .map(course => ({ ...course, eligibility: checkEligibility(course, completedCourses) }))
+      .filter(course => !hideIneligible || course.eligibility.status !== MISSING_PREREQS);
   } catch (error) {
     console.error('Error fetching recommendations:', error);
     throw new Error('Failed to get course recommendations');
@@ -35,129 +355,105 @@ export async function getCourseRecommendations(studentData) {
 
 /**
  * Get detailed information about a specific course
+ * The imported catalog is checked first; the provider is only asked about
+ * courses it doesn't have.
  * @param {string} courseCode - Course code (e.g., "CASCS131")
- * @returns {Promise<Object>} - Course details
+ * @returns {Promise<Object|null>} - Course details, or null if the course is unknown
  */
 export async function getCourseDetails(courseCode) {
   try {
-    // TODO: Replace with actual API call to TerrierGPT
-    // const response = await fetch(`${TERRIER_GPT_API_BASE}/courses/${courseCode}`);
-    // const data = await response.json();
-    // return data;
-    
-    // Mock data for development
-    return getMockCourseDetails(courseCode);
+    const course = await getCatalogCourse(courseCode) ||
+      await getCourseProvider().getCourseDetails(courseCode);
+    return course ? normalizeCourse(course) : null;
   } catch (error) {
     console.error('Error fetching course details:', error);
-    throw new Error('Failed to get course details');
+    throw new Error(error instanceof UnsupportedProviderError ? error.message : 'Failed to get course details');
   }
 }
 
 /**
- * Search courses by query
- * @param {string} searchQuery - Search term
+ * Search courses by query and filters
+ * Uses the imported catalog's search index when there is one. Otherwise
+ * filters are sent to the provider and applied again here, so providers
+ * that ignore some of them still return consistent results.
+ * @param {string} searchQuery - Search term (code, name, instructor or description)
+ * @param {Object} filters - { collegeCode, subjectCode, hubArea, units, semester }
  * @returns {Promise<Array>} - Array of matching courses
  */
-export async function searchCourses(searchQuery) {
+export async function searchCourses(searchQuery, filters = {}) {
   try {
-    // TODO: Replace with actual API call
-    // const response = await fetch(`${TERRIER_GPT_API_BASE}/courses/search?q=${searchQuery}`);
-    // const data = await response.json();
-    // return data.courses;
-    
-    return getMockSearchResults(searchQuery);
+    const catalogResults = await searchCatalog(searchQuery, filters);
+    if (catalogResults) {
+      return normalizeCourseList(catalogResults);
+    }
+
+    const courses = await getCourseProvider().searchCourses(searchQuery, filters);
+    return filterCourses(normalizeCourseList(courses), filters);
   } catch (error) {
     console.error('Error searching courses:', error);
-    throw new Error('Failed to search courses');
+    throw new Error(error instanceof UnsupportedProviderError ? error.message : 'Failed to search courses');
   }
 }
 
-// ===== MOCK DATA FOR DEVELOPMENT =====
-// Remove these functions once TerrierGPT API is integrated
-
-function getMockRecommendations() {
-  return [
-    {
-      courseCode: 'CASCS131',
-      courseName: 'Combinatoric Structures',
-      collegeCode: 'CAS',
-      subjectCode: 'CS',
-      courseNumber: '131',
-      units: 4,
-      description: 'Fundamental concepts in discrete mathematics with a focus on combinatorics and graph theory.',
-      prerequisites: ['CASCS111'],
-      hubAreas: ['Quantitative Reasoning'],
-      instructors: ['Prof. Reyzin'],
-      schedule: 'MWF 10:10-11:00',
-      semester: 'Fall 2025'
-    },
-    {
-      courseCode: 'CASCS132',
-      courseName: 'Geometric Algorithms',
-      collegeCode: 'CAS',
-      subjectCode: 'CS',
-      courseNumber: '132',
-      units: 4,
-      description: 'Introduction to computational geometry and spatial algorithms.',
-      prerequisites: ['CASCS131'],
-      hubAreas: ['Quantitative Reasoning', 'Critical Thinking'],
-      instructors: ['Prof. Smith'],
-      schedule: 'TTH 11:00-12:30',
-      semester: 'Fall 2025'
-    },
-    {
-      courseCode: 'CASLF309',
-      courseName: 'French Literature',
-      collegeCode: 'CAS',
-      subjectCode: 'LF',
-      courseNumber: '309',
-      units: 4,
-      description: 'Survey of French literature from the 18th century to present.',
-      prerequisites: ['CASLF210'],
-      hubAreas: ['Aesthetic Exploration', 'Global Citizenship'],
-      instructors: ['Prof. Dubois'],
-      schedule: 'MW 2:30-4:00',
-      semester: 'Fall 2025'
-    }
-  ];
+/**
+ * Review aggregates the advisor sees for each course in the conversation
+ * @param {Array<string>} courseCodes - Course codes
+ * @returns {Promise<Object>} - Course code to { averageRating, reviewCount, averageDifficulty, averageWorkload }
+ */
+async function getReviewAggregates(courseCodes) {
+  const statsByCourse = await getCourseStatsMap(courseCodes);
+  return Object.fromEntries(Object.entries(statsByCourse).map(([courseCode, stats]) => [courseCode, {
+    averageRating: stats.averageRating,
+    reviewCount: stats.reviewCount,
+    averageDifficulty: stats.averageDifficulty,
+    averageWorkload: stats.averageWorkload
+  }]));
 }
 
-function getMockCourseDetails(courseCode) {
-  const mockCourses = {
-    'CASCS131': {
-      courseCode: 'CASCS131',
-      courseName: 'Combinatoric Structures',
-      collegeCode: 'CAS',
-      subjectCode: 'CS',
-      courseNumber: '131',
-      units: 4,
-      description: 'Fundamental concepts in discrete mathematics with a focus on combinatorics and graph theory. Topics include counting, recurrence relations, generating functions, and graph algorithms.',
-      prerequisites: ['CASCS111'],
-      corequisites: [],
-      hubAreas: ['Quantitative Reasoning'],
-      instructors: ['Prof. Reyzin', 'Prof. Johnson'],
-      schedule: 'MWF 10:10-11:00',
-      semester: 'Fall 2025',
-      location: 'STO B50',
-      capacity: 80,
-      enrolled: 65,
-      waitlist: 5
-    }
-  };
-  
-  return mockCourses[courseCode] || null;
-}
+/**
+ * Chat with the TerrierGPT advisor, streaming its reply
+ * The advisor sees the conversation, the student's profile, the courses
+ * recommended so far, and the review aggregates of every course in play.
+ * Courses it mentions arrive as separate events, checked against the
+ * student's completed courses like recommendations are.
+ * @param {Array} messages - Conversation so far, ending with the student's message: { role: 'user'|'assistant', content, courseCodes }
+ * @param {Object} context - { studentData, courses: currently recommended courses }
+ * @param {Object} handlers - { onText: called with each piece of reply text, onCourse: called with each mentioned course, signal }
+ * @returns {Promise<void>} - Resolves when the reply is complete, or quietly when the signal aborts it
+ */
+export async function streamAdvisorChat(messages, { studentData = {}, courses = [] }, { onText, onCourse, signal } = {}) {
+  const completedCourses = studentData.completedCourses || [];
+  try {
+    const courseCodes = [...new Set([
+      ...courses.map(course => course.courseCode),
+      ...messages.flatMap(message => message.courseCodes || [])
+    ])];
+    const reviewStats = await getReviewAggregates(courseCodes);
 
-function getMockSearchResults(query) {
-  const allCourses = getMockRecommendations();
-  return allCourses.filter(course => 
-    course.courseName.toLowerCase().includes(query.toLowerCase()) ||
-    course.courseCode.toLowerCase().includes(query.toLowerCase())
-  );
+    await getCourseProvider().streamChat(
+      { messages, studentData, courses, reviewStats },
+      {
+        signal,
+        onEvent: (event) => {
+          if (event.type === 'text') {
+            onText(event.text);
+          } else if (event.type === 'course') {
+            const course = normalizeCourse(event.course);
+            onCourse({ ...course, eligibility: checkEligibility(course, completedCourses) });
+          }
+        }
+      }
+    );
+  } catch (error) {
+    if (signal && signal.aborted) return;
+    console.error('Error chatting with TerrierGPT:', error);
+    throw new Error(error instanceof UnsupportedProviderError ? error.message : 'Failed to get a reply from TerrierGPT');
+  }
 }
 
 export default {
   getCourseRecommendations,
   getCourseDetails,
-  searchCourses
-};
\ No newline at end of file
+  searchCourses,
+  streamAdvisorChat
+};
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSemesterCalendar, calendarUnavailableReason } from '../src/services/calendarExport.js';
+
+const NOW = new Date('2026-10-19T14:25:00Z');
+
+/**
+ * A normalized course with the fields the export reads
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Course
+ */
+function course(overrides = {}) {
+  return {
+    courseCode: 'CASCS131',
+    courseName: 'Combinatoric Structures',
+    schedule: 'MW 10:10-11:00',
+    instructors: [],
+    sections: [],
+    ...overrides
+  };
+}
+
+/**
+ * Unfolded content lines of a calendar's events, skipping the time zone
+ * @param {string} ics - Calendar text
+ * @returns {Array<string>} - Lines from the first event on
+ */
+function contentLines(ics) {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+  return lines.slice(lines.indexOf('BEGIN:VEVENT'));
+}
+
+/**
+ * Value of the first line with a property name
+ * @param {Array<string>} lines - Content lines
+ * @param {string} name - Property name with any parameters, e.g. "DTSTART;TZID=America/New_York"
+ * @returns {string|undefined} - Value
+ */
+function property(lines, name) {
+  const line = lines.find(candidate => candidate.startsWith(`${name}:`));
+  return line && line.slice(name.length + 1);
+}
+
+describe('buildSemesterCalendar', () => {
+  it('repeats each meeting weekly from the first to the last day of classes', () => {
+    const { ics, eventCount, skipped } = buildSemesterCalendar('Fall 2026', [course()], NOW);
+    const lines = contentLines(ics);
+
+    assert.equal(eventCount, 1);
+    assert.deepEqual(skipped, []);
+    assert.equal(property(lines, 'UID'), 'fall-2026-cascs131-0@terriergpt');
+    assert.equal(property(lines, 'DTSTAMP'), '20261019T142500Z');
+    assert.equal(property(lines, 'DTSTART;TZID=America/New_York'), '20260902T101000');
+    assert.equal(property(lines, 'DTEND;TZID=America/New_York'), '20260902T110000');
+    assert.equal(property(lines, 'RRULE'), 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261211T035959Z');
+  });
+
+  it('leaves out holidays that fall on meeting days', () => {
+    const lines = contentLines(buildSemesterCalendar('Fall 2026', [course()], NOW).ics);
+    // Labor Day, Indigenous Peoples' Day and the Wednesday of Thanksgiving Recess
+    assert.equal(property(lines, 'EXDATE;TZID=America/New_York'),
+      '20260907T101000,20261012T101000,20261125T101000');
+  });
+
+  it('starts on the first class after a holiday and skips EXDATE when none remain', () => {
+    const lines = contentLines(buildSemesterCalendar('Fall 2026', [course({ schedule: 'F 9:05-9:55' })], NOW).ics);
+    assert.equal(property(lines, 'DTSTART;TZID=America/New_York'), '20260904T090500');
+    assert.equal(property(lines, 'EXDATE;TZID=America/New_York'), '20261127T090500');
+
+    const tuesday = contentLines(buildSemesterCalendar('Spring 2026', [course({ schedule: 'T 2:00-3:15' })], NOW).ics);
+    assert.equal(property(tuesday, 'DTSTART;TZID=America/New_York'), '20260120T140000');
+    assert.equal(property(tuesday, 'EXDATE;TZID=America/New_York'), '20260310T140000');
+  });
+
+  it('escapes text values', () => {
+    const lines = contentLines(buildSemesterCalendar('Fall 2026', [
+      course({ courseName: 'Ethics; Law, and \\ Society\nSeminar', instructors: ['Ann Lee', 'Bo Chan'] })
+    ], NOW).ics);
+    assert.equal(property(lines, 'SUMMARY'), 'CASCS131: Ethics\\; Law\\, and \\\\ Society\\nSeminar');
+    assert.equal(property(lines, 'DESCRIPTION'), 'Fall 2026\\, Ann Lee\\, Bo Chan');
+  });
+
+  it('folds lines at 75 octets without splitting characters', () => {
+    const courseName = 'Études de la littérature française — '.repeat(4);
+    const { ics } = buildSemesterCalendar('Fall 2026', [course({ courseName })], NOW);
+    const encoder = new TextEncoder();
+
+    assert.ok(ics.endsWith('\r\n'));
+    ics.split('\r\n').forEach(line => assert.ok(encoder.encode(line).length <= 75, line));
+    assert.ok(ics.includes('\r\n '));
+    assert.equal(property(contentLines(ics), 'SUMMARY'), `CASCS131: ${courseName}`);
+  });
+
+  it('makes one event per meeting and lists courses without meeting times', () => {
+    const { eventCount, skipped, ics } = buildSemesterCalendar('Fall 2026', [
+      course({ schedule: 'MW 2:30-3:45pm; F 9:05-9:55' }),
+      course({ courseCode: 'CASCS599', schedule: 'TBA' })
+    ], NOW);
+    assert.equal(eventCount, 2);
+    assert.deepEqual(skipped, ['CASCS599']);
+    assert.ok(contentLines(ics).includes('UID:fall-2026-cascs131-1@terriergpt'));
+  });
+
+  it('refuses semesters without published class dates', () => {
+    assert.throws(() => buildSemesterCalendar('Summer 2026', [course()], NOW), /Summer 2026/);
+  });
+});
+
+describe('calendarUnavailableReason', () => {
+  it('explains why a semester cannot be exported', () => {
+    assert.equal(calendarUnavailableReason('Fall 2026'), null);
+    assert.match(calendarUnavailableReason('Summer 2026'), /aren't published yet/);
+    assert.match(calendarUnavailableReason('Fall 2030'), /Fall 2030/);
+    assert.equal(calendarUnavailableReason(''), 'Choose a semester to export');
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterCourses } from '../src/services/courseFilters.js';
+
+/**
+ * Which of the given Hub area lists pass a Hub area filter
+ * @param {Array<string>} courseAreas - One Hub area per course
+ * @param {string} hubArea - Filter value
+ * @returns {Array<string>} - Areas of the courses that pass
+ */
+function matching(courseAreas, hubArea) {
+  return filterCourses(courseAreas.map(area => ({ hubAreas: [area] })), { hubArea })
+    .map(course => course.hubAreas[0]);
+}
+
+describe('filterCourses by Hub area', () => {
+  it('matches areas exactly, ignoring case', () => {
+    assert.deepEqual(matching(['Social Inquiry I', 'social inquiry i'], 'Social Inquiry I'),
+      ['Social Inquiry I', 'social inquiry i']);
+  });
+
+  it('does not match the other level of an area', () => {
+    assert.deepEqual(matching(['Quantitative Reasoning II'], 'Quantitative Reasoning I'), []);
+    assert.deepEqual(matching(['Social Inquiry II'], 'Social Inquiry I'), []);
+    assert.deepEqual(matching(['Social Inquiry I'], 'Social Inquiry II'), []);
+  });
+
+  it('lets an area without a level count for either level', () => {
+    assert.deepEqual(matching(['Quantitative Reasoning'], 'Quantitative Reasoning I'), ['Quantitative Reasoning']);
+    assert.deepEqual(matching(['Quantitative Reasoning'], 'Quantitative Reasoning II'), ['Quantitative Reasoning']);
+  });
+
+  it('does not match a shortened area name', () => {
+    assert.deepEqual(matching(['Global Citizenship'], 'Global Citizenship and Intercultural Literacy'), []);
+  });
+});
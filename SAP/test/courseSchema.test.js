@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { normalizeCourse, normalizeCourseList, CourseSchemaError } from '../src/services/courseSchema.js';
+
+// recommendCourses normalizes provider responses with a CommonJS copy of
+// the schema; both must accept, fill in and reject the same courses
+const serverSchema = createRequire(import.meta.url)('../functions/src/courseSchema.js');
+
+const COURSES = [
+  { courseCode: ' cascs131 ', courseName: 'Combinatoric Structures' },
+  {
+    courseCode: 'CASCS330',
+    courseName: 'Introduction to Algorithms',
+    units: '4',
+    capacity: null,
+    hubAreas: ['Quantitative Reasoning II'],
+    instructors: ['Dóra Erdős'],
+    sections: [{ section: 'A1', capacity: '120', instructors: null }],
+    extra: { kept: true }
+  },
+  null,
+  [],
+  'CASCS111',
+  {},
+  { courseCode: '   ', courseName: 'Blank Code' },
+  { courseCode: 'CASCS111' },
+  { courseCode: 'CASCS111', courseName: 'Intro', description: 42 },
+  { courseCode: 'CASCS111', courseName: 'Intro', prerequisites: 'CASCS110' },
+  { courseCode: 'CASCS111', courseName: 'Intro', hubAreas: ['Writing', 3] },
+  { courseCode: 'CASCS111', courseName: 'Intro', units: 'four' },
+  { courseCode: 'CASCS111', courseName: 'Intro', sections: {} },
+  { courseCode: 'CASCS111', courseName: 'Intro', sections: [null] },
+  { courseCode: 'CASCS111', courseName: 'Intro', sections: [{ schedule: 9 }] },
+  { courseCode: 'CASCS111', courseName: 'Intro', sections: [{ instructors: 'Smith' }] },
+  { courseCode: 'CASCS111', courseName: 'Intro', sections: [{ enrolled: 'many' }] }
+];
+
+/**
+ * Run a normalizer, capturing either its result or its error message
+ * @param {Function} normalize - normalizeCourse from either copy
+ * @param {*} raw - Input course
+ * @returns {Object} - { course } or { error }
+ */
+function outcome(normalize, raw) {
+  try {
+    return { course: normalize(raw) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+describe('normalizeCourse', () => {
+  it('fills in missing fields and converts numbers', () => {
+    const course = normalizeCourse(COURSES[1]);
+    assert.equal(course.units, 4);
+    assert.equal(course.capacity, null);
+    assert.deepEqual(course.prerequisites, []);
+    assert.deepEqual(course.sections[0].instructors, []);
+    assert.equal(course.sections[0].capacity, 120);
+    assert.deepEqual(course.extra, { kept: true });
+  });
+
+  it('uppercases and trims the course code', () => {
+    assert.equal(normalizeCourse(COURSES[0]).courseCode, 'CASCS131');
+  });
+
+  it('throws a CourseSchemaError for invalid courses', () => {
+    assert.throws(() => normalizeCourse({ courseCode: 'CASCS111' }), CourseSchemaError);
+  });
+});
+
+describe('functions/src/courseSchema.js', () => {
+  it('normalizes courses like the client', () => {
+    COURSES.forEach(raw => {
+      assert.deepEqual(outcome(serverSchema.normalizeCourse, raw), outcome(normalizeCourse, raw),
+        `normalizeCourse(${JSON.stringify(raw)})`);
+    });
+  });
+
+  it('drops the same courses from a list', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const dropped = [];
+    assert.deepEqual(serverSchema.normalizeCourseList(COURSES, reason => dropped.push(reason)),
+      normalizeCourseList(COURSES));
+    assert.deepEqual(dropped, console.warn.mock.calls.map(call => call.arguments[1]));
+    assert.equal(dropped.length, COURSES.length - 2);
+  });
+
+  it('rejects a response that is not a list', () => {
+    assert.throws(() => serverSchema.normalizeCourseList({}), { message: 'Expected an array of courses' });
+    assert.throws(() => normalizeCourseList({}), { message: 'Expected an array of courses' });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeHubProgress, hubAreasFilled, boostByHubAreas } from '../src/services/hubRequirements.js';
+
+/**
+ * A course with Hub areas
+ * @param {string} courseCode - Course code
+ * @param {Array<string>} hubAreas - Hub areas
+ * @returns {Object} - Course
+ */
+function course(courseCode, hubAreas) {
+  return { courseCode, hubAreas };
+}
+
+/**
+ * One requirement of a progress report, by its first area
+ * @param {Object} progress - From computeHubProgress
+ * @param {string} area - First area of the requirement
+ * @returns {Object} - Requirement progress
+ */
+function requirement(progress, area) {
+  return progress.capacities
+    .flatMap(capacity => capacity.requirements)
+    .find(candidate => candidate.areas[0] === area);
+}
+
+describe('computeHubProgress', () => {
+  it('lists every requirement as missing for a new student', () => {
+    const progress = computeHubProgress();
+    assert.equal(progress.metCount, 0);
+    assert.equal(progress.requirementCount, 20);
+    assert.ok(progress.missingAreas.includes('Quantitative Reasoning II'));
+  });
+
+  it('counts one unit per course in each area it lists', () => {
+    const progress = computeHubProgress({
+      completedCourses: [
+        course('CASCS111', ['Quantitative Reasoning II', 'Creativity/Innovation']),
+        course('CASCS112', ['Creativity/Innovation', 'Critical Thinking'])
+      ]
+    });
+    assert.equal(requirement(progress, 'Quantitative Reasoning II').completed, 1);
+    assert.equal(requirement(progress, 'Quantitative Reasoning I').completed, 0);
+    assert.deepEqual(requirement(progress, 'Creativity/Innovation'), {
+      label: 'Creativity/Innovation',
+      areas: ['Creativity/Innovation'],
+      units: 2,
+      completed: 2,
+      planned: 0,
+      remaining: 0,
+      satisfied: false
+    });
+    assert.equal(requirement(progress, 'Critical Thinking').remaining, 1);
+    assert.equal(progress.metCount, 2);
+  });
+
+  it('lets a course without a level count toward either level', () => {
+    const progress = computeHubProgress({ completedCourses: [course('CASMA120', ['Quantitative Reasoning'])] });
+    assert.equal(requirement(progress, 'Quantitative Reasoning I').completed, 1);
+    assert.equal(requirement(progress, 'Quantitative Reasoning II').completed, 1);
+  });
+
+  it('fills a two-area requirement from either area', () => {
+    const progress = computeHubProgress({ completedCourses: [course('CASSO100', ['Social Inquiry II'])] });
+    const either = requirement(progress, 'Scientific Inquiry II');
+    assert.equal(either.label, 'Scientific Inquiry II or Social Inquiry II');
+    assert.equal(either.completed, 1);
+    assert.equal(requirement(progress, 'Social Inquiry I').completed, 0);
+  });
+
+  it('counts planned courses after completed ones, without counting a course twice', () => {
+    const writing = course('CASWR150', ['Writing-Intensive Course']);
+    const progress = computeHubProgress({
+      completedCourses: [writing],
+      plannedCourses: [writing, course('CASWR151', ['Writing-Intensive Course']), course('CASWR152', ['Writing-Intensive Course'])]
+    });
+    const { completed, planned, remaining } = requirement(progress, 'Writing-Intensive Course');
+    assert.deepEqual({ completed, planned, remaining }, { completed: 1, planned: 1, remaining: 0 });
+    assert.ok(!progress.missingAreas.includes('Writing-Intensive Course'));
+  });
+
+  it('counts areas marked satisfied in the profile as met', () => {
+    const progress = computeHubProgress({ satisfiedAreas: ['Global Citizenship and Intercultural Literacy'] });
+    const global = requirement(progress, 'Global Citizenship and Intercultural Literacy');
+    assert.deepEqual({ completed: global.completed, satisfied: global.satisfied }, { completed: 2, satisfied: true });
+    assert.equal(progress.metCount, 1);
+  });
+});
+
+describe('hubAreasFilled and boostByHubAreas', () => {
+  const missingAreas = ['Quantitative Reasoning I', 'Ethical Reasoning'];
+
+  it('names the missing areas a course fills', () => {
+    assert.deepEqual(hubAreasFilled(course('CASPH150', ['Ethical Reasoning', 'Critical Thinking']), missingAreas),
+      ['Ethical Reasoning']);
+    assert.deepEqual(hubAreasFilled(course('CASCS111', ['Quantitative Reasoning II']), missingAreas), []);
+    assert.deepEqual(hubAreasFilled({ courseCode: 'CASXX100' }, missingAreas), []);
+  });
+
+  it('puts courses that fill the most missing areas first, otherwise keeping the order', () => {
+    const courses = [
+      course('CASXX100', []),
+      course('CASPH150', ['Ethical Reasoning']),
+      course('CASMA115', ['Quantitative Reasoning I', 'Ethical Reasoning']),
+      course('CASPH160', ['Ethical Reasoning'])
+    ];
+    assert.deepEqual(boostByHubAreas(courses, missingAreas).map(result => result.courseCode),
+      ['CASMA115', 'CASPH150', 'CASPH160', 'CASXX100']);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkPlan,
+  courseUnits,
+  planCourseKey,
+  DEFAULT_COURSE_UNITS,
+  ISSUE_OVERLOAD,
+  ISSUE_UNDERLOAD,
+  ISSUE_PREREQUISITE,
+  ISSUE_COREQUISITE,
+  ISSUE_DUPLICATE,
+  ISSUE_COMPLETED,
+  ISSUE_TIME_CONFLICT
+} from '../src/services/planChecks.js';
+
+/**
+ * A normalized course with the fields the checks read
+ * @param {string} courseCode - Course code
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Course
+ */
+function course(courseCode, overrides = {}) {
+  return {
+    courseCode,
+    units: 4,
+    prerequisites: [],
+    corequisites: [],
+    schedule: '',
+    sections: [],
+    ...overrides
+  };
+}
+
+/**
+ * A plan from semester terms and the course codes in each
+ * @param {Object} semesters - Term to course codes
+ * @returns {Object} - { semesters: [{ term, courses }] }
+ */
+function plan(semesters) {
+  return {
+    semesters: Object.entries(semesters).map(([term, codes]) => ({
+      term,
+      courses: codes.map(courseCode => ({ courseCode }))
+    }))
+  };
+}
+
+/**
+ * Issue types of one planned course
+ * @param {Object} result - From checkPlan
+ * @param {number} semesterIndex - Semester index
+ * @param {string} courseCode - Course code
+ * @returns {Array<string>} - Issue types
+ */
+function issueTypes(result, semesterIndex, courseCode) {
+  return result.courses[planCourseKey(semesterIndex, courseCode)].map(issue => issue.type);
+}
+
+const DETAILS = {
+  CASCS111: course('CASCS111', { schedule: 'MWF 10:10-11:00' }),
+  CASCS112: course('CASCS112', { prerequisites: ['CASCS111'], schedule: 'MWF 10:10-11:00' }),
+  CASCS131: course('CASCS131', { schedule: 'TR 11:00-12:15' }),
+  CASCS132: course('CASCS132', { corequisites: ['CASCS131'], schedule: 'TR 2:00-3:15' }),
+  CASMA123: course('CASMA123', { schedule: 'MWF 12:20-1:10' }),
+  CASWR150: course('CASWR150', { schedule: 'MWF 9:05-9:55' })
+};
+
+describe('courseUnits', () => {
+  it('prefers the planned units, then the course, then the default', () => {
+    assert.equal(courseUnits({ courseCode: 'CASCS111', units: 2 }, DETAILS.CASCS111), 2);
+    assert.equal(courseUnits({ courseCode: 'CASCS111' }, course('CASCS111', { units: 1 })), 1);
+    assert.equal(courseUnits({ courseCode: 'CASCS999' }), DEFAULT_COURSE_UNITS);
+  });
+});
+
+describe('checkPlan', () => {
+  it('finds nothing wrong with a plan in order', () => {
+    const result = checkPlan(plan({
+      'Fall 2026': ['CASCS111', 'CASCS131', 'CASMA123'],
+      'Spring 2027': ['CASCS112', 'CASCS132', 'CASWR150']
+    }), DETAILS, { completedCourses: ['CASWR100'] });
+    assert.deepEqual(result.semesters.map(semester => semester.units), [12, 12]);
+    assert.equal(result.issueCount, 0);
+  });
+
+  it('flags a course placed before its prerequisite', () => {
+    const result = checkPlan(plan({
+      'Fall 2026': ['CASCS112', 'CASCS131', 'CASMA123'],
+      'Spring 2027': ['CASCS111']
+    }), DETAILS);
+    assert.deepEqual(result.courses[planCourseKey(0, 'CASCS112')], [
+      { type: ISSUE_PREREQUISITE, message: 'Take CASCS111 first' }
+    ]);
+  });
+
+  it('counts completed courses and earlier semesters toward prerequisites', () => {
+    const result = checkPlan(plan({ 'Fall 2026': ['CASCS112'] }), DETAILS, { completedCourses: ['cas cs 111'] });
+    assert.deepEqual(issueTypes(result, 0, 'CASCS112'), []);
+  });
+
+  it('lets a corequisite be taken in the same semester', () => {
+    const together = checkPlan(plan({ 'Fall 2026': ['CASCS131', 'CASCS132'] }), DETAILS);
+    assert.deepEqual(issueTypes(together, 0, 'CASCS132'), []);
+
+    const alone = checkPlan(plan({ 'Fall 2026': ['CASCS132'] }), DETAILS);
+    assert.deepEqual(alone.courses[planCourseKey(0, 'CASCS132')], [
+      { type: ISSUE_COREQUISITE, message: 'Take CASCS131 by this semester' }
+    ]);
+  });
+
+  it('flags courses planned twice or already completed', () => {
+    const result = checkPlan(plan({
+      'Fall 2026': ['CASCS131', 'CASMA123'],
+      'Spring 2027': ['CASCS131']
+    }), DETAILS, { completedCourses: ['CASMA123'] });
+    assert.deepEqual(result.courses[planCourseKey(1, 'CASCS131')], [
+      { type: ISSUE_DUPLICATE, message: 'Also planned for Fall 2026' }
+    ]);
+    assert.deepEqual(issueTypes(result, 0, 'CASMA123'), [ISSUE_COMPLETED]);
+  });
+
+  it('flags overloads against the limit and underloads below full time', () => {
+    const heavy = checkPlan(plan({ 'Fall 2026': ['CASCS111', 'CASCS131', 'CASMA123', 'CASCS132'] }), DETAILS, { maxUnits: 12 });
+    assert.deepEqual(heavy.semesters[0].issues, [{ type: ISSUE_OVERLOAD, message: '16 units is over the 12-unit limit' }]);
+
+    const light = checkPlan(plan({ 'Fall 2026': ['CASCS111'], 'Spring 2027': [] }), DETAILS);
+    assert.deepEqual(light.semesters[0].issues, [{ type: ISSUE_UNDERLOAD, message: '4 units is below full time (12)' }]);
+    assert.deepEqual(light.semesters[1].issues, []);
+  });
+
+  it('flags overlapping meetings and blocked-out times', () => {
+    const result = checkPlan(plan({ 'Fall 2026': ['CASCS111', 'CASCS112', 'CASCS131'] }), DETAILS, {
+      completedCourses: ['CASCS111'],
+      blockedTimes: [{ label: 'Work', days: ['T'], start: '12:00', end: '13:00' }]
+    });
+    assert.deepEqual(result.courses[planCourseKey(0, 'CASCS112')], [
+      { type: ISSUE_TIME_CONFLICT, message: 'Overlaps CASCS111' }
+    ]);
+    assert.deepEqual(result.courses[planCourseKey(0, 'CASCS131')], [
+      { type: ISSUE_TIME_CONFLICT, message: 'Overlaps Work' }
+    ]);
+  });
+
+  it('only checks units and duplicates for courses without details', () => {
+    const result = checkPlan(plan({ 'Fall 2026': ['CASXX101', 'CASXX101', 'CASXX102'] }), {});
+    assert.equal(result.semesters[0].units, 12);
+    assert.deepEqual(issueTypes(result, 0, 'CASXX102'), []);
+    assert.equal(result.issueCount, 1);
+  });
+});
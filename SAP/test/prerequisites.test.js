@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCourseCodes,
+  parseRequirements,
+  describeRequirement,
+  checkEligibility,
+  ELIGIBLE,
+  MISSING_PREREQS,
+  ELIGIBLE_WITH_COREQ
+} from '../src/services/prerequisites.js';
+
+/**
+ * Description of a parsed prerequisite list
+ * @param {Array<string>} entries - Prerequisite entries
+ * @returns {string|null} - Description, or null for no requirement
+ */
+function describeEntries(entries) {
+  const { requirement } = parseRequirements(entries);
+  return requirement ? describeRequirement(requirement) : null;
+}
+
+describe('parseCourseCodes', () => {
+  it('compacts codes in any spacing and drops duplicates', () => {
+    assert.deepEqual(parseCourseCodes('CAS CS 111, cascs111; CASMA123'), ['CASCS111', 'CASMA123']);
+  });
+
+  it('handles missing text', () => {
+    assert.deepEqual(parseCourseCodes(undefined), []);
+  });
+});
+
+describe('parseRequirements', () => {
+  it('requires every entry', () => {
+    assert.equal(describeEntries(['CASCS111', 'CASMA123 or CASMA127']), 'CASCS111 and (CASMA123 or CASMA127)');
+  });
+
+  it('binds "and" tighter than "or" and honours parentheses', () => {
+    assert.equal(describeEntries(['CASCS112 and CASCS131 or CASCS132']), '(CASCS112 and CASCS131) or CASCS132');
+    assert.equal(describeEntries(['CASCS112 and (CASCS131 or CASCS132)']), 'CASCS112 and (CASCS131 or CASCS132)');
+  });
+
+  it('reads a comma list with "or" as alternatives', () => {
+    assert.equal(describeEntries(['CASCS111, CASCS112 or CASCS113']), 'CASCS111 or CASCS112 or CASCS113');
+    assert.equal(describeEntries(['CASCS111, CASCS112']), 'CASCS111 and CASCS112');
+  });
+
+  it('skips unbalanced parentheses and dangling operators', () => {
+    assert.equal(describeEntries(['(CASCS111 or CASCS112']), 'CASCS111 or CASCS112');
+    assert.equal(describeEntries(['CASCS111 and']), 'CASCS111');
+  });
+
+  it('keeps text that names no course as a note alternative', () => {
+    const { requirement, notes } = parseRequirements(['CAS CS 111 or consent of instructor']);
+    assert.equal(describeRequirement(requirement), 'CASCS111 or consent of instructor');
+    assert.deepEqual(notes, ['consent of instructor']);
+  });
+
+  it('drops notes that sit next to a course', () => {
+    const { requirement, notes } = parseRequirements(['Prerequisite: CAS CS 111.']);
+    assert.equal(describeRequirement(requirement), 'CASCS111');
+    assert.deepEqual(notes, ['Prerequisite']);
+  });
+});
+
+describe('checkEligibility', () => {
+  const course = (prerequisites, corequisites = []) => ({ prerequisites, corequisites });
+
+  it('is eligible when every prerequisite is met', () => {
+    const result = checkEligibility(course(['CASCS111', 'CASMA123 or CASMA127']), ['cas cs 111', 'CASMA127']);
+    assert.equal(result.status, ELIGIBLE);
+    assert.deepEqual(result.missing, []);
+  });
+
+  it('lists the unmet parts of a requirement', () => {
+    const result = checkEligibility(course(['CASCS111', 'CASMA123 or CASMA127']), []);
+    assert.equal(result.status, MISSING_PREREQS);
+    assert.deepEqual(result.missing, ['CASCS111', 'CASMA123 or CASMA127']);
+  });
+
+  it('does not hold students back on an alternative it cannot check', () => {
+    const result = checkEligibility(course(['CAS CS 111 or consent of instructor']), []);
+    assert.equal(result.status, ELIGIBLE);
+    assert.deepEqual(result.notes, ['consent of instructor']);
+  });
+
+  it('still requires courses listed alongside a note', () => {
+    const result = checkEligibility(course(['CASCS111 and consent of instructor']), []);
+    assert.equal(result.status, MISSING_PREREQS);
+    assert.deepEqual(result.missing, ['CASCS111']);
+  });
+
+  it('lets concurrent courses satisfy corequisites only', () => {
+    const pending = checkEligibility(course([], ['CASCS112']), []);
+    assert.equal(pending.status, ELIGIBLE_WITH_COREQ);
+    assert.deepEqual(pending.corequisites, ['CASCS112']);
+
+    const concurrent = checkEligibility(course(['CASCS111'], ['CASCS112']), ['CASCS111'], { concurrentCourses: ['CASCS112'] });
+    assert.equal(concurrent.status, ELIGIBLE);
+
+    const notPrereq = checkEligibility(course(['CASCS111']), [], { concurrentCourses: ['CASCS111'] });
+    assert.equal(notPrereq.status, MISSING_PREREQS);
+  });
+});
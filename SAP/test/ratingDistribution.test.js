@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { histogramStats, describeDistribution, MIN_REVIEWS_FOR_SHAPE } from '../src/services/ratingDistribution.js';
+
+describe('histogramStats', () => {
+  it('counts every review in the 1-5 buckets', () => {
+    const histogram = { 1: 2, 2: 1, 3: 0, 4: 3, 5: 4 };
+    const { count, mean } = histogramStats(histogram);
+    assert.equal(count, Object.values(histogram).reduce((sum, reviews) => sum + reviews, 0));
+    assert.equal(mean, (2 + 2 + 12 + 20) / 10);
+  });
+
+  it('reads string keys as stored in Firestore and ignores other buckets', () => {
+    assert.equal(histogramStats({ '3': 2, '5': 1, 0: 4, 6: 1 }).count, 3);
+  });
+
+  it('has no mean or spread without reviews', () => {
+    [undefined, null, {}, { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }].forEach(histogram => {
+      assert.deepEqual(histogramStats(histogram), { count: 0, mean: null, standardDeviation: null });
+    });
+  });
+
+  it('measures the spread in stars', () => {
+    assert.equal(histogramStats({ 4: 5 }).standardDeviation, 0);
+    assert.equal(histogramStats({ 1: 1, 5: 1 }).standardDeviation, 2);
+  });
+});
+
+describe('describeDistribution', () => {
+  it('says nothing about the shape of too few reviews', () => {
+    assert.equal(describeDistribution(undefined).shape, 'few');
+    assert.equal(describeDistribution({}).shape, 'few');
+    assert.equal(describeDistribution({ 5: MIN_REVIEWS_FOR_SHAPE - 1 }).shape, 'few');
+  });
+
+  it('calls agreeing reviewers consistent, naming the most common rating', () => {
+    assert.deepEqual(describeDistribution({ 4: 6, 5: 3 }), {
+      shape: 'consistent',
+      label: 'Consistent',
+      description: 'Reviewers mostly agree: 67% gave it 4 stars.'
+    });
+    assert.match(describeDistribution({ 1: 3 }).description, /100% gave it 1 star\.$/);
+  });
+
+  it('calls two camps with a thin middle polarizing, rounding percents', () => {
+    assert.deepEqual(describeDistribution({ 1: 2, 2: 1, 3: 1, 4: 1, 5: 2 }), {
+      shape: 'polarizing',
+      label: 'Polarizing',
+      description: '43% rated it 4 or 5 stars and 43% rated it 1 or 2.'
+    });
+    assert.equal(describeDistribution({ 1: 1, 5: 2 }).description, '67% rated it 4 or 5 stars and 33% rated it 1 or 2.');
+  });
+
+  it('calls a wide spread with a strong middle mixed', () => {
+    assert.equal(describeDistribution({ 1: 1, 2: 2, 3: 4, 4: 2, 5: 1 }).shape, 'mixed');
+  });
+});
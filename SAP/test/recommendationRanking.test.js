@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bayesianAverage,
+  preferenceKeywords,
+  rankRecommendations,
+  PRIOR_REVIEW_WEIGHT
+} from '../src/services/recommendationRanking.js';
+
+const NO_WEIGHTS = { agent: 0, rating: 0, workload: 0, difficulty: 0, preferences: 0 };
+
+/**
+ * A recommended course
+ * @param {string} courseCode - Course code
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Course
+ */
+function course(courseCode, overrides = {}) {
+  return { courseCode, courseName: courseCode, description: '', hubAreas: [], ...overrides };
+}
+
+/**
+ * Rank courses with stats looked up by course code
+ * @param {Array} courses - Courses in the agent's order
+ * @param {Object} stats - Course code to courseStats document
+ * @param {Object} options - rankRecommendations options
+ * @returns {Array} - Ranked courses
+ */
+function rank(courses, stats, options) {
+  return rankRecommendations(courses, code => stats[code] || null, options);
+}
+
+/**
+ * A factor of a ranked course
+ * @param {Object} ranked - Ranked course
+ * @param {string} key - Factor key
+ * @returns {Object} - Factor
+ */
+function factor(ranked, key) {
+  return ranked.ranking.factors.find(candidate => candidate.key === key);
+}
+
+describe('bayesianAverage', () => {
+  it('is the prior without reviews', () => {
+    assert.equal(bayesianAverage(null, 0, 3.5), 3.5);
+    assert.equal(bayesianAverage(5, 0, 3.5), 3.5);
+    assert.equal(bayesianAverage(undefined, undefined, 3), 3);
+  });
+
+  it('pulls few reviews toward the prior more than many', () => {
+    assert.equal(bayesianAverage(5, 1, 3.5), (3.5 * PRIOR_REVIEW_WEIGHT + 5) / (PRIOR_REVIEW_WEIGHT + 1));
+    assert.ok(bayesianAverage(4.5, 40, 3.5) > bayesianAverage(5, 1, 3.5));
+  });
+});
+
+describe('preferenceKeywords', () => {
+  it('keeps distinct lower-case words that say something', () => {
+    assert.deepEqual(preferenceKeywords('Machine learning, and some C++ classes about AI; machine'),
+      ['machine', 'learning', 'c++']);
+    assert.deepEqual(preferenceKeywords(undefined), []);
+  });
+});
+
+describe('rankRecommendations', () => {
+  it('counts a course with no reviews as the prior rating', () => {
+    const [ranked] = rank([course('CASCS111')], {}, { weights: { ...NO_WEIGHTS, rating: 1 } });
+    assert.equal(factor(ranked, 'rating').value, (3.5 - 1) / 4);
+    assert.equal(factor(ranked, 'rating').detail, 'No reviews yet, counted as 3.5');
+    assert.equal(ranked.ranking.score, 63);
+  });
+
+  it('ranks many good reviews above one perfect review', () => {
+    const stats = {
+      CASCS111: { reviewCount: 1, averageRating: 5 },
+      CASCS112: { reviewCount: 40, averageRating: 4.5 }
+    };
+    const ranked = rank([course('CASCS111'), course('CASCS112')], stats, { weights: { ...NO_WEIGHTS, rating: 1 } });
+    assert.deepEqual(ranked.map(result => result.courseCode), ['CASCS112', 'CASCS111']);
+  });
+
+  it('keeps the agent\'s order when every weight is zero', () => {
+    const stats = { CASCS330: { reviewCount: 50, averageRating: 5 } };
+    const ranked = rank([course('CASCS111'), course('CASCS131'), course('CASCS330')], stats, { weights: NO_WEIGHTS });
+    assert.deepEqual(ranked.map(result => result.courseCode), ['CASCS111', 'CASCS131', 'CASCS330']);
+    assert.deepEqual(ranked.map(result => result.ranking.score), [100, 50, 0]);
+  });
+
+  it('scores by the weighted mean, so scaling every weight changes nothing', () => {
+    const stats = { CASCS131: { reviewCount: 10, averageRating: 4, workloadCount: 10, averageWorkload: 2 } };
+    const courses = [course('CASCS111'), course('CASCS131')];
+    const weights = { agent: 1, rating: 2, workload: 1, difficulty: 0, preferences: 0 };
+    const doubled = Object.fromEntries(Object.entries(weights).map(([key, weight]) => [key, weight * 2]));
+    assert.deepEqual(
+      rank(courses, stats, { weights }).map(result => result.ranking.score),
+      rank(courses, stats, { weights: doubled }).map(result => result.ranking.score)
+    );
+  });
+
+  it('treats a missing workload as the scale midpoint', () => {
+    const stats = { CASCS111: { reviewCount: 3, averageRating: 4 } };
+    const [ranked] = rank([course('CASCS111')], stats, { weights: { ...NO_WEIGHTS, workload: 1 } });
+    assert.equal(factor(ranked, 'workload').value, 0.5);
+    assert.equal(factor(ranked, 'workload').detail, 'No workload ratings yet');
+    assert.equal(ranked.ranking.score, 50);
+  });
+
+  it('keeps the agent\'s order for tied scores', () => {
+    const ranked = rank([course('CASCS330'), course('CASCS111'), course('CASCS131')], {}, {
+      weights: { ...NO_WEIGHTS, rating: 1 }
+    });
+    assert.deepEqual(ranked.map(result => result.courseCode), ['CASCS330', 'CASCS111', 'CASCS131']);
+  });
+
+  it('scores preferences by the share of keywords a course mentions', () => {
+    const courses = [
+      course('CASCS111', { description: 'Programming in Python.' }),
+      course('CASCS542', { courseName: 'Machine Learning', description: 'Python for data.' })
+    ];
+    const ranked = rank(courses, {}, { weights: { ...NO_WEIGHTS, preferences: 1 }, preferences: 'machine learning with python' });
+    assert.deepEqual(ranked.map(result => result.courseCode), ['CASCS542', 'CASCS111']);
+    assert.equal(factor(ranked[1], 'preferences').value, 1 / 3);
+    assert.equal(factor(ranked[1], 'preferences').detail, 'Mentions python');
+  });
+});
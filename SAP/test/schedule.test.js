@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSchedule, findConflicts } from '../src/services/schedule.js';
+
+/**
+ * Minutes after midnight
+ * @param {number} hours - Hour, 0-23
+ * @param {number} minutes - Minute
+ * @returns {number} - Minutes
+ */
+const at = (hours, minutes = 0) => hours * 60 + minutes;
+
+describe('parseSchedule', () => {
+  it('reads a morning meeting', () => {
+    assert.deepEqual(parseSchedule('MWF 10:10-11:00'), {
+      meetings: [{ days: ['M', 'W', 'F'], start: at(10, 10), end: at(11) }],
+      unparsed: []
+    });
+  });
+
+  it('carries the end\'s am/pm over to the start only when it fits', () => {
+    assert.deepEqual(parseSchedule('TTH 11:00-12:30pm').meetings, [{ days: ['T', 'R'], start: at(11), end: at(12, 30) }]);
+    assert.deepEqual(parseSchedule('TR 2:00-3:15pm').meetings, [{ days: ['T', 'R'], start: at(14), end: at(15, 15) }]);
+  });
+
+  it('reads several meetings and bare afternoon hours', () => {
+    assert.deepEqual(parseSchedule('MW 2:30-3:45pm; F 9:05-9:55').meetings, [
+      { days: ['M', 'W'], start: at(14, 30), end: at(15, 45) },
+      { days: ['F'], start: at(9, 5), end: at(9, 55) }
+    ]);
+    assert.deepEqual(parseSchedule('MW 2:30-3:45').meetings, [{ days: ['M', 'W'], start: at(14, 30), end: at(15, 45) }]);
+  });
+
+  it('reads evening meetings without am/pm', () => {
+    assert.deepEqual(parseSchedule('W 7:00-9:45'), {
+      meetings: [{ days: ['W'], start: at(19), end: at(21, 45) }],
+      unparsed: []
+    });
+    assert.deepEqual(parseSchedule('T 6:30-9:15').meetings, [{ days: ['T'], start: at(18, 30), end: at(21, 15) }]);
+    assert.deepEqual(parseSchedule('R 6:00-9:00pm').meetings, [{ days: ['R'], start: at(18), end: at(21) }]);
+  });
+
+  it('treats TBA and online schedules as having no meetings', () => {
+    ['TBA', 'tbd', 'Online', 'asynchronous', '', undefined].forEach(schedule => {
+      assert.deepEqual(parseSchedule(schedule), { meetings: [], unparsed: [] });
+    });
+  });
+
+  it('reports parts it cannot read', () => {
+    assert.deepEqual(parseSchedule('MWF 10:10-11:00; by appointment'), {
+      meetings: [{ days: ['M', 'W', 'F'], start: at(10, 10), end: at(11) }],
+      unparsed: ['by appointment']
+    });
+  });
+});
+
+describe('findConflicts', () => {
+  it('finds an evening class overlapping another', () => {
+    const items = [
+      { id: 'CASCS591', meetings: parseSchedule('W 7:00-9:45').meetings },
+      { id: 'CASMA242', meetings: parseSchedule('MW 6:30-7:45pm').meetings }
+    ];
+    assert.deepEqual(findConflicts(items), [
+      { first: 'CASCS591', second: 'CASMA242', overlap: { days: ['W'], start: at(19), end: at(19, 45) } }
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenize,
+  buildSearchIndex,
+  prepareSearchIndex,
+  searchCourseIndex
+} from '../src/services/searchIndex.js';
+
+/**
+ * A normalized course with the fields the index reads
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Course
+ */
+function course(overrides = {}) {
+  return {
+    courseCode: 'CASCS131',
+    courseName: 'Combinatoric Structures',
+    collegeCode: 'CAS',
+    subjectCode: 'CS',
+    courseNumber: '131',
+    units: 4,
+    description: 'Sets, relations and counting.',
+    prerequisites: [],
+    hubAreas: [],
+    instructors: [],
+    schedule: '',
+    semester: '',
+    ...overrides
+  };
+}
+
+/**
+ * Search a freshly built index the way catalogService does, through JSON
+ * @param {Array} courses - Courses to index
+ * @param {string} query - Search query
+ * @returns {Array<string>} - Course codes, best match first
+ */
+function search(courses, query) {
+  const index = prepareSearchIndex(JSON.parse(JSON.stringify(buildSearchIndex(courses))));
+  return searchCourseIndex(index, query).map(result => result.courseCode);
+}
+
+const CATALOG = [
+  course(),
+  course({
+    courseCode: 'CASCS330',
+    courseName: 'Introduction to Algorithms',
+    courseNumber: '330',
+    description: 'Design and analysis of algorithms.',
+    instructors: ['Dóra Erdős']
+  }),
+  course({
+    courseCode: 'CASMA123',
+    courseName: 'Calculus I',
+    subjectCode: 'MA',
+    courseNumber: '123',
+    description: 'Limits, derivatives and integrals.'
+  })
+];
+
+describe('tokenize', () => {
+  it('lowercases, folds accents and drops stop words', () => {
+    assert.deepEqual(tokenize('Études of the Algorithms'), ['etudes', 'algorithms']);
+  });
+
+  it('splits on punctuation and keeps digits', () => {
+    assert.deepEqual(tokenize('CS-131: Sets/Logic'), ['cs', '131', 'sets', 'logic']);
+  });
+
+  it('handles missing text', () => {
+    assert.deepEqual(tokenize(undefined), []);
+  });
+});
+
+describe('searchCourseIndex', () => {
+  it('finds a course by its code in the forms students type', () => {
+    assert.deepEqual(search(CATALOG, 'cs131'), ['CASCS131']);
+    assert.deepEqual(search(CATALOG, 'cs 131'), ['CASCS131']);
+    assert.deepEqual(search(CATALOG, 'cascs131'), ['CASCS131']);
+  });
+
+  it('matches prefixes for type-ahead', () => {
+    assert.deepEqual(search(CATALOG, 'algo'), ['CASCS330']);
+    assert.deepEqual(search(CATALOG, 'calc'), ['CASMA123']);
+  });
+
+  it('tolerates a typo in longer words', () => {
+    assert.deepEqual(search(CATALOG, 'algoritms'), ['CASCS330']);
+    assert.deepEqual(search(CATALOG, 'calculsu'), ['CASMA123']);
+  });
+
+  it('does not treat one digit off as a typo', () => {
+    assert.deepEqual(search(CATALOG, '132'), []);
+  });
+
+  it('requires every query term to match', () => {
+    assert.deepEqual(search(CATALOG, 'algorithms calculus'), []);
+  });
+
+  it('finds instructors with accents folded', () => {
+    assert.deepEqual(search(CATALOG, 'erdos'), ['CASCS330']);
+  });
+
+  it('ranks name matches above description matches', () => {
+    const courses = [
+      course({ courseCode: 'CASCS111', courseNumber: '111', courseName: 'Intro to Programming', description: 'Uses Python.' }),
+      course({ courseCode: 'CASCS112', courseNumber: '112', courseName: 'Python Data Structures', description: 'More code.' })
+    ];
+    assert.deepEqual(search(courses, 'python'), ['CASCS112', 'CASCS111']);
+  });
+
+  it('lists every course in code order for an empty query', () => {
+    assert.deepEqual(search(CATALOG, ''), ['CASCS131', 'CASCS330', 'CASMA123']);
+  });
+
+  it('indexes words that are Object.prototype keys', () => {
+    const courses = [
+      course({ description: 'The constructor pattern, toString and hasOwnProperty.' }),
+      course({ courseCode: 'CASMA123', subjectCode: 'MA', courseNumber: '123', courseName: 'Calculus I' })
+    ];
+    assert.deepEqual(search(courses, 'constructor'), ['CASCS131']);
+    assert.deepEqual(search(courses, 'tostring'), ['CASCS131']);
+    assert.deepEqual(search(CATALOG, 'constructor'), []);
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * Let tests import src modules directly
+ * The app imports its own modules without extensions ("./schedule"), which
+ * Vite resolves but Node doesn't; resolveHooks.js adds the ".js".
+ */
+
+import { register } from 'node:module';
+
+register('./resolveHooks.js', import.meta.url);
@@ -0,0 +1,15 @@
+/**
+ * Module resolve hook: retry relative imports that have no extension as ".js"
+ * @param {string} specifier - Import specifier
+ * @param {Object} context - Resolve context
+ * @param {Function} nextResolve - Default resolver
+ * @returns {Promise<Object>} - Resolution
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.\.?\/(.*\/)?[^/.]+$/.test(specifier)) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import * as terms from '../src/services/terms.js';
+
+// The functions keep a CommonJS copy of termKey and termLabel for the
+// semester migration; both must read the same text the same way
+const serverTerms = createRequire(import.meta.url)('../functions/src/terms.js');
+
+const SEMESTERS = [
+  'Fall 2024', 'fall \'24', 'Fall24', '2024 Fall', 'FA24', 'Sp \'23', 'SP2023',
+  'Summer 1 2025', 'Summer 2 2025', 'Winter 2026', 'Autumn 2022', 'Spring',
+  '2026-3', '2026-4', '24', '', '   ', 'next fall', undefined, null
+];
+
+describe('termKey', () => {
+  it('parses the forms students type', () => {
+    assert.equal(terms.termKey('Fall 2024'), '2024-3');
+    assert.equal(terms.termKey('fall \'24'), '2024-3');
+    assert.equal(terms.termKey('2024 Fall'), '2024-3');
+    assert.equal(terms.termKey('FA24'), '2024-3');
+    assert.equal(terms.termKey('Summer 1 2025'), '2025-2');
+  });
+
+  it('returns an empty key for text it does not recognize', () => {
+    assert.equal(terms.termKey('next fall'), '');
+    assert.equal(terms.termKey(undefined), '');
+  });
+});
+
+describe('termLabel', () => {
+  it('labels valid keys only', () => {
+    assert.equal(terms.termLabel('2026-3'), 'Fall 2026');
+    assert.equal(terms.termLabel('2026-4'), '');
+  });
+});
+
+describe('functions/src/terms.js', () => {
+  it('parses semesters like the client', () => {
+    SEMESTERS.forEach(text => {
+      assert.equal(serverTerms.termKey(text), terms.termKey(text), `termKey(${JSON.stringify(text)})`);
+    });
+  });
+
+  it('labels term keys like the client', () => {
+    SEMESTERS.map(terms.termKey).concat(['2026-0', '2026-4', '26-1']).forEach(key => {
+      assert.equal(serverTerms.termLabel(key), terms.termLabel(key), `termLabel(${JSON.stringify(key)})`);
+    });
+  });
+});